@@ -3,6 +3,7 @@
 const express = require("express");
 const cors = require("cors");
 const helmet = require("helmet");
+const cookieParser = require("cookie-parser");
 const dotenv = require("dotenv");
 
 // Load environment variables before any module that reads process.env.
@@ -10,6 +11,7 @@ dotenv.config();
 
 // ── Startup guard — fail fast if critical env vars are missing ────────────────
 const REQUIRED_ENV = ["MONGO_URI", "JWT_SECRET"];
+if (process.env.MAIL_TRANSPORT === "smtp") REQUIRED_ENV.push("SMTP_URL");
 const missingEnv = REQUIRED_ENV.filter((key) => !process.env[key]);
 if (missingEnv.length > 0) {
   console.error(
@@ -21,17 +23,48 @@ if (missingEnv.length > 0) {
 
 const connectDB = require("./config/db");
 const corsOptions = require("./config/cors");
-const { authLimiter } = require("./config/rateLimiter");
+const { publicLimiter } = require("./config/rateLimiter");
 const errorHandler = require("./middlewares/errorHandler");
-const { protect } = require("./middlewares/authMiddleware");
+const {
+  protect,
+  requireSession,
+  requireVerifiedEmail,
+  requireAdmin,
+} = require("./middlewares/authMiddleware");
+const adminRoutes = require("./routes/adminRoutes");
 const authRoutes = require("./routes/authRoutes");
 const noteRoutes = require("./routes/noteRoutes");
+const notebookRoutes = require("./routes/notebookRoutes");
+const publicRoutes = require("./routes/publicRoutes");
+const tagRoutes = require("./routes/tagRoutes");
+const { startTrashPurge } = require("./jobs/purgeTrash");
+const { startAccountPurge } = require("./jobs/purgeAccounts");
+const { startPinnedBackfill } = require("./jobs/backfillPinned");
+const { startVersionBackfill } = require("./jobs/backfillVersion");
 
 // ── Database ──────────────────────────────────────────────────────────────────
 connectDB();
 
+// ── Background jobs ───────────────────────────────────────────────────────────
+// Mongoose buffers queries until the connection opens, so jobs can start now.
+startTrashPurge();
+startAccountPurge();
+startPinnedBackfill();
+startVersionBackfill();
+
 const app = express();
 
+// Behind a reverse proxy, req.ip is the proxy's address unless Express is told
+// to trust X-Forwarded-For. It feeds the rate limiters and the sessions list.
+//   TRUST_PROXY — number of proxy hops, or an Express "trust proxy" value
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set(
+    "trust proxy",
+    Number.isInteger(hops) ? hops : process.env.TRUST_PROXY,
+  );
+}
+
 // ── Security middleware ───────────────────────────────────────────────────────
 // helmet sets secure HTTP headers: X-Content-Type-Options, X-Frame-Options,
 // HSTS, Content-Security-Policy, and more.
@@ -43,18 +76,40 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: "10kb" }));
 app.use(express.urlencoded({ extended: true, limit: "10kb" }));
 
+// Cookies carry only the refresh token (see config/session.js).
+app.use(cookieParser());
+
 // ── Health check ──────────────────────────────────────────────────────────────
 app.get("/", (_req, res) => {
   res.json({ success: true, status: "ok" });
 });
 
 // ── API routes ────────────────────────────────────────────────────────────────
-// authLimiter is scoped to auth endpoints only — does not throttle other routes.
-app.use("/api/auth", authLimiter, authRoutes);
+// Auth endpoints apply their own rate limits per route (see authRoutes.js):
+// a tight one for credentials, a looser one for background token refresh.
+app.use("/api/auth", authRoutes);
+
+// protect is applied at mount level so every notes/notebooks/tags sub-route
+// requires a valid JWT automatically — no individual route can be exposed by
+// omission. requireVerifiedEmail enforces the EMAIL_VERIFICATION policy the
+// same way. Personal access tokens reach the notes API only — each note
+// route checks its scope (see noteRoutes.js).
+app.use("/api/notes", protect, requireVerifiedEmail, noteRoutes);
+app.use(
+  "/api/notebooks",
+  protect,
+  requireSession,
+  requireVerifiedEmail,
+  notebookRoutes,
+);
+app.use("/api/tags", protect, requireSession, requireVerifiedEmail, tagRoutes);
+
+// Admin endpoints: the same mount-level guard, restricted to ADMIN_EMAILS.
+app.use("/api/admin", protect, requireSession, requireAdmin, adminRoutes);
 
-// protect is applied at mount level so every notes sub-route requires a valid
-// JWT automatically — no individual route can be exposed by omission.
-app.use("/api/notes", protect, noteRoutes);
+// Public share links: no protect — the token in the URL is the credential.
+// publicLimiter throttles them independently of the auth endpoints.
+app.use("/api/public", publicLimiter, publicRoutes);
 
 // ── 404 handler (must come after all routes) ──────────────────────────────────
 app.use((_req, res) => {
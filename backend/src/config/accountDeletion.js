@@ -0,0 +1,29 @@
+"use strict";
+
+/**
+ * Account deletion (DELETE /api/auth/me).
+ *
+ * Without a grace period the account and everything it owns is removed at
+ * once. With one, the account is signed out everywhere and scheduled for
+ * deletion; signing in again before the date cancels it, and the purge job
+ * (jobs/purgeAccounts.js) removes the account once the date has passed.
+ *
+ * Override the defaults via environment variables:
+ *   ACCOUNT_DELETION_GRACE_DAYS — days before the hard delete; 0 deletes
+ *                                 at once                      (default: 0)
+ *   ACCOUNT_PURGE_INTERVAL_MS   — how often the purge job runs (default: 3600000)
+ */
+const deletionGraceDays = Math.max(
+  0,
+  parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || "0", 10) || 0,
+);
+
+const accountPurgeIntervalMs = Math.max(
+  60 * 1000, // never hammer the database more than once a minute
+  parseInt(
+    process.env.ACCOUNT_PURGE_INTERVAL_MS || String(60 * 60 * 1000),
+    10,
+  ) || 60 * 60 * 1000,
+);
+
+module.exports = { deletionGraceDays, accountPurgeIntervalMs };
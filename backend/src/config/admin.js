@@ -0,0 +1,19 @@
+"use strict";
+
+/**
+ * Administrators — the accounts allowed to use /api/admin.
+ *
+ * ADMIN_EMAILS is a comma-separated list of addresses. An account only
+ * counts as an admin once its address is verified, so nobody can become
+ * one by registering a listed address first.
+ */
+const adminEmails = new Set(
+  (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean),
+);
+
+const isAdmin = (user) => !!user?.emailVerified && adminEmails.has(user.email);
+
+module.exports = { adminEmails, isAdmin };
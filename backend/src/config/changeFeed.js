@@ -0,0 +1,19 @@
+"use strict";
+
+/**
+ * Change feed (GET /api/notes/changes) configuration.
+ *
+ * Permanent deletions are reported through tombstones, which are kept for a
+ * retention period. A cursor older than that may have missed a deletion and
+ * is refused with 410 — the client starts over without one.
+ *
+ * Override the default via environment variables:
+ *   CHANGE_FEED_RETENTION_DAYS — days a tombstone (and a cursor) stays
+ *                                valid                        (default: 30)
+ */
+const changeRetentionDays = Math.max(
+  1,
+  parseInt(process.env.CHANGE_FEED_RETENTION_DAYS || "30", 10) || 30,
+);
+
+module.exports = { changeRetentionDays };
@@ -39,7 +39,18 @@ const corsOptions = {
     }
   },
   methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: [
+    "Content-Type",
+    "Authorization",
+    "If-Match",
+    "If-None-Match",
+    "X-Share-Password", // password-protected public share links
+  ],
+  // Browsers hide non-safelisted response headers from scripts unless exposed.
+  exposedHeaders: [
+    "ETag",
+    "Content-Disposition", // file name of downloads (account export)
+  ],
   credentials: true,
 };
 
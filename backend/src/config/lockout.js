@@ -0,0 +1,42 @@
+"use strict";
+
+/**
+ * Per-account login throttling, on top of the per-IP authLimiter.
+ *
+ * Failed logins are counted per email address — whether or not an account
+ * uses it, so throttled responses reveal nothing about who is registered.
+ * After a few failures every further attempt has to wait, twice as long
+ * each time; after many, the address is locked for a while and the owner
+ * is notified.
+ *
+ * Override the defaults via environment variables:
+ *   LOGIN_BACKOFF_AFTER        — failures before delays start       (default: 3)
+ *   LOGIN_BACKOFF_MAX_SECONDS  — longest delay between attempts     (default: 60)
+ *   LOGIN_LOCKOUT_THRESHOLD    — failures that lock the account     (default: 10)
+ *   LOGIN_LOCKOUT_MINUTES      — length of a lockout                (default: 15)
+ *   LOGIN_FAILURE_WINDOW_HOURS — failures are forgotten after this
+ *                                long without a new one             (default: 24)
+ */
+const readInt = (name, fallback, min) =>
+  Math.max(
+    min,
+    parseInt(process.env[name] || String(fallback), 10) || fallback,
+  );
+
+const backoffAfter = readInt("LOGIN_BACKOFF_AFTER", 3, 1);
+const backoffMaxMs = readInt("LOGIN_BACKOFF_MAX_SECONDS", 60, 1) * 1000;
+const lockoutThreshold = Math.max(
+  backoffAfter + 1,
+  readInt("LOGIN_LOCKOUT_THRESHOLD", 10, 2),
+);
+const lockoutMs = readInt("LOGIN_LOCKOUT_MINUTES", 15, 1) * 60 * 1000;
+const failureWindowMs =
+  readInt("LOGIN_FAILURE_WINDOW_HOURS", 24, 1) * 60 * 60 * 1000;
+
+module.exports = {
+  backoffAfter,
+  backoffMaxMs,
+  lockoutThreshold,
+  lockoutMs,
+  failureWindowMs,
+};
@@ -3,7 +3,8 @@
 const rateLimit = require("express-rate-limit");
 
 /**
- * authLimiter — applied exclusively to authentication endpoints.
+ * authLimiter — applied to the credential endpoints (register, login, the
+ * two-factor code step and password reset).
  *
  * Caps each IP at 10 requests per 15-minute window to slow brute-force
  * and credential-stuffing attacks.
@@ -26,4 +27,110 @@ const authLimiter = rateLimit({
   },
 });
 
-module.exports = { authLimiter };
+/**
+ * accountLimiter — applied to the signed-in account routes that check the
+ * current password, send mail or do expensive work: profile and password
+ * changes, account export and deletion, two-factor changes and new access
+ * tokens.
+ *
+ * Separate from authLimiter so managing the account never uses up the
+ * budget for signing in. These routes already need a signed-in session;
+ * the limit slows guessing of the current password by someone holding one.
+ *
+ *   ACCOUNT_RATE_LIMIT_WINDOW_MS — window size in milliseconds (default: 900000)
+ *   ACCOUNT_RATE_LIMIT_MAX       — max requests per window    (default: 30)
+ */
+const accountLimiter = rateLimit({
+  windowMs: parseInt(
+    process.env.ACCOUNT_RATE_LIMIT_WINDOW_MS || String(15 * 60 * 1000),
+    10,
+  ),
+  max: parseInt(process.env.ACCOUNT_RATE_LIMIT_MAX || "30", 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: "Too many requests from this IP. Please try again later.",
+  },
+});
+
+/**
+ * publicLimiter — applied to the unauthenticated share-link endpoints.
+ *
+ * Separate from authLimiter so reading shared notes never eats into the
+ * login budget (and vice versa). The limit is looser than for auth, since
+ * one viewer may open several links, but still slows guessing of link
+ * passwords.
+ *
+ *   PUBLIC_RATE_LIMIT_WINDOW_MS — window size in milliseconds (default: 900000)
+ *   PUBLIC_RATE_LIMIT_MAX       — max requests per window    (default: 60)
+ */
+const publicLimiter = rateLimit({
+  windowMs: parseInt(
+    process.env.PUBLIC_RATE_LIMIT_WINDOW_MS || String(15 * 60 * 1000),
+    10,
+  ),
+  max: parseInt(process.env.PUBLIC_RATE_LIMIT_MAX || "60", 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: "Too many requests from this IP. Please try again later.",
+  },
+});
+
+/**
+ * importLimiter — applied to POST /api/notes/import.
+ *
+ * An import holds its uploads in memory and unpacks them while it runs,
+ * so it gets a tight budget of its own rather than none.
+ *
+ *   IMPORT_RATE_LIMIT_WINDOW_MS — window size in milliseconds (default: 900000)
+ *   IMPORT_RATE_LIMIT_MAX       — max requests per window    (default: 10)
+ */
+const importLimiter = rateLimit({
+  windowMs: parseInt(
+    process.env.IMPORT_RATE_LIMIT_WINDOW_MS || String(15 * 60 * 1000),
+    10,
+  ),
+  max: parseInt(process.env.IMPORT_RATE_LIMIT_MAX || "10", 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: "Too many imports from this IP. Please try again later.",
+  },
+});
+
+/**
+ * sessionLimiter — applied to POST /api/auth/refresh and /logout.
+ *
+ * Every open tab refreshes its short-lived access token in the background,
+ * so these endpoints get their own, looser budget instead of sharing the
+ * login limit. A refresh needs a valid HttpOnly cookie, so there is no
+ * password to guess here.
+ *
+ *   SESSION_RATE_LIMIT_WINDOW_MS — window size in milliseconds (default: 900000)
+ *   SESSION_RATE_LIMIT_MAX       — max requests per window    (default: 60)
+ */
+const sessionLimiter = rateLimit({
+  windowMs: parseInt(
+    process.env.SESSION_RATE_LIMIT_WINDOW_MS || String(15 * 60 * 1000),
+    10,
+  ),
+  max: parseInt(process.env.SESSION_RATE_LIMIT_MAX || "60", 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: "Too many requests from this IP. Please try again later.",
+  },
+});
+
+module.exports = {
+  authLimiter,
+  accountLimiter,
+  importLimiter,
+  publicLimiter,
+  sessionLimiter,
+};
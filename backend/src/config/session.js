@@ -0,0 +1,81 @@
+"use strict";
+
+/**
+ * Session configuration: short-lived access tokens plus rotating refresh
+ * tokens.
+ *
+ * The access token is a JWT sent as a Bearer header and held only in the
+ * client's memory. The refresh token is an opaque random string in an
+ * HttpOnly cookie scoped to /api/auth, so page scripts can never read it and
+ * it is not sent with any other API request.
+ *
+ * Override the defaults via environment variables:
+ *   JWT_EXPIRES_IN           — access token lifetime          (default: 15m)
+ *   REFRESH_TOKEN_TTL_DAYS   — refresh token lifetime, days   (default: 30)
+ *   REFRESH_COOKIE_SAMESITE  — strict | lax | none            (default: strict)
+ *                              Use "none" only when the frontend is served
+ *                              from another site; it forces Secure.
+ *   PASSWORD_RESET_TTL_MINUTES — validity of password reset links (default: 30)
+ *   EMAIL_TOKEN_TTL_HOURS      — validity of email confirmation links (default: 24)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const accessTokenTtl = process.env.JWT_EXPIRES_IN || "15m";
+
+const refreshTokenDays = Math.max(
+  1,
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || "30", 10) || 30,
+);
+const refreshTokenTtlMs = refreshTokenDays * DAY_MS;
+
+/**
+ * A refresh token presented again within this window after it was rotated
+ * is treated as two tabs refreshing at once, not as theft: the request is
+ * refused but the session survives.
+ */
+const reuseGraceMs = 10 * 1000;
+
+/**
+ * protect records a session's lastSeenAt at most this often, so ordinary
+ * API traffic does not turn every request into a database write.
+ */
+const lastSeenIntervalMs = 5 * 60 * 1000;
+
+const passwordResetMinutes = Math.max(
+  5,
+  parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || "30", 10) || 30,
+);
+const passwordResetTtlMs = passwordResetMinutes * 60 * 1000;
+
+const emailTokenHours = Math.max(
+  1,
+  parseInt(process.env.EMAIL_TOKEN_TTL_HOURS || "24", 10) || 24,
+);
+const emailTokenTtlMs = emailTokenHours * 60 * 60 * 1000;
+
+const sameSite = ["strict", "lax", "none"].includes(
+  process.env.REFRESH_COOKIE_SAMESITE,
+)
+  ? process.env.REFRESH_COOKIE_SAMESITE
+  : "strict";
+
+const REFRESH_COOKIE = "nv_refresh";
+
+const refreshCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production" || sameSite === "none",
+  sameSite,
+  path: "/api/auth", // never sent with notes / tags / public requests
+};
+
+module.exports = {
+  accessTokenTtl,
+  refreshTokenTtlMs,
+  reuseGraceMs,
+  lastSeenIntervalMs,
+  passwordResetTtlMs,
+  emailTokenTtlMs,
+  REFRESH_COOKIE,
+  refreshCookieOptions,
+};
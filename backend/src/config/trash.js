@@ -0,0 +1,24 @@
+"use strict";
+
+/**
+ * Trash (soft delete) configuration.
+ *
+ * Deleted notes are kept in the trash for a retention period, then removed
+ * for good by the purge job (see jobs/purgeTrash.js).
+ *
+ * Override the defaults via environment variables:
+ *   TRASH_RETENTION_DAYS      — days a note stays restorable   (default: 30)
+ *   TRASH_PURGE_INTERVAL_MS   — how often the purge job runs   (default: 3600000)
+ */
+const retentionDays = Math.max(
+  1,
+  parseInt(process.env.TRASH_RETENTION_DAYS || "30", 10) || 30,
+);
+
+const purgeIntervalMs = Math.max(
+  60 * 1000, // never hammer the database more than once a minute
+  parseInt(process.env.TRASH_PURGE_INTERVAL_MS || String(60 * 60 * 1000), 10) ||
+    60 * 60 * 1000,
+);
+
+module.exports = { retentionDays, purgeIntervalMs };
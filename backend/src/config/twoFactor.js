@@ -0,0 +1,33 @@
+"use strict";
+
+/**
+ * Two-factor authentication (TOTP) configuration.
+ *
+ * With 2FA on, POST /api/auth/login answers with a login challenge instead
+ * of a session; POST /api/auth/login/2fa completes it with a code from the
+ * authenticator app or a recovery code.
+ *
+ * Override the defaults via environment variables:
+ *   TOTP_ISSUER              — name shown in authenticator apps (default: NoteVault)
+ *   LOGIN_CHALLENGE_TTL_MINUTES — time to enter the code          (default: 5)
+ */
+const issuer = process.env.TOTP_ISSUER || "NoteVault";
+
+const loginChallengeMinutes = Math.max(
+  1,
+  parseInt(process.env.LOGIN_CHALLENGE_TTL_MINUTES || "5", 10) || 5,
+);
+const loginChallengeTtlMs = loginChallengeMinutes * 60 * 1000;
+
+/** Wrong codes a single login challenge accepts before it is discarded. */
+const maxChallengeAttempts = 5;
+
+/** Recovery codes issued when 2FA is enabled or the codes are regenerated. */
+const recoveryCodeCount = 10;
+
+module.exports = {
+  issuer,
+  loginChallengeTtlMs,
+  maxChallengeAttempts,
+  recoveryCodeCount,
+};
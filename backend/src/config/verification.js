@@ -0,0 +1,24 @@
+"use strict";
+
+/**
+ * Email verification policy.
+ *
+ * Every new account is sent a verification link; the policy decides what an
+ * account may do before the link is used:
+ *
+ *   soft   — everything; the app only prompts the user to verify (default)
+ *   strict — sign-in and account management only: the notes, notebooks and
+ *            tags APIs answer 403 until the address is verified
+ *
+ * Override via EMAIL_VERIFICATION.
+ */
+
+const EMAIL_VERIFICATION_POLICIES = ["soft", "strict"];
+
+const emailVerificationPolicy = EMAIL_VERIFICATION_POLICIES.includes(
+  process.env.EMAIL_VERIFICATION,
+)
+  ? process.env.EMAIL_VERIFICATION
+  : "soft";
+
+module.exports = { EMAIL_VERIFICATION_POLICIES, emailVerificationPolicy };
@@ -0,0 +1,100 @@
+"use strict";
+
+const AccessToken = require("../models/AccessToken");
+const {
+  createAccessToken: issueAccessToken,
+  toAccessTokenJSON,
+} = require("../services/accessTokens");
+const { MAX_ACCESS_TOKENS } = require("../utils/accessTokens");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ── Personal access tokens (session only — see requireSession) ───────────────
+
+/**
+ * GET /api/auth/tokens
+ *
+ * Lists the caller's personal access tokens, newest first. Expired tokens
+ * stay listed until the TTL index removes them; the raw values are never
+ * included.
+ */
+const getAccessTokens = async (req, res, next) => {
+  try {
+    const tokens = await AccessToken.find({ user: req.user._id }).sort({
+      createdAt: -1,
+    });
+    return res.status(200).json({
+      success: true,
+      tokens: tokens.map(toAccessTokenJSON),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/auth/tokens
+ * Body: { name, scopes: string[], expiresInDays?: number | null }
+ *
+ * Issues a token for scripts: send it as `Authorization: Bearer nv_pat_…`
+ * to the notes API. The raw value is returned only in this response — it
+ * is stored hashed, so a lost token can only be revoked and replaced.
+ */
+const createAccessToken = async (req, res, next) => {
+  try {
+    const count = await AccessToken.countDocuments({ user: req.user._id });
+    if (count >= MAX_ACCESS_TOKENS) {
+      return res.status(409).json({
+        success: false,
+        message: `You can have at most ${MAX_ACCESS_TOKENS} access tokens. Revoke one first.`,
+      });
+    }
+
+    const { name, scopes, expiresInDays = null } = req.body;
+    const { token, accessToken } = await issueAccessToken(req.user._id, {
+      name: name.trim(),
+      scopes,
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + expiresInDays * DAY_MS)
+        : null,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Access token created",
+      token,
+      accessToken: toAccessTokenJSON(accessToken),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/auth/tokens/:id
+ *
+ * Revokes one of the caller's tokens; requests using it fail from now on.
+ */
+const deleteAccessToken = async (req, res, next) => {
+  try {
+    const { deletedCount } = await AccessToken.deleteOne({
+      _id: req.params.id,
+      user: req.user._id, // ownership enforced here
+    });
+    if (!deletedCount) {
+      return res.status(404).json({
+        success: false,
+        message: "Access token not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Access token revoked",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { getAccessTokens, createAccessToken, deleteAccessToken };
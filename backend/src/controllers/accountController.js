@@ -0,0 +1,96 @@
+"use strict";
+
+const User = require("../models/User");
+const { REFRESH_COOKIE, refreshCookieOptions } = require("../config/session");
+const { appUrl } = require("../config/mail");
+const { sendMail } = require("../services/mailer");
+const { scheduleAccountDeletion } = require("../services/accounts");
+const { writeAccountExport } = require("../services/accountExport");
+const {
+  accountDeletionScheduledEmail,
+  accountDeletedNotice,
+} = require("../utils/emailTemplates");
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Sends without waiting; a mail failure must not fail the request. */
+const sendInBackground = (message, label) =>
+  sendMail(message).catch((err) =>
+    console.error(`[MAIL] ${label} email failed: ${err.message}`),
+  );
+
+// ── Your data (session only — see requireSession) ────────────────────────────
+
+/**
+ * GET /api/auth/me/export
+ *
+ * Downloads everything stored about the caller as a zip: the profile,
+ * every note as JSON and as Markdown, and the account's other records
+ * (see services/accountExport.js). Streamed note by note at the pace of
+ * the download, so memory use does not grow with the number of notes.
+ */
+const exportAccount = async (req, res, next) => {
+  try {
+    const date = new Date().toISOString().slice(0, 10);
+    res.attachment(`notevault-export-${date}.zip`);
+    await writeAccountExport(req.user, res);
+  } catch (error) {
+    // Once the zip has started, the only way to report failure is to cut
+    // the download short.
+    if (!res.headersSent) return next(error);
+    console.error("[EXPORT] Account export failed:", error.message);
+    res.destroy(error);
+  }
+};
+
+/**
+ * DELETE /api/auth/me
+ * Body: { currentPassword }
+ *
+ * Deletes the account with all its notes and related records. With
+ * ACCOUNT_DELETION_GRACE_DAYS set, the account is only scheduled for
+ * deletion (deleteAt in the response) and signing in again before then
+ * cancels it. Either way every session ends, including this one.
+ */
+const deleteAccount = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select("+password");
+    if (!(await user.comparePassword(req.body.currentPassword))) {
+      const message = "Current password is incorrect";
+      return res.status(422).json({
+        success: false,
+        message,
+        errors: [{ field: "currentPassword", message }],
+      });
+    }
+
+    const deleteAt = await scheduleAccountDeletion(user);
+    res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+
+    sendInBackground(
+      {
+        to: user.email,
+        ...(deleteAt
+          ? accountDeletionScheduledEmail({
+              name: user.name,
+              deleteAt,
+              url: `${appUrl}/login`,
+            })
+          : accountDeletedNotice({ name: user.name })),
+      },
+      "Account deletion",
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: deleteAt
+        ? `Your account will be deleted on ${deleteAt.toUTCString()}. Sign in before then to keep it.`
+        : "Your account has been deleted",
+      deleteAt,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { exportAccount, deleteAccount };
@@ -0,0 +1,70 @@
+"use strict";
+
+const User = require("../models/User");
+const {
+  listLockouts,
+  clearLoginFailures,
+} = require("../services/loginThrottle");
+
+// ── Controllers ───────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/admin/lockouts
+ * Addresses currently locked out after repeated failed logins, with the
+ * account using each one (null when none does).
+ */
+const getLockouts = async (req, res, next) => {
+  try {
+    const lockouts = await listLockouts();
+    const users = await User.find({
+      email: { $in: lockouts.map((lockout) => lockout.email) },
+    }).select("_id email name");
+    const byEmail = new Map(users.map((user) => [user.email, user]));
+
+    return res.status(200).json({
+      success: true,
+      lockouts: lockouts.map(
+        ({ email, failures, lastFailedAt, blockedUntil }) => {
+          const user = byEmail.get(email);
+          return {
+            email,
+            failures,
+            lastFailedAt,
+            lockedUntil: blockedUntil,
+            user: user ? { id: user._id, name: user.name } : null,
+          };
+        },
+      ),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/admin/users/:id/unlock
+ * Lifts a login lockout (or back-off delay) of the user at once and resets
+ * the failure count.
+ */
+const unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    await clearLoginFailures(user.email);
+
+    return res.status(200).json({
+      success: true,
+      message: `${user.email} can sign in again`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { getLockouts, unlockUser };
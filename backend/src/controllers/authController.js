@@ -1,21 +1,95 @@
 "use strict";
 
+const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const AccessToken = require("../models/AccessToken");
+const {
+  accessTokenTtl,
+  refreshTokenTtlMs,
+  emailTokenTtlMs,
+  REFRESH_COOKIE,
+  refreshCookieOptions,
+} = require("../config/session");
+const { appUrl } = require("../config/mail");
+const { lockoutMs } = require("../config/lockout");
+const {
+  issueRefreshToken,
+  consumeRefreshToken,
+  reissueRefreshToken,
+  revokeRefreshToken,
+} = require("../services/refreshTokens");
+const {
+  createEmailToken,
+  redeemEmailToken,
+  discardEmailTokens,
+} = require("../services/emailTokens");
+const { sendMail } = require("../services/mailer");
+const { cancelAccountDeletion } = require("../services/accounts");
+const {
+  loginRetryAfter,
+  recordLoginFailure,
+  clearLoginFailures,
+} = require("../services/loginThrottle");
+const {
+  createSession,
+  renewSession,
+  listSessions,
+  revokeSession,
+  revokeSessions,
+  revokeOtherSessions,
+  toSessionJSON,
+} = require("../services/sessions");
+const {
+  TWO_FACTOR_FIELDS,
+  createLoginChallenge,
+  findLoginChallenge,
+  recordFailedAttempt,
+  completeLoginChallenge,
+  verifySecondFactor,
+} = require("../services/twoFactor");
+const {
+  accountLockedEmail,
+  verifyEmailEmail,
+  emailChangeEmail,
+  emailChangedNotice,
+} = require("../utils/emailTemplates");
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
 
 /**
- * Signs a JWT for the given user ID.
+ * Signs a short-lived access token (JWT) for the given user and session.
+ * protect rejects it as soon as the session (`sid`) is revoked.
  * Secret and expiry are pulled from environment variables — never hard-coded.
  * JWT_SECRET presence is guaranteed by the startup guard in app.js.
  */
-const generateToken = (userId) =>
-  jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || "7d",
+const generateToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: accessTokenTtl,
     algorithm: "HS256",
   });
 
+/** Puts a refresh token in the HttpOnly cookie. */
+const setRefreshCookie = (res, refreshToken) =>
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...refreshCookieOptions,
+    maxAge: refreshTokenTtlMs,
+  });
+
+const clearRefreshCookie = (res) =>
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+
+/**
+ * startSession(req, res, user) → access token
+ * Records a new session for this device, sets its first refresh token
+ * (cookie) and signs its first access token.
+ */
+const startSession = async (req, res, user) => {
+  const session = await createSession(user._id, req);
+  setRefreshCookie(res, await issueRefreshToken(user._id, session._id));
+  return generateToken(user._id, session._id);
+};
+
 /**
  * Returns a safe user payload — no password, no internal fields.
  */
@@ -23,9 +97,97 @@ const sanitizeUser = (user) => ({
   id: user._id,
   name: user.name,
   email: user.email,
+  emailVerified: user.emailVerified,
+  pendingEmail: user.pendingEmail ?? null,
+  twoFactorEnabled: user.twoFactor?.enabled ?? false,
   createdAt: user.createdAt,
 });
 
+/** 422 for one form field, in the shape of a validation failure. */
+const fieldError = (res, field, message) =>
+  res.status(422).json({
+    success: false,
+    message,
+    errors: [{ field, message }],
+  });
+
+/** Sends without waiting; a mail failure must not fail the request. */
+const sendInBackground = (message, label) =>
+  sendMail(message).catch((err) =>
+    console.error(`[MAIL] ${label} email failed: ${err.message}`),
+  );
+
+/** Emails a fresh verification link for the user's current address. */
+const sendVerificationEmail = async (user) => {
+  const token = await createEmailToken(user._id, "verify-email", user.email);
+  sendInBackground(
+    {
+      to: user.email,
+      ...verifyEmailEmail({
+        name: user.name,
+        url: `${appUrl}/verify-email/${token}`,
+        ttlHours: Math.round(emailTokenTtlMs / 3600000),
+      }),
+    },
+    "Verification",
+  );
+};
+
+// bcrypt hash of a random string. login compares against it when no account
+// uses the address, so unknown addresses don't answer faster.
+const DUMMY_PASSWORD_HASH =
+  "$2b$12$ElGpX8ExSu/ogTCHqyoQ/uQKKl64msLS8KIuhguODtH2tcbRaIwhC";
+
+/**
+ * 429 while the address is throttled (see services/loginThrottle.js). The
+ * same for every address, registered or not.
+ */
+const tooManyAttempts = (res, retryAfterMs) => {
+  const seconds = Math.ceil(retryAfterMs / 1000);
+  res.set("Retry-After", String(seconds));
+  return res.status(429).json({
+    success: false,
+    message:
+      seconds < 60
+        ? `Too many failed sign-in attempts. Please wait ${seconds} seconds and try again.`
+        : `Too many failed sign-in attempts. Try again in ${Math.ceil(seconds / 60)} minutes, or reset your password.`,
+  });
+};
+
+/**
+ * Counts a failed login for the address; tells the owner, if there is one,
+ * when the failure first locks the account.
+ */
+const recordFailedLogin = async (email, user) => {
+  const { failures, locked } = await recordLoginFailure(email);
+  if (locked && user) {
+    sendInBackground(
+      {
+        to: user.email,
+        ...accountLockedEmail({
+          name: user.name,
+          failures,
+          lockoutMinutes: Math.round(lockoutMs / 60000),
+          url: `${appUrl}/forgot-password`,
+        }),
+      },
+      "Account locked",
+    );
+  }
+};
+
+/**
+ * Message of a completed login. Signing in to an account scheduled for
+ * deletion keeps it; the response says so with deletionCancelled.
+ */
+const loginOutcome = async (user) =>
+  (await cancelAccountDeletion(user))
+    ? {
+        message: "Welcome back — your account will not be deleted",
+        deletionCancelled: true,
+      }
+    : { message: "Login successful" };
+
 // ── Controllers ───────────────────────────────────────────────────────────────
 
 /**
@@ -47,7 +209,8 @@ const register = async (req, res, next) => {
     }
 
     const user = await User.create({ name, email, password });
-    const token = generateToken(user._id);
+    await sendVerificationEmail(user);
+    const token = await startSession(req, res, user);
 
     return res.status(201).json({
       success: true,
@@ -62,34 +225,202 @@ const register = async (req, res, next) => {
 
 /**
  * POST /api/auth/login
- * Validates credentials and returns a signed JWT.
+ * Validates credentials and returns a signed access token; the refresh token
+ * is set as an HttpOnly cookie.
  * Deliberately uses a single generic error message for wrong email/password
  * to prevent user-enumeration attacks.
+ * With two-factor authentication on, answers with { twoFactorRequired,
+ * challenge } instead, and no session starts until loginTwoFactor.
+ *
+ * Failures are counted per address on top of the per-IP rate limit: after
+ * a few, attempts must wait longer and longer (429 with Retry-After), and
+ * enough of them lock the account for a while. Unknown addresses are
+ * counted and answered the same way.
  */
 const login = async (req, res, next) => {
   try {
-    const { email, password } = req.body;
+    const { password } = req.body;
+    const email = req.body.email.toLowerCase().trim();
+
+    const retryAfterMs = await loginRetryAfter(email);
+    if (retryAfterMs > 0) return tooManyAttempts(res, retryAfterMs);
 
     // Explicitly opt-in to password field (select: false on schema)
-    const user = await User.findOne({
-      email: email.toLowerCase().trim(),
-    }).select("+password");
+    const user = await User.findOne({ email }).select("+password");
+    const passwordMatches = user
+      ? await user.comparePassword(password)
+      : await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
 
     // Unified branch: invalid email OR invalid password → same 401 response
-    if (!user || !(await user.comparePassword(password))) {
+    if (!passwordMatches) {
+      await recordFailedLogin(email, user);
       return res.status(401).json({
         success: false,
         message: "Invalid email or password",
       });
     }
 
-    const token = generateToken(user._id);
+    // Two-factor accounts get a challenge to complete at /login/2fa.
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: "Enter the code from your authenticator app",
+        twoFactorRequired: true,
+        challenge: await createLoginChallenge(user._id),
+      });
+    }
+
+    await clearLoginFailures(email);
+    const token = await startSession(req, res, user);
+
+    return res.status(200).json({
+      success: true,
+      ...(await loginOutcome(user)),
+      token,
+      user: sanitizeUser(user),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/auth/login/2fa
+ * Body: { challenge, code }
+ *
+ * Second step of a two-factor login: `challenge` comes from login, `code`
+ * is the current authenticator code or one of the recovery codes. A wrong
+ * code is a 422 on `code`; after a few, or once the challenge expires, the
+ * client has to start again with the password (401).
+ */
+const loginTwoFactor = async (req, res, next) => {
+  try {
+    const expired = () =>
+      res.status(401).json({
+        success: false,
+        message: "This sign-in attempt has expired. Please log in again.",
+      });
+
+    const challenge = await findLoginChallenge(req.body.challenge);
+    const user =
+      challenge &&
+      (await User.findById(challenge.user).select(TWO_FACTOR_FIELDS));
+    if (!user) return expired();
+
+    // Wrong codes count like wrong passwords, so fresh challenges from
+    // repeated logins cannot be used to keep guessing.
+    const retryAfterMs = await loginRetryAfter(user.email);
+    if (retryAfterMs > 0) return tooManyAttempts(res, retryAfterMs);
+
+    const method = await verifySecondFactor(user, req.body.code.trim());
+    if (!method) {
+      await Promise.all([
+        recordFailedAttempt(challenge),
+        recordFailedLogin(user.email, user),
+      ]);
+      return fieldError(res, "code", "Invalid authentication code");
+    }
+    if (!(await completeLoginChallenge(challenge))) return expired();
+
+    await clearLoginFailures(user.email);
+    const token = await startSession(req, res, user);
 
     return res.status(200).json({
       success: true,
-      message: "Login successful",
+      ...(await loginOutcome(user)),
       token,
       user: sanitizeUser(user),
+      // Spending a recovery code is worth a reminder of how many remain.
+      ...(method === "recovery" && {
+        recoveryCodesLeft: user.twoFactor.recoveryCodes.length - 1,
+      }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/auth/refresh
+ * Cookie: nv_refresh
+ *
+ * Exchanges the refresh-token cookie for a new access token and a new
+ * refresh token (rotation). Also how a client restores its session after a
+ * page load, since the access token only ever lives in memory.
+ *
+ * Security:
+ *  - Each refresh token works once. Presenting a rotated token again means
+ *    it was stolen (or the thief already used it), so the whole session —
+ *    every token descended from that login — is revoked and both parties
+ *    must log in again.
+ *  - Sessions started before the user's last password change are revoked
+ *    too, mirroring the access-token check in protect.
+ *  - 409 (session kept) when two tabs refresh with the same cookie at once:
+ *    the loser retries and picks up the winner's cookie.
+ */
+const refresh = async (req, res, next) => {
+  try {
+    const expired = () => {
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        message: "Your session has expired. Please log in again.",
+      });
+    };
+
+    const { status, record } = await consumeRefreshToken(
+      req.cookies?.[REFRESH_COOKIE],
+    );
+
+    if (status === "race") {
+      return res.status(409).json({
+        success: false,
+        message: "Session refresh already in progress",
+      });
+    }
+    if (status === "reused") {
+      console.warn("[AUTH] Refresh token reuse detected — session revoked");
+    }
+    if (status !== "ok") return expired();
+
+    const user = await User.findById(record.user).select("+passwordChangedAt");
+    const issuedAt = Math.floor(record.createdAt.getTime() / 1000);
+    if (!user || user.changedPasswordAfter(issuedAt)) {
+      await revokeSession(record.session);
+      return expired();
+    }
+
+    // Revoked from another device between the two queries above.
+    const session = await renewSession(record.session, req);
+    if (!session) return expired();
+
+    setRefreshCookie(res, await issueRefreshToken(user._id, session._id));
+
+    return res.status(200).json({
+      success: true,
+      token: generateToken(user._id, session._id),
+      user: sanitizeUser(user),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/auth/logout
+ * Cookie: nv_refresh
+ *
+ * Ends the session behind the cookie — its refresh tokens and access tokens
+ * alike — and clears the cookie. Always 200: logging out twice, or without
+ * a session, is not an error.
+ */
+const logout = async (req, res, next) => {
+  try {
+    await revokeRefreshToken(req.cookies?.[REFRESH_COOKIE]);
+    clearRefreshCookie(res);
+    return res.status(200).json({
+      success: true,
+      message: "Logged out",
     });
   } catch (error) {
     next(error);
@@ -112,4 +443,320 @@ const getMe = async (req, res, next) => {
   }
 };
 
-module.exports = { register, login, getMe };
+/**
+ * PATCH /api/auth/me
+ * Body: { name?, email?, currentPassword? }
+ *
+ * Renames the user at once. A new email address only takes effect once
+ * confirmed through a link sent to it (see confirmEmail) — until then it
+ * is reported as pendingEmail and the current address keeps working.
+ * Changing the email requires the current password, so a stolen session
+ * alone cannot take over the account. Sending the current address again
+ * cancels a pending change.
+ */
+const updateMe = async (req, res, next) => {
+  try {
+    const { name, email, currentPassword } = req.body;
+    const user = await User.findById(req.user._id).select("+password");
+    let message = "Profile updated";
+
+    if (name !== undefined) user.name = name.trim();
+
+    const newEmail = email?.toLowerCase().trim();
+    if (newEmail === user.email) {
+      if (user.pendingEmail) {
+        user.pendingEmail = null;
+        await discardEmailTokens(user._id, "email-change");
+      }
+    } else if (newEmail !== undefined) {
+      if (
+        typeof currentPassword !== "string" ||
+        !(await user.comparePassword(currentPassword))
+      ) {
+        return fieldError(
+          res,
+          "currentPassword",
+          "Current password is incorrect",
+        );
+      }
+      if (await User.exists({ email: newEmail })) {
+        return res.status(409).json({
+          success: false,
+          message: "An account with this email already exists",
+        });
+      }
+
+      const token = await createEmailToken(user._id, "email-change", newEmail);
+      user.pendingEmail = newEmail;
+      sendInBackground(
+        {
+          to: newEmail,
+          ...emailChangeEmail({
+            name: user.name,
+            email: newEmail,
+            url: `${appUrl}/confirm-email/${token}`,
+            ttlHours: Math.round(emailTokenTtlMs / 3600000),
+          }),
+        },
+        "Email change",
+      );
+      message = `Profile updated. Confirm ${newEmail} with the link we sent there.`;
+    }
+
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message,
+      user: sanitizeUser(user),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/auth/confirm-email
+ * Body: { token }
+ *
+ * Completes an email change with the token from the confirmation link. Not
+ * protected: the link may be opened on a device that is not signed in. The
+ * previous address is told about the change.
+ */
+const confirmEmail = async (req, res, next) => {
+  try {
+    const record = await redeemEmailToken(req.body.token, "email-change");
+    const user = record && (await User.findById(record.user));
+
+    // The change was cancelled or superseded after this link was sent.
+    if (!user || user.pendingEmail !== record.email) {
+      return res.status(400).json({
+        success: false,
+        message: "This confirmation link is invalid or has expired",
+      });
+    }
+    if (await User.exists({ email: record.email, _id: { $ne: user._id } })) {
+      return res.status(409).json({
+        success: false,
+        message: "An account with this email already exists",
+      });
+    }
+
+    const previousEmail = user.email;
+    user.email = record.email;
+    user.pendingEmail = null;
+    user.emailVerified = true; // the link proved control of the address
+    await user.save();
+    await discardEmailTokens(user._id, "verify-email");
+
+    sendInBackground(
+      {
+        to: previousEmail,
+        ...emailChangedNotice({ name: user.name, email: user.email }),
+      },
+      "Email changed notice",
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Your email address has been changed",
+      user: sanitizeUser(user),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/auth/verify-email/:token
+ *
+ * Marks the account's email address as verified with the token from the
+ * verification link. Not protected, like confirmEmail. A link sent before
+ * the address was changed no longer applies.
+ */
+const verifyEmail = async (req, res, next) => {
+  try {
+    const record = await redeemEmailToken(req.params.token, "verify-email");
+    const user = record && (await User.findById(record.user));
+    if (!user || user.email !== record.email) {
+      return res.status(400).json({
+        success: false,
+        message: "This verification link is invalid or has expired",
+      });
+    }
+
+    user.emailVerified = true;
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Your email address is verified",
+      user: sanitizeUser(user),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/auth/resend-verification
+ * Emails a new verification link; earlier links stop working.
+ */
+const resendVerification = async (req, res, next) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(409).json({
+        success: false,
+        message: "Your email address is already verified",
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: `We sent a new verification link to ${req.user.email}`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/auth/change-password
+ * Body: { currentPassword, newPassword }
+ *
+ * Sets a new password after checking the current one. Like a reset, this
+ * updates passwordChangedAt, signs out every other session and deletes the
+ * account's personal access tokens. The calling session stays signed in:
+ * it receives a new access token (and refresh cookie) issued after the
+ * change.
+ */
+const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id).select("+password");
+
+    if (!(await user.comparePassword(currentPassword))) {
+      return fieldError(
+        res,
+        "currentPassword",
+        "Current password is incorrect",
+      );
+    }
+    if (await user.comparePassword(newPassword)) {
+      return fieldError(
+        res,
+        "newPassword",
+        "New password must differ from the current one",
+      );
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    const sessionId = req.authSession._id;
+    await Promise.all([
+      revokeOtherSessions(user._id, sessionId),
+      AccessToken.deleteMany({ user: user._id }),
+    ]);
+    setRefreshCookie(res, await reissueRefreshToken(user._id, sessionId));
+
+    return res.status(200).json({
+      success: true,
+      message:
+        "Password changed. Your other devices have been signed out and your access tokens deleted.",
+      token: generateToken(user._id, sessionId),
+      user: sanitizeUser(user),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ── Sessions (protected) ──────────────────────────────────────────────────────
+
+/**
+ * GET /api/auth/sessions
+ * Lists the caller's signed-in devices, most recently active first. The
+ * session making the request is flagged with `current: true`.
+ */
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+    return res.status(200).json({
+      success: true,
+      sessions: sessions.map((session) =>
+        toSessionJSON(session, req.authSession._id),
+      ),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Signs one device out: its refresh token stops working and its access
+ * token is rejected from the next request on. Revoking the current session
+ * is allowed and equivalent to logging out.
+ */
+const deleteSession = async (req, res, next) => {
+  try {
+    const revoked = await revokeSessions({
+      _id: req.params.id,
+      user: req.user._id, // ownership enforced here
+    });
+    if (!revoked) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Session not found" });
+    }
+
+    if (req.authSession._id.equals(req.params.id)) clearRefreshCookie(res);
+
+    return res.status(200).json({
+      success: true,
+      message: "Session revoked",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/auth/sessions
+ * "Sign out everywhere else" — revokes every session except the current one.
+ */
+const deleteOtherSessions = async (req, res, next) => {
+  try {
+    const revoked = await revokeOtherSessions(
+      req.user._id,
+      req.authSession._id,
+    );
+    return res.status(200).json({
+      success: true,
+      message: `Signed out of ${revoked} other session${revoked === 1 ? "" : "s"}`,
+      revoked,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  loginTwoFactor,
+  refresh,
+  logout,
+  getMe,
+  updateMe,
+  confirmEmail,
+  verifyEmail,
+  resendVerification,
+  changePassword,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
+};
@@ -0,0 +1,258 @@
+"use strict";
+
+const Note = require("../models/Note");
+const User = require("../models/User");
+const { noteFilter, denyAccess } = require("../services/noteAccess");
+const { withChangeSeq } = require("../services/noteChanges");
+const { audienceOf, publishNoteEvent } = require("../services/noteEvents");
+const { MAX_COLLABORATORS } = require("../utils/collaborators");
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+const PERSON_FIELDS = "name email";
+
+/**
+ * accessList(note) → { owner, collaborators }
+ * Resolves the owner and collaborators to { _id, name, email }. Grants whose
+ * user no longer exists are left out.
+ */
+const accessList = async (note) => {
+  await note.populate([
+    { path: "user", select: PERSON_FIELDS },
+    { path: "collaborators.user", select: PERSON_FIELDS },
+  ]);
+  return {
+    owner: note.user,
+    collaborators: note.collaborators
+      .filter((c) => c.user)
+      .map(({ user, role, addedAt }) => ({ user, role, addedAt })),
+  };
+};
+
+/**
+ * publishAccessChange(note, userId, type) — `type` to the user whose access
+ * changed: "created" when they were granted the note, "deleted" when they
+ * lost it. Everyone else with access sees the note "updated". Call it
+ * before accessList, which populates the note.
+ */
+const publishAccessChange = (note, userId, type) => {
+  publishNoteEvent(
+    note,
+    { type: "updated", note },
+    audienceOf(note).filter((id) => String(id) !== String(userId)),
+  );
+  publishNoteEvent(
+    note,
+    type === "deleted" ? { type, id: String(note._id) } : { type, note },
+    [userId],
+  );
+};
+
+/** Live note owned by the caller, or null. */
+const findOwnedNote = (req) =>
+  Note.findOne(noteFilter(req, "owner", { deletedAt: null }));
+
+// ── Controllers ───────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/notes/:id/collaborators
+ *
+ * Lists who has access to a note: the owner plus every collaborator with
+ * their role. Visible to everyone with access; only the owner can change it.
+ */
+const getCollaborators = async (req, res, next) => {
+  try {
+    const note = await Note.findOne(
+      noteFilter(req, "read", { deletedAt: null }),
+    );
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: "Note not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      ...(await accessList(note)),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/notes/:id/collaborators
+ * Body: { email, role: "viewer" | "editor" }
+ *
+ * Grants another registered user access to one of the caller's notes.
+ * The push is conditional on the user not being listed yet and the list not
+ * being full, so concurrent grants can never duplicate a user or exceed
+ * MAX_COLLABORATORS. Granting access is not an edit: updatedAt and the
+ * note's version are left alone.
+ */
+const addCollaborator = async (req, res, next) => {
+  try {
+    const { email, role } = req.body;
+
+    const invitee = await User.findOne({ email: email.trim().toLowerCase() });
+    if (!invitee) {
+      return res.status(404).json({
+        success: false,
+        message: "No account uses this email address",
+      });
+    }
+    if (invitee._id.equals(req.user._id)) {
+      return res.status(422).json({
+        success: false,
+        message: "You already own this note",
+      });
+    }
+
+    const note = await withChangeSeq(req.user._id, (changeSeq) =>
+      Note.findOneAndUpdate(
+        {
+          ...noteFilter(req, "owner", { deletedAt: null }), // ownership enforced here
+          "collaborators.user": { $ne: invitee._id },
+          [`collaborators.${MAX_COLLABORATORS - 1}`]: { $exists: false },
+        },
+        { $push: { collaborators: { user: invitee._id, role } }, changeSeq },
+        { returnDocument: "after", timestamps: false },
+      ),
+    );
+
+    if (!note) {
+      // Work out which condition failed — only for the owner.
+      const owned = await findOwnedNote(req);
+      if (!owned) return denyAccess(req, res, { deletedAt: null });
+
+      const listed = owned.collaborators.some((c) =>
+        c.user.equals(invitee._id),
+      );
+      return listed
+        ? res.status(409).json({
+            success: false,
+            message: "This person already has access",
+          })
+        : res.status(422).json({
+            success: false,
+            message: `A note can be shared with at most ${MAX_COLLABORATORS} people`,
+          });
+    }
+
+    publishAccessChange(note, invitee._id, "created");
+
+    return res.status(201).json({
+      success: true,
+      message: "Collaborator added",
+      ...(await accessList(note)),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PATCH /api/notes/:id/collaborators/:userId
+ * Body: { role: "viewer" | "editor" }
+ *
+ * Changes a collaborator's role. Owner only.
+ */
+const updateCollaborator = async (req, res, next) => {
+  try {
+    const note = await withChangeSeq(req.user._id, (changeSeq) =>
+      Note.findOneAndUpdate(
+        {
+          ...noteFilter(req, "owner", { deletedAt: null }), // ownership enforced here
+          "collaborators.user": req.params.userId,
+        },
+        { $set: { "collaborators.$.role": req.body.role, changeSeq } },
+        { returnDocument: "after", timestamps: false },
+      ),
+    );
+
+    if (!note) {
+      if (!(await findOwnedNote(req))) {
+        return denyAccess(req, res, { deletedAt: null });
+      }
+      return res.status(404).json({
+        success: false,
+        message: "Collaborator not found",
+      });
+    }
+
+    publishNoteEvent(note, { type: "updated", note });
+
+    return res.status(200).json({
+      success: true,
+      message: "Collaborator updated",
+      ...(await accessList(note)),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/notes/:id/collaborators/:userId
+ *
+ * Revokes a collaborator's access. The owner can remove anyone; a
+ * collaborator can remove only themselves, to leave a shared note.
+ */
+const removeCollaborator = async (req, res, next) => {
+  try {
+    const leaving = String(req.user._id) === req.params.userId;
+    const filter = {
+      ...noteFilter(req, leaving ? "read" : "owner"), // access enforced here
+      "collaborators.user": req.params.userId,
+    };
+
+    // Someone leaving changes the owner's note, in the owner's sequence.
+    const owner = leaving
+      ? (await Note.findOne(filter).select("user").lean())?.user
+      : req.user._id;
+    const note =
+      owner &&
+      (await withChangeSeq(owner, (changeSeq) =>
+        Note.findOneAndUpdate(
+          filter,
+          { $pull: { collaborators: { user: req.params.userId } }, changeSeq },
+          { returnDocument: "after", timestamps: false },
+        ),
+      ));
+
+    if (!note) {
+      if (leaving || !(await findOwnedNote(req))) {
+        return denyAccess(req, res);
+      }
+      return res.status(404).json({
+        success: false,
+        message: "Collaborator not found",
+      });
+    }
+
+    publishAccessChange(note, req.params.userId, "deleted");
+
+    if (leaving) {
+      return res.status(200).json({
+        success: true,
+        message: "You no longer have access to this note",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Collaborator removed",
+      ...(await accessList(note)),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCollaborators,
+  addCollaborator,
+  updateCollaborator,
+  removeCollaborator,
+};
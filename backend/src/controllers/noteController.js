@@ -1,10 +1,67 @@
 "use strict";
 
+const { isValidObjectId } = require("mongoose");
 const Note = require("../models/Note");
+const Notebook = require("../models/Notebook");
+const {
+  MAX_QUERY_LENGTH,
+  parseSearchQuery,
+  buildHighlights,
+} = require("../utils/search");
+const {
+  MAX_TAGS_PER_NOTE,
+  normalizeTags,
+  parseTagList,
+} = require("../utils/tags");
+const { retentionDays } = require("../config/trash");
+const {
+  updateWithRevision,
+  deleteRevisions,
+} = require("../services/revisions");
+const { deleteShareLinks } = require("../services/shareLinks");
+const {
+  NOTE_EXPORT_FORMATS,
+  noteExportExtension,
+  writeNotesExport,
+} = require("../services/noteExport");
+const {
+  readImportFiles,
+  importNotes: createImportedNotes,
+} = require("../services/noteImport");
+const { MAX_IMPORT_NOTES } = require("../utils/noteImport");
+const {
+  DEFAULT_SORT_ORDER,
+  TITLE_COLLATION,
+  NOTE_DATE_FILTERS,
+} = require("../utils/noteList");
+const { bulkUpdateNotes, bulkActionSummary } = require("../services/bulkNotes");
+const { parseListCursor, readNotesPage } = require("../services/notePages");
+const {
+  MAX_STREAMS_PER_USER,
+  publishNoteEvent,
+  publishNoteEvents,
+  subscribeNoteEvents,
+} = require("../services/noteEvents");
+const {
+  withChangeSeq,
+  recordDeletions,
+  parseChangeCursor,
+  readChanges,
+} = require("../services/noteChanges");
+const { noteFilter, roleOf, denyAccess } = require("../services/noteAccess");
+const { noteETag, parseIfMatch, versionFilter } = require("../utils/etag");
 
 // ── Pagination constants ──────────────────────────────────────────────────────
 const DEFAULT_LIMIT = 10;
 const MAX_LIMIT = 50; // hard cap — prevents a single request returning thousands of docs
+const MAX_CHANGES = 100; // change feed page size, default and cap
+
+// ── Event stream timing ───────────────────────────────────────────────────────
+const EVENTS_HEARTBEAT_MS = 25 * 1000; // keeps proxies from closing an idle stream
+// Streams end after this long and the client reconnects, so a revoked
+// session or expired token stops receiving events within the same window.
+const EVENTS_MAX_AGE_MS = 15 * 60 * 1000;
+const EVENTS_RETRY_MS = 3000; // reconnect delay suggested to EventSource clients
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
@@ -21,26 +78,123 @@ const parsePagination = (query) => {
   return { page, limit, skip: (page - 1) * limit };
 };
 
+/**
+ * parseListSort(query) → { field, order: 1 | -1 }
+ * The sort and order query params, already checked by validateListNotes.
+ */
+const parseListSort = (query) => {
+  const field = query.sort ?? "updatedAt";
+  const order = query.order ?? DEFAULT_SORT_ORDER[field];
+  return { field, order: order === "asc" ? 1 : -1 };
+};
+
+/**
+ * parseListFilter(req) → { filter, q } | { error }
+ * The query params getNotes and exportNotes share — archived, tags,
+ * tagMode, notebook, the date range and q — as a filter over the caller's
+ * live notes. `error` is a message for a 422.
+ */
+const parseListFilter = (req) => {
+  const filter = {
+    user: req.user._id,
+    deletedAt: null,
+    // The notes list and the archive never overlap.
+    archivedAt: req.query.archived === "true" ? { $ne: null } : null,
+  };
+
+  const tags = parseTagList(req.query.tags);
+  if (tags.length > MAX_TAGS_PER_NOTE) {
+    return { error: `Filter by at most ${MAX_TAGS_PER_NOTE} tags at a time` };
+  }
+  if (tags.length > 0) {
+    filter.tags = req.query.tagMode === "all" ? { $all: tags } : { $in: tags };
+  }
+
+  const { notebook } = req.query;
+  if (notebook !== undefined) {
+    if (notebook !== "none" && !isValidObjectId(notebook)) {
+      return { error: "notebook must be a notebook ID or 'none'" };
+    }
+    filter.notebook = notebook === "none" ? null : notebook;
+  }
+
+  // Formats checked by validateListNotes; bounds on one field combine.
+  for (const [param, [field, op]] of Object.entries(NOTE_DATE_FILTERS)) {
+    if (req.query[param] !== undefined) {
+      filter[field] = { ...filter[field], [op]: new Date(req.query[param]) };
+    }
+  }
+
+  const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+  if (q.length > MAX_QUERY_LENGTH) {
+    return {
+      error: `Search query cannot exceed ${MAX_QUERY_LENGTH} characters`,
+    };
+  }
+  if (q) {
+    // A query made only of negations ("-draft") matches nothing in MongoDB.
+    const { terms, phrases } = parseSearchQuery(q);
+    if (terms.length === 0 && phrases.length === 0) {
+      return {
+        error: "Search query must include at least one non-negated term",
+      };
+    }
+  }
+
+  return { filter, q };
+};
+
+/**
+ * ownsNotebook(userId, notebookId) → bool
+ * null means "no notebook" and is always allowed. Anything else must be one
+ * of the caller's own notebooks — a foreign id reads as not found.
+ */
+const ownsNotebook = async (userId, notebookId) =>
+  notebookId == null ||
+  Boolean(await Notebook.exists({ _id: notebookId, user: userId }));
+
+// How each bulk action looks to an event stream; the rest are "updated".
+const BULK_EVENT_TYPES = { delete: "deleted", restore: "created" };
+
+/** One server-sent event: its type and a JSON payload. */
+const writeEvent = (res, type, data) =>
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
 // ── Controllers ───────────────────────────────────────────────────────────────
 
 /**
  * POST /api/notes
  *
  * Security:
- *  - Only allowed fields (title, content) are destructured — `user` is never
- *    read from req.body, blocking mass-assignment of ownership.
+ *  - Only allowed fields (title, content, tags) are destructured — `user` is
+ *    never read from req.body, blocking mass-assignment of ownership.
  *  - `user` is always set from req.user._id (established by the JWT in protect).
  */
 const createNote = async (req, res, next) => {
   try {
-    const { title, content } = req.body;
+    const { title, content, tags, notebook } = req.body;
 
-    const note = await Note.create({
-      title,
-      content,
-      user: req.user._id, // server-side only — never trust the client for this
-    });
+    if (!(await ownsNotebook(req.user._id, notebook))) {
+      return res.status(404).json({
+        success: false,
+        message: "Notebook not found",
+      });
+    }
 
+    const note = await withChangeSeq(req.user._id, (changeSeq) =>
+      Note.create({
+        title,
+        content,
+        tags, // normalised by the schema setter
+        notebook,
+        user: req.user._id, // server-side only — never trust the client for this
+        changeSeq,
+        createdSeq: changeSeq,
+      }),
+    );
+    publishNoteEvent(note, { type: "created", note });
+
+    res.set("ETag", noteETag(note));
     return res.status(201).json({
       success: true,
       message: "Note created",
@@ -54,8 +208,39 @@ const createNote = async (req, res, next) => {
 /**
  * GET /api/notes
  *
- * Returns paginated notes for the authenticated user only.
- * Query params: ?page=1&limit=10
+ * Returns paginated notes for the authenticated user only, pinned notes
+ * first. Notes in the trash are excluded — see getTrash — and so are
+ * archived notes, unless archived=true asks for them alone.
+ * Query params: ?page=1&limit=10[&q=search terms][&tags=a,b&tagMode=any|all]
+ *               [&notebook=<id>|none][&archived=true]
+ *               [&sort=updatedAt|createdAt|title&order=asc|desc]
+ *               [&createdAfter=&createdBefore=&updatedAfter=&updatedBefore=]
+ *
+ * After the pinned notes come the rest, most recently updated first unless
+ * `sort` and `order` say otherwise (newest first for dates, A to Z for
+ * titles by default; titles compare case-insensitively). The date params
+ * take ISO 8601 dates: "after" includes the instant given, "before" does
+ * not. validateListNotes rejects anything else.
+ *
+ * With `cursor` in place of `page` the listing is paged by keyset instead
+ * (see services/notePages.js): an empty cursor asks for the first page, and
+ * each reply carries the `nextCursor` and `prevCursor` of its neighbours,
+ * null at either end. A cursor only fits the sort it was issued for.
+ * Search results are only paged by number.
+ *
+ * When `q` is present the endpoint switches to search mode: results come from
+ * the text index, are ordered by relevance — or by `sort`, when given — and
+ * each note carries a `score`
+ * and `highlights` ({ title, content } as [{ text, highlight }] segments).
+ * `q` supports "quoted phrases" and -negated terms.
+ *
+ * `tags` restricts the listing (or search) to notes carrying the given tags:
+ * tagMode=any (default) matches notes with at least one of them, tagMode=all
+ * only notes with every one.
+ *
+ * `notebook` restricts it to the notes filed directly in one notebook, or to
+ * unfiled notes with notebook=none. Another user's notebook id simply
+ * matches nothing.
  *
  * Security:
  *  - Scoped exclusively to req.user._id — cross-user reads are structurally
@@ -66,17 +251,360 @@ const createNote = async (req, res, next) => {
 const getNotes = async (req, res, next) => {
   try {
     const { page, limit, skip } = parsePagination(req.query);
-    const userFilter = { user: req.user._id };
+    const { filter, q, error } = parseListFilter(req);
+    if (error) {
+      return res.status(422).json({ success: false, message: error });
+    }
+    const sort = parseListSort(req.query);
+
+    if (req.query.cursor !== undefined) {
+      if (q) {
+        return res.status(422).json({
+          success: false,
+          message: "Search results are paged with page, not cursor",
+        });
+      }
+      return listByCursor(req, res, { limit, filter, sort });
+    }
+    if (q) {
+      return searchNotes(req, res, { q, page, limit, skip, filter, sort });
+    }
+
+    const { field, order } = sort;
+    const query = Note.find(filter)
+      .sort({ pinned: -1, [field]: order, _id: order }) // pinned, then by sort
+      .skip(skip)
+      .limit(limit);
+    if (field === "title") query.collation(TITLE_COLLATION);
 
     // Parallel queries: data + count in one round-trip
     const [notes, total] = await Promise.all([
-      Note.find(userFilter)
-        .sort({ updatedAt: -1 }) // most recently updated first
+      query,
+      Note.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      count: notes.length,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+      notes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Keyset mode of getNotes — the page next to the note `cursor` names.
+ */
+const listByCursor = async (req, res, { limit, filter, sort }) => {
+  const position = parseListCursor(req.query.cursor, sort);
+  if (!position) {
+    return res.status(422).json({
+      success: false,
+      message:
+        "cursor must be empty or a cursor returned by this endpoint for the same sort",
+    });
+  }
+
+  const [{ notes, nextCursor, prevCursor }, total] = await Promise.all([
+    readNotesPage(filter, position, limit, sort),
+    Note.countDocuments(filter),
+  ]);
+
+  return res.status(200).json({
+    success: true,
+    count: notes.length,
+    total,
+    notes,
+    nextCursor,
+    prevCursor,
+  });
+};
+
+/**
+ * Search mode of getNotes — relevance-ranked $text query, unless `sort` was
+ * asked for explicitly.
+ * The user filter is combined with $text in the same query, so the text
+ * index can never surface another user's notes.
+ */
+const searchNotes = async (
+  req,
+  res,
+  { q, page, limit, skip, filter, sort },
+) => {
+  const parsed = parseSearchQuery(q);
+  const searchFilter = { ...filter, $text: { $search: q } };
+  const score = { $meta: "textScore" };
+
+  const query = Note.find(searchFilter, { score }).skip(skip).limit(limit);
+  if (req.query.sort === undefined) {
+    query.sort({ score, updatedAt: -1 }); // best match first, newest breaks ties
+  } else {
+    query.sort({ [sort.field]: sort.order, _id: sort.order });
+    if (sort.field === "title") query.collation(TITLE_COLLATION);
+  }
+
+  const [hits, total] = await Promise.all([
+    query,
+    Note.countDocuments(searchFilter),
+  ]);
+
+  const notes = hits.map((note) => ({
+    ...note.toJSON(),
+    highlights: buildHighlights(note, parsed),
+  }));
+
+  return res.status(200).json({
+    success: true,
+    count: notes.length,
+    total,
+    page,
+    totalPages: Math.ceil(total / limit),
+    query: q,
+    notes,
+  });
+};
+
+/**
+ * GET /api/notes/export?format=json|markdown|zip
+ *
+ * Downloads the caller's live notes — all of them, or the subset the same
+ * filters as getNotes select (q, tags, tagMode, notebook, archived and the
+ * date range), in its sort order without pinned notes first. Streamed note
+ * by note, so there is no page size; see services/noteExport.js for the
+ * formats.
+ */
+const exportNotes = async (req, res, next) => {
+  try {
+    const format = req.query.format ?? "json";
+    if (!NOTE_EXPORT_FORMATS.includes(format)) {
+      return res.status(422).json({
+        success: false,
+        message: `format must be one of: ${NOTE_EXPORT_FORMATS.join(", ")}`,
+      });
+    }
+
+    const { filter, q, error } = parseListFilter(req);
+    if (error) {
+      return res.status(422).json({ success: false, message: error });
+    }
+    if (q) filter.$text = { $search: q };
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.attachment(`notevault-notes-${date}.${noteExportExtension(format)}`);
+    await writeNotesExport(
+      format,
+      { userId: req.user._id, filter, sort: parseListSort(req.query) },
+      res,
+    );
+  } catch (error) {
+    // Once the download has started, the only way to report failure is to
+    // cut it short.
+    if (!res.headersSent) return next(error);
+    console.error("[EXPORT] Notes export failed:", error.message);
+    res.destroy(error);
+  }
+};
+
+/**
+ * GET /api/notes/events
+ *
+ * Server-Sent Events stream of changes to the caller's own notes, from any
+ * tab, device or collaborator: `created` and `updated` carry the note,
+ * `deleted` its { id }. The stream opens with a `ready` event, sends a
+ * comment line as a heartbeat, and ends after EVENTS_MAX_AGE_MS — clients
+ * reconnect and, as events are not replayed, reload what they show. See
+ * services/noteEvents.js.
+ */
+const streamNoteEvents = (req, res) => {
+  const unsubscribe = subscribeNoteEvents(req.user._id, ({ type, ...data }) =>
+    writeEvent(res, type, data.note ?? data),
+  );
+  if (!unsubscribe) {
+    return res.status(429).json({
+      success: false,
+      message: `At most ${MAX_STREAMS_PER_USER} event streams can be open at once`,
+    });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    "X-Accel-Buffering": "no", // nginx: pass events through unbuffered
+  });
+  res.flushHeaders();
+  res.write(`retry: ${EVENTS_RETRY_MS}\n\n`);
+  writeEvent(res, "ready", {});
+
+  const heartbeat = setInterval(
+    () => res.write(": ping\n\n"),
+    EVENTS_HEARTBEAT_MS,
+  );
+  const maxAge = setTimeout(() => res.end(), EVENTS_MAX_AGE_MS);
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    clearTimeout(maxAge);
+    unsubscribe();
+  });
+};
+
+/**
+ * GET /api/notes/changes?since=<cursor>[&limit=100]
+ *
+ * Incremental sync: what happened to the caller's own notes since `since`,
+ * oldest first, and the `cursor` to send as `since` next time. Each change
+ * is { seq, type: "created" | "updated", note } or { seq, type: "deleted",
+ * id }; a note is listed once, as it is now, and one moved to the trash
+ * reads as deleted. Apply created and updated alike — a note back from the
+ * trash comes as updated.
+ *
+ * Without `since` the feed starts from the beginning: every note, then
+ * everything after. `hasMore` means another page is waiting — ask again at
+ * once with the new cursor. A malformed cursor is a 422; one older than
+ * the tombstone retention (config/changeFeed.js) a 410, after which the
+ * client starts over without `since`. See services/noteChanges.js.
+ */
+const getChanges = async (req, res, next) => {
+  try {
+    const limit = Math.min(
+      MAX_CHANGES,
+      Math.max(1, parseInt(req.query.limit, 10) || MAX_CHANGES),
+    );
+
+    let position = null;
+    if (req.query.since !== undefined) {
+      position = parseChangeCursor(req.query.since);
+      if (!position) {
+        return res.status(422).json({
+          success: false,
+          message: "since must be a cursor returned by this endpoint",
+        });
+      }
+      if (position.expired) {
+        return res.status(410).json({
+          success: false,
+          message: "Cursor has expired — sync again without since",
+        });
+      }
+    }
+
+    const { changes, cursor, hasMore } = await readChanges(
+      req.user._id,
+      position,
+      limit,
+    );
+    return res.status(200).json({
+      success: true,
+      count: changes.length,
+      changes,
+      cursor,
+      hasMore,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/notes/import
+ * multipart/form-data: files (one or more), notebook? (id)
+ *
+ * Creates notes from Markdown files (.md, .markdown, .txt — front matter
+ * optional), NoteVault JSON exports, Evernote exports (.enex) and zips of
+ * any of these. Every note is checked like a POST /api/notes body and
+ * imported or reported on its own, so one bad note never fails the rest.
+ * Notes go into `notebook` (the top level when omitted); the notebook
+ * paths files carry are created below it.
+ */
+const importNotes = async (req, res, next) => {
+  try {
+    if (!req.files?.length) {
+      return res.status(422).json({
+        success: false,
+        message: "Choose at least one file to import",
+      });
+    }
+
+    const notebook = req.body?.notebook || null;
+    if (
+      notebook &&
+      (!isValidObjectId(notebook) ||
+        !(await ownsNotebook(req.user._id, notebook)))
+    ) {
+      return res.status(404).json({
+        success: false,
+        message: "Notebook not found",
+      });
+    }
+
+    const items = await readImportFiles(req.files);
+    if (items.length === 0) {
+      return res.status(422).json({
+        success: false,
+        message: "No notes found in the uploaded files",
+      });
+    }
+    if (items.length > MAX_IMPORT_NOTES) {
+      return res.status(422).json({
+        success: false,
+        message: `An import can hold at most ${MAX_IMPORT_NOTES} notes — split it up`,
+      });
+    }
+
+    const results = await withChangeSeq(req.user._id, (changeSeq) =>
+      createImportedNotes(req.user._id, items, { notebook, changeSeq }),
+    );
+    const created = results.filter((result) => result.success);
+    const imported = created.length;
+    if (imported > 0) {
+      publishNoteEvents(
+        "created",
+        await Note.find({ _id: { $in: created.map((result) => result.id) } }),
+      );
+    }
+    return res.status(200).json({
+      success: true,
+      message: `Imported ${imported} of ${results.length} notes`,
+      imported,
+      failed: results.length - imported,
+      results,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/notes/shared
+ *
+ * "Shared with me": live notes other users have granted the caller access
+ * to, most recently updated first. Query params: ?page=1&limit=10
+ *
+ * `user` is populated with the owner's { _id, name, email } and each note
+ * carries the caller's `role` ("viewer" | "editor").
+ */
+const getSharedNotes = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { "collaborators.user": req.user._id, deletedAt: null };
+
+    const [shared, total] = await Promise.all([
+      Note.find(filter)
+        .sort({ updatedAt: -1 })
         .skip(skip)
-        .limit(limit),
-      Note.countDocuments(userFilter),
+        .limit(limit)
+        .populate("user", "name email"),
+      Note.countDocuments(filter),
     ]);
 
+    const notes = shared.map((note) => ({
+      ...note.toJSON(),
+      role: roleOf(note, req.user._id),
+    }));
+
     return res.status(200).json({
       success: true,
       count: notes.length,
@@ -90,30 +618,74 @@ const getNotes = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /api/notes/:id
+ *
+ * Returns a single live note with its ETag and the caller's `role` on it
+ * ("owner" | "editor" | "viewer"). A matching If-None-Match gets an empty
+ * 304 — Express compares the tag once it is set on the response.
+ */
+const getNote = async (req, res, next) => {
+  try {
+    const note = await Note.findOne(
+      noteFilter(req, "read", { deletedAt: null }), // access enforced here
+    );
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: "Note not found",
+      });
+    }
+
+    res.set("ETag", noteETag(note));
+    return res.status(200).json({
+      success: true,
+      role: roleOf(note, req.user._id),
+      note,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * PUT /api/notes/:id
  *
- * Partially or fully updates a note.
+ * Partially or fully updates a note. Open to the owner and to editors.
  *
- * Security (ownership validation — the core pattern):
- *  - findOneAndUpdate({ _id: req.params.id, user: req.user._id }) combines the
- *    lookup and ownership check into a single atomic DB operation.
- *  - If the note does not exist, OR exists but belongs to another user, MongoDB
- *    returns null. Both cases respond with 404 — this deliberately prevents an
- *    attacker from inferring resource existence via status-code enumeration (IDOR).
- *  - Only whitelisted fields (title, content) are placed in the update object.
+ * Security (access validation — the core pattern):
+ *  - The write-access filter from services/noteAccess.js is part of the
+ *    findOneAndUpdate query, combining lookup and access check into a single
+ *    atomic DB operation.
+ *  - If the note does not exist, OR the caller has no access to it, MongoDB
+ *    returns null and the response is 404 — this deliberately prevents an
+ *    attacker from inferring resource existence via status-code enumeration
+ *    (IDOR). Trashed notes are read-only and also resolve to null. Only a
+ *    viewer, who can already read the note, is told 403 instead.
+ *  - Only whitelisted fields (title, content, tags) are placed in the update object.
  *    An attacker cannot inject { user: "victim_id" } through req.body.
  *  - runValidators: true re-applies the schema constraints on every update.
+ *
+ * History: the version being replaced is recorded as a NoteRevision (see
+ * services/revisions.js) so it can be diffed and restored later.
+ *
+ * Concurrency: with an If-Match header the update only applies while the
+ * note is still at that version — the condition is part of the same atomic
+ * query. Otherwise the reply is 412 with the current server copy (and its
+ * ETag) so the client can resolve the conflict. Without If-Match the write is
+ * unconditional.
  */
 const updateNote = async (req, res, next) => {
   try {
-    const { title, content } = req.body;
+    const { title, content, tags } = req.body;
 
     // Build update object from only the fields that were actually provided.
     // This supports partial updates (e.g. updating only title) without wiping content.
     const updates = {};
     if (title !== undefined) updates.title = title;
     if (content !== undefined) updates.content = content;
+    if (tags !== undefined) updates.tags = tags;
 
     // Validation middleware ensures at least one field is present,
     // but defend-in-depth catches it here too.
@@ -121,28 +693,91 @@ const updateNote = async (req, res, next) => {
       return res.status(422).json({
         success: false,
         message:
-          "No updatable fields provided. Send at least title or content.",
+          "No updatable fields provided. Send at least title, content or tags.",
       });
     }
 
-    // Single atomic query: ownership check + update fused together.
-    const note = await Note.findOneAndUpdate(
-      { _id: req.params.id, user: req.user._id }, // ownership enforced here
-      updates,
-      { returnDocument: "after", runValidators: true }, // return the updated document
-    );
+    const writable = noteFilter(req, "write", { deletedAt: null }); // access enforced here
+    const ifMatch = parseIfMatch(req.get("If-Match"));
+
+    // Collaborators' edits count against the owner's change sequence.
+    const owner = await Note.findOne(writable).select("user").lean();
+
+    // Single atomic query: access check, version check and update fused together.
+    const note =
+      owner &&
+      (await withChangeSeq(owner.user, (changeSeq) =>
+        updateWithRevision(
+          Array.isArray(ifMatch)
+            ? { ...writable, version: versionFilter(ifMatch) }
+            : writable,
+          { ...updates, changeSeq },
+        ),
+      ));
 
-    // 404 for both "doesn't exist" and "belongs to someone else" — no leakage.
     if (!note) {
+      // Tell a stale version apart from a missing note — only for notes the
+      // caller may edit, so the 412 reveals nothing the 404 would not.
+      const current = ifMatch ? await Note.findOne(writable) : null;
+      if (current) {
+        res.set("ETag", noteETag(current));
+        return res.status(412).json({
+          success: false,
+          message: "Note was changed since you loaded it",
+          note: current,
+        });
+      }
+
+      // 404 for both "doesn't exist" and "no access" — no leakage.
+      return denyAccess(req, res, { deletedAt: null });
+    }
+    publishNoteEvent(note, { type: "updated", note });
+
+    res.set("ETag", noteETag(note));
+    return res.status(200).json({
+      success: true,
+      message: "Note updated",
+      note,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PATCH /api/notes/:id/move
+ * Body: { notebook: "<id>" | null }
+ *
+ * Files a live note under one of the user's notebooks, or unfiles it with
+ * null. Filing is organisation, not an edit: no revision is recorded and
+ * updatedAt is left alone so the note keeps its place in the list.
+ * Notebooks are personal, so only the owner can move a note.
+ */
+const moveNote = async (req, res, next) => {
+  try {
+    const { notebook } = req.body;
+
+    if (!(await ownsNotebook(req.user._id, notebook))) {
       return res.status(404).json({
         success: false,
-        message: "Note not found",
+        message: "Notebook not found",
       });
     }
 
+    const note = await withChangeSeq(req.user._id, (changeSeq) =>
+      Note.findOneAndUpdate(
+        noteFilter(req, "owner", { deletedAt: null }), // ownership enforced here
+        { notebook, changeSeq },
+        { returnDocument: "after", timestamps: false },
+      ),
+    );
+
+    if (!note) return denyAccess(req, res, { deletedAt: null });
+    publishNoteEvent(note, { type: "updated", note });
+
     return res.status(200).json({
       success: true,
-      message: "Note updated",
+      message: "Note moved",
       note,
     });
   } catch (error) {
@@ -150,35 +785,228 @@ const updateNote = async (req, res, next) => {
   }
 };
 
+/**
+ * POST /api/notes/bulk
+ * Body: { ids: [<id>, …], action, notebook?, tags? }
+ *
+ * Applies one action to up to MAX_BULK_NOTES notes: delete (to the trash),
+ * restore, move (to `notebook`, null = unfiled), addTags / removeTags
+ * (`tags`), pin / unpin and archive / unarchive. Only the caller's own notes
+ * qualify, whoever else can see them; each note succeeds or fails on its own
+ * and the reply lists the outcome per id, in request order — a note that
+ * was already as asked is reported as unchanged, not done. A move to a
+ * notebook the caller does not own fails as a whole. See
+ * services/bulkNotes.js.
+ */
+const bulkNotes = async (req, res, next) => {
+  try {
+    const { ids, action, notebook = null } = req.body;
+
+    if (action === "move" && !(await ownsNotebook(req.user._id, notebook))) {
+      return res.status(404).json({
+        success: false,
+        message: "Notebook not found",
+      });
+    }
+
+    const results = await withChangeSeq(req.user._id, (changeSeq) =>
+      bulkUpdateNotes(req.user._id, ids, action, {
+        notebook,
+        tags: normalizeTags(req.body.tags ?? []),
+        changeSeq,
+      }),
+    );
+    const changed = results.filter((result) => result.success);
+    const succeeded = changed.length;
+    if (succeeded > 0) {
+      const type = BULK_EVENT_TYPES[action] ?? "updated";
+      publishNoteEvents(
+        type,
+        await Note.find({
+          _id: { $in: changed.map((result) => result.id) },
+          user: req.user._id,
+        }),
+      );
+    }
+    return res.status(200).json({
+      success: true,
+      message: bulkActionSummary(action, results),
+      action,
+      succeeded,
+      unchanged: results.filter((result) => result.unchanged).length,
+      failed: results.filter((r) => !r.success && !r.unchanged).length,
+      results,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * DELETE /api/notes/:id
  *
+ * Soft delete: moves the note to the trash by stamping deletedAt. The note
+ * stays restorable until the purge job removes it after the retention period.
+ *
  * Security:
- *  - Same atomic ownership pattern as updateNote.
- *  - findOneAndDelete({ _id, user }) — if either condition fails, null is
- *    returned and the document is NOT deleted. 404 in both cases.
+ *  - Same atomic access pattern as updateNote, at owner level: collaborators
+ *    can never trash a note, whatever their role.
+ *  - findOneAndUpdate({ _id, user, deletedAt: null }) — if any condition fails,
+ *    null is returned and nothing changes. 404, or 403 for a collaborator.
+ *  - timestamps: false — trashing is not an edit, so updatedAt is preserved
+ *    and a restored note returns to its original place in the list.
  */
 const deleteNote = async (req, res, next) => {
   try {
-    const note = await Note.findOneAndDelete({
-      _id: req.params.id,
-      user: req.user._id, // ownership enforced here
+    const note = await withChangeSeq(req.user._id, (changeSeq) =>
+      Note.findOneAndUpdate(
+        noteFilter(req, "owner", { deletedAt: null }), // ownership enforced here
+        { deletedAt: new Date(), changeSeq },
+        { returnDocument: "after", timestamps: false },
+      ),
+    );
+
+    if (!note) return denyAccess(req, res, { deletedAt: null });
+    publishNoteEvent(note, { type: "deleted", id: String(note._id) });
+
+    return res.status(200).json({
+      success: true,
+      message: "Note moved to trash",
+      note,
     });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/notes/trash
+ *
+ * Returns the authenticated user's trashed notes, most recently deleted first.
+ * Query params: ?page=1&limit=10
+ *
+ * Each note carries `purgeAt` — the moment the purge job will remove it —
+ * so clients can show how long a note remains restorable.
+ */
+const getTrash = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { user: req.user._id, deletedAt: { $ne: null } };
+
+    const [trashed, total] = await Promise.all([
+      Note.find(filter).sort({ deletedAt: -1 }).skip(skip).limit(limit),
+      Note.countDocuments(filter),
+    ]);
+
+    const retentionMs = retentionDays * 24 * 60 * 60 * 1000;
+    const notes = trashed.map((note) => ({
+      ...note.toJSON(),
+      purgeAt: new Date(note.deletedAt.getTime() + retentionMs),
+    }));
+
+    return res.status(200).json({
+      success: true,
+      count: notes.length,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+      retentionDays,
+      notes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/notes/:id/restore
+ *
+ * Moves a trashed note back to the notes list. 404 when the note is not in
+ * the caller's trash (missing, live, or owned by someone else).
+ */
+const restoreNote = async (req, res, next) => {
+  try {
+    const note = await withChangeSeq(req.user._id, (changeSeq) =>
+      Note.findOneAndUpdate(
+        { _id: req.params.id, user: req.user._id, deletedAt: { $ne: null } }, // ownership enforced here
+        { deletedAt: null, changeSeq },
+        { returnDocument: "after", timestamps: false },
+      ),
+    );
 
     if (!note) {
       return res.status(404).json({
         success: false,
-        message: "Note not found",
+        message: "Note not found in trash",
       });
     }
+    publishNoteEvent(note, { type: "created", note });
 
     return res.status(200).json({
       success: true,
-      message: "Note deleted",
+      message: "Note restored",
+      note,
     });
   } catch (error) {
     next(error);
   }
 };
 
-module.exports = { createNote, getNotes, updateNote, deleteNote };
+/**
+ * DELETE /api/notes/:id/permanent
+ *
+ * Irreversibly deletes a note, its revision history and its share links.
+ * Only notes already in the trash qualify, so a note always passes through
+ * the trash first — a single request can never destroy a live note.
+ */
+const deleteNotePermanently = async (req, res, next) => {
+  try {
+    const note = await withChangeSeq(req.user._id, async (changeSeq) => {
+      const deleted = await Note.findOneAndDelete({
+        _id: req.params.id,
+        user: req.user._id, // ownership enforced here
+        deletedAt: { $ne: null },
+      });
+      if (deleted)
+        await recordDeletions(req.user._id, [deleted._id], changeSeq);
+      return deleted;
+    });
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: "Note not found in trash",
+      });
+    }
+
+    await Promise.all([
+      deleteRevisions([note._id]),
+      deleteShareLinks([note._id]),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      message: "Note permanently deleted",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createNote,
+  getNotes,
+  exportNotes,
+  streamNoteEvents,
+  getChanges,
+  importNotes,
+  getSharedNotes,
+  getNote,
+  updateNote,
+  moveNote,
+  bulkNotes,
+  deleteNote,
+  getTrash,
+  restoreNote,
+  deleteNotePermanently,
+};
@@ -0,0 +1,280 @@
+"use strict";
+
+const Note = require("../models/Note");
+const Notebook = require("../models/Notebook");
+const {
+  MAX_NOTEBOOK_DEPTH,
+  MAX_NOTEBOOKS,
+  depthOf,
+  subtree,
+} = require("../utils/notebooks");
+const { withChangeSeq } = require("../services/noteChanges");
+const { publishNoteEvents } = require("../services/noteEvents");
+
+// What DELETE /api/notebooks/:id may do with the notes it still holds
+const NOTE_CASCADE_MODES = ["move", "trash"];
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * loadTree(userId) → [{ _id, parent }]
+ * The caller's whole notebook list — the input for the tree helpers.
+ * Scoped to the user, so an id missing from it is "not found" whether it
+ * never existed or belongs to someone else.
+ */
+const loadTree = (userId) =>
+  Notebook.find({ user: userId }).select("parent").lean();
+
+const has = (tree, id) => tree.some((nb) => String(nb._id) === String(id));
+
+const notFound = (res, message = "Notebook not found") =>
+  res.status(404).json({ success: false, message });
+
+/** Sibling names are unique (case-insensitive) — see the Notebook index. */
+const isDuplicateName = (error) => error.code === 11000;
+
+const duplicateName = (res) =>
+  res.status(409).json({
+    success: false,
+    message: "A notebook with this name already exists here",
+  });
+
+const tooDeep = (res) =>
+  res.status(422).json({
+    success: false,
+    message: `Notebooks can be nested at most ${MAX_NOTEBOOK_DEPTH} levels deep`,
+  });
+
+// ── Controllers ───────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/notebooks
+ *
+ * Returns the user's notebooks as a flat list sorted by name; clients build
+ * the tree from `parent`. Each notebook carries the number of live notes
+ * filed directly in it, and `unfiledCount` counts notes in no notebook.
+ */
+const getNotebooks = async (req, res, next) => {
+  try {
+    const [notebooks, counts] = await Promise.all([
+      Notebook.find({ user: req.user._id })
+        .collation({ locale: "en", strength: 2 })
+        .sort({ name: 1 }),
+      Note.aggregate([
+        { $match: { user: req.user._id, deletedAt: null } }, // scoped to the caller only
+        { $group: { _id: "$notebook", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    // A missing notebook field groups under null, same as an explicit null.
+    const countOf = new Map(counts.map((c) => [String(c._id), c.count]));
+
+    return res.status(200).json({
+      success: true,
+      count: notebooks.length,
+      notebooks: notebooks.map((nb) => ({
+        ...nb.toJSON(),
+        noteCount: countOf.get(String(nb._id)) ?? 0,
+      })),
+      unfiledCount: countOf.get("null") ?? 0,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/notebooks
+ * Body: { name, parent? }
+ *
+ * Creates a notebook, top-level or nested under one of the user's own
+ * notebooks.
+ */
+const createNotebook = async (req, res, next) => {
+  try {
+    const { name, parent = null } = req.body;
+    const tree = await loadTree(req.user._id);
+
+    if (tree.length >= MAX_NOTEBOOKS) {
+      return res.status(422).json({
+        success: false,
+        message: `You can have at most ${MAX_NOTEBOOKS} notebooks`,
+      });
+    }
+    if (parent && !has(tree, parent)) {
+      return notFound(res, "Parent notebook not found");
+    }
+    if (depthOf(tree, parent) + 1 > MAX_NOTEBOOK_DEPTH) return tooDeep(res);
+
+    const notebook = await Notebook.create({
+      name,
+      parent,
+      user: req.user._id, // server-side only — never trust the client for this
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Notebook created",
+      notebook,
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) return duplicateName(res);
+    next(error);
+  }
+};
+
+/**
+ * PATCH /api/notebooks/:id
+ * Body: { name?, parent? }
+ *
+ * Renames a notebook and/or moves it (with everything inside) under another
+ * parent — null makes it top-level. A notebook cannot be moved into itself
+ * or one of its descendants, and the move must respect the depth limit.
+ */
+const updateNotebook = async (req, res, next) => {
+  try {
+    const { name, parent } = req.body;
+    const tree = await loadTree(req.user._id);
+    if (!has(tree, req.params.id)) return notFound(res);
+
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+
+    if (parent !== undefined) {
+      if (parent && !has(tree, parent)) {
+        return notFound(res, "Parent notebook not found");
+      }
+
+      const { ids, height } = subtree(tree, req.params.id);
+      if (parent && ids.includes(String(parent))) {
+        return res.status(422).json({
+          success: false,
+          message:
+            "A notebook cannot be moved into itself or its own subfolders",
+        });
+      }
+      if (depthOf(tree, parent) + height > MAX_NOTEBOOK_DEPTH) {
+        return tooDeep(res);
+      }
+      updates.parent = parent;
+    }
+
+    const notebook = await Notebook.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id }, // ownership enforced here
+      updates,
+      { returnDocument: "after", runValidators: true },
+    );
+    if (!notebook) return notFound(res);
+
+    return res.status(200).json({
+      success: true,
+      message: "Notebook updated",
+      notebook,
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) return duplicateName(res);
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/notebooks/:id[?notes=move|trash]
+ *
+ * Deletes a notebook together with every notebook nested inside it.
+ *
+ * Cascade rules for the notes they hold:
+ *  - no `notes` param — refused with 409 (and `noteCount`) if any live note
+ *    would be affected, so nothing is lost by accident.
+ *  - notes=move  — notes move up to the deleted notebook's parent (unfiled
+ *    when it was top-level).
+ *  - notes=trash — live notes go to the trash. They are re-filed under the
+ *    parent as well, so restoring one never points at a deleted notebook.
+ *
+ * Trashed notes inside the subtree are always re-filed under the parent.
+ * Notes are re-filed before the notebooks are removed: if the request fails
+ * half-way, no note is left referencing a deleted notebook.
+ */
+const deleteNotebook = async (req, res, next) => {
+  try {
+    const mode = req.query.notes;
+    if (mode !== undefined && !NOTE_CASCADE_MODES.includes(mode)) {
+      return res.status(422).json({
+        success: false,
+        message: `notes must be one of: ${NOTE_CASCADE_MODES.join(", ")}`,
+      });
+    }
+
+    const tree = await loadTree(req.user._id);
+    const notebook = tree.find((nb) => String(nb._id) === req.params.id);
+    if (!notebook) return notFound(res);
+
+    const { ids } = subtree(tree, notebook._id);
+    const inSubtree = { user: req.user._id, notebook: { $in: ids } }; // ownership enforced here
+    const target = notebook.parent ?? null;
+
+    const noteCount = await Note.countDocuments({
+      ...inSubtree,
+      deletedAt: null,
+    });
+    if (noteCount > 0 && mode === undefined) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Notebook still contains notes. Choose whether to move them or send them to the trash.",
+        noteCount,
+      });
+    }
+
+    // Trashing is not an edit — same timestamps rule as DELETE /api/notes/:id.
+    await withChangeSeq(req.user._id, async (changeSeq) => {
+      const trashedAt = new Date();
+      if (mode === "trash" && noteCount > 0) {
+        await Note.updateMany(
+          { ...inSubtree, deletedAt: null },
+          { deletedAt: trashedAt, notebook: target, changeSeq },
+          { timestamps: false },
+        );
+      }
+      await Note.updateMany(
+        inSubtree,
+        { notebook: target, changeSeq },
+        { timestamps: false },
+      );
+
+      // Notes trashed just now leave every view; live ones were re-filed.
+      // Notes already in the trash are in no one's view.
+      const written = await Note.find({ user: req.user._id, changeSeq });
+      publishNoteEvents(
+        "deleted",
+        written.filter(
+          (note) => note.deletedAt?.getTime() === trashedAt.getTime(),
+        ),
+      );
+      publishNoteEvents(
+        "updated",
+        written.filter((note) => !note.deletedAt),
+      );
+    });
+
+    const { deletedCount } = await Notebook.deleteMany({
+      user: req.user._id,
+      _id: { $in: ids },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Notebook deleted",
+      deleted: deletedCount,
+      notes: noteCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNotebooks,
+  createNotebook,
+  updateNotebook,
+  deleteNotebook,
+};
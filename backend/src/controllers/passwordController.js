@@ -0,0 +1,111 @@
+"use strict";
+
+const User = require("../models/User");
+const AccessToken = require("../models/AccessToken");
+const PasswordResetToken = require("../models/PasswordResetToken");
+const { passwordResetTtlMs } = require("../config/session");
+const { appUrl } = require("../config/mail");
+const { sendMail } = require("../services/mailer");
+const {
+  createPasswordResetToken,
+  redeemPasswordResetToken,
+} = require("../services/passwordResets");
+const { revokeOtherSessions } = require("../services/sessions");
+const { clearLoginFailures } = require("../services/loginThrottle");
+const { passwordResetEmail } = require("../utils/emailTemplates");
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/** Issues a reset token for `user` and emails the link to it. */
+const sendResetLink = async (user) => {
+  const token = await createPasswordResetToken(user._id);
+  await sendMail({
+    to: user.email,
+    ...passwordResetEmail({
+      name: user.name,
+      url: `${appUrl}/reset-password/${token}`,
+      ttlMinutes: Math.round(passwordResetTtlMs / 60000),
+    }),
+  });
+};
+
+// ── Controllers ───────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/auth/forgot-password
+ * Body: { email }
+ *
+ * Emails a single-use reset link when an account uses the address. The
+ * response is the same either way, so the endpoint cannot be used to find
+ * out who has an account. For the same reason the token is issued and the
+ * mail sent in the background: the only work a request waits for is the
+ * lookup, which every address costs alike, so known addresses answer no
+ * slower than unknown ones.
+ */
+const forgotPassword = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      email: req.body.email.toLowerCase().trim(),
+    });
+
+    if (user) {
+      sendResetLink(user).catch((err) =>
+        console.error(`[MAIL] Password reset email failed: ${err.message}`),
+      );
+    }
+
+    return res.status(200).json({
+      success: true,
+      message:
+        "If an account uses this email address, a link to reset the password is on its way.",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/auth/reset-password
+ * Body: { token, password }
+ *
+ * Sets a new password with a token from forgotPassword. The token is spent
+ * even if saving the password then fails, so each link works exactly once.
+ *
+ * Saving the password updates passwordChangedAt, which makes protect reject
+ * every access token issued before; all sessions are revoked as well, since
+ * a reset usually means the old password can no longer be trusted. For the
+ * same reason personal access tokens are deleted, so nobody who had the
+ * account can keep a way in. The user signs in again with the new
+ * password — at once, since a reset also lifts a login lockout.
+ */
+const resetPassword = async (req, res, next) => {
+  try {
+    const record = await redeemPasswordResetToken(req.body.token);
+    const user = record && (await User.findById(record.user));
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "This reset link is invalid or has expired",
+      });
+    }
+
+    user.password = req.body.password;
+    await user.save();
+
+    await Promise.all([
+      revokeOtherSessions(user._id, null),
+      PasswordResetToken.deleteMany({ user: user._id, usedAt: null }),
+      AccessToken.deleteMany({ user: user._id }),
+      clearLoginFailures(user.email),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      message: "Your password has been reset. Please log in.",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { forgotPassword, resetPassword };
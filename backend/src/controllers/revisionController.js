@@ -0,0 +1,137 @@
+"use strict";
+
+const { diffLines } = require("diff");
+const Note = require("../models/Note");
+const NoteRevision = require("../models/NoteRevision");
+const { updateWithRevision } = require("../services/revisions");
+const { withChangeSeq } = require("../services/noteChanges");
+const { publishNoteEvent } = require("../services/noteEvents");
+const { noteETag } = require("../utils/etag");
+const { noteFilter, denyAccess } = require("../services/noteAccess");
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * findReadableNote(req) → note | null
+ * Access check shared by the read-only revision endpoints: the owner and
+ * every collaborator may browse history. A note that is missing and a note
+ * the caller cannot access are indistinguishable (both null), so the
+ * revision routes inherit the notes API's IDOR protection.
+ */
+const findReadableNote = (req) => Note.findOne(noteFilter(req, "read"));
+
+const notFound = (res, message = "Note not found") =>
+  res.status(404).json({ success: false, message });
+
+// ── Controllers ───────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/notes/:id/revisions
+ *
+ * Lists the stored revisions of a note, newest first. Content is omitted to
+ * keep the list light — fetch a diff to see what changed.
+ */
+const getRevisions = async (req, res, next) => {
+  try {
+    const note = await findReadableNote(req);
+    if (!note) return notFound(res);
+
+    const revisions = await NoteRevision.find({ note: note._id })
+      .select("rev title tags createdAt")
+      .sort({ rev: -1 });
+
+    return res.status(200).json({
+      success: true,
+      count: revisions.length,
+      revisions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/notes/:id/revisions/:rev/diff
+ *
+ * Line-level diff from the stored revision to the note's current version.
+ * `changes` is an ordered list of { type: "added" | "removed" | "unchanged",
+ * value, count } hunks; concatenating the non-"added" values rebuilds the
+ * revision, the non-"removed" values the current content.
+ */
+const getRevisionDiff = async (req, res, next) => {
+  try {
+    const note = await findReadableNote(req);
+    if (!note) return notFound(res);
+
+    const revision = await NoteRevision.findOne({
+      note: note._id,
+      rev: req.params.rev,
+    });
+    if (!revision) return notFound(res, "Revision not found");
+
+    const changes = diffLines(revision.content, note.content).map((part) => ({
+      type: part.added ? "added" : part.removed ? "removed" : "unchanged",
+      value: part.value,
+      count: part.count,
+    }));
+
+    return res.status(200).json({
+      success: true,
+      rev: revision.rev,
+      createdAt: revision.createdAt,
+      title: {
+        from: revision.title,
+        to: note.title,
+        changed: revision.title !== note.title,
+      },
+      tags: { from: revision.tags, to: note.tags },
+      changes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/notes/:id/revisions/:rev/restore
+ *
+ * Makes a stored revision the current version again. Restoring is itself an
+ * update, so the version it replaces is recorded as a new revision — a
+ * restore can always be undone. Needs edit access, like updateNote. Trashed
+ * notes must be restored from the trash first.
+ */
+const restoreRevision = async (req, res, next) => {
+  try {
+    const writable = noteFilter(req, "write", { deletedAt: null }); // access enforced here
+    const note = await Note.findOne(writable);
+    if (!note) return denyAccess(req, res, { deletedAt: null });
+
+    const revision = await NoteRevision.findOne({
+      note: note._id,
+      rev: req.params.rev,
+    });
+    if (!revision) return notFound(res, "Revision not found");
+
+    const restored = await withChangeSeq(note.user, (changeSeq) =>
+      updateWithRevision(writable, {
+        title: revision.title,
+        content: revision.content,
+        tags: revision.tags,
+        changeSeq,
+      }),
+    );
+    if (!restored) return notFound(res);
+    publishNoteEvent(restored, { type: "updated", note: restored });
+
+    res.set("ETag", noteETag(restored));
+    return res.status(200).json({
+      success: true,
+      message: `Revision ${revision.rev} restored`,
+      note: restored,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { getRevisions, getRevisionDiff, restoreRevision };
@@ -0,0 +1,197 @@
+"use strict";
+
+const bcrypt = require("bcryptjs");
+const Note = require("../models/Note");
+const ShareLink = require("../models/ShareLink");
+const {
+  generateShareToken,
+  hashShareToken,
+  isShareToken,
+  activeShareFilter,
+} = require("../services/shareLinks");
+
+const SALT_ROUNDS = 12; // same cost as user passwords
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+const notFound = (res, message = "Note not found") =>
+  res.status(404).json({ success: false, message });
+
+/** Live note owned by the caller, or null — trashed notes cannot be shared. */
+const findOwnedNote = (req) =>
+  Note.findOne({
+    _id: req.params.id,
+    user: req.user._id, // ownership enforced here
+    deletedAt: null,
+  });
+
+// ── Owner endpoints (protected) ───────────────────────────────────────────────
+
+/**
+ * POST /api/notes/:id/share
+ * Body: { expiresAt?: ISO date | null, password?: string }
+ *
+ * Creates a read-only public link to one of the caller's notes. The raw
+ * token is returned only in this response — it is stored hashed, so a lost
+ * link cannot be recovered, only revoked and replaced.
+ */
+const createShare = async (req, res, next) => {
+  try {
+    const note = await findOwnedNote(req);
+    if (!note) return notFound(res);
+
+    const { expiresAt = null, password } = req.body;
+    const token = generateShareToken();
+
+    const share = await ShareLink.create({
+      note: note._id,
+      user: req.user._id,
+      tokenHash: hashShareToken(token),
+      passwordHash: password ? await bcrypt.hash(password, SALT_ROUNDS) : null,
+      expiresAt,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Share link created",
+      share,
+      token,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/notes/:id/shares
+ *
+ * Lists the note's active share links — revoked and expired ones are left
+ * out. Tokens are never included; see createShare.
+ */
+const getShares = async (req, res, next) => {
+  try {
+    const note = await findOwnedNote(req);
+    if (!note) return notFound(res);
+
+    const shares = await ShareLink.find({
+      note: note._id,
+      ...activeShareFilter(),
+    }).sort({ createdAt: -1 });
+
+    return res.status(200).json({
+      success: true,
+      count: shares.length,
+      shares,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/notes/:id/shares/:shareId
+ *
+ * Revokes a share link. The link stops working immediately; the record is
+ * kept (with revokedAt) so access counts stay auditable.
+ */
+const revokeShare = async (req, res, next) => {
+  try {
+    const share = await ShareLink.findOneAndUpdate(
+      {
+        _id: req.params.shareId,
+        note: req.params.id,
+        user: req.user._id, // ownership enforced here
+        revokedAt: null,
+      },
+      { revokedAt: new Date() },
+      { returnDocument: "after" },
+    );
+
+    if (!share) return notFound(res, "Share link not found");
+
+    return res.status(200).json({
+      success: true,
+      message: "Share link revoked",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ── Public endpoint (no auth) ─────────────────────────────────────────────────
+
+/**
+ * GET /api/public/notes/:token
+ * Header: X-Share-Password (only for password-protected links)
+ *
+ * Returns a read-only view of a shared note. Only title, content, tags and
+ * the last update time are exposed — never ids, owner or history.
+ *
+ * Security:
+ *  - Mounted outside `protect` with its own rate limiter (see app.js).
+ *  - Unknown, malformed, revoked and expired tokens — and notes now in the
+ *    trash — all get the same 404, so a token's state cannot be probed.
+ *  - A missing or wrong password gets 401 with passwordRequired: true,
+ *    only once the token itself has proven valid.
+ *  - Responses are marked no-store / noindex: a shared note should not
+ *    linger in caches or search engines after the link is revoked.
+ */
+const getPublicNote = async (req, res, next) => {
+  try {
+    res.set({ "Cache-Control": "no-store", "X-Robots-Tag": "noindex" });
+
+    const { token } = req.params;
+    const share = isShareToken(token)
+      ? await ShareLink.findOne({
+          tokenHash: hashShareToken(token),
+          ...activeShareFilter(),
+        })
+      : null;
+    if (!share) return notFound(res, "This link is invalid or has expired");
+
+    if (share.passwordHash) {
+      const password = req.get("X-Share-Password");
+      const ok =
+        typeof password === "string" &&
+        password.length > 0 &&
+        (await bcrypt.compare(password, share.passwordHash));
+      if (!ok) {
+        return res.status(401).json({
+          success: false,
+          message: password
+            ? "Incorrect password"
+            : "This note is password protected",
+          passwordRequired: true,
+        });
+      }
+    }
+
+    const note = await Note.findOne({ _id: share.note, deletedAt: null })
+      .select("title content tags updatedAt")
+      .lean();
+    if (!note) return notFound(res, "This link is invalid or has expired");
+
+    // Access stats — best effort, never fails the read.
+    ShareLink.updateOne(
+      { _id: share._id },
+      { $inc: { accessCount: 1 }, lastAccessedAt: new Date() },
+    ).catch((err) =>
+      console.error("[SHARE] Stats update failed:", err.message),
+    );
+
+    return res.status(200).json({
+      success: true,
+      note: {
+        title: note.title,
+        content: note.content,
+        tags: note.tags ?? [],
+        updatedAt: note.updatedAt,
+      },
+      expiresAt: share.expiresAt,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { createShare, getShares, revokeShare, getPublicNote };
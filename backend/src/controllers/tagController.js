@@ -0,0 +1,185 @@
+"use strict";
+
+const Note = require("../models/Note");
+const { normalizeTag, normalizeTags } = require("../utils/tags");
+const { withChangeSeq } = require("../services/noteChanges");
+const { publishWrittenNotes } = require("../services/noteEvents");
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * replaceTags(userId, sources, target) → number of notes modified
+ *
+ * Removes every source tag from the user's notes and adds `target` in its
+ * place. A single pipeline update per note keeps the swap atomic — a note can
+ * never be observed with both the old and the new tag missing.
+ *
+ * Timestamps are left alone: tag housekeeping should not reshuffle the
+ * "recently updated" ordering of the notes list. The version is still bumped
+ * so an editor holding the old tags gets a 412 instead of reverting them.
+ */
+const replaceTags = async (userId, sources, target) => {
+  const result = await withChangeSeq(userId, async (changeSeq) => {
+    const written = await Note.updateMany(
+      { user: userId, tags: { $in: sources } }, // ownership enforced here
+      [
+        {
+          $set: {
+            tags: {
+              $setUnion: [{ $setDifference: ["$tags", sources] }, [target]],
+            },
+            version: { $add: [{ $ifNull: ["$version", 1] }, 1] },
+            changeSeq,
+          },
+        },
+      ],
+      { updatePipeline: true, timestamps: false },
+    );
+    if (written.modifiedCount > 0) await publishWrittenNotes(userId, changeSeq);
+    return written;
+  });
+  return result.modifiedCount;
+};
+
+// ── Controllers ───────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/tags
+ *
+ * Returns every tag the authenticated user has applied, with the number of
+ * notes carrying it. Most-used tags first, alphabetical within equal counts.
+ * Trashed notes are not counted. Rename, merge and delete, however, apply to
+ * trashed notes too, so restoring a note never brings back a retired tag.
+ */
+const getTags = async (req, res, next) => {
+  try {
+    const tags = await Note.aggregate([
+      { $match: { user: req.user._id, deletedAt: null } }, // scoped to the caller only
+      { $unwind: "$tags" },
+      { $group: { _id: "$tags", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, name: "$_id", count: 1 } },
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      count: tags.length,
+      tags,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PATCH /api/tags/:tag
+ *
+ * Renames a tag on every note that carries it. Renaming onto a tag that
+ * already exists merges the two — notes carrying both end up with one.
+ */
+const renameTag = async (req, res, next) => {
+  try {
+    const from = normalizeTag(req.params.tag);
+    const to = normalizeTag(req.body.name);
+
+    if (from === to) {
+      return res.status(422).json({
+        success: false,
+        message: "The new tag name must differ from the current one",
+      });
+    }
+
+    const modified = await replaceTags(req.user._id, [from], to);
+
+    // 404 when no note of this user carries the tag — same wording whether
+    // the tag never existed or belongs to someone else.
+    if (modified === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Tag not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Tag renamed",
+      tag: to,
+      modified,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/tags/merge
+ * Body: { sources: ["meeting", "meetings"], target: "meetings" }
+ *
+ * Folds every source tag into the target. The target may be new or one of
+ * the sources.
+ */
+const mergeTags = async (req, res, next) => {
+  try {
+    const target = normalizeTag(req.body.target);
+    const sources = normalizeTags(req.body.sources).filter((t) => t !== target);
+
+    if (sources.length === 0) {
+      return res.status(422).json({
+        success: false,
+        message: "Provide at least one source tag different from the target",
+      });
+    }
+
+    const modified = await replaceTags(req.user._id, sources, target);
+
+    return res.status(200).json({
+      success: true,
+      message: "Tags merged",
+      tag: target,
+      modified,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/tags/:tag
+ *
+ * Removes the tag from every note that carries it. The notes themselves are
+ * untouched otherwise.
+ */
+const deleteTag = async (req, res, next) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+
+    const result = await withChangeSeq(req.user._id, async (changeSeq) => {
+      const written = await Note.updateMany(
+        { user: req.user._id, tags: tag }, // ownership enforced here
+        { $pull: { tags: tag }, $inc: { version: 1 }, changeSeq },
+        { timestamps: false },
+      );
+      if (written.modifiedCount > 0) {
+        await publishWrittenNotes(req.user._id, changeSeq);
+      }
+      return written;
+    });
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Tag not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Tag deleted",
+      modified: result.modifiedCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { getTags, renameTag, mergeTags, deleteTag };
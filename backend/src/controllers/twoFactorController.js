@@ -0,0 +1,208 @@
+"use strict";
+
+const QRCode = require("qrcode");
+const User = require("../models/User");
+const { issuer } = require("../config/twoFactor");
+const {
+  discardLoginChallenges,
+  generateRecoveryCodes,
+} = require("../services/twoFactor");
+const { generateSecret, otpauthUrl, verifyTotp } = require("../utils/totp");
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+/** 422 for one form field, in the shape of a validation failure. */
+const fieldError = (res, field, message) =>
+  res.status(422).json({
+    success: false,
+    message,
+    errors: [{ field, message }],
+  });
+
+/**
+ * Loads the caller with `fields` selected, or answers 422 and returns null
+ * when body.currentPassword is wrong. Every change to 2FA asks for the
+ * password, so a stolen session alone cannot turn it off or read codes.
+ */
+const loadWithPassword = async (req, res, fields = "") => {
+  const user = await User.findById(req.user._id).select(
+    `+password ${fields}`.trim(),
+  );
+  if (await user.comparePassword(req.body.currentPassword)) return user;
+  fieldError(res, "currentPassword", "Current password is incorrect");
+  return null;
+};
+
+const toStatus = (user) => ({
+  enabled: user.twoFactor.enabled,
+  recoveryCodesLeft: user.twoFactor.recoveryCodes?.length ?? 0,
+});
+
+// ── Controllers ───────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/auth/2fa
+ * Whether two-factor authentication is on, and how many recovery codes
+ * are left.
+ */
+const getTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      "+twoFactor.recoveryCodes",
+    );
+    return res.status(200).json({ success: true, twoFactor: toStatus(user) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/auth/2fa/setup
+ * Body: { currentPassword }
+ *
+ * Starts enrollment: generates a secret and returns it with its otpauth://
+ * URI and a QR code (PNG data URL) for the authenticator app. Nothing
+ * changes for the login until enableTwoFactor confirms a code; running
+ * setup again replaces the unconfirmed secret.
+ */
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await loadWithPassword(req, res);
+    if (!user) return;
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: "Two-factor authentication is already on",
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    const url = otpauthUrl({ secret, account: user.email, issuer });
+    return res.status(200).json({
+      success: true,
+      secret,
+      otpauthUrl: url,
+      qrCode: await QRCode.toDataURL(url),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/auth/2fa/enable
+ * Body: { code }
+ *
+ * Finishes enrollment with a code from the app, proving it holds the
+ * secret from setupTwoFactor. Answers with the recovery codes — the only
+ * time they are shown.
+ */
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      "+twoFactor.pendingSecret",
+    );
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: "Two-factor authentication is already on",
+      });
+    }
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Start the two-factor setup first",
+      });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code.trim());
+    if (step === null) {
+      return fieldError(res, "code", "Invalid authentication code");
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: undefined,
+      lastUsedStep: step,
+      recoveryCodes: hashes,
+    };
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor authentication is on",
+      twoFactor: toStatus(user),
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/auth/2fa/disable
+ * Body: { currentPassword }
+ * Turns two-factor authentication off and forgets the secret and codes.
+ */
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await loadWithPassword(req, res);
+    if (!user) return;
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+    await discardLoginChallenges(user._id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor authentication is off",
+      twoFactor: toStatus(user),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Body: { currentPassword }
+ * Replaces every recovery code with a fresh set, returned once.
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await loadWithPassword(req, res, "+twoFactor.recoveryCodes");
+    if (!user) return;
+    if (!user.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: "Two-factor authentication is off",
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "New recovery codes generated. The old ones no longer work.",
+      twoFactor: toStatus(user),
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
@@ -0,0 +1,40 @@
+"use strict";
+
+const Note = require("../models/Note");
+
+/**
+ * backfillPinned() → number of notes updated
+ *
+ * Notes created before pinning existed have no `pinned` field, and MongoDB
+ * sorts a missing field below false — GET /notes would list every one of
+ * them after all newer unpinned notes, whatever its updatedAt. Setting the
+ * field puts them back in order. Not an edit, so updatedAt and the change
+ * sequence are left alone.
+ */
+const backfillPinned = async () => {
+  const { modifiedCount } = await Note.updateMany(
+    { pinned: { $exists: false } },
+    { $set: { pinned: false } },
+    { timestamps: false },
+  );
+  return modifiedCount;
+};
+
+/**
+ * startPinnedBackfill — runs backfillPinned once at startup. Once every
+ * note has the field there is nothing left to do, so unlike the purge jobs
+ * it does not repeat; a failure is logged and retried on the next start.
+ */
+const startPinnedBackfill = () => {
+  backfillPinned()
+    .then((updated) => {
+      if (updated > 0 && process.env.NODE_ENV !== "production") {
+        console.log(`[NOTES] Backfilled pinned on ${updated} note(s)`);
+      }
+    })
+    .catch((err) =>
+      console.error("[NOTES] Backfilling pinned failed:", err.message),
+    );
+};
+
+module.exports = { backfillPinned, startPinnedBackfill };
@@ -0,0 +1,40 @@
+"use strict";
+
+const Note = require("../models/Note");
+
+/**
+ * backfillVersion() → number of notes updated
+ *
+ * Notes created before versioning have no `version` field. They read as
+ * version 1 (utils/etag.js), but `$inc` on a missing field writes 1 too —
+ * the first edit of such a note would leave its ETag at "1", and a client
+ * still holding "1" could overwrite that edit. Storing the 1 they already
+ * read as makes every later bump move the tag. Not an edit, so updatedAt
+ * and the change sequence are left alone.
+ */
+const backfillVersion = async () => {
+  const { modifiedCount } = await Note.updateMany(
+    { version: { $exists: false } },
+    { $set: { version: 1 } },
+    { timestamps: false },
+  );
+  return modifiedCount;
+};
+
+/**
+ * startVersionBackfill — runs backfillVersion once at startup, the same way
+ * as startPinnedBackfill (jobs/backfillPinned.js).
+ */
+const startVersionBackfill = () => {
+  backfillVersion()
+    .then((updated) => {
+      if (updated > 0 && process.env.NODE_ENV !== "production") {
+        console.log(`[NOTES] Backfilled version on ${updated} note(s)`);
+      }
+    })
+    .catch((err) =>
+      console.error("[NOTES] Backfilling version failed:", err.message),
+    );
+};
+
+module.exports = { backfillVersion, startVersionBackfill };
@@ -0,0 +1,50 @@
+"use strict";
+
+const User = require("../models/User");
+const { accountPurgeIntervalMs } = require("../config/accountDeletion");
+const { deleteAccount } = require("../services/accounts");
+
+/**
+ * purgeAccounts() → number of accounts deleted
+ * Deletes every account whose scheduled deletion date has passed, one at a
+ * time so a failure leaves the others unaffected.
+ */
+const purgeAccounts = async () => {
+  const due = await User.find({
+    deletionScheduledAt: { $lte: new Date() },
+  }).select("_id email");
+
+  let deleted = 0;
+  for (const user of due) {
+    try {
+      await deleteAccount(user);
+      deleted += 1;
+    } catch (err) {
+      console.error(`[ACCOUNTS] Deleting ${user._id} failed:`, err.message);
+    }
+  }
+  return deleted;
+};
+
+/**
+ * startAccountPurge — runs purgeAccounts once at startup, then on a fixed
+ * interval. Like the trash purge, failures are logged and retried on the
+ * next tick, and the timer does not keep the process alive.
+ */
+const startAccountPurge = () => {
+  const run = async () => {
+    try {
+      const deleted = await purgeAccounts();
+      if (deleted > 0 && process.env.NODE_ENV !== "production") {
+        console.log(`[ACCOUNTS] Deleted ${deleted} scheduled account(s)`);
+      }
+    } catch (err) {
+      console.error("[ACCOUNTS] Purge failed:", err.message);
+    }
+  };
+
+  run();
+  return setInterval(run, accountPurgeIntervalMs).unref();
+};
+
+module.exports = { purgeAccounts, startAccountPurge };
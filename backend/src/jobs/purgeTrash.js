@@ -0,0 +1,71 @@
+"use strict";
+
+const Note = require("../models/Note");
+const { retentionDays, purgeIntervalMs } = require("../config/trash");
+const { deleteRevisions } = require("../services/revisions");
+const { deleteShareLinks } = require("../services/shareLinks");
+const { withChangeSeq, recordDeletions } = require("../services/noteChanges");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * purgeTrash() → number of notes permanently removed
+ * Deletes every note that has been in the trash longer than the retention
+ * period, across all users, together with its revision history and share
+ * links. Each owner's notes go in one write that leaves tombstones for the
+ * change feed.
+ *
+ * A note restored meanwhile stays: the delete itself requires the note to
+ * be expired, and only what it removed loses its history, links and place
+ * in the change feed.
+ */
+const purgeTrash = async () => {
+  const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+  const owners = await Note.distinct("user", { deletedAt: { $lt: cutoff } });
+
+  let purged = 0;
+  for (const user of owners) {
+    // In turn with the owner's other writes, restores included
+    const removed = await withChangeSeq(user, async (changeSeq) => {
+      const expired = { user, deletedAt: { $lt: cutoff } };
+      const ids = await Note.find(expired).distinct("_id");
+      if (ids.length === 0) return [];
+
+      await Note.deleteMany({ ...expired, _id: { $in: ids } });
+      const left = await Note.find({ _id: { $in: ids } }).distinct("_id");
+      const gone = ids.filter((id) => !left.some((kept) => kept.equals(id)));
+      if (gone.length > 0) await recordDeletions(user, gone, changeSeq);
+      return gone;
+    });
+    if (removed.length === 0) continue;
+
+    await Promise.all([deleteRevisions(removed), deleteShareLinks(removed)]);
+    purged += removed.length;
+  }
+  return purged;
+};
+
+/**
+ * startTrashPurge — runs purgeTrash once at startup, then on a fixed interval.
+ *
+ * Failures are logged and retried on the next tick; a purge that fails must
+ * never bring down the API. The timer is unref'd so it does not keep the
+ * process alive on its own.
+ */
+const startTrashPurge = () => {
+  const run = async () => {
+    try {
+      const purged = await purgeTrash();
+      if (purged > 0 && process.env.NODE_ENV !== "production") {
+        console.log(`[TRASH] Purged ${purged} expired note(s)`);
+      }
+    } catch (err) {
+      console.error("[TRASH] Purge failed:", err.message);
+    }
+  };
+
+  run();
+  return setInterval(run, purgeIntervalMs).unref();
+};
+
+module.exports = { purgeTrash, startTrashPurge };
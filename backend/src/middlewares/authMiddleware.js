@@ -1,20 +1,54 @@
 "use strict";
 
 const jwt = require("jsonwebtoken");
+const { isValidObjectId } = require("mongoose");
 const User = require("../models/User");
+const { findActiveSession, touchSession } = require("../services/sessions");
+const {
+  isAccessToken,
+  findAccessToken,
+  touchAccessToken,
+} = require("../services/accessTokens");
+const { emailVerificationPolicy } = require("../config/verification");
+const { isAdmin } = require("../config/admin");
+
+/**
+ * Authenticates a personal access token (nv_pat_…) for protect: sets
+ * req.user and req.accessToken, whose scopes requireScope checks. There is
+ * no session — routes behind requireSession refuse these requests.
+ */
+const authenticateAccessToken = async (token, req, res, next) => {
+  const accessToken = await findAccessToken(token);
+  const user = accessToken && (await User.findById(accessToken.user));
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid token.",
+    });
+  }
+  await touchAccessToken(accessToken);
+
+  req.user = user;
+  req.accessToken = accessToken;
+  next();
+};
 
 /**
  * protect — Express middleware that enforces JWT authentication.
  *
  * Reads the Bearer token from the Authorization header, verifies it, and
- * attaches the corresponding user document to req.user so downstream handlers
- * can access the authenticated identity without making another DB call.
+ * attaches the corresponding user document to req.user (and its session to
+ * req.authSession) so downstream handlers can access the authenticated
+ * identity without making another DB call.
  *
  * - Guards against empty token string ("Bearer " with nothing after).
  * - All failure branches return the same generic message to prevent
  *   user-enumeration via differing 401 response bodies.
  * - Checks passwordChangedAt so tokens issued before a password reset
  *   are automatically rejected.
+ * - Checks the token's session (`sid`), so a device signed out from the
+ *   sessions screen loses access immediately, not when its token expires.
+ * - Also accepts personal access tokens (see authenticateAccessToken).
  *
  * Usage: router.get('/protected', protect, handler)
  */
@@ -36,13 +70,27 @@ const protect = async (req, res, next) => {
     }
 
     const token = authHeader.split(" ")[1].trim();
+    if (isAccessToken(token)) {
+      return await authenticateAccessToken(token, req, res, next);
+    }
 
     // 2. Verify signature and expiry — throws on failure
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Every access token belongs to a session; one without is not ours.
+    if (!isValidObjectId(decoded.sid)) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid token.",
+      });
+    }
+
     // 3. Fetch user AND include passwordChangedAt for stale-token detection.
     //    (select: false on schema means we must explicitly opt in)
-    const user = await User.findById(decoded.id).select("+passwordChangedAt");
+    const [user, session] = await Promise.all([
+      User.findById(decoded.id).select("+passwordChangedAt"),
+      findActiveSession(decoded.sid, decoded.id),
+    ]);
 
     // Same generic message whether the user is missing or the token is invalid
     // — prevents user-enumeration via differing 401 response bodies.
@@ -63,8 +111,18 @@ const protect = async (req, res, next) => {
       });
     }
 
-    // 4. Attach authenticated user to request context
+    // Signed out from the sessions screen, by logout or by reuse detection.
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: "Your session has ended. Please log in again.",
+      });
+    }
+    await touchSession(session, req);
+
+    // 4. Attach authenticated user and session to request context
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     // Translate JWT errors to generic messages — never expose internals.
@@ -82,4 +140,63 @@ const protect = async (req, res, next) => {
   }
 };
 
-module.exports = { protect };
+/**
+ * requireSession — runs after protect; refuses personal access tokens.
+ * For account management and everything else scripts have no scope for.
+ */
+const requireSession = (req, res, next) => {
+  if (req.authSession) return next();
+  return res.status(403).json({
+    success: false,
+    message: "Personal access tokens cannot be used here.",
+  });
+};
+
+/**
+ * requireScope(scope) → middleware, after protect. Requests made with a
+ * personal access token need `scope` among its scopes; session requests
+ * may do everything.
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.accessToken || req.accessToken.scopes.includes(scope)) {
+    return next();
+  }
+  return res.status(403).json({
+    success: false,
+    message: `This access token lacks the ${scope} scope.`,
+  });
+};
+
+/**
+ * requireVerifiedEmail — runs after protect. Under the strict
+ * EMAIL_VERIFICATION policy, answers 403 until the user has verified their
+ * email address; `code` lets the client tell this apart from other 403s.
+ * Under the soft policy it lets everyone through.
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (emailVerificationPolicy !== "strict" || req.user.emailVerified) {
+    return next();
+  }
+  return res.status(403).json({
+    success: false,
+    code: "EMAIL_NOT_VERIFIED",
+    message: "Please verify your email address to continue.",
+  });
+};
+
+/** requireAdmin — runs after protect; 403 unless listed in ADMIN_EMAILS. */
+const requireAdmin = (req, res, next) => {
+  if (isAdmin(req.user)) return next();
+  return res.status(403).json({
+    success: false,
+    message: "Administrator access required.",
+  });
+};
+
+module.exports = {
+  protect,
+  requireSession,
+  requireScope,
+  requireVerifiedEmail,
+  requireAdmin,
+};
@@ -0,0 +1,46 @@
+"use strict";
+
+const multer = require("multer");
+const {
+  MAX_IMPORT_FILE_SIZE,
+  MAX_IMPORT_FILES,
+} = require("../utils/noteImport");
+
+const MB = 1024 * 1024;
+
+// Files stay in memory: they are parsed right away and never stored. With
+// the unzipped text (MAX_UNZIPPED_SIZE per request) that bounds what one
+// import holds; importLimiter (config/rateLimiter.js) bounds how many run.
+// Browsers send UTF-8 file names, which multer would read as latin1.
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  defParamCharset: "utf8",
+  limits: {
+    fileSize: MAX_IMPORT_FILE_SIZE,
+    files: MAX_IMPORT_FILES,
+    fields: 10,
+  },
+}).array("files", MAX_IMPORT_FILES);
+
+const LIMIT_MESSAGES = {
+  LIMIT_FILE_SIZE: `Each file can be at most ${MAX_IMPORT_FILE_SIZE / MB} MB`,
+  LIMIT_FILE_COUNT: `Upload at most ${MAX_IMPORT_FILES} files at a time`,
+  LIMIT_UNEXPECTED_FILE: `Upload at most ${MAX_IMPORT_FILES} files at a time, as the "files" field`,
+};
+
+/**
+ * uploadImportFiles — parses a multipart/form-data upload for
+ * POST /api/notes/import into req.files (and its text fields into
+ * req.body). A broken limit answers 413 for an oversized file and 422
+ * otherwise; other errors go to the error handler.
+ */
+const uploadImportFiles = (req, res, next) =>
+  importUpload(req, res, (error) => {
+    if (!(error instanceof multer.MulterError)) return next(error);
+    return res.status(error.code === "LIMIT_FILE_SIZE" ? 413 : 422).json({
+      success: false,
+      message: LIMIT_MESSAGES[error.code] ?? error.message,
+    });
+  });
+
+module.exports = { uploadImportFiles };
@@ -1,6 +1,21 @@
 "use strict";
 
 const { isValidObjectId } = require("mongoose");
+const {
+  MAX_TAGS_PER_NOTE,
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  isValidTag,
+} = require("../utils/tags");
+const { MAX_NOTEBOOK_NAME_LENGTH } = require("../utils/notebooks");
+const { COLLABORATOR_ROLES } = require("../utils/collaborators");
+const { BULK_NOTE_ACTIONS, MAX_BULK_NOTES } = require("../utils/bulkNotes");
+const { NOTE_SORT_FIELDS, NOTE_DATE_FILTERS } = require("../utils/noteList");
+const {
+  ACCESS_TOKEN_SCOPES,
+  MAX_ACCESS_TOKEN_NAME_LENGTH,
+  MAX_ACCESS_TOKEN_DAYS,
+} = require("../utils/accessTokens");
 
 // ── Regex patterns ────────────────────────────────────────────────────────────
 
@@ -26,36 +41,49 @@ const PRINTABLE_REGEX = /^[\x20-\x7E]+$/;
 
 // ── Rule definitions ──────────────────────────────────────────────────────────
 
-const registerRules = [
-  {
-    field: "name",
-    // Printable ASCII enforced to block control characters like \x00.
-    validate: (v) =>
-      typeof v === "string" &&
-      v.trim().length >= 2 &&
-      v.trim().length <= 50 &&
-      PRINTABLE_REGEX.test(v.trim()),
-    message: "Name must be 2–50 printable characters",
-  },
-  {
-    field: "email",
-    validate: (v) => typeof v === "string" && EMAIL_REGEX.test(v.trim()),
-    message: "A valid email address is required",
-  },
-  {
-    field: "password",
-    validate: (v) => typeof v === "string" && PASSWORD_REGEX.test(v),
-    message:
-      "Password must be at least 8 characters and include uppercase, lowercase, and a number",
-  },
-];
+const emailRule = {
+  field: "email",
+  validate: (v) => typeof v === "string" && EMAIL_REGEX.test(v.trim()),
+  message: "A valid email address is required",
+};
+
+/** passwordRule(field) — the password policy, for any body field. */
+const passwordRule = (field = "password") => ({
+  field,
+  validate: (v) => typeof v === "string" && PASSWORD_REGEX.test(v),
+  message:
+    "Password must be at least 8 characters and include uppercase, lowercase, and a number",
+});
+
+const nameRule = {
+  field: "name",
+  // Printable ASCII enforced to block control characters like \x00.
+  validate: (v) =>
+    typeof v === "string" &&
+    v.trim().length >= 2 &&
+    v.trim().length <= 50 &&
+    PRINTABLE_REGEX.test(v.trim()),
+  message: "Name must be 2–50 printable characters",
+};
+
+const currentPasswordRule = {
+  field: "currentPassword",
+  validate: (v) => typeof v === "string" && v.length > 0,
+  message: "Current password is required",
+};
+
+// An authenticator code or a recovery code; the controller tells them apart.
+const twoFactorCodeRule = {
+  field: "code",
+  validate: (v) =>
+    typeof v === "string" && v.trim().length > 0 && v.length <= 32,
+  message: "Authentication code is required",
+};
+
+const registerRules = [nameRule, emailRule, passwordRule()];
 
 const loginRules = [
-  {
-    field: "email",
-    validate: (v) => typeof v === "string" && EMAIL_REGEX.test(v.trim()),
-    message: "A valid email address is required",
-  },
+  emailRule,
   {
     field: "password",
     validate: (v) => typeof v === "string" && v.length > 0,
@@ -65,6 +93,22 @@ const loginRules = [
 
 // ── Factory: turns a rule set into an Express middleware ──────────────────────
 
+/**
+ * checkRules(rules, body) → [{ field, message }]
+ * Every rule `body` breaks; empty when it passes.
+ */
+const checkRules = (rules, body) =>
+  rules.reduce((acc, rule) => {
+    const value = body[rule.field];
+    // Skip validation for optional fields that were not sent at all.
+    // This allows partial updates where only some fields are provided.
+    if (rule.optional && value === undefined) return acc;
+    if (!rule.validate(value)) {
+      acc.push({ field: rule.field, message: rule.message });
+    }
+    return acc;
+  }, []);
+
 /**
  * buildValidator(rules) → Express middleware
  *
@@ -82,17 +126,30 @@ const buildValidator = (rules) => (req, res, next) => {
     });
   }
 
-  const errors = rules.reduce((acc, rule) => {
-    const value = req.body[rule.field];
-    // Skip validation for optional fields that were not sent at all.
-    // This allows partial updates where only some fields are provided.
-    if (rule.optional && value === undefined) return acc;
-    if (!rule.validate(value)) {
-      acc.push({ field: rule.field, message: rule.message });
-    }
-    return acc;
-  }, []);
+  const errors = checkRules(rules, req.body);
+  if (errors.length > 0) {
+    return res.status(422).json({
+      success: false,
+      message: "Validation failed",
+      errors,
+    });
+  }
+
+  next();
+};
 
+/**
+ * buildQueryValidator(rules) → Express middleware
+ *
+ * buildValidator for the query string: every rule is checked against
+ * req.query, with the same 422 on failure. Query params are strings, and a
+ * param left out simply takes its default, so every rule is optional.
+ */
+const buildQueryValidator = (rules) => (req, res, next) => {
+  const errors = checkRules(
+    rules.map((rule) => ({ ...rule, optional: true })),
+    req.query,
+  );
   if (errors.length > 0) {
     return res.status(422).json({
       success: false,
@@ -107,6 +164,94 @@ const buildValidator = (rules) => (req, res, next) => {
 const validateRegister = buildValidator(registerRules);
 const validateLogin = buildValidator(loginRules);
 
+// POST /api/auth/forgot-password
+const validateForgotPassword = buildValidator([emailRule]);
+
+// POST /api/auth/reset-password — the token's format is checked on redemption
+const validateResetPassword = buildValidator([
+  {
+    field: "token",
+    validate: (v) => typeof v === "string" && v.length > 0,
+    message: "Reset token is required",
+  },
+  passwordRule(),
+]);
+
+// PATCH /api/auth/me — each field optional; the controller checks the
+// current password when the email changes.
+const validateUpdateMe = buildValidator([
+  { ...nameRule, optional: true },
+  { ...emailRule, optional: true },
+  {
+    field: "currentPassword",
+    optional: true,
+    validate: (v) => typeof v === "string",
+    message: "Current password must be a string",
+  },
+]);
+
+// POST /api/auth/change-password
+const validateChangePassword = buildValidator([
+  currentPasswordRule,
+  passwordRule("newPassword"),
+]);
+
+// POST /api/auth/confirm-email — the token's format is checked on redemption
+const validateConfirmEmail = buildValidator([
+  {
+    field: "token",
+    validate: (v) => typeof v === "string" && v.length > 0,
+    message: "Confirmation token is required",
+  },
+]);
+
+// POST /api/auth/login/2fa — the challenge's format is checked on lookup
+const validateLoginTwoFactor = buildValidator([
+  {
+    field: "challenge",
+    validate: (v) => typeof v === "string" && v.length > 0,
+    message: "Login challenge is required",
+  },
+  twoFactorCodeRule,
+]);
+
+// POST /api/auth/2fa/enable
+const validateTwoFactorCode = buildValidator([twoFactorCodeRule]);
+
+// POST /api/auth/2fa/setup, /2fa/disable, /2fa/recovery-codes and
+// DELETE /api/auth/me
+const validateCurrentPassword = buildValidator([currentPasswordRule]);
+
+// POST /api/auth/tokens — a label, at least one scope, and an optional
+// lifetime in days; omitted or null means the token never expires.
+const validateCreateAccessToken = buildValidator([
+  {
+    field: "name",
+    validate: (v) =>
+      typeof v === "string" &&
+      v.trim().length >= 1 &&
+      v.trim().length <= MAX_ACCESS_TOKEN_NAME_LENGTH,
+    message: `Name must be 1-${MAX_ACCESS_TOKEN_NAME_LENGTH} characters`,
+  },
+  {
+    field: "scopes",
+    validate: (v) =>
+      Array.isArray(v) &&
+      v.length > 0 &&
+      new Set(v).size === v.length &&
+      v.every((scope) => ACCESS_TOKEN_SCOPES.includes(scope)),
+    message: `Scopes must be a non-empty list of: ${ACCESS_TOKEN_SCOPES.join(", ")}`,
+  },
+  {
+    field: "expiresInDays",
+    optional: true,
+    validate: (v) =>
+      v === null ||
+      (Number.isInteger(v) && v >= 1 && v <= MAX_ACCESS_TOKEN_DAYS),
+    message: `expiresInDays must be a whole number from 1 to ${MAX_ACCESS_TOKEN_DAYS}, or null`,
+  },
+]);
+
 // ── Note validation rules ─────────────────────────────────────────────────────
 
 /**
@@ -129,28 +274,64 @@ const noteContentRule = (optional = false) => ({
   message: "Content must be 1-10,000 characters",
 });
 
+/** A single tag value, checked after the same normalisation the model applies. */
+const isTag = (v) => typeof v === "string" && isValidTag(normalizeTag(v));
+
+const TAG_MESSAGE = `Tags must be 1-${MAX_TAG_LENGTH} characters: letters, numbers, spaces, - or _`;
+
+// Tags are always optional — a note without tags is the default.
+const noteTagsRule = () => ({
+  field: "tags",
+  optional: true,
+  validate: (v) =>
+    Array.isArray(v) && v.length <= MAX_TAGS_PER_NOTE && v.every(isTag),
+  message: `Tags must be a list of at most ${MAX_TAGS_PER_NOTE} entries. ${TAG_MESSAGE}`,
+});
+
+/** A notebook reference: an ObjectId string, or null for "no notebook". */
+const isNotebookRef = (v) =>
+  v === null || (typeof v === "string" && isValidObjectId(v));
+
+const notebookRefRule = (field, optional = true) => ({
+  field,
+  optional,
+  validate: isNotebookRef,
+  message: `${field.charAt(0).toUpperCase() + field.slice(1)} must be a notebook ID or null`,
+});
+
 // Create: both title and content are required
-const validateCreateNote = buildValidator([
+const createNoteRules = [
   noteTitleRule(false),
   noteContentRule(false),
-]);
+  noteTagsRule(),
+  notebookRefRule("notebook"),
+];
+const validateCreateNote = buildValidator(createNoteRules);
+
+/**
+ * createNoteErrors(fields) → [{ field, message }]
+ * validateCreateNote's checks for notes that do not arrive as a request
+ * body — each note of an import (POST /api/notes/import).
+ */
+const createNoteErrors = (fields) => checkRules(createNoteRules, fields);
 
-// Update: both fields are optional — but at least one must be sent.
+// Update: every field is optional — but at least one must be sent.
 // The controller provides a second layer defence for the "nothing sent" case.
 // Validation here still checks the FORMAT of whichever fields ARE provided.
 const validateUpdateNote = [
-  buildValidator([noteTitleRule(true), noteContentRule(true)]),
+  buildValidator([noteTitleRule(true), noteContentRule(true), noteTagsRule()]),
   // Ensure at least one field is present before hitting the DB.
   (req, res, next) => {
-    const { title, content } = req.body || {};
-    if (title === undefined && content === undefined) {
+    const { title, content, tags } = req.body || {};
+    if (title === undefined && content === undefined && tags === undefined) {
       return res.status(422).json({
         success: false,
         message: "Validation failed",
         errors: [
           {
             field: "body",
-            message: "Provide at least one field to update: title or content",
+            message:
+              "Provide at least one field to update: title, content or tags",
           },
         ],
       });
@@ -159,19 +340,256 @@ const validateUpdateNote = [
   },
 ];
 
+// PATCH /api/notes/:id/move — the destination notebook (null = unfiled)
+const validateMoveNote = buildValidator([notebookRefRule("notebook", false)]);
+
+// Bulk actions that need more than the ids
+const BULK_ACTION_FIELDS = {
+  move: "notebook",
+  addTags: "tags",
+  removeTags: "tags",
+};
+
+// POST /api/notes/bulk — the notes, the action, and the notebook (move) or
+// tags (addTags / removeTags) it takes.
+const validateBulkNotes = [
+  buildValidator([
+    {
+      field: "ids",
+      validate: (v) =>
+        Array.isArray(v) &&
+        v.length >= 1 &&
+        v.length <= MAX_BULK_NOTES &&
+        new Set(v).size === v.length &&
+        v.every((id) => typeof id === "string" && isValidObjectId(id)),
+      message: `ids must be a list of 1-${MAX_BULK_NOTES} distinct note IDs`,
+    },
+    {
+      field: "action",
+      validate: (v) => BULK_NOTE_ACTIONS.includes(v),
+      message: `Action must be one of: ${BULK_NOTE_ACTIONS.join(", ")}`,
+    },
+    notebookRefRule("notebook"),
+    {
+      field: "tags",
+      optional: true,
+      validate: (v) =>
+        Array.isArray(v) &&
+        v.length >= 1 &&
+        v.length <= MAX_TAGS_PER_NOTE &&
+        v.every(isTag),
+      message: `Tags must be a list of 1-${MAX_TAGS_PER_NOTE} tags. ${TAG_MESSAGE}`,
+    },
+  ]),
+  (req, res, next) => {
+    const field = BULK_ACTION_FIELDS[req.body.action];
+    if (field && req.body[field] === undefined) {
+      return res.status(422).json({
+        success: false,
+        message: "Validation failed",
+        errors: [
+          {
+            field,
+            message: `${req.body.action} requires ${field}`,
+          },
+        ],
+      });
+    }
+    next();
+  },
+];
+
+// ── Note list query validation ────────────────────────────────────────────────
+
+// A calendar date or a full ISO 8601 timestamp — nothing Date.parse merely
+// guesses at, such as "March 3".
+const ISO_DATE_REGEX =
+  /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d{1,3})?)?(?:Z|[+-]\d{2}:\d{2}))?$/;
+
+const isIsoDate = (v) =>
+  typeof v === "string" &&
+  ISO_DATE_REGEX.test(v) &&
+  !Number.isNaN(Date.parse(v));
+
+// GET /api/notes and /api/notes/export — ordering and date range
+const validateListNotes = buildQueryValidator([
+  {
+    field: "sort",
+    validate: (v) => NOTE_SORT_FIELDS.includes(v),
+    message: `sort must be one of: ${NOTE_SORT_FIELDS.join(", ")}`,
+  },
+  {
+    field: "order",
+    validate: (v) => v === "asc" || v === "desc",
+    message: "order must be asc or desc",
+  },
+  ...Object.keys(NOTE_DATE_FILTERS).map((field) => ({
+    field,
+    validate: isIsoDate,
+    message: `${field} must be an ISO 8601 date, e.g. 2025-01-31 or 2025-01-31T09:00:00Z`,
+  })),
+]);
+
+// ── Notebook validation ───────────────────────────────────────────────────────
+
+const notebookNameRule = (optional = false) => ({
+  field: "name",
+  optional,
+  validate: (v) =>
+    typeof v === "string" &&
+    v.trim().length >= 1 &&
+    v.trim().length <= MAX_NOTEBOOK_NAME_LENGTH,
+  message: `Name must be 1-${MAX_NOTEBOOK_NAME_LENGTH} characters`,
+});
+
+// POST /api/notebooks — a name, and optionally the parent to nest under
+const validateCreateNotebook = buildValidator([
+  notebookNameRule(false),
+  notebookRefRule("parent"),
+]);
+
+// PATCH /api/notebooks/:id — rename and/or move; at least one is required
+const validateUpdateNotebook = [
+  buildValidator([notebookNameRule(true), notebookRefRule("parent")]),
+  (req, res, next) => {
+    const { name, parent } = req.body || {};
+    if (name === undefined && parent === undefined) {
+      return res.status(422).json({
+        success: false,
+        message: "Validation failed",
+        errors: [
+          {
+            field: "body",
+            message: "Provide at least one field to update: name or parent",
+          },
+        ],
+      });
+    }
+    next();
+  },
+];
+
+// ── Share link validation ─────────────────────────────────────────────────────
+
+const MAX_SHARE_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// POST /api/notes/:id/share — optional expiry (future, within a year) and
+// optional password. Omitted or null expiresAt means the link never expires.
+const validateCreateShare = buildValidator([
+  {
+    field: "expiresAt",
+    optional: true,
+    validate: (v) => {
+      if (v === null) return true;
+      if (typeof v !== "string") return false;
+      const at = Date.parse(v);
+      const now = Date.now();
+      return at > now && at <= now + MAX_SHARE_DAYS * DAY_MS;
+    },
+    message: `expiresAt must be a future date within ${MAX_SHARE_DAYS} days, or null`,
+  },
+  {
+    field: "password",
+    optional: true,
+    validate: (v) => typeof v === "string" && v.length >= 4 && v.length <= 128,
+    message: "Share password must be 4-128 characters",
+  },
+]);
+
+// ── Collaborator validation ───────────────────────────────────────────────────
+
+const collaboratorRoleRule = {
+  field: "role",
+  validate: (v) => COLLABORATOR_ROLES.includes(v),
+  message: `Role must be one of: ${COLLABORATOR_ROLES.join(", ")}`,
+};
+
+// POST /api/notes/:id/collaborators — who to grant access to, and how much
+const validateAddCollaborator = buildValidator([
+  {
+    field: "email",
+    validate: (v) => typeof v === "string" && EMAIL_REGEX.test(v.trim()),
+    message: "A valid email address is required",
+  },
+  collaboratorRoleRule,
+]);
+
+// PATCH /api/notes/:id/collaborators/:userId — the new role
+const validateUpdateCollaborator = buildValidator([collaboratorRoleRule]);
+
+// ── Tag management validation ─────────────────────────────────────────────────
+
+// PATCH /api/tags/:tag — the new name for the tag
+const validateTagRename = buildValidator([
+  { field: "name", validate: isTag, message: TAG_MESSAGE },
+]);
+
+// POST /api/tags/merge — fold every source tag into the target tag
+const validateTagMerge = buildValidator([
+  {
+    field: "sources",
+    validate: (v) =>
+      Array.isArray(v) &&
+      v.length >= 1 &&
+      v.length <= MAX_TAGS_PER_NOTE &&
+      v.every(isTag),
+    message: `Sources must be a list of 1-${MAX_TAGS_PER_NOTE} tags`,
+  },
+  { field: "target", validate: isTag, message: TAG_MESSAGE },
+]);
+
+/**
+ * validateTagParam — checks the :tag route parameter has the tag format.
+ * Mirrors validateObjectId: a malformed identifier is a 400, not a 404.
+ */
+const validateTagParam = (req, res, next) => {
+  if (!isTag(req.params.tag)) {
+    return res.status(400).json({
+      success: false,
+      message: `'${req.params.tag}' is not a valid tag`,
+    });
+  }
+  next();
+};
+
 // ── Route parameter validation ────────────────────────────────────────────────
 
 /**
- * validateObjectId — checks that req.params.id is a well-formed MongoDB ObjectId.
+ * objectIdParam(name) → middleware checking that req.params[name] is a
+ * well-formed MongoDB ObjectId.
  *
  * An invalid id causes Mongoose to throw a CastError which consumes a DB
  * connection. Catching it here is faster and returns a cleaner 400.
  */
-const validateObjectId = (req, res, next) => {
-  if (!isValidObjectId(req.params.id)) {
+const objectIdParam = (name) => (req, res, next) => {
+  if (!isValidObjectId(req.params[name])) {
+    return res.status(400).json({
+      success: false,
+      message: `'${req.params[name]}' is not a valid resource ID`,
+    });
+  }
+  next();
+};
+
+/** validateObjectId — the common case: the :id route parameter. */
+const validateObjectId = objectIdParam("id");
+
+// DELETE /api/notes/:id/shares/:shareId
+const validateShareId = objectIdParam("shareId");
+
+// PATCH / DELETE /api/notes/:id/collaborators/:userId
+const validateUserId = objectIdParam("userId");
+
+/**
+ * validateRevisionParam — checks that req.params.rev is a positive integer
+ * revision number before it reaches a query.
+ */
+const validateRevisionParam = (req, res, next) => {
+  if (!/^[1-9]\d{0,8}$/.test(req.params.rev)) {
     return res.status(400).json({
       success: false,
-      message: `'${req.params.id}' is not a valid resource ID`,
+      message: `'${req.params.rev}' is not a valid revision number`,
     });
   }
   next();
@@ -180,7 +598,31 @@ const validateObjectId = (req, res, next) => {
 module.exports = {
   validateRegister,
   validateLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateUpdateMe,
+  validateChangePassword,
+  validateConfirmEmail,
+  validateLoginTwoFactor,
+  validateTwoFactorCode,
+  validateCurrentPassword,
+  validateCreateAccessToken,
   validateCreateNote,
+  createNoteErrors,
   validateUpdateNote,
+  validateMoveNote,
+  validateBulkNotes,
+  validateListNotes,
+  validateCreateNotebook,
+  validateUpdateNotebook,
+  validateTagRename,
+  validateTagMerge,
+  validateTagParam,
+  validateCreateShare,
+  validateAddCollaborator,
+  validateUpdateCollaborator,
   validateObjectId,
+  validateShareId,
+  validateUserId,
+  validateRevisionParam,
 };
@@ -0,0 +1,60 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const {
+  ACCESS_TOKEN_SCOPES,
+  MAX_ACCESS_TOKEN_NAME_LENGTH,
+} = require("../utils/accessTokens");
+
+/**
+ * AccessToken — a named personal access token for scripts, sent as
+ * `Authorization: Bearer nv_pat_…` instead of a session's JWT.
+ *
+ * Only a SHA-256 hash of the token is stored; `prefix` keeps its first
+ * characters so users can tell their tokens apart. Revoking deletes the
+ * document.
+ */
+const accessTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: MAX_ACCESS_TOKEN_NAME_LENGTH,
+    },
+    scopes: {
+      type: [{ type: String, enum: ACCESS_TOKEN_SCOPES }],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    prefix: {
+      type: String,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    // null = never expires
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+// Expired tokens are removed by MongoDB's TTL monitor; null never expires.
+accessTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("AccessToken", accessTokenSchema);
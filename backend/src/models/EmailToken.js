@@ -0,0 +1,55 @@
+"use strict";
+
+const mongoose = require("mongoose");
+
+/**
+ * EmailToken — a single-use, time-limited link proving that the user
+ * controls an email address:
+ *  - verify-email — the address an account registered with
+ *  - email-change — the new address a user asked to switch to
+ *                   (PATCH /api/auth/me)
+ *
+ * Only a SHA-256 hash of the token is stored, as for password reset tokens.
+ */
+const emailTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    purpose: {
+      type: String,
+      // What the link is for once the address is proven.
+      enum: ["verify-email", "email-change"],
+      required: true,
+    },
+    email: {
+      // The address the link was sent to — the one being verified.
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+// Expired tokens are removed by MongoDB's TTL monitor.
+emailTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("EmailToken", emailTokenSchema);
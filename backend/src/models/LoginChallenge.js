@@ -0,0 +1,42 @@
+"use strict";
+
+const mongoose = require("mongoose");
+
+/**
+ * LoginChallenge — the half-finished login of a user with two-factor
+ * authentication: the password was right, the code is still to come
+ * (POST /api/auth/login/2fa).
+ *
+ * Only a SHA-256 hash of the challenge token is stored, as for password
+ * reset tokens. Each challenge allows a few wrong codes, then goes away.
+ */
+const loginChallengeSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    attempts: {
+      // Wrong codes entered so far
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true },
+);
+
+// Expired challenges are removed by MongoDB's TTL monitor.
+loginChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginChallenge", loginChallengeSchema);
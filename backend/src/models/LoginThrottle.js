@@ -0,0 +1,48 @@
+"use strict";
+
+const mongoose = require("mongoose");
+
+/**
+ * LoginThrottle — recent failed logins for one email address, and until
+ * when further attempts are refused (services/loginThrottle.js).
+ *
+ * Keyed by address rather than by user, so unknown addresses are throttled
+ * exactly like registered ones.
+ */
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedAt: {
+      type: Date,
+      default: null,
+    },
+    // No attempt is checked before this moment: a back-off delay or, once
+    // failures reach the lockout threshold, a lockout.
+    blockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // Pushed forward by every failure; the record disappears once the
+    // address has had no failures for the configured window.
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true },
+);
+
+// Stale records are removed by MongoDB's TTL monitor.
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginThrottle", loginThrottleSchema);
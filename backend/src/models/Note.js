@@ -1,6 +1,33 @@
 "use strict";
 
 const mongoose = require("mongoose");
+const { MAX_TAGS_PER_NOTE, normalizeTags } = require("../utils/tags");
+const {
+  COLLABORATOR_ROLES,
+  MAX_COLLABORATORS,
+} = require("../utils/collaborators");
+const { TITLE_COLLATION } = require("../utils/noteList");
+
+// Access grant for another user — see services/noteAccess.js.
+const collaboratorSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: COLLABORATOR_ROLES,
+      required: true,
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
 
 const noteSchema = new mongoose.Schema(
   {
@@ -18,6 +45,24 @@ const noteSchema = new mongoose.Schema(
       minlength: [1, "Content cannot be empty"],
       maxlength: [10000, "Content cannot exceed 10,000 characters"],
     },
+    tags: {
+      // Normalised on write (lowercase, trimmed, de-duplicated) so tag
+      // filters and the GET /api/tags aggregation never see case variants.
+      type: [String],
+      default: [],
+      set: normalizeTags,
+      validate: {
+        validator: (v) => v.length <= MAX_TAGS_PER_NOTE,
+        message: `A note cannot have more than ${MAX_TAGS_PER_NOTE} tags`,
+      },
+    },
+    notebook: {
+      // Containing notebook, or null for an unfiled note. Moving a note is
+      // done via PATCH /api/notes/:id/move, not a regular update.
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notebook",
+      default: null,
+    },
     user: {
       // Hard reference to the owning user — set server-side only, never from input.
       // Indexed because every query on this collection filters by user first.
@@ -26,6 +71,62 @@ const noteSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    collaborators: {
+      // Users the owner has granted access to. Only the owner manages this
+      // list (via /api/notes/:id/collaborators); it is never set from a
+      // regular create or update.
+      type: [collaboratorSchema],
+      default: [],
+      validate: {
+        validator: (v) => v.length <= MAX_COLLABORATORS,
+        message: `A note cannot have more than ${MAX_COLLABORATORS} collaborators`,
+      },
+    },
+    version: {
+      // Optimistic-concurrency counter, exposed as the note's ETag. Bumped by
+      // every write that changes title, content or tags.
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    revisionCount: {
+      // Number of snapshots recorded in NoteRevision; the next update stores
+      // the current version as revision revisionCount + 1.
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    pinned: {
+      // Pinned notes lead the notes list.
+      type: Boolean,
+      default: false,
+    },
+    archivedAt: {
+      // Archiving moves a note out of the notes list into the archive
+      // (?archived=true). Unlike trashing it leaves the note live and editable.
+      type: Date,
+      default: null,
+    },
+    deletedAt: {
+      // Soft delete: null while the note is live, set when it is moved to the
+      // trash. Trashed notes are purged after the retention period.
+      type: Date,
+      default: null,
+    },
+    changeSeq: {
+      // The owner's change sequence number (User.changeSeq) of the last
+      // write to the note, of any kind — what GET /api/notes/changes pages
+      // by. See services/noteChanges.js.
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    createdSeq: {
+      // The owner's change sequence number when the note was created.
+      type: Number,
+      default: 0,
+      min: 0,
+    },
   },
   {
     timestamps: true, // createdAt / updatedAt
@@ -42,4 +143,50 @@ const noteSchema = new mongoose.Schema(
 // while scoped to a specific user (the common read pattern for GET /notes).
 noteSchema.index({ user: 1, updatedAt: -1 });
 
+// GET /notes listing order: pinned notes first, then most recently updated.
+noteSchema.index({ user: 1, pinned: -1, updatedAt: -1 });
+
+// The same with ?sort=createdAt, and with ?createdAfter= / ?createdBefore=.
+noteSchema.index({ user: 1, pinned: -1, createdAt: -1 });
+
+// The same with ?sort=title. Titles sort case-insensitively, and only a
+// query with the same collation can use this index.
+noteSchema.index(
+  { user: 1, pinned: -1, title: 1 },
+  { collation: TITLE_COLLATION },
+);
+
+// Trash listing: a user's deleted notes, most recently deleted first.
+noteSchema.index({ user: 1, deletedAt: -1 });
+
+// Purge job: finds expired trash across all users. Partial so live notes
+// (deletedAt: null) never enter the index.
+noteSchema.index(
+  { deletedAt: 1 },
+  { partialFilterExpression: { deletedAt: { $type: "date" } } },
+);
+
+// ?notebook= filtering, newest first, plus per-notebook note counts.
+noteSchema.index({ user: 1, notebook: 1, updatedAt: -1 });
+
+// "Shared with me" listing and the collaborator branch of every access
+// filter (services/noteAccess.js).
+noteSchema.index({ "collaborators.user": 1, updatedAt: -1 });
+
+// Change feed: one user's notes in sequence order; _id orders the notes a
+// single bulk write stamped with the same number.
+noteSchema.index({ user: 1, changeSeq: 1, _id: 1 });
+
+// Multikey index for ?tags= filtering and the per-user tag aggregation.
+noteSchema.index({ user: 1, tags: 1 });
+
+// Text index backing the ?q= search mode. Title matches weigh more than body
+// matches so a hit in the title ranks above a passing mention in the content.
+// MongoDB allows only one text index per collection — extend this one rather
+// than adding another.
+noteSchema.index(
+  { title: "text", content: "text" },
+  { name: "note_text_search", weights: { title: 5, content: 1 } },
+);
+
 module.exports = mongoose.model("Note", noteSchema);
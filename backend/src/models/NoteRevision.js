@@ -0,0 +1,49 @@
+"use strict";
+
+const mongoose = require("mongoose");
+
+/**
+ * NoteRevision — an immutable snapshot of a note as it was just before an
+ * update. Revisions are numbered per note (rev 1 = the first overwritten
+ * version) and are never edited after creation.
+ */
+const noteRevisionSchema = new mongoose.Schema(
+  {
+    note: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Note",
+      required: true,
+    },
+    user: {
+      // Owner of the note at snapshot time — lets cascades and audits find
+      // revisions without a join.
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    rev: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    title: { type: String, required: true },
+    content: { type: String, required: true },
+    tags: { type: [String], default: [] },
+  },
+  {
+    // Snapshots are immutable — only the creation time is meaningful.
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+      transform(doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  },
+);
+
+// One snapshot per revision number; also serves newest-first history listing.
+noteRevisionSchema.index({ note: 1, rev: -1 }, { unique: true });
+
+module.exports = mongoose.model("NoteRevision", noteRevisionSchema);
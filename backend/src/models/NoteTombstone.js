@@ -0,0 +1,41 @@
+"use strict";
+
+const mongoose = require("mongoose");
+
+/**
+ * NoteTombstone — the record that a note was permanently deleted, so the
+ * change feed (services/noteChanges.js) can report the deletion after the
+ * note itself is gone. Kept for CHANGE_FEED_RETENTION_DAYS.
+ */
+const noteTombstoneSchema = new mongoose.Schema(
+  {
+    note: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    user: {
+      // Owner of the deleted note
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    changeSeq: {
+      // The owner's change sequence number of the deletion
+      type: Number,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+// Change feed reads: one user's deletions in sequence order.
+noteTombstoneSchema.index({ user: 1, changeSeq: 1, note: 1 });
+
+// Expired tombstones are removed by MongoDB's TTL monitor.
+noteTombstoneSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("NoteTombstone", noteTombstoneSchema);
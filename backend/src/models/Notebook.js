@@ -0,0 +1,53 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const { MAX_NOTEBOOK_NAME_LENGTH } = require("../utils/notebooks");
+
+/**
+ * Notebook — a user-owned folder for notes. Notebooks nest through `parent`
+ * (null for a top-level notebook); depth is capped by MAX_NOTEBOOK_DEPTH,
+ * which the controller enforces together with cycle checks.
+ */
+const notebookSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      minlength: [1, "Name cannot be empty"],
+      maxlength: [
+        MAX_NOTEBOOK_NAME_LENGTH,
+        `Name cannot exceed ${MAX_NOTEBOOK_NAME_LENGTH} characters`,
+      ],
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notebook",
+      default: null,
+    },
+    user: {
+      // Owner — set server-side only, never from input.
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform(doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  },
+);
+
+// Sibling names are unique per user, ignoring case ("Work" vs "work").
+// Also serves the per-user listing.
+notebookSchema.index(
+  { user: 1, parent: 1, name: 1 },
+  { unique: true, collation: { locale: "en", strength: 2 } },
+);
+
+module.exports = mongoose.model("Notebook", notebookSchema);
@@ -0,0 +1,41 @@
+"use strict";
+
+const mongoose = require("mongoose");
+
+/**
+ * PasswordResetToken — a single-use, time-limited link to reset a password,
+ * emailed by POST /api/auth/forgot-password.
+ *
+ * Only a SHA-256 hash of the token is stored, as for share links and
+ * refresh tokens: a leaked database cannot be turned into reset links.
+ */
+const passwordResetTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      // Set when the token is redeemed; it can never be used again.
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+// Expired tokens are removed by MongoDB's TTL monitor.
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("PasswordResetToken", passwordResetTokenSchema);
@@ -0,0 +1,56 @@
+"use strict";
+
+const mongoose = require("mongoose");
+
+/**
+ * RefreshToken — one link in a rotating refresh-token chain.
+ *
+ * Every login starts a new Session; each refresh retires the presented token
+ * (rotatedAt) and issues its successor in the same session. Presenting a
+ * retired token again means it was copied, so the whole session is revoked
+ * (see services/refreshTokens.js).
+ *
+ * Only a SHA-256 hash of the token is stored, as for share links.
+ */
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    session: {
+      // Shared by every token descended from the same login.
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    rotatedAt: {
+      // Set once the token has been exchanged for its successor.
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      // Set when the session ends — for all of its tokens at once.
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+// Expired tokens are removed by MongoDB's TTL monitor.
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
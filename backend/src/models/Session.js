@@ -0,0 +1,55 @@
+"use strict";
+
+const mongoose = require("mongoose");
+
+/**
+ * Session — one signed-in device, started by a login or registration.
+ *
+ * Every access token carries its session id (`sid`) and protect rejects it
+ * once the session is revoked, so signing a device out takes effect on its
+ * next request rather than when its access token expires. The session's
+ * refresh tokens (see RefreshToken) are revoked together with it.
+ *
+ * userAgent / ip / lastSeenAt describe the device on the sessions screen;
+ * they are refreshed on token refresh and, at most every few minutes, by
+ * protect.
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+      maxlength: 512,
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      // Slides forward with every refresh, like the refresh token itself.
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+// Sessions whose last refresh token has expired are removed by MongoDB's TTL
+// monitor; revoked ones linger until then, which is harmless.
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", sessionSchema);
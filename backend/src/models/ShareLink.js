@@ -0,0 +1,75 @@
+"use strict";
+
+const mongoose = require("mongoose");
+
+/**
+ * ShareLink — a read-only public link to a single note.
+ *
+ * Only a SHA-256 hash of the token is stored: the raw token is shown once at
+ * creation and lives in the URL, so a database leak does not expose working
+ * links. Optional password protection uses bcrypt like user passwords.
+ */
+const shareLinkSchema = new mongoose.Schema(
+  {
+    note: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Note",
+      required: true,
+    },
+    user: {
+      // Owner of the note — the only one who can list or revoke the link.
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    passwordHash: {
+      type: String,
+      default: null,
+    },
+    expiresAt: {
+      // null = never expires
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    accessCount: {
+      type: Number,
+      default: 0,
+    },
+    lastAccessedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      // Secrets never leave the server; clients only learn whether a
+      // password is set.
+      transform(doc, ret) {
+        ret.hasPassword = Boolean(ret.passwordHash);
+        delete ret.tokenHash;
+        delete ret.passwordHash;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  },
+);
+
+// Active links of a note, newest first.
+shareLinkSchema.index({ note: 1, createdAt: -1 });
+
+// Expired links are removed by MongoDB's TTL monitor. Links without an
+// expiry (null) are never touched.
+shareLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("ShareLink", shareLinkSchema);
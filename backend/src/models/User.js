@@ -28,6 +28,64 @@ const userSchema = new mongoose.Schema(
       minlength: [8, "Password must be at least 8 characters"],
       select: false, // never returned in queries unless explicitly requested
     },
+    // Set once the user opens the verification link sent to `email` (or
+    // confirms a new address). What unverified accounts may do depends on
+    // EMAIL_VERIFICATION (config/verification.js).
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    // Address the user asked to switch to, until they confirm it through
+    // the link emailed there (see EmailToken). email stays in use meanwhile.
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null,
+    },
+    // TOTP two-factor authentication (services/twoFactor.js). The secrets
+    // and recovery code hashes are never returned unless asked for.
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Base32 TOTP secret, once enrollment is confirmed with a code
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret handed out by setup and not yet confirmed
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // Time step of the last accepted code — a code is accepted only once
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      // SHA-256 hashes of the unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+        default: undefined,
+      },
+    },
+    // When the account is due to be deleted (DELETE /api/auth/me with a
+    // grace period); signing in before then clears it. See services/accounts.js.
+    deletionScheduledAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    // Last number handed out by the user's note change sequence — see
+    // services/noteChanges.js. Only ever changed with $inc.
+    changeSeq: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
     // Tracks the last time the password was changed so protect middleware
     // can reject tokens that were issued before a password reset.
     passwordChangedAt: {
@@ -0,0 +1,18 @@
+"use strict";
+
+const express = require("express");
+const router = express.Router();
+
+const { getLockouts, unlockUser } = require("../controllers/adminController");
+const { validateObjectId } = require("../middlewares/validate");
+
+// All routes in this file require an administrator — `protect` and
+// `requireAdmin` are applied at the mount point in app.js.
+
+// GET  /api/admin/lockouts          — accounts locked after failed logins
+router.get("/lockouts", getLockouts);
+
+// POST /api/admin/users/:id/unlock  — lift a user's login lockout
+router.post("/users/:id/unlock", validateObjectId, unlockUser);
+
+module.exports = router;
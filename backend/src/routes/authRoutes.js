@@ -3,15 +3,163 @@
 const express = require("express");
 const router = express.Router();
 
-const { register, login, getMe } = require("../controllers/authController");
-const { validateRegister, validateLogin } = require("../middlewares/validate");
-const { protect } = require("../middlewares/authMiddleware");
+const {
+  register,
+  login,
+  loginTwoFactor,
+  refresh,
+  logout,
+  getMe,
+  updateMe,
+  confirmEmail,
+  verifyEmail,
+  resendVerification,
+  changePassword,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
+} = require("../controllers/authController");
+const {
+  forgotPassword,
+  resetPassword,
+} = require("../controllers/passwordController");
+const {
+  getTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} = require("../controllers/twoFactorController");
+const {
+  getAccessTokens,
+  createAccessToken,
+  deleteAccessToken,
+} = require("../controllers/accessTokenController");
+const {
+  exportAccount,
+  deleteAccount,
+} = require("../controllers/accountController");
+const {
+  validateRegister,
+  validateLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateUpdateMe,
+  validateChangePassword,
+  validateConfirmEmail,
+  validateLoginTwoFactor,
+  validateTwoFactorCode,
+  validateCurrentPassword,
+  validateCreateAccessToken,
+  validateObjectId,
+} = require("../middlewares/validate");
+const { protect, requireSession } = require("../middlewares/authMiddleware");
+const {
+  authLimiter,
+  accountLimiter,
+  sessionLimiter,
+} = require("../config/rateLimiter");
 
-// Public routes
-router.post("/register", validateRegister, register);
-router.post("/login", validateLogin, login);
+// Public routes — credentials in, tight rate limit
+router.post("/register", authLimiter, validateRegister, register);
+router.post("/login", authLimiter, validateLogin, login);
+router.post("/login/2fa", authLimiter, validateLoginTwoFactor, loginTwoFactor);
+router.post(
+  "/forgot-password",
+  authLimiter,
+  validateForgotPassword,
+  forgotPassword,
+);
+router.post(
+  "/reset-password",
+  authLimiter,
+  validateResetPassword,
+  resetPassword,
+);
+router.post("/confirm-email", authLimiter, validateConfirmEmail, confirmEmail);
+router.get("/verify-email/:token", authLimiter, verifyEmail);
 
-// Protected route — requires valid Bearer token
+// Session routes — authenticated by the HttpOnly refresh-token cookie
+router.post("/refresh", sessionLimiter, refresh);
+router.post("/logout", sessionLimiter, logout);
+
+// Protected routes — require a valid Bearer token. Scripts may read /me
+// with a personal access token; everything else here manages the account
+// and needs a signed-in session.
 router.get("/me", protect, getMe);
+const account = [protect, requireSession];
+
+// Building the export is expensive, so it is rate limited like the account
+// changes below.
+router.get("/me/export", accountLimiter, account, exportAccount);
+
+// Account changes check the current password, so they have a rate limit of
+// their own — separate from the credential endpoints, so managing the
+// account never blocks signing in.
+router.patch("/me", accountLimiter, account, validateUpdateMe, updateMe);
+router.delete(
+  "/me",
+  accountLimiter,
+  account,
+  validateCurrentPassword,
+  deleteAccount,
+);
+router.post(
+  "/resend-verification",
+  accountLimiter,
+  account,
+  resendVerification,
+);
+router.post(
+  "/change-password",
+  accountLimiter,
+  account,
+  validateChangePassword,
+  changePassword,
+);
+
+router.get("/2fa", account, getTwoFactor);
+router.post(
+  "/2fa/setup",
+  accountLimiter,
+  account,
+  validateCurrentPassword,
+  setupTwoFactor,
+);
+router.post(
+  "/2fa/enable",
+  accountLimiter,
+  account,
+  validateTwoFactorCode,
+  enableTwoFactor,
+);
+router.post(
+  "/2fa/disable",
+  accountLimiter,
+  account,
+  validateCurrentPassword,
+  disableTwoFactor,
+);
+router.post(
+  "/2fa/recovery-codes",
+  accountLimiter,
+  account,
+  validateCurrentPassword,
+  regenerateRecoveryCodes,
+);
+
+router.get("/sessions", account, getSessions);
+router.delete("/sessions", account, deleteOtherSessions);
+router.delete("/sessions/:id", account, validateObjectId, deleteSession);
+
+router.get("/tokens", account, getAccessTokens);
+router.post(
+  "/tokens",
+  accountLimiter,
+  account,
+  validateCreateAccessToken,
+  createAccessToken,
+);
+router.delete("/tokens/:id", account, validateObjectId, deleteAccessToken);
 
 module.exports = router;
@@ -6,29 +6,182 @@ const router = express.Router();
 const {
   createNote,
   getNotes,
+  exportNotes,
+  streamNoteEvents,
+  getChanges,
+  importNotes,
+  getSharedNotes,
+  getNote,
   updateNote,
+  moveNote,
+  bulkNotes,
   deleteNote,
+  getTrash,
+  restoreNote,
+  deleteNotePermanently,
 } = require("../controllers/noteController");
 
+const {
+  getRevisions,
+  getRevisionDiff,
+  restoreRevision,
+} = require("../controllers/revisionController");
+
+const {
+  createShare,
+  getShares,
+  revokeShare,
+} = require("../controllers/shareController");
+
+const {
+  getCollaborators,
+  addCollaborator,
+  updateCollaborator,
+  removeCollaborator,
+} = require("../controllers/collaboratorController");
+
 const {
   validateCreateNote,
   validateUpdateNote,
+  validateMoveNote,
+  validateBulkNotes,
+  validateListNotes,
+  validateCreateShare,
+  validateAddCollaborator,
+  validateUpdateCollaborator,
   validateObjectId,
+  validateShareId,
+  validateUserId,
+  validateRevisionParam,
 } = require("../middlewares/validate");
+const { uploadImportFiles } = require("../middlewares/upload");
+const { importLimiter } = require("../config/rateLimiter");
+const { requireScope } = require("../middlewares/authMiddleware");
 
 // All routes in this file are protected — the `protect` middleware
 // is applied at the mount point in app.js, covering every route below.
+// Each route also names the scope a personal access token needs for it.
+const read = requireScope("notes:read");
+const write = requireScope("notes:write");
+const share = requireScope("notes:share");
 
 // POST   /api/notes        — create a new note
-router.post("/", validateCreateNote, createNote);
+router.post("/", write, validateCreateNote, createNote);
+
+// GET    /api/notes        — list own notes (paginated, sortable)
+router.get("/", read, validateListNotes, getNotes);
+
+// GET    /api/notes/trash  — list own trashed notes (paginated)
+// Registered before the /:id routes so "trash" is never read as an id.
+router.get("/trash", read, getTrash);
+
+// GET    /api/notes/export — download own notes as JSON, Markdown or zip
+router.get("/export", read, validateListNotes, exportNotes);
+
+// GET    /api/notes/events — live stream of changes to own notes (SSE)
+router.get("/events", read, streamNoteEvents);
+
+// GET    /api/notes/changes — own note changes since a cursor (incremental sync)
+router.get("/changes", read, getChanges);
+
+// POST   /api/notes/import — create notes from uploaded files (multipart)
+router.post("/import", importLimiter, write, uploadImportFiles, importNotes);
+
+// POST   /api/notes/bulk   — apply one action to many own notes
+router.post("/bulk", write, validateBulkNotes, bulkNotes);
+
+// GET    /api/notes/shared — list notes others have shared with me (paginated)
+router.get("/shared", read, getSharedNotes);
+
+// GET    /api/notes/:id    — read an accessible note (sends an ETag)
+router.get("/:id", read, validateObjectId, getNote);
+
+// PUT    /api/notes/:id    — update own or editable note (honours If-Match)
+router.put("/:id", write, validateObjectId, validateUpdateNote, updateNote);
+
+// PATCH  /api/notes/:id/move — file own note under another notebook
+router.patch("/:id/move", write, validateObjectId, validateMoveNote, moveNote);
 
-// GET    /api/notes        — list own notes (paginated)
-router.get("/", getNotes);
+// DELETE /api/notes/:id   — move own note to the trash
+router.delete("/:id", write, validateObjectId, deleteNote);
 
-// PUT    /api/notes/:id    — update own note
-router.put("/:id", validateObjectId, validateUpdateNote, updateNote);
+// POST   /api/notes/:id/restore    — bring a trashed note back
+router.post("/:id/restore", write, validateObjectId, restoreNote);
 
-// DELETE /api/notes/:id   — delete own note
-router.delete("/:id", validateObjectId, deleteNote);
+// DELETE /api/notes/:id/permanent  — irreversibly delete a trashed note
+router.delete("/:id/permanent", write, validateObjectId, deleteNotePermanently);
+
+// GET    /api/notes/:id/revisions             — list stored revisions
+router.get("/:id/revisions", read, validateObjectId, getRevisions);
+
+// GET    /api/notes/:id/revisions/:rev/diff   — diff a revision against current
+router.get(
+  "/:id/revisions/:rev/diff",
+  read,
+  validateObjectId,
+  validateRevisionParam,
+  getRevisionDiff,
+);
+
+// POST   /api/notes/:id/revisions/:rev/restore — make a revision current again
+router.post(
+  "/:id/revisions/:rev/restore",
+  write,
+  validateObjectId,
+  validateRevisionParam,
+  restoreRevision,
+);
+
+// POST   /api/notes/:id/share             — create a public read-only link
+router.post(
+  "/:id/share",
+  share,
+  validateObjectId,
+  validateCreateShare,
+  createShare,
+);
+
+// GET    /api/notes/:id/shares            — list the note's active links
+router.get("/:id/shares", share, validateObjectId, getShares);
+
+// DELETE /api/notes/:id/shares/:shareId   — revoke a link
+router.delete(
+  "/:id/shares/:shareId",
+  share,
+  validateObjectId,
+  validateShareId,
+  revokeShare,
+);
+
+// GET    /api/notes/:id/collaborators         — who has access
+router.get("/:id/collaborators", share, validateObjectId, getCollaborators);
+
+// POST   /api/notes/:id/collaborators         — grant access by email
+router.post(
+  "/:id/collaborators",
+  share,
+  validateObjectId,
+  validateAddCollaborator,
+  addCollaborator,
+);
+
+// PATCH  /api/notes/:id/collaborators/:userId — change a collaborator's role
+router.patch(
+  "/:id/collaborators/:userId",
+  share,
+  validateObjectId,
+  validateUserId,
+  validateUpdateCollaborator,
+  updateCollaborator,
+);
+
+// DELETE /api/notes/:id/collaborators/:userId — revoke access (or leave)
+router.delete(
+  "/:id/collaborators/:userId",
+  share,
+  validateObjectId,
+  validateUserId,
+  removeCollaborator,
+);
 
 module.exports = router;
@@ -0,0 +1,34 @@
+"use strict";
+
+const express = require("express");
+const router = express.Router();
+
+const {
+  getNotebooks,
+  createNotebook,
+  updateNotebook,
+  deleteNotebook,
+} = require("../controllers/notebookController");
+
+const {
+  validateCreateNotebook,
+  validateUpdateNotebook,
+  validateObjectId,
+} = require("../middlewares/validate");
+
+// All routes in this file are protected — the `protect` middleware
+// is applied at the mount point in app.js, covering every route below.
+
+// GET    /api/notebooks      — list own notebooks with note counts
+router.get("/", getNotebooks);
+
+// POST   /api/notebooks      — create a notebook (optionally nested)
+router.post("/", validateCreateNotebook, createNotebook);
+
+// PATCH  /api/notebooks/:id  — rename and/or move a notebook
+router.patch("/:id", validateObjectId, validateUpdateNotebook, updateNotebook);
+
+// DELETE /api/notebooks/:id  — delete a notebook and its subfolders
+router.delete("/:id", validateObjectId, deleteNotebook);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+"use strict";
+
+const express = require("express");
+const router = express.Router();
+
+const { getPublicNote } = require("../controllers/shareController");
+
+// Routes in this file are PUBLIC — mounted without `protect` and behind
+// publicLimiter in app.js. Access is granted by the share token alone.
+
+// GET    /api/public/notes/:token — read a shared note
+router.get("/notes/:token", getPublicNote);
+
+module.exports = router;
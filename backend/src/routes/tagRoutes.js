@@ -0,0 +1,34 @@
+"use strict";
+
+const express = require("express");
+const router = express.Router();
+
+const {
+  getTags,
+  renameTag,
+  mergeTags,
+  deleteTag,
+} = require("../controllers/tagController");
+
+const {
+  validateTagRename,
+  validateTagMerge,
+  validateTagParam,
+} = require("../middlewares/validate");
+
+// All routes in this file are protected — the `protect` middleware
+// is applied at the mount point in app.js, covering every route below.
+
+// GET    /api/tags         — list own tags with usage counts
+router.get("/", getTags);
+
+// POST   /api/tags/merge   — fold several tags into one
+router.post("/merge", validateTagMerge, mergeTags);
+
+// PATCH  /api/tags/:tag    — rename a tag on every note
+router.patch("/:tag", validateTagParam, validateTagRename, renameTag);
+
+// DELETE /api/tags/:tag    — remove a tag from every note
+router.delete("/:tag", validateTagParam, deleteTag);
+
+module.exports = router;
@@ -0,0 +1,84 @@
+"use strict";
+
+const crypto = require("crypto");
+const AccessToken = require("../models/AccessToken");
+const { lastSeenIntervalMs } = require("../config/session");
+const { ACCESS_TOKEN_PREFIX } = require("../utils/accessTokens");
+
+// nv_pat_ + 32 random bytes as 43 base64url characters.
+const TOKEN_BYTES = 32;
+const TOKEN_REGEX = new RegExp(`^${ACCESS_TOKEN_PREFIX}[A-Za-z0-9_-]{43}$`);
+const DISPLAY_PREFIX_LENGTH = ACCESS_TOKEN_PREFIX.length + 4;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/** isAccessToken(token) — has the personal access token format. */
+const isAccessToken = (token) =>
+  typeof token === "string" && token.startsWith(ACCESS_TOKEN_PREFIX);
+
+/**
+ * createAccessToken(userId, { name, scopes, expiresAt })
+ *   → { token, accessToken }
+ * `token` is the raw value, returned to the user this once.
+ */
+const createAccessToken = async (userId, { name, scopes, expiresAt }) => {
+  const token =
+    ACCESS_TOKEN_PREFIX + crypto.randomBytes(TOKEN_BYTES).toString("base64url");
+  const accessToken = await AccessToken.create({
+    user: userId,
+    name,
+    scopes,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, DISPLAY_PREFIX_LENGTH),
+    expiresAt,
+  });
+  return { token, accessToken };
+};
+
+/**
+ * findAccessToken(token) → AccessToken | null
+ * null when the token is malformed, unknown, revoked or expired.
+ */
+const findAccessToken = (token) => {
+  if (!TOKEN_REGEX.test(token)) return null;
+  return AccessToken.findOne({
+    tokenHash: hashToken(token),
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+};
+
+/** touchAccessToken(accessToken) — records use, at most every few minutes. */
+const touchAccessToken = async (accessToken) => {
+  const now = new Date();
+  if (
+    accessToken.lastUsedAt &&
+    now - accessToken.lastUsedAt < lastSeenIntervalMs
+  ) {
+    return;
+  }
+  await AccessToken.updateOne(
+    { _id: accessToken._id },
+    { lastUsedAt: now },
+    { timestamps: false },
+  );
+};
+
+/** toAccessTokenJSON(accessToken) → what the tokens list shows; no hash. */
+const toAccessTokenJSON = (accessToken) => ({
+  _id: accessToken._id,
+  name: accessToken.name,
+  scopes: accessToken.scopes,
+  prefix: accessToken.prefix,
+  createdAt: accessToken.createdAt,
+  lastUsedAt: accessToken.lastUsedAt,
+  expiresAt: accessToken.expiresAt,
+});
+
+module.exports = {
+  isAccessToken,
+  createAccessToken,
+  findAccessToken,
+  touchAccessToken,
+  toAccessTokenJSON,
+};
@@ -0,0 +1,109 @@
+"use strict";
+
+const Note = require("../models/Note");
+const Notebook = require("../models/Notebook");
+const NoteRevision = require("../models/NoteRevision");
+const ShareLink = require("../models/ShareLink");
+const Session = require("../models/Session");
+const AccessToken = require("../models/AccessToken");
+const { toAccessTokenJSON } = require("./accessTokens");
+const { jsonArrayStream, zipArchive } = require("./noteExport");
+const { toMarkdown, createFileNamer } = require("../utils/noteExport");
+
+const NOTE_FIELDS =
+  "title content tags notebook collaborators pinned createdAt updatedAt archivedAt deletedAt";
+
+const json = (value) => `${JSON.stringify(value, null, 2)}\n`;
+
+/**
+ * Each note as Markdown — live ones under notes/, trashed ones under
+ * trash/. One note at a time, as the archive takes them.
+ */
+const appendMarkdownNotes = async (zip, userId) => {
+  const names = { notes: createFileNamer(), trash: createFileNamer() };
+  const cursor = Note.find({ user: userId })
+    .select(NOTE_FIELDS)
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor();
+  for await (const note of cursor) {
+    const folder = note.deletedAt ? "trash" : "notes";
+    const written = await zip.append(toMarkdown(note), {
+      name: `${folder}/${names[folder](note.title, "md")}`,
+      date: note.updatedAt,
+    });
+    if (!written) break;
+  }
+};
+
+/**
+ * writeAccountExport(user, output) → Promise, resolved once the archive is
+ * complete
+ *
+ * Streams a zip of everything stored about the user to `output`:
+ *   profile.json        account details
+ *   notes.json          every note, trashed ones included
+ *   notes/*.md, trash/*.md  the same notes as Markdown files
+ *   notebooks.json, revisions.json, share-links.json, sessions.json,
+ *   access-tokens.json  the rest of the account's records
+ * Secrets (password, token and 2FA hashes) are never included.
+ */
+const writeAccountExport = async (user, output) => {
+  const zip = zipArchive(output);
+
+  zip.append(
+    json({
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      pendingEmail: user.pendingEmail ?? null,
+      twoFactorEnabled: user.twoFactor?.enabled ?? false,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+      exportedAt: new Date(),
+    }),
+    { name: "profile.json" },
+  );
+
+  zip.append(
+    jsonArrayStream(
+      Note.find({ user: user._id })
+        .select(NOTE_FIELDS)
+        .sort({ createdAt: 1 })
+        .lean()
+        .cursor(),
+    ),
+    { name: "notes.json" },
+  );
+  await appendMarkdownNotes(zip, user._id);
+
+  const [notebooks, shareLinks, sessions, accessTokens] = await Promise.all([
+    Notebook.find({ user: user._id }).select("name parent createdAt updatedAt"),
+    ShareLink.find({ user: user._id }),
+    Session.find({ user: user._id }).select(
+      "userAgent ip createdAt lastSeenAt revokedAt",
+    ),
+    AccessToken.find({ user: user._id }),
+  ]);
+  zip.append(json(notebooks), { name: "notebooks.json" });
+  zip.append(
+    jsonArrayStream(
+      NoteRevision.find({ user: user._id })
+        .select("note rev title content tags createdAt")
+        .sort({ note: 1, rev: 1 })
+        .lean()
+        .cursor(),
+    ),
+    { name: "revisions.json" },
+  );
+  zip.append(json(shareLinks), { name: "share-links.json" });
+  zip.append(json(sessions), { name: "sessions.json" });
+  zip.append(json(accessTokens.map(toAccessTokenJSON)), {
+    name: "access-tokens.json",
+  });
+
+  return zip.finish();
+};
+
+module.exports = { writeAccountExport };
@@ -0,0 +1,117 @@
+"use strict";
+
+const User = require("../models/User");
+const Note = require("../models/Note");
+const Notebook = require("../models/Notebook");
+const NoteTombstone = require("../models/NoteTombstone");
+const Session = require("../models/Session");
+const RefreshToken = require("../models/RefreshToken");
+const EmailToken = require("../models/EmailToken");
+const PasswordResetToken = require("../models/PasswordResetToken");
+const LoginChallenge = require("../models/LoginChallenge");
+const LoginThrottle = require("../models/LoginThrottle");
+const AccessToken = require("../models/AccessToken");
+const { deletionGraceDays } = require("../config/accountDeletion");
+const { deleteRevisions } = require("./revisions");
+const { deleteShareLinks } = require("./shareLinks");
+const { revokeOtherSessions } = require("./sessions");
+const { withChangeSeq } = require("./noteChanges");
+const { publishNoteEvents, publishWrittenNotes } = require("./noteEvents");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * deleteAccount(user) — removes the user and everything that belongs to
+ * them: their notes with revisions and share links, notebooks, change feed
+ * tombstones, sessions, tokens of every kind, login throttling, and their
+ * collaborator access to other people's notes.
+ *
+ * Dependents go first and the user last, so a deletion that dies midway
+ * leaves a scheduled account that the purge job finishes.
+ */
+const deleteAccount = async (user) => {
+  const noteIds = await Note.find({ user: user._id }).distinct("_id");
+  const sharedBy = await Note.find({ "collaborators.user": user._id }).distinct(
+    "user",
+  );
+  // The user's live notes that others can see — gone for them too.
+  const sharedOut = await Note.find({
+    user: user._id,
+    deletedAt: null,
+    "collaborators.0": { $exists: true },
+  }).select("user collaborators");
+
+  await Promise.all([
+    deleteRevisions(noteIds),
+    deleteShareLinks(noteIds),
+    // One write per owner, in that owner's change sequence
+    ...sharedBy.map((owner) =>
+      withChangeSeq(owner, async (changeSeq) => {
+        await Note.updateMany(
+          { user: owner, "collaborators.user": user._id },
+          { $pull: { collaborators: { user: user._id } }, changeSeq },
+          { timestamps: false },
+        );
+        await publishWrittenNotes(owner, changeSeq);
+      }),
+    ),
+    Notebook.deleteMany({ user: user._id }),
+    NoteTombstone.deleteMany({ user: user._id }),
+    Session.deleteMany({ user: user._id }),
+    RefreshToken.deleteMany({ user: user._id }),
+    EmailToken.deleteMany({ user: user._id }),
+    PasswordResetToken.deleteMany({ user: user._id }),
+    LoginChallenge.deleteMany({ user: user._id }),
+    AccessToken.deleteMany({ user: user._id }),
+    LoginThrottle.deleteMany({ email: user.email }),
+  ]);
+  await Note.deleteMany({ user: user._id });
+  publishNoteEvents("deleted", sharedOut);
+  await User.deleteOne({ _id: user._id });
+};
+
+/**
+ * scheduleAccountDeletion(user) → Date of the hard delete, or null when
+ * the account was deleted right away (no grace period).
+ *
+ * Either way the account is signed out everywhere first. It is always
+ * marked before anything is removed — see deleteAccount.
+ */
+const scheduleAccountDeletion = async (user) => {
+  const deleteAt = new Date(Date.now() + deletionGraceDays * DAY_MS);
+  await User.updateOne(
+    { _id: user._id },
+    { deletionScheduledAt: deleteAt },
+    { timestamps: false },
+  );
+  await Promise.all([
+    revokeOtherSessions(user._id, null),
+    AccessToken.deleteMany({ user: user._id }),
+    LoginChallenge.deleteMany({ user: user._id }),
+  ]);
+
+  if (deletionGraceDays > 0) return deleteAt;
+  await deleteAccount(user);
+  return null;
+};
+
+/**
+ * cancelAccountDeletion(user) → true if a scheduled deletion was cancelled.
+ * Signing in during the grace period is how a user keeps the account.
+ */
+const cancelAccountDeletion = async (user) => {
+  if (!user.deletionScheduledAt) return false;
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, deletionScheduledAt: { $ne: null } },
+    { deletionScheduledAt: null },
+    { timestamps: false },
+  );
+  user.deletionScheduledAt = null;
+  return modifiedCount > 0;
+};
+
+module.exports = {
+  deleteAccount,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+};
@@ -0,0 +1,191 @@
+"use strict";
+
+const Note = require("../models/Note");
+const { MAX_TAGS_PER_NOTE } = require("../utils/tags");
+
+/**
+ * The actions of POST /api/notes/bulk. Each one has:
+ *   check(note, params) → why `note` cannot take the action, or null
+ *   filter(params)      → the condition a note must still meet to be written
+ *   update(params)      → the write itself
+ *   done                → past tense for the summary ("3 of 4 notes pinned")
+ *   unchanged           → why a note that passed `check` was not written
+ *
+ * `filter` repeats what `check` tested, so a note changed in between is
+ * skipped instead of overwritten. It may be narrower than `check`: a note
+ * already pinned passes the check but is not written again, and is
+ * reported as unchanged.
+ *
+ * Like moving a single note, these are organisation rather than edits:
+ * updatedAt is left alone and no revision is recorded. Tag changes still
+ * bump the version, as tag housekeeping does (controllers/tagController.js),
+ * so an editor holding the old tags gets a 412 instead of reverting them.
+ */
+
+const inTrash = (note) => (note.deletedAt ? "Note is in the trash" : null);
+
+const ACTIONS = {
+  delete: {
+    check: (note) => (note.deletedAt ? "Note is already in the trash" : null),
+    filter: () => ({ deletedAt: null }),
+    update: () => ({ deletedAt: new Date() }),
+    done: "moved to the trash",
+    unchanged: "Note is already in the trash",
+  },
+  restore: {
+    check: (note) => (note.deletedAt ? null : "Note not found in trash"),
+    filter: () => ({ deletedAt: { $ne: null } }),
+    update: () => ({ deletedAt: null }),
+    done: "restored",
+    unchanged: "Note is not in the trash",
+  },
+  move: {
+    check: inTrash,
+    filter: ({ notebook }) => ({
+      deletedAt: null,
+      notebook: { $ne: notebook },
+    }),
+    update: ({ notebook }) => ({ notebook }),
+    done: "moved",
+    unchanged: "Note is already there",
+  },
+  addTags: {
+    check: (note, { tags }) =>
+      inTrash(note) ??
+      (new Set([...note.tags, ...tags]).size > MAX_TAGS_PER_NOTE
+        ? `A note cannot have more than ${MAX_TAGS_PER_NOTE} tags`
+        : null),
+    filter: ({ tags }) => ({
+      deletedAt: null,
+      tags: { $not: { $all: tags } },
+      $expr: {
+        $lte: [{ $size: { $setUnion: ["$tags", tags] } }, MAX_TAGS_PER_NOTE],
+      },
+    }),
+    update: ({ tags }) => ({
+      $addToSet: { tags: { $each: tags } },
+      $inc: { version: 1 },
+    }),
+    done: "tagged",
+    unchanged: "Note already has these tags",
+  },
+  removeTags: {
+    check: inTrash,
+    filter: ({ tags }) => ({ deletedAt: null, tags: { $in: tags } }),
+    update: ({ tags }) => ({
+      $pull: { tags: { $in: tags } },
+      $inc: { version: 1 },
+    }),
+    done: "untagged",
+    unchanged: "Note has none of these tags",
+  },
+  pin: {
+    check: inTrash,
+    filter: () => ({ deletedAt: null, pinned: { $ne: true } }),
+    update: () => ({ pinned: true }),
+    done: "pinned",
+    unchanged: "Note is already pinned",
+  },
+  unpin: {
+    check: inTrash,
+    filter: () => ({ deletedAt: null, pinned: true }),
+    update: () => ({ pinned: false }),
+    done: "unpinned",
+    unchanged: "Note is not pinned",
+  },
+  archive: {
+    check: inTrash,
+    filter: () => ({ deletedAt: null, archivedAt: null }),
+    update: () => ({ archivedAt: new Date() }),
+    done: "archived",
+    unchanged: "Note is already archived",
+  },
+  unarchive: {
+    check: inTrash,
+    filter: () => ({ deletedAt: null, archivedAt: { $ne: null } }),
+    update: () => ({ archivedAt: null }),
+    done: "unarchived",
+    unchanged: "Note is not archived",
+  },
+};
+
+/**
+ * bulkUpdateNotes(userId, ids, action, { notebook, tags, changeSeq })
+ *   → Promise<results>
+ *
+ * Applies `action` to the user's own notes among `ids` with a single
+ * write. `notebook` is the move target (null = unfiled) and `tags` the
+ * normalised tags to add or remove; every note written is stamped with
+ * `changeSeq` (services/noteChanges.js). Another user's note — shared with
+ * the caller or not — reads as not found.
+ *
+ * Results follow the order of `ids`, and tell what was actually written:
+ *   { id, success: true }
+ *   { id, success: false, unchanged: true, message } — nothing to do
+ *   { id, success: false, message }
+ *
+ * A note that passed `check` but not `filter` is looked at again: still
+ * passing, it was already as asked (unchanged); otherwise it changed
+ * meanwhile and fails with the reason `check` now gives.
+ */
+const bulkUpdateNotes = async (userId, ids, action, params) => {
+  const { check, filter, update, unchanged } = ACTIONS[action];
+  const readNotes = async (noteIds) => {
+    const notes = await Note.find({ _id: { $in: noteIds }, user: userId }) // ownership enforced here
+      .select("tags deletedAt")
+      .lean();
+    return new Map(notes.map((note) => [String(note._id), note]));
+  };
+  const verdict = (id, note) => {
+    const message = note ? check(note, params) : "Note not found";
+    return message ? { id, success: false, message } : null;
+  };
+
+  const owned = await readNotes(ids);
+  const results = ids.map(
+    (id) => verdict(id, owned.get(id)) ?? { id, success: true },
+  );
+
+  const eligible = results.filter((r) => r.success).map((r) => r.id);
+  if (eligible.length === 0) return results;
+  await Note.updateMany(
+    { _id: { $in: eligible }, user: userId, ...filter(params) },
+    { ...update(params), changeSeq: params.changeSeq },
+    { timestamps: false },
+  );
+
+  // Every note written carries this write's changeSeq, and no other does.
+  const written = new Set(
+    (
+      await Note.find({
+        _id: { $in: eligible },
+        user: userId,
+        changeSeq: params.changeSeq,
+      })
+        .select("_id")
+        .lean()
+    ).map((note) => String(note._id)),
+  );
+  const skipped = eligible.filter((id) => !written.has(id));
+  const current = skipped.length > 0 ? await readNotes(skipped) : new Map();
+
+  return results.map((result) =>
+    !result.success || written.has(result.id)
+      ? result
+      : (verdict(result.id, current.get(result.id)) ?? {
+          id: result.id,
+          success: false,
+          unchanged: true,
+          message: unchanged,
+        }),
+  );
+};
+
+/** bulkActionSummary(action, results) → "3 of 4 notes pinned, 1 unchanged" */
+const bulkActionSummary = (action, results) => {
+  const succeeded = results.filter((r) => r.success).length;
+  const unchanged = results.filter((r) => r.unchanged).length;
+  return `${succeeded} of ${results.length} note${results.length === 1 ? "" : "s"} ${ACTIONS[action].done}${unchanged > 0 ? `, ${unchanged} unchanged` : ""}`;
+};
+
+module.exports = { bulkUpdateNotes, bulkActionSummary };
@@ -0,0 +1,60 @@
+"use strict";
+
+const crypto = require("crypto");
+const EmailToken = require("../models/EmailToken");
+const { emailTokenTtlMs } = require("../config/session");
+
+// Same format as password reset tokens: 43 base64url characters.
+const TOKEN_BYTES = 32;
+const TOKEN_REGEX = /^[A-Za-z0-9_-]{43}$/;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const isEmailToken = (token) =>
+  typeof token === "string" && TOKEN_REGEX.test(token);
+
+/** discardEmailTokens(userId, purpose) — cancels every unused link. */
+const discardEmailTokens = (userId, purpose) =>
+  EmailToken.deleteMany({ user: userId, purpose, usedAt: null });
+
+/**
+ * createEmailToken(userId, purpose, email) → raw token
+ * Replaces the user's unused tokens for the same purpose, so only the most
+ * recently emailed link works.
+ */
+const createEmailToken = async (userId, purpose, email) => {
+  await discardEmailTokens(userId, purpose);
+
+  const token = crypto.randomBytes(TOKEN_BYTES).toString("base64url");
+  await EmailToken.create({
+    user: userId,
+    purpose,
+    email,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + emailTokenTtlMs),
+  });
+  return token;
+};
+
+/**
+ * redeemEmailToken(token, purpose) → EmailToken | null
+ * Marks a live token as used and returns it, in one conditional update, as
+ * for password reset tokens. Null when unknown, expired or already used.
+ */
+const redeemEmailToken = async (token, purpose) => {
+  if (!isEmailToken(token)) return null;
+  const now = new Date();
+  return EmailToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: now },
+    },
+    { usedAt: now },
+    { returnDocument: "after" },
+  );
+};
+
+module.exports = { createEmailToken, redeemEmailToken, discardEmailTokens };
@@ -0,0 +1,90 @@
+"use strict";
+
+const LoginThrottle = require("../models/LoginThrottle");
+const {
+  backoffAfter,
+  backoffMaxMs,
+  lockoutThreshold,
+  lockoutMs,
+  failureWindowMs,
+} = require("../config/lockout");
+
+const normalize = (email) => email.toLowerCase().trim();
+
+/**
+ * delayFor(failures) → ms until the next attempt is checked
+ * Nothing for the first few failures, then 1 s, 2 s, 4 s … up to the
+ * maximum, and the full lockout from the threshold on.
+ */
+const delayFor = (failures) => {
+  if (failures >= lockoutThreshold) return lockoutMs;
+  if (failures < backoffAfter) return 0;
+  return Math.min(1000 * 2 ** (failures - backoffAfter), backoffMaxMs);
+};
+
+/**
+ * loginRetryAfter(email) → ms the caller has to wait, 0 when an attempt
+ * may be checked now.
+ */
+const loginRetryAfter = async (email) => {
+  const throttle = await LoginThrottle.findOne({ email: normalize(email) });
+  const waitMs = throttle?.blockedUntil
+    ? throttle.blockedUntil.getTime() - Date.now()
+    : 0;
+  return Math.max(0, waitMs);
+};
+
+/**
+ * recordLoginFailure(email) → { failures, locked }
+ * Counts a failed attempt and blocks the address for the delay it earns.
+ * `locked` is true only for the failure that reaches the lockout threshold.
+ * Each failure after it, once a lockout has run out, locks the address
+ * again without being reported, so the owner hears of it once per failure
+ * window however often someone keeps trying.
+ */
+const recordLoginFailure = async (email) => {
+  const now = Date.now();
+  const { failures } = await LoginThrottle.findOneAndUpdate(
+    { email: normalize(email) },
+    {
+      $inc: { failures: 1 },
+      $set: {
+        lastFailedAt: new Date(now),
+        expiresAt: new Date(now + failureWindowMs),
+      },
+    },
+    { upsert: true, returnDocument: "after" },
+  );
+
+  const delayMs = delayFor(failures);
+  if (delayMs > 0) {
+    await LoginThrottle.updateOne(
+      { email: normalize(email) },
+      { blockedUntil: new Date(now + delayMs) },
+    );
+  }
+  return { failures, locked: failures === lockoutThreshold };
+};
+
+/** clearLoginFailures(email) — after a successful login, reset or unlock. */
+const clearLoginFailures = (email) =>
+  LoginThrottle.deleteOne({ email: normalize(email) });
+
+/**
+ * listLockouts() → LoginThrottle[]
+ * Addresses currently locked out (not merely delayed), latest first.
+ */
+const listLockouts = () =>
+  LoginThrottle.find({
+    failures: { $gte: lockoutThreshold },
+    blockedUntil: { $gt: new Date() },
+  })
+    .sort({ lastFailedAt: -1 })
+    .lean();
+
+module.exports = {
+  loginRetryAfter,
+  recordLoginFailure,
+  clearLoginFailures,
+  listLockouts,
+};
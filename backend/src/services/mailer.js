@@ -0,0 +1,84 @@
+"use strict";
+
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+const mailConfig = require("../config/mail");
+
+// ── Transports ────────────────────────────────────────────────────────────────
+// A transport is any object with send({ from, to, subject, text, html }) →
+// Promise. The built-in ones are chosen by MAIL_TRANSPORT (config/mail.js);
+// setMailTransport() plugs in another, e.g. an email provider's SDK.
+
+/** console — prints the message to stdout; for local development. */
+const consoleTransport = {
+  async send({ to, subject, text }) {
+    console.log(
+      `[MAIL] To: ${to}\n[MAIL] Subject: ${subject}\n${text.replace(/^/gm, "[MAIL] ")}`,
+    );
+  },
+};
+
+/**
+ * file — writes the message to MAIL_DIR as an .eml file, which any mail
+ * client can open. Useful for offline testing of the full message.
+ */
+const fileTransport = () => {
+  const composer = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+    newline: "unix",
+  });
+  return {
+    async send(message) {
+      const { message: raw } = await composer.sendMail(message);
+      await fs.mkdir(mailConfig.mailDir, { recursive: true });
+      const name = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.eml`;
+      await fs.writeFile(path.join(mailConfig.mailDir, name), raw);
+    },
+  };
+};
+
+/** smtp — delivers through the SMTP server in SMTP_URL. */
+const smtpTransport = () => {
+  const client = nodemailer.createTransport(mailConfig.smtpUrl);
+  return {
+    send: (message) => client.sendMail(message),
+  };
+};
+
+const createTransport = (name) => {
+  switch (name) {
+    case "file":
+      return fileTransport();
+    case "smtp":
+      return smtpTransport();
+    default:
+      return consoleTransport;
+  }
+};
+
+let transport = createTransport(mailConfig.transport);
+
+if (process.env.NODE_ENV === "production" && mailConfig.transport !== "smtp") {
+  console.warn(
+    `[MAIL] MAIL_TRANSPORT is "${mailConfig.transport}" — emails are not delivered.`,
+  );
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/** setMailTransport(transport) — replaces the configured transport. */
+const setMailTransport = (next) => {
+  transport = next;
+};
+
+/**
+ * sendMail({ to, subject, text, html }) → Promise
+ * Sends one message from MAIL_FROM through the current transport.
+ */
+const sendMail = (message) =>
+  transport.send({ from: mailConfig.from, ...message });
+
+module.exports = { sendMail, setMailTransport };
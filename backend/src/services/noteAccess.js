@@ -0,0 +1,92 @@
+"use strict";
+
+const Note = require("../models/Note");
+
+/**
+ * Note authorization layer.
+ *
+ * A note is reachable by its owner (`user`) and by the users listed in its
+ * `collaborators`, each with a role:
+ *
+ *  - viewer — read the note and its revision history
+ *  - editor — viewer rights, plus edit title / content / tags and restore
+ *             revisions
+ *
+ * Everything else — trash, moving between notebooks, share links, managing
+ * collaborators — stays with the owner. Collaborators only ever reach live
+ * notes: once a note is in the trash, it is the owner's alone.
+ *
+ * Access is always expressed as a query filter and merged into the same
+ * query that reads or writes the note, so the check and the operation are a
+ * single atomic step. A note the caller cannot reach at all simply does not
+ * match, and the caller gets the same 404 as for a note that does not exist.
+ */
+
+/** Collaborator roles granted each access level; the owner has them all. */
+const LEVEL_ROLES = {
+  read: ["viewer", "editor"],
+  write: ["editor"],
+  owner: [],
+};
+
+/**
+ * accessFilter(userId, level) → MongoDB condition matching the notes the
+ * user may access at `level` ("read" | "write" | "owner").
+ */
+const accessFilter = (userId, level) => {
+  const roles = LEVEL_ROLES[level];
+  if (!roles) throw new Error(`Unknown note access level: ${level}`);
+  if (roles.length === 0) return { user: userId };
+
+  return {
+    $or: [
+      { user: userId },
+      {
+        collaborators: {
+          $elemMatch: { user: userId, role: { $in: roles } },
+        },
+        deletedAt: null,
+      },
+    ],
+  };
+};
+
+/**
+ * noteFilter(req, level, extra) → filter for the note in req.params.id,
+ * restricted to what req.user may access at `level`.
+ */
+const noteFilter = (req, level, extra = {}) => ({
+  _id: req.params.id,
+  ...accessFilter(req.user._id, level),
+  ...extra,
+});
+
+/** roleOf(note, userId) → "owner" | "editor" | "viewer" | null */
+const roleOf = (note, userId) => {
+  const id = String(userId);
+  if (String(note.user?._id ?? note.user) === id) return "owner";
+  const grant = note.collaborators?.find(
+    (c) => String(c.user?._id ?? c.user) === id,
+  );
+  return grant ? grant.role : null;
+};
+
+/**
+ * denyAccess(req, res, extra) → sends the response for a note operation
+ * whose access-filtered query matched nothing.
+ *
+ * A caller who can at least read the note gets 403 — they already know it
+ * exists. Anyone else gets 404, indistinguishable from a missing note.
+ */
+const denyAccess = async (req, res, extra = {}) => {
+  const readable = await Note.exists(noteFilter(req, "read", extra));
+  if (readable) {
+    return res.status(403).json({
+      success: false,
+      message: "You do not have permission to do this with this note",
+    });
+  }
+  return res.status(404).json({ success: false, message: "Note not found" });
+};
+
+module.exports = { accessFilter, noteFilter, roleOf, denyAccess };
@@ -0,0 +1,200 @@
+"use strict";
+
+const { isValidObjectId } = require("mongoose");
+const Note = require("../models/Note");
+const NoteTombstone = require("../models/NoteTombstone");
+const User = require("../models/User");
+const { changeRetentionDays } = require("../config/changeFeed");
+const { encodeCursor, decodeCursor } = require("../utils/cursor");
+
+/**
+ * The per-user change sequence behind GET /api/notes/changes.
+ *
+ * Every write to a note stamps it with the next number of its owner's
+ * sequence (Note.changeSeq); a permanent deletion leaves a NoteTombstone
+ * with its number instead. A client that remembers where it got to asks
+ * for everything after that.
+ *
+ * That only works if numbers become visible in the order they are handed
+ * out: a reader must never see number 8 while the write that took 7 is
+ * still under way, or it would move past 7 for good. So one user's writes
+ * run one after another, and reads of the feed wait their turn in the same
+ * queue. The queue lives in this process — like the event bus
+ * (services/noteEvents.js), running several API instances needs a shared
+ * lock in its place.
+ *
+ * Bulk writes stamp all their notes with one number; the note id orders
+ * them within it, so a position in the feed is (changeSeq, id).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const queues = new Map(); // user id → the user's last queued task, settled
+
+/** Runs `task` once every task queued before it for `userId` has settled. */
+const enqueue = (userId, task) => {
+  const key = String(userId);
+  const result = (queues.get(key) ?? Promise.resolve()).then(task);
+  const settled = result.then(
+    () => {},
+    () => {},
+  );
+  queues.set(key, settled);
+  settled.then(() => {
+    if (queues.get(key) === settled) queues.delete(key);
+  });
+  return result;
+};
+
+/**
+ * withChangeSeq(userId, write) → Promise of what `write` returns
+ *
+ * Takes the next number of the user's sequence and calls
+ * `write(changeSeq)` with it, in turn with the user's other writes.
+ * `userId` is the owner of the notes written, whoever asked for the write.
+ * A write that ends up changing nothing simply leaves a gap.
+ */
+const withChangeSeq = (userId, write) =>
+  enqueue(userId, async () => {
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $inc: { changeSeq: 1 } },
+      { returnDocument: "after", timestamps: false },
+    )
+      .select("+changeSeq")
+      .lean();
+    // A deleted account's notes are on their way out — any number will do.
+    return write(user?.changeSeq ?? 0);
+  });
+
+/**
+ * recordDeletions(userId, noteIds, changeSeq) — leaves tombstones for notes
+ * the user has just lost for good. Call it inside withChangeSeq.
+ */
+const recordDeletions = (userId, noteIds, changeSeq) => {
+  const expiresAt = new Date(Date.now() + changeRetentionDays * DAY_MS);
+  return NoteTombstone.insertMany(
+    noteIds.map((note) => ({ note, user: userId, changeSeq, expiresAt })),
+  );
+};
+
+// ── Reading ───────────────────────────────────────────────────────────────────
+
+/**
+ * Cursor fields: s — changeSeq of the last change sent, i — its note id
+ * (absent before the first change), b and t — the changeSeq and the time
+ * (ms) at which the client was last fully up to date. Paging through a
+ * backlog keeps b and t; the last page moves them up. A client that has not
+ * caught up within the tombstone retention may have missed a deletion.
+ */
+
+/**
+ * parseChangeCursor(cursor) → { seq, id, base, issuedAt, expired } | null
+ * null when `cursor` is not one this API handed out.
+ */
+const parseChangeCursor = (cursor) => {
+  const data = decodeCursor(cursor);
+  if (
+    !data ||
+    !Number.isSafeInteger(data.s) ||
+    data.s < 0 ||
+    !(data.i === undefined || isValidObjectId(data.i)) ||
+    !Number.isSafeInteger(data.b) ||
+    data.b < -1 ||
+    !Number.isSafeInteger(data.t)
+  ) {
+    return null;
+  }
+  return {
+    seq: data.s,
+    id: data.i ?? null,
+    base: data.b,
+    issuedAt: data.t,
+    expired: data.t < Date.now() - changeRetentionDays * DAY_MS,
+  };
+};
+
+/** Condition for the documents after `position`, ids in `idField`. */
+const after = ({ seq, id }, idField) =>
+  id
+    ? {
+        $or: [
+          { changeSeq: { $gt: seq } },
+          { changeSeq: seq, [idField]: { $gt: id } },
+        ],
+      }
+    : { changeSeq: { $gt: seq } };
+
+const byPosition = (a, b) =>
+  a.seq - b.seq || (String(a.id) < String(b.id) ? -1 : 1);
+
+/**
+ * readChanges(userId, position, limit) → { changes, cursor, hasMore }
+ *
+ * Up to `limit` changes to the user's notes after `position` (a parsed
+ * cursor, or null to start from the beginning), oldest first:
+ *   { seq, type: "created" | "updated", note }
+ *   { seq, type: "deleted", id }
+ * A note is listed once, as it is now: a trashed note reads as deleted,
+ * and a note created since the client was last up to date as created,
+ * even if edited since.
+ */
+const readChanges = (userId, position, limit) =>
+  enqueue(userId, async () => {
+    if (!position) {
+      // Notes written before the sequence existed carry no number yet.
+      await Note.updateMany(
+        { user: userId, changeSeq: { $exists: false } },
+        { changeSeq: 0, createdSeq: 0 },
+        { timestamps: false },
+      );
+    }
+    const from = position ?? {
+      seq: -1,
+      id: null,
+      base: -1,
+      issuedAt: Date.now(),
+    };
+
+    const [notes, tombstones] = await Promise.all([
+      Note.find({ user: userId, ...after(from, "_id") })
+        .sort({ changeSeq: 1, _id: 1 })
+        .limit(limit + 1),
+      NoteTombstone.find({ user: userId, ...after(from, "note") })
+        .sort({ changeSeq: 1, note: 1 })
+        .limit(limit + 1)
+        .lean(),
+    ]);
+
+    const entries = [
+      ...notes.map((note) => ({ seq: note.changeSeq, id: note._id, note })),
+      ...tombstones.map((t) => ({ seq: t.changeSeq, id: t.note })),
+    ].sort(byPosition);
+    const hasMore = entries.length > limit;
+    const page = entries.slice(0, limit);
+
+    const changes = page.map(({ seq, id, note }) => {
+      if (!note || note.deletedAt) {
+        return { seq, type: "deleted", id: String(id) };
+      }
+      const type = note.createdSeq > from.base ? "created" : "updated";
+      return { seq, type, note };
+    });
+
+    const last = page.at(-1);
+    const seq = last ? last.seq : Math.max(from.seq, 0);
+    const cursor = encodeCursor({
+      s: seq,
+      ...(last ? { i: String(last.id) } : from.id && { i: String(from.id) }),
+      b: hasMore ? from.base : seq,
+      t: hasMore ? from.issuedAt : Date.now(),
+    });
+    return { changes, cursor, hasMore };
+  });
+
+module.exports = {
+  withChangeSeq,
+  recordDeletions,
+  parseChangeCursor,
+  readChanges,
+};
@@ -0,0 +1,84 @@
+"use strict";
+
+const { EventEmitter } = require("events");
+const Note = require("../models/Note");
+
+/**
+ * In-process event bus behind GET /api/notes/events.
+ *
+ * Controllers publish a change once it is written; every open stream of
+ * everyone with access to the note — its owner and its collaborators —
+ * receives it:
+ *   { type: "created" | "updated", note }
+ *   { type: "deleted", id }
+ * "created" also covers a note coming back from the trash or newly shared
+ * with someone, and "deleted" a note going into the trash or out of
+ * someone's reach. Events are not stored — a client that was offline
+ * reloads instead of replaying them.
+ *
+ * The bus lives in one process. Running several API instances needs a
+ * shared channel (e.g. Redis pub/sub) in its place.
+ */
+
+const MAX_STREAMS_PER_USER = 10; // open tabs and devices
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per open stream
+
+const channel = (userId) => `user:${userId}`;
+
+/** Everyone with access to `note`: its owner, then its collaborators. */
+const audienceOf = (note) => [
+  note.user,
+  ...(note.collaborators ?? []).map((grant) => grant.user),
+];
+
+/**
+ * publishNoteEvent(note, event, audience) — `note` is the note as written;
+ * `audience` defaults to everyone with access to it.
+ */
+const publishNoteEvent = (note, event, audience = audienceOf(note)) => {
+  for (const userId of audience) {
+    bus.emit(channel(userId?._id ?? userId), event);
+  }
+};
+
+/** publishNoteEvents(type, notes) — the same event for many notes. */
+const publishNoteEvents = (type, notes) => {
+  for (const note of notes) {
+    publishNoteEvent(
+      note,
+      type === "deleted" ? { type, id: String(note._id) } : { type, note },
+    );
+  }
+};
+
+/**
+ * publishWrittenNotes(userId, changeSeq) — "updated" for every note of
+ * `userId` that the write numbered `changeSeq` changed, for writes that
+ * reach many notes at once (see services/noteChanges.js). Call it inside
+ * withChangeSeq, so events go out in sequence order.
+ */
+const publishWrittenNotes = async (userId, changeSeq) => {
+  publishNoteEvents("updated", await Note.find({ user: userId, changeSeq }));
+};
+
+/**
+ * subscribeNoteEvents(userId, listener) → unsubscribe function, or null
+ * when the user already has MAX_STREAMS_PER_USER streams open.
+ */
+const subscribeNoteEvents = (userId, listener) => {
+  const name = channel(userId);
+  if (bus.listenerCount(name) >= MAX_STREAMS_PER_USER) return null;
+  bus.on(name, listener);
+  return () => bus.off(name, listener);
+};
+
+module.exports = {
+  MAX_STREAMS_PER_USER,
+  audienceOf,
+  publishNoteEvent,
+  publishNoteEvents,
+  publishWrittenNotes,
+  subscribeNoteEvents,
+};
@@ -0,0 +1,208 @@
+"use strict";
+
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const archiver = require("archiver");
+const Note = require("../models/Note");
+const Notebook = require("../models/Notebook");
+const {
+  NOTES_EXPORT_FORMAT,
+  NOTES_EXPORT_VERSION,
+  toMarkdown,
+  toNoteExportJSON,
+  safeFileName,
+  createFileNamer,
+} = require("../utils/noteExport");
+const { notebookPaths } = require("../utils/notebooks");
+const { TITLE_COLLATION } = require("../utils/noteList");
+
+const NOTE_EXPORT_FORMATS = ["json", "markdown", "zip"];
+const EXTENSIONS = { json: "json", markdown: "md", zip: "zip" };
+
+/** noteExportExtension(format) → file extension for a notes export */
+const noteExportExtension = (format) => EXTENSIONS[format];
+
+/**
+ * A JSON array written as a stream, one document per line, so large
+ * collections never have to be held in memory.
+ */
+const jsonArrayStream = (cursor, map = (doc) => doc) =>
+  Readable.from(
+    (async function* () {
+      let first = true;
+      for await (const doc of cursor) {
+        yield `${first ? "[\n" : ",\n"}  ${JSON.stringify(map(doc))}`;
+        first = false;
+      }
+      yield first ? "[]\n" : "\n]\n";
+    })(),
+  );
+
+/**
+ * zipArchive(output) → { append(source, data), finish() }
+ *
+ * A zip streamed to `output`. append() queues an entry and resolves once
+ * archiver has written it, along with every entry queued before: true,
+ * or false when the archive failed or the download was closed first.
+ * Awaiting each entry before making the next keeps one in memory at a
+ * time and lets the download set the pace. finish() writes the end of the
+ * archive and resolves once `output` is closed.
+ */
+const zipArchive = (output) => {
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  const done = new Promise((resolve, reject) => {
+    archive.on("error", reject);
+    output.on("close", resolve);
+    output.on("error", reject);
+  });
+  done.catch(() => {}); // reported by finish()
+
+  let queued = 0;
+  let written = 0;
+  let stopped = false;
+  const waiting = new Set(); // { count, resolve } — entries awaited
+  const settle = () => {
+    for (const entry of waiting) {
+      if (stopped || written >= entry.count) {
+        waiting.delete(entry);
+        entry.resolve(!stopped);
+      }
+    }
+  };
+  const stop = () => {
+    stopped = true;
+    settle();
+  };
+  archive.on("entry", () => {
+    written += 1;
+    settle();
+  });
+  archive.on("error", stop);
+  output.on("error", stop);
+  output.on("close", () => {
+    archive.abort(); // no-op once finalized
+    stop();
+  });
+  archive.pipe(output);
+
+  return {
+    append: (source, data) => {
+      archive.append(source, data);
+      const count = ++queued;
+      return new Promise((resolve) => {
+        waiting.add({ count, resolve });
+        settle();
+      });
+    },
+    finish: async () => {
+      if (!stopped) await archive.finalize();
+      return done;
+    },
+  };
+};
+
+const noteCursor = (filter, { field, order }) => {
+  const query = Note.find(filter)
+    .select("title content tags notebook createdAt updatedAt")
+    .sort({ [field]: order, _id: order });
+  if (field === "title") query.collation(TITLE_COLLATION);
+  return query.lean().cursor();
+};
+
+const pathOf = (paths, note) =>
+  note.notebook ? (paths.get(String(note.notebook)) ?? null) : null;
+
+/**
+ * The JSON export, as documented in the README:
+ *   { format: "notevault-notes", version: 1, exportedAt,
+ *     notes: [{ title, content, tags, notebook, createdAt, updatedAt }] }
+ * `notebook` is the path of notebook names from the top level, or null.
+ */
+const jsonExportStream = (filter, sort, paths) =>
+  Readable.from(
+    (async function* () {
+      const header = JSON.stringify(
+        {
+          format: NOTES_EXPORT_FORMAT,
+          version: NOTES_EXPORT_VERSION,
+          exportedAt: new Date(),
+        },
+        null,
+        2,
+      );
+      // Reopen the object after its last field to stream the notes in.
+      yield `${header.slice(0, -2)},\n  "notes": `;
+      yield* jsonArrayStream(noteCursor(filter, sort), (note) =>
+        toNoteExportJSON(note, pathOf(paths, note)),
+      );
+      yield "}\n";
+    })(),
+  );
+
+/** Every note as Markdown in one file, each under its own front matter. */
+const markdownExportStream = (filter, sort, paths) =>
+  Readable.from(
+    (async function* () {
+      let first = true;
+      for await (const note of noteCursor(filter, sort)) {
+        yield `${first ? "" : "\n"}${toMarkdown(note, { notebook: pathOf(paths, note) })}`;
+        first = false;
+      }
+    })(),
+  );
+
+/**
+ * The zip export: notes.json (the JSON export) plus one Markdown file per
+ * note, in folders named after its notebook path. Unfiled notes sit at the
+ * top level. Notes are read one at a time, as the archive takes them.
+ */
+const writeZipExport = async (filter, sort, paths, output) => {
+  const zip = zipArchive(output);
+  zip.append(jsonExportStream(filter, sort, paths), { name: "notes.json" });
+
+  const namers = new Map(); // one per folder, keyed case-insensitively
+  for await (const note of noteCursor(filter, sort)) {
+    const path = pathOf(paths, note);
+    const folder = path ? `${path.map(safeFileName).join("/")}/` : "";
+    const key = folder.toLowerCase();
+    if (!namers.has(key)) namers.set(key, createFileNamer());
+    const written = await zip.append(toMarkdown(note, { notebook: path }), {
+      name: `${folder}${namers.get(key)(note.title, "md")}`,
+      date: note.updatedAt,
+    });
+    if (!written) break;
+  }
+
+  return zip.finish();
+};
+
+/**
+ * writeNotesExport(format, { userId, filter, sort }, output) → Promise,
+ * resolved once the export has been written
+ *
+ * Streams the notes `filter` selects, in `sort` order ({ field, order: 1 |
+ * -1 }, as services/notePages.js takes it), to
+ * `output` as one of NOTE_EXPORT_FORMATS: "json" (see jsonExportStream),
+ * "markdown" (one .md file) or "zip" (see writeZipExport).
+ */
+const writeNotesExport = async (format, { userId, filter, sort }, output) => {
+  const notebooks = await Notebook.find({ user: userId })
+    .select("name parent")
+    .lean();
+  const paths = notebookPaths(notebooks);
+
+  if (format === "zip") return writeZipExport(filter, sort, paths, output);
+  const stream =
+    format === "markdown"
+      ? markdownExportStream(filter, sort, paths)
+      : jsonExportStream(filter, sort, paths);
+  return pipeline(stream, output);
+};
+
+module.exports = {
+  NOTE_EXPORT_FORMATS,
+  noteExportExtension,
+  jsonArrayStream,
+  zipArchive,
+  writeNotesExport,
+};
@@ -0,0 +1,273 @@
+"use strict";
+
+const path = require("path");
+const { text } = require("stream/consumers");
+const yauzl = require("yauzl");
+const Note = require("../models/Note");
+const Notebook = require("../models/Notebook");
+const { createNoteErrors } = require("../middlewares/validate");
+const { readEnex } = require("../utils/enex");
+const {
+  MAX_UNZIPPED_SIZE,
+  importFileType,
+  readMarkdownFile,
+  readNotesJSON,
+} = require("../utils/noteImport");
+const {
+  MAX_NOTEBOOK_NAME_LENGTH,
+  MAX_NOTEBOOK_DEPTH,
+  MAX_NOTEBOOKS,
+  depthOf,
+} = require("../utils/notebooks");
+
+// ── Reading uploads ───────────────────────────────────────────────────────────
+
+/** Items of one plain (not zipped) file. `folder` applies to Markdown only. */
+const readFile = (type, contents, { name, source, folder }) => {
+  if (type === "markdown") {
+    return readMarkdownFile(contents, { fileName: name, source, folder });
+  }
+  if (type === "json") return readNotesJSON(contents, source);
+  return readEnex(contents, source);
+};
+
+// Folder litter from macOS and other tools, never notes.
+const isJunk = (fileName) =>
+  fileName.startsWith("__MACOSX/") ||
+  path.posix.basename(fileName).startsWith(".");
+
+/**
+ * The supported files in a zip → { files: [{ name, type, contents }] }, or
+ * { error } when they would take the request past MAX_UNZIPPED_SIZE.
+ * `budget.used` counts what the request's earlier zips unpacked; a zip
+ * that is read adds its size.
+ */
+const unzip = async (buffer, budget) => {
+  const zip = await yauzl.fromBufferPromise(buffer);
+  const files = [];
+  let size = 0;
+  for await (const entry of zip.eachEntry()) {
+    const type = importFileType(entry.fileName);
+    // Directories, attachments and nested archives are skipped.
+    if (!type || type === "zip" || isJunk(entry.fileName)) continue;
+
+    // Sizes come from the archive; yauzl checks them while inflating.
+    size += entry.uncompressedSize;
+    if (budget.used + size > MAX_UNZIPPED_SIZE) {
+      zip.close();
+      return {
+        error: `Unzipped, the archives of one import exceed ${MAX_UNZIPPED_SIZE / (1024 * 1024)} MB`,
+      };
+    }
+    const stream = await zip.openReadStreamPromise(entry);
+    files.push({ name: entry.fileName, type, contents: await text(stream) });
+  }
+  budget.used += size;
+  return { files };
+};
+
+/**
+ * Items of a zip. An archive from GET /api/notes/export?format=zip is read
+ * from its notes.json alone, as its Markdown files hold the same notes.
+ * Otherwise every file counts, and Markdown files go into notebooks named
+ * after their folders.
+ */
+const readZip = async (buffer, zipName, budget) => {
+  let unzipped;
+  try {
+    unzipped = await unzip(buffer, budget);
+  } catch {
+    unzipped = { error: "Not a valid zip archive" };
+  }
+  const { files, error } = unzipped;
+  if (error) return [{ source: zipName, error }];
+
+  const manifest = files.find((file) => file.name === "notes.json");
+  if (manifest) {
+    const items = readNotesJSON(manifest.contents, `${zipName}/notes.json`);
+    if (!items.some((item) => item.error)) return items;
+  }
+
+  return files.flatMap(({ name, type, contents }) => {
+    const folder = path.posix.dirname(name).split("/").filter(Boolean);
+    return readFile(type, contents, {
+      name: path.posix.basename(name),
+      source: `${zipName}/${name}`,
+      folder: folder[0] === "." ? undefined : folder,
+    });
+  });
+};
+
+/**
+ * readImportFiles(files) → Promise<items>
+ * Turns uploaded files ({ originalname, buffer }, as multer provides them)
+ * into import items — see utils/noteImport.js — in upload order.
+ */
+const readImportFiles = async (files) => {
+  const items = [];
+  const budget = { used: 0 }; // bytes unzipped so far, across zips
+  for (const { originalname: name, buffer } of files) {
+    const type = importFileType(name);
+    if (!type) {
+      items.push({
+        source: name,
+        error: "Unsupported file type — use .md, .txt, .json, .enex or .zip",
+      });
+    } else if (type === "zip") {
+      items.push(...(await readZip(buffer, name, budget)));
+    } else {
+      items.push(
+        ...readFile(type, buffer.toString("utf8"), { name, source: name }),
+      );
+    }
+  }
+  return items;
+};
+
+// ── Importing ─────────────────────────────────────────────────────────────────
+
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * A notebook path below `base` → { id } of its last notebook, creating the
+ * missing ones, or { error }. `tree` is the user's notebook list and gains
+ * every notebook created, so later notes find them.
+ */
+const resolveNotebook = async (userId, tree, base, names) => {
+  if (names == null || (Array.isArray(names) && names.length === 0)) {
+    return { id: base };
+  }
+  if (!Array.isArray(names) || !names.every((n) => typeof n === "string")) {
+    return { error: "Notebook must be a list of notebook names" };
+  }
+  const trimmed = names.map((name) => name.trim());
+  if (
+    trimmed.some((n) => n.length < 1 || n.length > MAX_NOTEBOOK_NAME_LENGTH)
+  ) {
+    return {
+      error: `Notebook names must be 1-${MAX_NOTEBOOK_NAME_LENGTH} characters`,
+    };
+  }
+  if (depthOf(tree, base) + trimmed.length > MAX_NOTEBOOK_DEPTH) {
+    return {
+      error: `Notebooks can be nested at most ${MAX_NOTEBOOK_DEPTH} levels deep`,
+    };
+  }
+
+  let parent = base;
+  for (const name of trimmed) {
+    let notebook = tree.find(
+      (nb) => String(nb.parent) === String(parent) && sameName(nb.name, name),
+    );
+    if (!notebook) {
+      if (tree.length >= MAX_NOTEBOOKS) {
+        return { error: `You can have at most ${MAX_NOTEBOOKS} notebooks` };
+      }
+      // An upsert, so a notebook created meanwhile is reused, not duplicated.
+      notebook = await Notebook.findOneAndUpdate(
+        { user: userId, parent, name },
+        { $setOnInsert: { user: userId, parent, name } },
+        {
+          upsert: true,
+          returnDocument: "after",
+          collation: { locale: "en", strength: 2 },
+        },
+      ).lean();
+      tree.push(notebook);
+    }
+    parent = notebook._id;
+  }
+  return { id: parent };
+};
+
+/** Dates from a file, kept only where they make sense. */
+const timestamps = (item, now) => {
+  const createdAt =
+    item.createdAt && item.createdAt < now ? item.createdAt : now;
+  const updatedAt =
+    item.updatedAt && item.updatedAt >= createdAt && item.updatedAt < now
+      ? item.updatedAt
+      : createdAt;
+  return { createdAt, updatedAt };
+};
+
+/**
+ * importNotes(userId, items, { notebook, changeSeq }) → Promise<results>
+ *
+ * Creates a note for every item that passes validateCreateNote's rules, in
+ * the notebook its path names below `notebook` (the top level when null),
+ * or in `notebook` itself. Missing notebooks are created. Notes keep the
+ * dates their file gives them, and all carry `changeSeq` as their change
+ * sequence number (services/noteChanges.js).
+ *
+ * Results follow the items' order:
+ *   { source, title, success: true, id }
+ *   { source, title, success: false, message, errors? }
+ * `errors` lists broken note rules as validateCreateNote reports them.
+ */
+const importNotes = async (
+  userId,
+  items,
+  { notebook = null, changeSeq = 0 } = {},
+) => {
+  const tree = await Notebook.find({ user: userId })
+    .select("name parent")
+    .lean();
+  const now = new Date();
+  const results = [];
+  const created = []; // [result, note fields]
+
+  for (const item of items) {
+    const result = {
+      source: item.source,
+      title: typeof item.title === "string" ? item.title.trim() : null,
+    };
+    results.push(result);
+    if (item.error) {
+      Object.assign(result, { success: false, message: item.error });
+      continue;
+    }
+
+    const fields = { title: item.title, content: item.content };
+    if (item.tags !== undefined) fields.tags = item.tags;
+    const errors = createNoteErrors(fields);
+    if (errors.length > 0) {
+      Object.assign(result, {
+        success: false,
+        message: errors.map((e) => e.message).join(". "),
+        errors,
+      });
+      continue;
+    }
+
+    const target = await resolveNotebook(userId, tree, notebook, item.notebook);
+    if (target.error) {
+      Object.assign(result, { success: false, message: target.error });
+      continue;
+    }
+
+    created.push([
+      result,
+      {
+        ...fields, // tags normalised by the schema setter
+        notebook: target.id,
+        user: userId,
+        changeSeq,
+        createdSeq: changeSeq,
+        ...timestamps(item, now),
+      },
+    ]);
+  }
+
+  // One write for all notes; timestamps are set above, not by Mongoose.
+  const notes = await Note.insertMany(
+    created.map(([, fields]) => fields),
+    { timestamps: false },
+  );
+  notes.forEach((note, i) =>
+    Object.assign(created[i][0], { success: true, id: note._id }),
+  );
+  return results;
+};
+
+module.exports = { readImportFiles, importNotes };
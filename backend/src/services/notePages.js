@@ -0,0 +1,141 @@
+"use strict";
+
+const { isValidObjectId } = require("mongoose");
+const Note = require("../models/Note");
+const { encodeCursor, decodeCursor } = require("../utils/cursor");
+const { TITLE_COLLATION } = require("../utils/noteList");
+
+/**
+ * Keyset pages of the notes list (GET /api/notes?cursor=).
+ *
+ * Rather than skipping the notes of earlier pages, a page starts right
+ * after — or before — the note its cursor names, in listing order: pinned
+ * notes first, then by the sort field, with _id breaking ties. Each page is
+ * one index range scan however far the client has scrolled, and notes
+ * edited meanwhile never shift the next page.
+ *
+ * Pinned and unpinned notes are read as two runs of the list: notes from
+ * before pinning existed have no `pinned` field, which MongoDB would sort
+ * apart from false.
+ *
+ * `sort` is { field, order: 1 | -1 } with field one of NOTE_SORT_FIELDS
+ * (utils/noteList.js). A cursor only makes sense in the order it was
+ * issued for, so it records that order.
+ */
+
+const RUNS = [{ pinned: true }, { pinned: { $ne: true } }];
+
+/** The note's sort key as a cursor holds it: dates in ms. */
+const keyOf = (note, field) =>
+  field === "title" ? note.title : note[field].getTime();
+
+/**
+ * Cursor fields: d — "next" (the notes after) or "prev" (the notes
+ * before), f and o — the sort field and order, p — whether the note is
+ * pinned, k — its sort key, i — its _id.
+ */
+const cursorFor = (direction, note, { field, order }) =>
+  encodeCursor({
+    d: direction,
+    f: field,
+    o: order,
+    p: Boolean(note.pinned),
+    k: keyOf(note, field),
+    i: String(note._id),
+  });
+
+/**
+ * parseListCursor(cursor, sort) → { direction, run, key, id } | null
+ * An empty cursor asks for the first page; null means `cursor` is not one
+ * this API handed out for `sort`.
+ */
+const parseListCursor = (cursor, { field, order }) => {
+  if (cursor === "") {
+    return { direction: "next", run: 0, key: null, id: null };
+  }
+  const data = decodeCursor(cursor);
+  if (
+    !data ||
+    (data.d !== "next" && data.d !== "prev") ||
+    data.f !== field ||
+    data.o !== order ||
+    typeof data.p !== "boolean" ||
+    !(field === "title"
+      ? typeof data.k === "string"
+      : Number.isSafeInteger(data.k)) ||
+    !isValidObjectId(data.i)
+  ) {
+    return null;
+  }
+  return {
+    direction: data.d,
+    run: data.p ? 0 : 1,
+    key: field === "title" ? data.k : new Date(data.k),
+    id: data.i,
+  };
+};
+
+/** Up to `limit` notes of one run beyond `position`, nearest first. */
+const readRun = (filter, run, position, forward, limit, { field, order }) => {
+  const direction = forward ? order : -order;
+  const beyond = direction === 1 ? "$gt" : "$lt";
+  const after = position?.id
+    ? {
+        $or: [
+          { [field]: { [beyond]: position.key } },
+          { [field]: position.key, _id: { [beyond]: position.id } },
+        ],
+      }
+    : {};
+  const query = Note.find({ ...filter, ...RUNS[run], ...after })
+    .sort({ [field]: direction, _id: direction })
+    .limit(limit);
+  return field === "title" ? query.collation(TITLE_COLLATION) : query;
+};
+
+/**
+ * readNotesPage(filter, position, limit, sort) → { notes, nextCursor,
+ * prevCursor }
+ *
+ * The page of notes matching `filter` that `position` (a cursor parsed for
+ * the same `sort`) points to, in listing order. A cursor is null when there
+ * is nothing on that side.
+ */
+const readNotesPage = async (filter, position, limit, sort) => {
+  const forward = position.direction === "next";
+  const found = [];
+  // Away from the cursor, one run after the other, until the page is full
+  // and one note over shows whether there is more.
+  for (
+    let run = position.run;
+    run >= 0 && run < RUNS.length && found.length <= limit;
+    run += forward ? 1 : -1
+  ) {
+    found.push(
+      ...(await readRun(
+        filter,
+        run,
+        run === position.run ? position : null,
+        forward,
+        limit + 1 - found.length,
+        sort,
+      )),
+    );
+  }
+
+  const more = found.length > limit;
+  const notes = found.slice(0, limit);
+  if (!forward) notes.reverse();
+  // The note the cursor named is on the far side, unless this is page one.
+  const before = forward ? Boolean(position.id) : more;
+  const after = forward ? more : true;
+  return {
+    notes,
+    nextCursor:
+      after && notes.length ? cursorFor("next", notes.at(-1), sort) : null,
+    prevCursor:
+      before && notes.length ? cursorFor("prev", notes[0], sort) : null,
+  };
+};
+
+module.exports = { parseListCursor, readNotesPage };
@@ -0,0 +1,54 @@
+"use strict";
+
+const crypto = require("crypto");
+const PasswordResetToken = require("../models/PasswordResetToken");
+const { passwordResetTtlMs } = require("../config/session");
+
+// 32 random bytes → 43 base64url characters, like share and refresh tokens.
+const TOKEN_BYTES = 32;
+const TOKEN_REGEX = /^[A-Za-z0-9_-]{43}$/;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const isPasswordResetToken = (token) =>
+  typeof token === "string" && TOKEN_REGEX.test(token);
+
+/**
+ * createPasswordResetToken(userId) → raw token
+ * Replaces any unused token of the user, so only the latest email works.
+ */
+const createPasswordResetToken = async (userId) => {
+  await PasswordResetToken.deleteMany({ user: userId, usedAt: null });
+
+  const token = crypto.randomBytes(TOKEN_BYTES).toString("base64url");
+  await PasswordResetToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + passwordResetTtlMs),
+  });
+  return token;
+};
+
+/**
+ * redeemPasswordResetToken(token) → PasswordResetToken | null
+ *
+ * Marks a live token as used and returns it; null when the token is
+ * unknown, expired or already used. A single conditional update, so two
+ * concurrent requests can never both redeem the same token.
+ */
+const redeemPasswordResetToken = async (token) => {
+  if (!isPasswordResetToken(token)) return null;
+  const now = new Date();
+  return PasswordResetToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: now },
+    },
+    { usedAt: now },
+    { returnDocument: "after" },
+  );
+};
+
+module.exports = { createPasswordResetToken, redeemPasswordResetToken };
@@ -0,0 +1,100 @@
+"use strict";
+
+const crypto = require("crypto");
+const RefreshToken = require("../models/RefreshToken");
+const { refreshTokenTtlMs, reuseGraceMs } = require("../config/session");
+const { revokeSession } = require("./sessions");
+
+// 32 random bytes → 43 base64url characters, like share tokens.
+const TOKEN_BYTES = 32;
+const TOKEN_REGEX = /^[A-Za-z0-9_-]{43}$/;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const isRefreshToken = (token) =>
+  typeof token === "string" && TOKEN_REGEX.test(token);
+
+/**
+ * issueRefreshToken(userId, sessionId) → raw token
+ * Stores the hash of a fresh token for the session (login or rotation).
+ */
+const issueRefreshToken = async (userId, sessionId) => {
+  const token = crypto.randomBytes(TOKEN_BYTES).toString("base64url");
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    session: sessionId,
+    expiresAt: new Date(Date.now() + refreshTokenTtlMs),
+  });
+  return token;
+};
+
+/**
+ * consumeRefreshToken(token) → { status, record? }
+ *
+ * Retires a presented refresh token so it can be exchanged exactly once.
+ * The retirement is a single conditional update, so two concurrent requests
+ * with the same token can never both succeed.
+ *
+ *  - "ok"      — token was live; `record` is its (pre-rotation) document.
+ *                The caller issues the successor in record.session.
+ *  - "invalid" — unknown, expired or revoked
+ *  - "race"    — rotated moments ago (see reuseGraceMs); the session is kept
+ *  - "reused"  — rotated earlier and presented again: the token was copied,
+ *                so the whole session has been revoked
+ */
+const consumeRefreshToken = async (token) => {
+  if (!isRefreshToken(token)) return { status: "invalid" };
+
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  const record = await RefreshToken.findOneAndUpdate(
+    { tokenHash, rotatedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+    { rotatedAt: now },
+    { returnDocument: "before" },
+  );
+  if (record) return { status: "ok", record };
+
+  const stale = await RefreshToken.findOne({ tokenHash });
+  if (!stale || stale.revokedAt || stale.expiresAt <= now) {
+    return { status: "invalid" };
+  }
+  if (now - stale.rotatedAt < reuseGraceMs) return { status: "race" };
+
+  await revokeSession(stale.session);
+  return { status: "reused" };
+};
+
+/**
+ * reissueRefreshToken(userId, sessionId) → raw token
+ *
+ * Revokes the session's live refresh token and issues a fresh one — after
+ * a password change, which refresh would otherwise treat the older token
+ * as predating. The session itself stays signed in.
+ */
+const reissueRefreshToken = async (userId, sessionId) => {
+  await RefreshToken.updateMany(
+    { session: sessionId, revokedAt: null },
+    { revokedAt: new Date() },
+  );
+  return issueRefreshToken(userId, sessionId);
+};
+
+/**
+ * revokeRefreshToken(token) — logout: ends the session of the presented
+ * token. Unknown tokens are ignored.
+ */
+const revokeRefreshToken = async (token) => {
+  if (!isRefreshToken(token)) return;
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (record) await revokeSession(record.session);
+};
+
+module.exports = {
+  issueRefreshToken,
+  consumeRefreshToken,
+  reissueRefreshToken,
+  revokeRefreshToken,
+};
@@ -0,0 +1,65 @@
+"use strict";
+
+const Note = require("../models/Note");
+const NoteRevision = require("../models/NoteRevision");
+
+/**
+ * Number of snapshots kept per note. Older revisions are pruned as new ones
+ * are recorded so a frequently edited note cannot grow without bound.
+ * Override with NOTE_MAX_REVISIONS.
+ */
+const MAX_REVISIONS = Math.max(
+  1,
+  parseInt(process.env.NOTE_MAX_REVISIONS || "50", 10) || 50,
+);
+
+/**
+ * updateWithRevision(filter, updates) → updated note | null
+ *
+ * Applies `updates` to the note matched by `filter` and records the version
+ * it replaced as a NoteRevision. Used by every code path that overwrites a
+ * note's title, content or tags, so history is complete by construction.
+ *
+ * The update itself is a single atomic findOneAndUpdate that also bumps
+ * version and revisionCount; the pre-update document it returns is what gets
+ * snapshotted, and its counter yields a unique revision number even under
+ * concurrent writes. Returns null when the filter matches nothing (not
+ * found / not owned) — callers translate that into a 404.
+ */
+const updateWithRevision = async (filter, updates) => {
+  const before = await Note.findOneAndUpdate(
+    filter,
+    { ...updates, $inc: { version: 1, revisionCount: 1 } },
+    { returnDocument: "before", runValidators: true },
+  );
+  if (!before) return null;
+
+  const rev = before.revisionCount + 1;
+  await NoteRevision.create({
+    note: before._id,
+    user: before.user,
+    rev,
+    title: before.title,
+    content: before.content,
+    tags: before.tags,
+  });
+
+  // Prune beyond the retention window — best effort, never fails the update.
+  if (rev > MAX_REVISIONS) {
+    NoteRevision.deleteMany({
+      note: before._id,
+      rev: { $lte: rev - MAX_REVISIONS },
+    }).catch((err) => console.error("[REVISIONS] Prune failed:", err.message));
+  }
+
+  return Note.findById(before._id);
+};
+
+/**
+ * deleteRevisions(noteIds) — removes the history of permanently deleted
+ * notes. Called wherever notes are hard-deleted.
+ */
+const deleteRevisions = (noteIds) =>
+  NoteRevision.deleteMany({ note: { $in: noteIds } });
+
+module.exports = { MAX_REVISIONS, updateWithRevision, deleteRevisions };
@@ -0,0 +1,140 @@
+"use strict";
+
+const Session = require("../models/Session");
+const RefreshToken = require("../models/RefreshToken");
+const { refreshTokenTtlMs, lastSeenIntervalMs } = require("../config/session");
+const { describeDevice } = require("../utils/userAgent");
+
+const MAX_USER_AGENT = 512;
+
+/** The device details recorded for a request. */
+const clientInfo = (req) => ({
+  userAgent: (req.get("user-agent") || "").slice(0, MAX_USER_AGENT),
+  ip: req.ip || "",
+});
+
+/** createSession(userId, req) → Session — login / registration. */
+const createSession = (userId, req) =>
+  Session.create({
+    user: userId,
+    ...clientInfo(req),
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + refreshTokenTtlMs),
+  });
+
+/**
+ * renewSession(sessionId, req) → Session | null
+ *
+ * Called on token refresh: records the device details again and slides the
+ * expiry forward with the new refresh token. Null when the session has been
+ * revoked (or has expired) in the meantime.
+ */
+const renewSession = (sessionId, req) => {
+  const now = new Date();
+  return Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    {
+      ...clientInfo(req),
+      lastSeenAt: now,
+      expiresAt: new Date(now.getTime() + refreshTokenTtlMs),
+    },
+    { returnDocument: "after", timestamps: false },
+  );
+};
+
+/**
+ * findActiveSession(sessionId, userId) → Session | null
+ * The live session an access token belongs to (see protect).
+ */
+const findActiveSession = (sessionId, userId) =>
+  Session.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+/**
+ * touchSession(session, req) — records activity seen by protect, at most
+ * once per lastSeenIntervalMs.
+ */
+const touchSession = async (session, req) => {
+  const now = new Date();
+  if (now - session.lastSeenAt < lastSeenIntervalMs) return;
+  await Session.updateOne(
+    { _id: session._id },
+    { lastSeenAt: now, ip: clientInfo(req).ip },
+    { timestamps: false },
+  );
+};
+
+/** listSessions(userId) → live sessions, most recently active first. */
+const listSessions = (userId) =>
+  Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastSeenAt: -1 });
+
+/**
+ * revokeSessions(filter) → number of sessions revoked
+ *
+ * Revokes the matching live sessions and every refresh token issued to
+ * them. Access tokens die with their session on their next request.
+ */
+const revokeSessions = async (filter) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select(
+    "_id",
+  );
+  if (sessions.length === 0) return 0;
+
+  const ids = sessions.map((session) => session._id);
+  const now = new Date();
+  await Promise.all([
+    Session.updateMany(
+      { _id: { $in: ids }, revokedAt: null },
+      { revokedAt: now },
+    ),
+    RefreshToken.updateMany(
+      { session: { $in: ids }, revokedAt: null },
+      { revokedAt: now },
+    ),
+  ]);
+  return ids.length;
+};
+
+/** revokeSession(sessionId) — logout, reuse detection. */
+const revokeSession = (sessionId) => revokeSessions({ _id: sessionId });
+
+/**
+ * revokeOtherSessions(userId, keepSessionId) → count
+ * "Sign out everywhere else"; pass null to end every session of the user.
+ */
+const revokeOtherSessions = (userId, keepSessionId) =>
+  revokeSessions({
+    user: userId,
+    ...(keepSessionId && { _id: { $ne: keepSessionId } }),
+  });
+
+/** toSessionJSON(session, currentId) — response shape for the sessions list. */
+const toSessionJSON = (session, currentId) => ({
+  _id: session._id,
+  device: describeDevice(session.userAgent),
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  current: session._id.equals(currentId),
+});
+
+module.exports = {
+  createSession,
+  renewSession,
+  findActiveSession,
+  touchSession,
+  listSessions,
+  revokeSessions,
+  revokeSession,
+  revokeOtherSessions,
+  toSessionJSON,
+};
@@ -0,0 +1,47 @@
+"use strict";
+
+const crypto = require("crypto");
+const ShareLink = require("../models/ShareLink");
+
+// 32 random bytes → 43 base64url characters; unguessable by brute force.
+const TOKEN_BYTES = 32;
+const TOKEN_REGEX = /^[A-Za-z0-9_-]{43}$/;
+
+/** New raw share token — returned to the owner once, never stored. */
+const generateShareToken = () =>
+  crypto.randomBytes(TOKEN_BYTES).toString("base64url");
+
+/**
+ * hashShareToken(token) → hex digest stored in ShareLink.tokenHash.
+ * A fast hash is enough: the token itself has 256 bits of entropy, so
+ * there is nothing to slow down as there is for passwords.
+ */
+const hashShareToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const isShareToken = (token) => TOKEN_REGEX.test(token);
+
+/**
+ * activeShareFilter(now) → condition for links that still work: not revoked
+ * and not past their expiry. The TTL index removes expired links only
+ * eventually, so queries must not rely on it.
+ */
+const activeShareFilter = (now = new Date()) => ({
+  revokedAt: null,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+});
+
+/**
+ * deleteShareLinks(noteIds) — removes the share links of permanently
+ * deleted notes. Called wherever notes are hard-deleted.
+ */
+const deleteShareLinks = (noteIds) =>
+  ShareLink.deleteMany({ note: { $in: noteIds } });
+
+module.exports = {
+  generateShareToken,
+  hashShareToken,
+  isShareToken,
+  activeShareFilter,
+  deleteShareLinks,
+};
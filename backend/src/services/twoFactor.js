@@ -0,0 +1,132 @@
+"use strict";
+
+const crypto = require("crypto");
+const User = require("../models/User");
+const LoginChallenge = require("../models/LoginChallenge");
+const {
+  loginChallengeTtlMs,
+  maxChallengeAttempts,
+  recoveryCodeCount,
+} = require("../config/twoFactor");
+const { TOTP_CODE_REGEX, verifyTotp } = require("../utils/totp");
+
+// Challenge tokens look like password reset tokens: 43 base64url characters.
+const TOKEN_BYTES = 32;
+const TOKEN_REGEX = /^[A-Za-z0-9_-]{43}$/;
+
+/** Fields verifySecondFactor needs; pass to User.select(). */
+const TWO_FACTOR_FIELDS = "+twoFactor.secret +twoFactor.recoveryCodes";
+
+const hash = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+// Recovery codes are compared case-insensitively, ignoring spaces and dashes.
+const hashRecoveryCode = (code) =>
+  hash(code.toLowerCase().replace(/[^a-z0-9]/g, ""));
+
+// ── Login challenges ──────────────────────────────────────────────────────────
+
+/** createLoginChallenge(userId) → raw challenge token */
+const createLoginChallenge = async (userId) => {
+  const token = crypto.randomBytes(TOKEN_BYTES).toString("base64url");
+  await LoginChallenge.create({
+    user: userId,
+    tokenHash: hash(token),
+    expiresAt: new Date(Date.now() + loginChallengeTtlMs),
+  });
+  return token;
+};
+
+/**
+ * findLoginChallenge(token) → LoginChallenge | null
+ * null when the token is unknown, expired or out of attempts.
+ */
+const findLoginChallenge = (token) => {
+  if (typeof token !== "string" || !TOKEN_REGEX.test(token)) return null;
+  return LoginChallenge.findOne({
+    tokenHash: hash(token),
+    expiresAt: { $gt: new Date() },
+    attempts: { $lt: maxChallengeAttempts },
+  });
+};
+
+/** recordFailedAttempt(challenge) — counts a wrong code against it. */
+const recordFailedAttempt = (challenge) =>
+  LoginChallenge.updateOne({ _id: challenge._id }, { $inc: { attempts: 1 } });
+
+/**
+ * completeLoginChallenge(challenge) → boolean
+ * Deletes the challenge; false when a concurrent request already did, so a
+ * challenge can start one session at most.
+ */
+const completeLoginChallenge = async (challenge) => {
+  const { deletedCount } = await LoginChallenge.deleteOne({
+    _id: challenge._id,
+  });
+  return deletedCount === 1;
+};
+
+/** discardLoginChallenges(userId) — ends every half-finished login. */
+const discardLoginChallenges = (userId) =>
+  LoginChallenge.deleteMany({ user: userId });
+
+// ── Codes ─────────────────────────────────────────────────────────────────────
+
+/**
+ * generateRecoveryCodes() → { codes, hashes }
+ * `codes` are shown to the user once; only `hashes` are stored.
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: recoveryCodeCount }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * verifySecondFactor(user, code) → "totp" | "recovery" | null
+ *
+ * `user` must be loaded with TWO_FACTOR_FIELDS. Six digits are checked as an
+ * authenticator code, anything else as a recovery code. Both are spent with
+ * a conditional update, so neither works twice — not even when two requests
+ * race with the same code.
+ */
+const verifySecondFactor = async (user, code) => {
+  if (typeof code !== "string" || !user.twoFactor?.enabled) return null;
+
+  if (TOTP_CODE_REGEX.test(code)) {
+    const step = verifyTotp(user.twoFactor.secret, code);
+    if (step === null) return null;
+    const { modifiedCount } = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { "twoFactor.lastUsedStep": null },
+          { "twoFactor.lastUsedStep": { $lt: step } },
+        ],
+      },
+      { $set: { "twoFactor.lastUsedStep": step } },
+      { timestamps: false },
+    );
+    return modifiedCount === 1 ? "totp" : null;
+  }
+
+  const codeHash = hashRecoveryCode(code);
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, "twoFactor.recoveryCodes": codeHash },
+    { $pull: { "twoFactor.recoveryCodes": codeHash } },
+    { timestamps: false },
+  );
+  return modifiedCount === 1 ? "recovery" : null;
+};
+
+module.exports = {
+  TWO_FACTOR_FIELDS,
+  createLoginChallenge,
+  findLoginChallenge,
+  recordFailedAttempt,
+  completeLoginChallenge,
+  discardLoginChallenges,
+  generateRecoveryCodes,
+  verifySecondFactor,
+};
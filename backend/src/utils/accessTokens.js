@@ -0,0 +1,24 @@
+"use strict";
+
+/**
+ * Personal access tokens: format, scopes and limits.
+ *
+ * Scopes (checked per route by requireScope in authMiddleware.js):
+ *   notes:read   — list, search and read notes, trash and revisions
+ *   notes:write  — create, edit, move, delete and restore notes
+ *   notes:share  — manage share links and collaborators
+ */
+
+const ACCESS_TOKEN_PREFIX = "nv_pat_";
+const ACCESS_TOKEN_SCOPES = ["notes:read", "notes:write", "notes:share"];
+const MAX_ACCESS_TOKENS = 20; // per user
+const MAX_ACCESS_TOKEN_NAME_LENGTH = 100;
+const MAX_ACCESS_TOKEN_DAYS = 365;
+
+module.exports = {
+  ACCESS_TOKEN_PREFIX,
+  ACCESS_TOKEN_SCOPES,
+  MAX_ACCESS_TOKENS,
+  MAX_ACCESS_TOKEN_NAME_LENGTH,
+  MAX_ACCESS_TOKEN_DAYS,
+};
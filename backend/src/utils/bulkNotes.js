@@ -0,0 +1,21 @@
+"use strict";
+
+/**
+ * Actions and limits for POST /api/notes/bulk.
+ * See services/bulkNotes.js for what each action does.
+ */
+
+const BULK_NOTE_ACTIONS = [
+  "delete",
+  "restore",
+  "move",
+  "addTags",
+  "removeTags",
+  "pin",
+  "unpin",
+  "archive",
+  "unarchive",
+];
+const MAX_BULK_NOTES = 100; // per request
+
+module.exports = { BULK_NOTE_ACTIONS, MAX_BULK_NOTES };
@@ -0,0 +1,11 @@
+"use strict";
+
+/**
+ * Collaborator limits and roles for shared notes.
+ * See services/noteAccess.js for what each role may do.
+ */
+
+const COLLABORATOR_ROLES = ["viewer", "editor"];
+const MAX_COLLABORATORS = 20; // per note
+
+module.exports = { COLLABORATOR_ROLES, MAX_COLLABORATORS };
@@ -0,0 +1,34 @@
+"use strict";
+
+/**
+ * Opaque cursors for paged feeds.
+ *
+ * A cursor is a small JSON object encoded as base64url. Clients hand it back
+ * untouched, so what it holds can change without changing the API. Nothing
+ * in it is trusted: decoding only checks that it is an object, and callers
+ * validate the fields they read.
+ */
+
+// Above any cursor this API hands out — the longest carry a note title.
+const MAX_CURSOR_LENGTH = 2048;
+
+/** encodeCursor(data) → the cursor for a plain object */
+const encodeCursor = (data) =>
+  Buffer.from(JSON.stringify(data)).toString("base64url");
+
+/** decodeCursor(cursor) → the object it encodes, or null if it is not one */
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== "string" || cursor.length > MAX_CURSOR_LENGTH) {
+    return null;
+  }
+  try {
+    const data = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    return data && typeof data === "object" && !Array.isArray(data)
+      ? data
+      : null;
+  } catch {
+    return null;
+  }
+};
+
+module.exports = { encodeCursor, decodeCursor };
@@ -0,0 +1,217 @@
+"use strict";
+
+/**
+ * Transactional email templates. Each returns { subject, text, html } for
+ * services/mailer.js; values interpolated into html are escaped.
+ */
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (ch) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[ch],
+  );
+
+const button = ({ url, label }) => `<p>
+      <a href="${escapeHtml(url)}"
+         style="display: inline-block; padding: 10px 16px; border-radius: 8px;
+                background: #4f46e5; color: #ffffff; text-decoration: none">
+        ${escapeHtml(label)}
+      </a>
+    </p>`;
+
+/** Wraps paragraphs and an optional call-to-action link in minimal HTML. */
+const layout = ({ paragraphs, action, footer }) => `<!doctype html>
+<html>
+  <body style="font-family: sans-serif; color: #111827; line-height: 1.5">
+    ${paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join("\n    ")}
+    ${action ? button(action) : ""}
+    <p style="color: #6b7280; font-size: 12px">${escapeHtml(footer)}</p>
+  </body>
+</html>
+`;
+
+/**
+ * passwordResetEmail({ name, url, ttlMinutes })
+ * Link to ResetPasswordPage; sent by POST /api/auth/forgot-password.
+ */
+const passwordResetEmail = ({ name, url, ttlMinutes }) => {
+  const paragraphs = [
+    `Hi ${name},`,
+    "Someone asked to reset the password of your NoteVault account. " +
+      `Use the link below within ${ttlMinutes} minutes to choose a new one. ` +
+      "It works only once.",
+  ];
+  const footer =
+    "If you didn't ask for this, ignore this email — your password stays the same.";
+
+  return {
+    subject: "Reset your NoteVault password",
+    text: `${paragraphs.join("\n\n")}\n\n${url}\n\n${footer}\n`,
+    html: layout({
+      paragraphs,
+      action: { url, label: "Choose a new password" },
+      footer,
+    }),
+  };
+};
+
+/**
+ * verifyEmailEmail({ name, url, ttlHours })
+ * Sent after registration (and on request); links to VerifyEmailPage.
+ */
+const verifyEmailEmail = ({ name, url, ttlHours }) => {
+  const paragraphs = [
+    `Welcome to NoteVault, ${name}!`,
+    "Please confirm that this is your email address. " +
+      `The link below is valid for ${ttlHours} hours.`,
+  ];
+  const footer = "If you didn't create a NoteVault account, ignore this email.";
+
+  return {
+    subject: "Verify your NoteVault email address",
+    text: `${paragraphs.join("\n\n")}\n\n${url}\n\n${footer}\n`,
+    html: layout({
+      paragraphs,
+      action: { url, label: "Verify email address" },
+      footer,
+    }),
+  };
+};
+
+/**
+ * emailChangeEmail({ name, email, url, ttlHours })
+ * Sent to the new address by PATCH /api/auth/me; links to ConfirmEmailPage.
+ */
+const emailChangeEmail = ({ name, email, url, ttlHours }) => {
+  const paragraphs = [
+    `Hi ${name},`,
+    `Please confirm that you want to use ${email} for your NoteVault ` +
+      `account. The link below is valid for ${ttlHours} hours; until then ` +
+      "you keep signing in with your current address.",
+  ];
+  const footer =
+    "If you didn't ask for this, ignore this email — nothing will change.";
+
+  return {
+    subject: "Confirm your new NoteVault email address",
+    text: `${paragraphs.join("\n\n")}\n\n${url}\n\n${footer}\n`,
+    html: layout({
+      paragraphs,
+      action: { url, label: "Confirm email address" },
+      footer,
+    }),
+  };
+};
+
+/**
+ * emailChangedNotice({ name, email })
+ * Sent to the previous address once a change to `email` is confirmed.
+ */
+const emailChangedNotice = ({ name, email }) => {
+  const paragraphs = [
+    `Hi ${name},`,
+    `The email address of your NoteVault account was changed to ${email}. ` +
+      "From now on, sign in with the new address.",
+  ];
+  const footer =
+    "If you didn't make this change, reset your password right away.";
+
+  return {
+    subject: "Your NoteVault email address was changed",
+    text: `${paragraphs.join("\n\n")}\n\n${footer}\n`,
+    html: layout({ paragraphs, footer }),
+  };
+};
+
+/**
+ * accountLockedEmail({ name, failures, lockoutMinutes, url })
+ * Sent when repeated failed logins lock the account; links to the
+ * forgot-password page, since resetting the password also unlocks it.
+ */
+const accountLockedEmail = ({ name, failures, lockoutMinutes, url }) => {
+  const paragraphs = [
+    `Hi ${name},`,
+    `After ${failures} failed attempts to sign in to your NoteVault account, ` +
+      `we have blocked sign-ins for ${lockoutMinutes} minutes.`,
+    "If that was you, wait and try again, or reset your password now to " +
+      "unlock the account at once.",
+  ];
+  const footer =
+    "If it wasn't you, someone may be guessing your password. Make sure it " +
+    "is strong and not used anywhere else, and consider turning on " +
+    "two-factor authentication.";
+
+  return {
+    subject: "Sign-ins to your NoteVault account are blocked",
+    text: `${paragraphs.join("\n\n")}\n\n${url}\n\n${footer}\n`,
+    html: layout({
+      paragraphs,
+      action: { url, label: "Reset your password" },
+      footer,
+    }),
+  };
+};
+
+/**
+ * accountDeletionScheduledEmail({ name, deleteAt, url })
+ * Sent when the user asks to delete the account and a grace period
+ * applies; signing in before `deleteAt` keeps it.
+ */
+const accountDeletionScheduledEmail = ({ name, deleteAt, url }) => {
+  const date = deleteAt.toUTCString();
+  const paragraphs = [
+    `Hi ${name},`,
+    `Your NoteVault account and all of its notes will be deleted on ${date}. ` +
+      "You have been signed out on every device.",
+    "Changed your mind? Sign in before then and the account stays as it is.",
+  ];
+  const footer =
+    "If you didn't ask for this, sign in now and change your password.";
+
+  return {
+    subject: "Your NoteVault account will be deleted",
+    text: `${paragraphs.join("\n\n")}\n\n${url}\n\n${footer}\n`,
+    html: layout({
+      paragraphs,
+      action: { url, label: "Keep my account" },
+      footer,
+    }),
+  };
+};
+
+/**
+ * accountDeletedNotice({ name })
+ * Sent once the account and its data have been deleted.
+ */
+const accountDeletedNotice = ({ name }) => {
+  const paragraphs = [
+    `Hi ${name},`,
+    "Your NoteVault account has been deleted, together with your notes, " +
+      "notebooks and share links. Notes others shared with you are no " +
+      "longer accessible to you.",
+  ];
+  const footer = "Thank you for using NoteVault.";
+
+  return {
+    subject: "Your NoteVault account has been deleted",
+    text: `${paragraphs.join("\n\n")}\n\n${footer}\n`,
+    html: layout({ paragraphs, footer }),
+  };
+};
+
+module.exports = {
+  passwordResetEmail,
+  accountLockedEmail,
+  verifyEmailEmail,
+  emailChangeEmail,
+  emailChangedNotice,
+  accountDeletionScheduledEmail,
+  accountDeletedNotice,
+};
@@ -0,0 +1,92 @@
+"use strict";
+
+const { XMLParser } = require("fast-xml-parser");
+const TurndownService = require("turndown");
+
+/**
+ * Evernote export (.enex) reading: one import item per <note>, with the
+ * note's ENML body converted to Markdown. See utils/noteImport.js for the
+ * item shape.
+ *
+ * Attachments (<resource>, <en-media>) and encrypted sections (<en-crypt>)
+ * are left out — notes are text only.
+ */
+
+const parser = new XMLParser({
+  ignoreAttributes: true,
+  isArray: (name) => name === "note" || name === "tag",
+  parseTagValue: false, // titles like "2024" stay strings
+  trimValues: false,
+  // Attachment data can be large and is dropped anyway — keep it unparsed.
+  stopNodes: ["en-export.note.resource"],
+});
+
+const checkbox = (node) =>
+  node.getAttribute("checked") === "true" ? "[x] " : "[ ] ";
+
+const turndown = new TurndownService({
+  headingStyle: "atx",
+  bulletListMarker: "-",
+  codeBlockStyle: "fenced",
+  // Empty elements skip the rules; <en-todo> always is one.
+  blankReplacement: (_content, node) =>
+    node.nodeName === "EN-TODO" ? checkbox(node) : node.isBlock ? "\n\n" : "",
+});
+turndown.remove(["en-media", "en-crypt"]);
+
+// ENML is XML: <en-todo/> and <en-media/> are empty elements. An HTML parser
+// knows neither and would take the text after them as their content.
+const SELF_CLOSING = /<(en-todo|en-media)\b([^>]*?)\/>/g;
+
+/** ENML → Markdown. The XML prolog and doctype are not part of the body. */
+const enmlToMarkdown = (enml) =>
+  turndown
+    .turndown(
+      enml
+        .replace(/^[\s\S]*?(?=<en-note[\s>])/, "")
+        .replace(SELF_CLOSING, "<$1$2></$1>"),
+    )
+    .replace(/^[ \t]+$/gm, "") // blank lines left by empty <div>s
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+/** "20240102T091500Z" → Date, as Evernote writes timestamps */
+const enexDate = (value) => {
+  const m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(
+    String(value ?? "").trim(),
+  );
+  if (!m) return undefined;
+  const [, year, month, day, hours, minutes, seconds] = m.map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+};
+
+const text = (value) => (typeof value === "string" ? value : "");
+
+/**
+ * readEnex(xml, source) → items
+ * One item per note; a file that is not an Evernote export becomes a
+ * single { source, error } item.
+ */
+const readEnex = (xml, source) => {
+  let doc;
+  try {
+    doc = parser.parse(xml);
+  } catch {
+    return [{ source, error: "Not a valid Evernote export" }];
+  }
+  const notes = doc?.["en-export"]?.note;
+  if (!Array.isArray(notes)) {
+    return [{ source, error: "Not a valid Evernote export" }];
+  }
+
+  return notes.map((note, i) => ({
+    source: `${source} #${i + 1}`,
+    title: text(note.title).trim(),
+    content: enmlToMarkdown(text(note.content)),
+    tags: (note.tag ?? []).map(text),
+    createdAt: enexDate(note.created),
+    updatedAt: enexDate(note.updated),
+  }));
+};
+
+module.exports = { readEnex };
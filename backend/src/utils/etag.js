@@ -0,0 +1,48 @@
+"use strict";
+
+/**
+ * ETag helpers for optimistic concurrency on notes.
+ *
+ * A note's ETag is its `version` counter as a strong entity tag ("7").
+ * Every write that changes a note bumps the counter, so a client that sends
+ * If-Match with the tag it last saw can only overwrite the version it
+ * actually edited.
+ */
+
+/** Strong ETag for a note document. */
+const noteETag = (note) => `"${note.version}"`;
+
+/**
+ * parseIfMatch(header) → null | "*" | number[]
+ *
+ *  - null     — no If-Match header: the write is unconditional
+ *  - "*"      — any current version matches
+ *  - number[] — acceptable versions; empty when no tag could be parsed,
+ *               which can never match (RFC 9110 §13.1.1 → 412)
+ *
+ * Weak tags (W/"7") are accepted as well — browsers and proxies sometimes
+ * weaken tags, and versions are exact either way.
+ */
+const parseIfMatch = (header) => {
+  if (header === undefined) return null;
+  if (header.trim() === "*") return "*";
+
+  return header
+    .split(",")
+    .map((tag) => /^\s*(?:W\/)?"(\d{1,15})"\s*$/.exec(tag))
+    .filter(Boolean)
+    .map((m) => Number(m[1]));
+};
+
+/**
+ * versionFilter(versions) → MongoDB condition for the `version` field.
+ * Notes written before versioning have no stored version and read as 1,
+ * so version 1 also matches a missing field — until the startup backfill
+ * (jobs/backfillVersion.js) has stored it.
+ */
+const versionFilter = (versions) => {
+  const accepted = versions.includes(1) ? [...versions, null] : versions;
+  return { $in: accepted };
+};
+
+module.exports = { noteETag, parseIfMatch, versionFilter };
@@ -0,0 +1,93 @@
+"use strict";
+
+/**
+ * Notes as plain files, for exports: Markdown with YAML front matter, and
+ * file names that every operating system accepts.
+ */
+
+const MAX_FILE_NAME_LENGTH = 80;
+
+// Characters Windows or macOS reject in file names, and control characters.
+// eslint-disable-next-line no-control-regex
+const UNSAFE_FILE_NAME_CHARS = /[\\/:*?"<>|\x00-\x1f]/g;
+
+// JSON strings are valid YAML double-quoted scalars, which sidesteps YAML's
+// special cases (colons, leading dashes, "yes" / "no" …).
+const yamlString = (value) => JSON.stringify(value);
+
+const isoDate = (value) => new Date(value).toISOString();
+
+const yamlList = (values) => `[${values.map(yamlString).join(", ")}]`;
+
+// Identify a NoteVault notes export and the version of its schema, which
+// changes only when existing readers could no longer parse it.
+const NOTES_EXPORT_FORMAT = "notevault-notes";
+const NOTES_EXPORT_VERSION = 1;
+
+/**
+ * toMarkdown(note, { notebook? }) → string
+ * The note's content under front matter with its title, timestamps and —
+ * if it has any — tags and notebook path. Trashed notes also carry
+ * `deleted`.
+ */
+const toMarkdown = (note, { notebook } = {}) => {
+  const frontMatter = [
+    `title: ${yamlString(note.title)}`,
+    `created: ${isoDate(note.createdAt)}`,
+    `updated: ${isoDate(note.updatedAt)}`,
+  ];
+  if (note.tags?.length) frontMatter.push(`tags: ${yamlList(note.tags)}`);
+  if (notebook?.length) frontMatter.push(`notebook: ${yamlList(notebook)}`);
+  if (note.deletedAt) frontMatter.push(`deleted: ${isoDate(note.deletedAt)}`);
+
+  return `---\n${frontMatter.join("\n")}\n---\n\n${note.content}\n`;
+};
+
+/**
+ * toNoteExportJSON(note, notebook) → one entry of a notes export's `notes`
+ * `notebook` is the note's notebook path (see notebookPaths), or null.
+ */
+const toNoteExportJSON = (note, notebook = null) => ({
+  title: note.title,
+  content: note.content,
+  tags: note.tags ?? [],
+  notebook,
+  createdAt: note.createdAt,
+  updatedAt: note.updatedAt,
+});
+
+/** safeFileName(name) → `name` without characters file systems reject */
+const safeFileName = (name) =>
+  name
+    .replace(UNSAFE_FILE_NAME_CHARS, "-")
+    .replace(/\s+/g, " ")
+    .replace(/^[\s.]+/, "")
+    .slice(0, MAX_FILE_NAME_LENGTH)
+    .trim() || "Untitled";
+
+/**
+ * createFileNamer() → (title, extension) → file name
+ * Makes titles safe as file names and unique within one export, ignoring
+ * case: "Todo.md", "Todo (2).md" …
+ */
+const createFileNamer = () => {
+  const used = new Set();
+  return (title, extension) => {
+    const base = safeFileName(title);
+    let name = `${base}.${extension}`;
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+      name = `${base} (${n}).${extension}`;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  };
+};
+
+module.exports = {
+  NOTES_EXPORT_FORMAT,
+  NOTES_EXPORT_VERSION,
+  toMarkdown,
+  toNoteExportJSON,
+  safeFileName,
+  createFileNamer,
+};
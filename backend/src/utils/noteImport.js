@@ -0,0 +1,219 @@
+"use strict";
+
+const path = require("path");
+const { NOTES_EXPORT_FORMAT, NOTES_EXPORT_VERSION } = require("./noteExport");
+
+/**
+ * Import limits, and the readers that turn Markdown files and NoteVault
+ * JSON exports into import items.
+ *
+ * An item is one would-be note:
+ *   { source, title, content, tags?, notebook?, createdAt?, updatedAt? }
+ * `source` names where it came from ("Work/Todo.md", "backup.json #3"),
+ * and `notebook` is a path of notebook names. A file that cannot be read
+ * at all becomes { source, error } instead. Items are checked against the
+ * note rules only when imported — see services/noteImport.js.
+ */
+
+const MAX_IMPORT_FILE_SIZE = 10 * 1024 * 1024; // per uploaded file
+const MAX_IMPORT_FILES = 20; // per request
+const MAX_IMPORT_NOTES = 1000; // per request, across all files
+const MAX_UNZIPPED_SIZE = 50 * 1024 * 1024; // all zips of one request
+
+const MAX_TITLE_LENGTH = 200;
+
+const MARKDOWN_EXTENSIONS = [".md", ".markdown", ".txt"];
+
+/** importFileType(fileName) → "markdown" | "json" | "enex" | "zip" | null */
+const importFileType = (fileName) => {
+  const ext = path.extname(fileName).toLowerCase();
+  if (MARKDOWN_EXTENSIONS.includes(ext)) return "markdown";
+  if (ext === ".json") return "json";
+  if (ext === ".enex") return "enex";
+  if (ext === ".zip") return "zip";
+  return null;
+};
+
+// ── Front matter ──────────────────────────────────────────────────────────────
+// Only the YAML that note front matter uses: `key: value` lines whose values
+// are plain, single- or double-quoted strings, flow lists ([a, "b"]) or block
+// lists ("- a" lines under the key). Anything else is skipped.
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+const LIST_ITEM = /\s*("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]*?)\s*(?:,|$)/g;
+
+const yamlScalar = (raw) => {
+  const value = raw.trim();
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value;
+    }
+  }
+  if (value.startsWith("'") && value.endsWith("'") && value.length > 1) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  return value.replace(/\s+#.*$/, ""); // trailing comment
+};
+
+const yamlFlowList = (raw) => {
+  const items = [];
+  for (const [, item] of raw.trim().slice(1, -1).matchAll(LIST_ITEM)) {
+    if (item) items.push(yamlScalar(item));
+  }
+  return items;
+};
+
+/** parseFrontMatter(text) → { data, body } — data is {} without front matter */
+const parseFrontMatter = (text) => {
+  const match = FRONT_MATTER.exec(text);
+  if (!match) return { data: {}, body: text };
+
+  const data = {};
+  let listKey = null;
+  for (const line of match[1].split(/\r?\n/)) {
+    const item = /^\s+-\s+(.*)$/.exec(line);
+    if (item && listKey) {
+      data[listKey].push(yamlScalar(item[1]));
+      continue;
+    }
+    listKey = null;
+
+    const entry = /^([A-Za-z_][\w-]*):(?:\s+(.*))?$/.exec(line);
+    if (!entry) continue;
+    const [, key, raw = ""] = entry;
+    if (!raw.trim()) {
+      data[key] = [];
+      listKey = key;
+    } else if (raw.trim().startsWith("[") && raw.trim().endsWith("]")) {
+      data[key] = yamlFlowList(raw);
+    } else {
+      data[key] = yamlScalar(raw);
+    }
+  }
+  return { data, body: text.slice(match[0].length) };
+};
+
+// ── Markdown ──────────────────────────────────────────────────────────────────
+
+const toDate = (value) => {
+  if (typeof value !== "string" || !value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Tags as a list, or as one comma-separated string ("work, ideas").
+const toList = (value) => {
+  if (Array.isArray(value)) return value.filter((v) => v !== "");
+  if (typeof value === "string" && value) {
+    return value
+      .split(",")
+      .map((v) => v.trim())
+      .filter(Boolean);
+  }
+  return undefined;
+};
+
+/**
+ * A leading "# Heading", else the file name. A title derived this way is
+ * cut to fit; one the front matter states is imported as written and
+ * checked like any other.
+ */
+const fallbackTitle = (body, fileName) => {
+  const heading = /^#[ \t]+([^\r\n]+?)[ \t#]*(?:\r?\n|$)/.exec(
+    body.trimStart(),
+  );
+  const title = heading
+    ? heading[1]
+    : path.basename(fileName, path.extname(fileName));
+  return title.trim().slice(0, MAX_TITLE_LENGTH);
+};
+
+/** One note from Markdown, with or without front matter. */
+const markdownItem = (text, { source, fileName, folder }) => {
+  const { data, body } = parseFrontMatter(text);
+  return {
+    source,
+    title:
+      typeof data.title === "string" && data.title
+        ? data.title
+        : fallbackTitle(body, fileName),
+    content: body.trim(),
+    tags: toList(data.tags),
+    notebook: toList(data.notebook) ?? folder,
+    createdAt: toDate(data.created ?? data.date),
+    updatedAt: toDate(data.updated ?? data.modified),
+  };
+};
+
+// A block as toMarkdown writes it: front matter opening with a quoted title
+// and the created date. A file of several notes — GET /api/notes/export
+// with format=markdown — is split in front of each one.
+const EXPORTED_NOTE_START =
+  /\n(?=---\r?\ntitle: "(?:[^"\\\n]|\\.)*"\r?\ncreated: )/;
+
+/**
+ * readMarkdownFile(text, { fileName, source?, folder? }) → items
+ * One note per file, or one per note of a NoteVault Markdown export.
+ * `folder` is the notebook path for notes whose front matter names none.
+ */
+const readMarkdownFile = (text, { fileName, source = fileName, folder }) => {
+  const notes = text.replace(/^\uFEFF/, "").split(EXPORTED_NOTE_START);
+  if (notes.length === 1) {
+    return [markdownItem(notes[0], { source, fileName, folder })];
+  }
+  return notes.map((note, i) =>
+    markdownItem(note, { source: `${source} #${i + 1}`, fileName, folder }),
+  );
+};
+
+// ── NoteVault JSON ────────────────────────────────────────────────────────────
+
+/**
+ * readNotesJSON(text, source) → items
+ * A notes export (see toNoteExportJSON); any other JSON is rejected as a
+ * whole. Fields are passed on as they are, so a hand-edited note with a
+ * wrong type fails the note rules instead of being coerced.
+ */
+const readNotesJSON = (text, source) => {
+  let doc;
+  try {
+    doc = JSON.parse(text.replace(/^\uFEFF/, ""));
+  } catch {
+    return [{ source, error: "Not valid JSON" }];
+  }
+  if (doc?.format !== NOTES_EXPORT_FORMAT || !Array.isArray(doc.notes)) {
+    return [{ source, error: "Not a NoteVault notes export" }];
+  }
+  if (!Number.isInteger(doc.version) || doc.version > NOTES_EXPORT_VERSION) {
+    return [
+      {
+        source,
+        error: `Unsupported export version ${doc.version} — this server reads up to version ${NOTES_EXPORT_VERSION}`,
+      },
+    ];
+  }
+
+  return doc.notes.map((note, i) => ({
+    source: `${source} #${i + 1}`,
+    title: note?.title,
+    content: note?.content,
+    tags: note?.tags,
+    notebook: note?.notebook,
+    createdAt: toDate(note?.createdAt),
+    updatedAt: toDate(note?.updatedAt),
+  }));
+};
+
+module.exports = {
+  MAX_IMPORT_FILE_SIZE,
+  MAX_IMPORT_FILES,
+  MAX_IMPORT_NOTES,
+  MAX_UNZIPPED_SIZE,
+  importFileType,
+  parseFrontMatter,
+  readMarkdownFile,
+  readNotesJSON,
+};
@@ -0,0 +1,38 @@
+"use strict";
+
+/**
+ * Ordering and date range of the notes list (GET /api/notes and
+ * /api/notes/export): sort=<field>&order=asc|desc, and the date bounds
+ * below. Pinned notes lead whatever the order.
+ */
+
+const NOTE_SORT_FIELDS = ["updatedAt", "createdAt", "title"];
+
+// Newest first for dates, A to Z for titles.
+const DEFAULT_SORT_ORDER = {
+  updatedAt: "desc",
+  createdAt: "desc",
+  title: "asc",
+};
+
+// Titles sort and compare case-insensitively; a query sorting on title
+// needs this collation to use the title index.
+const TITLE_COLLATION = { locale: "en", strength: 2 };
+
+/**
+ * Query param → [note field, operator]. "After" bounds include their
+ * instant and "before" bounds exclude it, so adjacent ranges never overlap.
+ */
+const NOTE_DATE_FILTERS = {
+  createdAfter: ["createdAt", "$gte"],
+  createdBefore: ["createdAt", "$lt"],
+  updatedAfter: ["updatedAt", "$gte"],
+  updatedBefore: ["updatedAt", "$lt"],
+};
+
+module.exports = {
+  NOTE_SORT_FIELDS,
+  DEFAULT_SORT_ORDER,
+  TITLE_COLLATION,
+  NOTE_DATE_FILTERS,
+};
@@ -0,0 +1,91 @@
+"use strict";
+
+/**
+ * Notebook limits and tree helpers.
+ *
+ * The helpers work on a user's full notebook list ([{ _id, parent }]) held in
+ * memory. MAX_NOTEBOOKS keeps that list small, so walking it is cheaper than
+ * a recursive query and sees one consistent snapshot.
+ */
+
+const MAX_NOTEBOOK_NAME_LENGTH = 100;
+const MAX_NOTEBOOK_DEPTH = 5; // a top-level notebook is depth 1
+const MAX_NOTEBOOKS = 200; // per user
+
+/** Groups notebook ids by parent id ("null" for top level). */
+const childrenByParent = (notebooks) => {
+  const map = new Map();
+  for (const nb of notebooks) {
+    const key = String(nb.parent);
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(String(nb._id));
+  }
+  return map;
+};
+
+/**
+ * depthOf(notebooks, id) → levels from the top down to `id` (1 for a
+ * top-level notebook, 0 for null — i.e. the root itself).
+ */
+const depthOf = (notebooks, id) => {
+  const parentOf = new Map(notebooks.map((nb) => [String(nb._id), nb.parent]));
+  let depth = 0;
+  // Bounded by the list size so corrupt data (a cycle) cannot hang the loop.
+  for (
+    let cur = id;
+    cur != null && depth <= notebooks.length;
+    cur = parentOf.get(String(cur))
+  ) {
+    depth++;
+  }
+  return depth;
+};
+
+/**
+ * subtree(notebooks, rootId) → { ids, height }
+ * `ids` holds rootId followed by all of its descendants; `height` is the
+ * number of levels the subtree spans (1 for a notebook without children).
+ */
+const subtree = (notebooks, rootId) => {
+  const children = childrenByParent(notebooks);
+  const ids = [];
+  let level = [String(rootId)];
+  let height = 0;
+  while (level.length > 0) {
+    ids.push(...level);
+    height++;
+    level = level.flatMap((id) => children.get(id) ?? []);
+  }
+  return { ids, height };
+};
+
+/**
+ * notebookPaths(notebooks) → Map of notebook id → names from the top-level
+ * notebook down, e.g. ["Work", "Projects"]. Needs `name` on every notebook.
+ */
+const notebookPaths = (notebooks) => {
+  const byId = new Map(notebooks.map((nb) => [String(nb._id), nb]));
+  const paths = new Map();
+  for (const nb of notebooks) {
+    const path = [];
+    // Bounded like depthOf, in case of a cycle.
+    for (
+      let cur = nb;
+      cur && path.length <= notebooks.length;
+      cur = cur.parent == null ? null : byId.get(String(cur.parent))
+    ) {
+      path.unshift(cur.name);
+    }
+    paths.set(String(nb._id), path);
+  }
+  return paths;
+};
+
+module.exports = {
+  MAX_NOTEBOOK_NAME_LENGTH,
+  MAX_NOTEBOOK_DEPTH,
+  MAX_NOTEBOOKS,
+  depthOf,
+  subtree,
+  notebookPaths,
+};
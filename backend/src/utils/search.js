@@ -0,0 +1,126 @@
+"use strict";
+
+/**
+ * Helpers for the full-text search mode of GET /api/notes.
+ *
+ * MongoDB's $text operator already understands the query syntax we expose:
+ *   - plain words            →  meeting notes
+ *   - "quoted phrases"       →  "quarterly review"
+ *   - negation with a dash   →  roadmap -draft
+ *
+ * These helpers parse the same syntax on our side so the response can carry
+ * highlighted snippets. Matching is case-insensitive and treats every word
+ * as a prefix, which approximates the stemming MongoDB applies server-side
+ * ("plan" highlights "planning").
+ */
+
+const MAX_QUERY_LENGTH = 200;
+const SNIPPET_RADIUS = 80; // characters kept on each side of the first match
+
+/** Escapes a string for literal use inside a RegExp. */
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * parseSearchQuery(q) → { phrases, terms, excluded }
+ * Splits a raw search string into quoted phrases, plain terms and negated
+ * terms. Negated entries never produce highlights.
+ */
+const parseSearchQuery = (q) => {
+  const phrases = [];
+  const terms = [];
+  const excluded = [];
+
+  const tokenRe = /(-?)"([^"]+)"|(\S+)/g;
+  let match;
+  while ((match = tokenRe.exec(q)) !== null) {
+    if (match[2] !== undefined) {
+      const phrase = match[2].trim();
+      if (!phrase) continue;
+      (match[1] ? excluded : phrases).push(phrase);
+      continue;
+    }
+
+    const word = match[3];
+    if (word.startsWith("-")) {
+      if (word.length > 1) excluded.push(word.slice(1));
+    } else {
+      terms.push(word);
+    }
+  }
+
+  return { phrases, terms, excluded };
+};
+
+/**
+ * Builds one case-insensitive RegExp that matches any phrase (literally) or
+ * any term (as a word prefix). Returns null when nothing is highlightable.
+ */
+const buildMatcher = ({ phrases, terms }) => {
+  const parts = [
+    ...phrases.map(escapeRegex),
+    ...terms.map((t) => `${escapeRegex(t)}\\w*`),
+  ];
+  if (parts.length === 0) return null;
+  // Longest alternatives first so a phrase wins over one of its own words.
+  parts.sort((a, b) => b.length - a.length);
+  return new RegExp(`(${parts.join("|")})`, "gi");
+};
+
+/**
+ * Splits text into [{ text, highlight }] segments. Returning segments rather
+ * than HTML keeps rendering on the client XSS-safe — no markup is injected.
+ */
+const segment = (text, matcher) => {
+  if (!matcher) return [{ text, highlight: false }];
+
+  const segments = [];
+  let last = 0;
+  for (const m of text.matchAll(matcher)) {
+    if (m.index > last) {
+      segments.push({ text: text.slice(last, m.index), highlight: false });
+    }
+    segments.push({ text: m[0], highlight: true });
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) {
+    segments.push({ text: text.slice(last), highlight: false });
+  }
+  return segments;
+};
+
+/**
+ * Cuts a window of content around the first match so long notes return a
+ * short, relevant excerpt instead of the full body.
+ */
+const snippetAround = (content, matcher) => {
+  if (content.length <= SNIPPET_RADIUS * 2) return content;
+
+  // Global regexes are stateful — search() ignores lastIndex, exec() does not.
+  const center = matcher ? Math.max(0, content.search(matcher)) : 0;
+  const start = Math.max(0, center - SNIPPET_RADIUS);
+  const end = Math.min(content.length, center + SNIPPET_RADIUS);
+
+  return (
+    (start > 0 ? "…" : "") +
+    content.slice(start, end) +
+    (end < content.length ? "…" : "")
+  );
+};
+
+/**
+ * buildHighlights(note, parsed) → { title, content }
+ * Highlighted title (full) and content snippet for a single search hit.
+ */
+const buildHighlights = (note, parsed) => {
+  const matcher = buildMatcher(parsed);
+  return {
+    title: segment(note.title, matcher),
+    content: segment(snippetAround(note.content, matcher), matcher),
+  };
+};
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  parseSearchQuery,
+  buildHighlights,
+};
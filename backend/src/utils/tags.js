@@ -0,0 +1,51 @@
+"use strict";
+
+/**
+ * Tag normalisation shared by the Note model, validation and the tag API.
+ *
+ * Tags are stored lowercase and trimmed so "Work", " work" and "WORK" are one
+ * tag. Letters and digits from any script are allowed, plus inner spaces,
+ * hyphens and underscores. Commas are never valid — they separate tags in the
+ * ?tags= query string.
+ */
+
+const MAX_TAGS_PER_NOTE = 20;
+const MAX_TAG_LENGTH = 30;
+const TAG_REGEX = /^[\p{L}\p{N}][\p{L}\p{N} _-]*$/u;
+
+/** Lowercases, trims and collapses inner whitespace. */
+const normalizeTag = (tag) => tag.trim().toLowerCase().replace(/\s+/g, " ");
+
+/** True when the (already normalised) tag satisfies the tag format. */
+const isValidTag = (tag) =>
+  tag.length >= 1 && tag.length <= MAX_TAG_LENGTH && TAG_REGEX.test(tag);
+
+/**
+ * normalizeTags(tags) → string[]
+ * Normalises every entry and drops empties and duplicates, keeping the order
+ * in which tags were first given.
+ */
+const normalizeTags = (tags) => [
+  ...new Set(
+    tags
+      .filter((t) => typeof t === "string")
+      .map(normalizeTag)
+      .filter(Boolean),
+  ),
+];
+
+/**
+ * parseTagList("a, b,,c") → ["a", "b", "c"]
+ * Parses the comma-separated form used in query strings.
+ */
+const parseTagList = (raw) =>
+  typeof raw === "string" ? normalizeTags(raw.split(",")) : [];
+
+module.exports = {
+  MAX_TAGS_PER_NOTE,
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  normalizeTags,
+  isValidTag,
+  parseTagList,
+};
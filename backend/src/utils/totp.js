@@ -0,0 +1,109 @@
+"use strict";
+
+const crypto = require("crypto");
+
+/**
+ * Time-based one-time passwords (RFC 6238) with the parameters every
+ * authenticator app supports: HMAC-SHA1, 6 digits, 30-second steps.
+ * Secrets travel as base32 (RFC 4648), the format otpauth:// URIs use.
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const SECRET_BYTES = 20; // 160 bits, as RFC 4226 recommends
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+
+const TOTP_CODE_REGEX = /^\d{6}$/;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of text.replace(/=+$/, "").toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+    value &= (1 << bits) - 1;
+  }
+  return Buffer.from(bytes);
+};
+
+/** generateSecret() → new random base32 secret */
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/** hotp(key, counter) → zero-padded code (RFC 4226) */
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+ * verifyTotp(secret, code, { now, window }) → matching time step | null
+ *
+ * Accepts the current step and `window` steps either side, so a slightly
+ * fast or slow phone clock still works. The step is returned so callers can
+ * refuse to accept the same code twice.
+ */
+const verifyTotp = (secret, code, { now = Date.now(), window = 1 } = {}) => {
+  if (typeof code !== "string" || !TOTP_CODE_REGEX.test(code)) return null;
+
+  const key = base32Decode(secret);
+  const current = Math.floor(now / 1000 / PERIOD_SECONDS);
+  for (let step = current - window; step <= current + window; step++) {
+    if (
+      crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(code))
+    ) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * otpauthUrl({ secret, account, issuer }) → otpauth:// URI
+ * What the enrollment QR code encodes; apps label the entry with it.
+ */
+const otpauthUrl = ({ secret, account, issuer }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+  TOTP_CODE_REGEX,
+  generateSecret,
+  verifyTotp,
+  otpauthUrl,
+};
@@ -0,0 +1,39 @@
+"use strict";
+
+/**
+ * describeDevice(userAgent) → short label such as "Firefox on Windows"
+ *
+ * Just enough User-Agent sniffing to let someone recognise their own
+ * devices on the sessions screen — never used for any security decision.
+ * Order matters: Edge and Opera also claim to be Chrome, Chrome claims to
+ * be Safari, and Android claims to be Linux.
+ */
+
+const BROWSERS = [
+  [/Edg(e|A|iOS)?\//, "Edge"],
+  [/OPR\/|Opera/, "Opera"],
+  [/Firefox\/|FxiOS\//, "Firefox"],
+  [/Chrome\/|CriOS\//, "Chrome"],
+  [/Safari\//, "Safari"],
+];
+
+const PLATFORMS = [
+  [/iPhone|iPad|iPod/, "iOS"],
+  [/Android/, "Android"],
+  [/Windows/, "Windows"],
+  [/Mac OS X|Macintosh/, "macOS"],
+  [/CrOS/, "ChromeOS"],
+  [/Linux/, "Linux"],
+];
+
+const match = (table, userAgent) =>
+  table.find(([pattern]) => pattern.test(userAgent))?.[1];
+
+const describeDevice = (userAgent = "") => {
+  const browser = match(BROWSERS, userAgent);
+  const platform = match(PLATFORMS, userAgent);
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || "Unknown device";
+};
+
+module.exports = { describeDevice };
@@ -0,0 +1,86 @@
+/**
+ * NoteVault service worker — keeps the app shell available offline.
+ *
+ * The shell is index.html plus the files it links to (hashed bundles,
+ * icons, the manifest). Page loads try the network first and fall back to
+ * the cached index.html; other same-origin files are served from the cache
+ * first. API calls are never cached here: notes are kept in IndexedDB by
+ * the app itself (src/lib/offlineStore.js).
+ *
+ * Each fresh index.html replaces the cached shell, and files it no longer
+ * links to are dropped, so old bundles do not pile up between deploys.
+ */
+
+const CACHE = "notevault-shell-v1";
+const SHELL = "/index.html";
+
+/** The same-origin files an index.html links to. */
+const linkedFiles = (html) => [
+  ...new Set(
+    [...html.matchAll(/(?:src|href)="(\/[^"/][^"]*)"/g)].map((m) => m[1]),
+  ),
+];
+
+/** Caches `response` as the shell and brings the linked files in line. */
+async function updateShell(response) {
+  const html = await response.clone().text();
+  const files = linkedFiles(html);
+  const cache = await caches.open(CACHE);
+  await cache.addAll(files);
+  await cache.put(SHELL, response);
+
+  const keep = new Set([SHELL, ...files]);
+  for (const request of await cache.keys()) {
+    if (!keep.has(new URL(request.url).pathname)) await cache.delete(request);
+  }
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    fetch(SHELL, { cache: "no-cache" })
+      .then(updateShell)
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names.filter((n) => n !== CACHE).map((n) => caches.delete(n)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (
+    request.method !== "GET" ||
+    url.origin !== self.location.origin ||
+    url.pathname.startsWith("/api/")
+  ) {
+    return; // the browser handles it as usual
+  }
+
+  // Page loads — every route renders the same index.html
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          if (response.ok) event.waitUntil(updateShell(response.clone()));
+          return response;
+        })
+        .catch(() => caches.match(SHELL)),
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request).then((cached) => cached ?? fetch(request)),
+  );
+});
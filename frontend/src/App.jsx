@@ -1,15 +1,36 @@
 import { Navigate, Route, Routes } from "react-router-dom";
 import LoginPage from "./pages/LoginPage";
 import RegisterPage from "./pages/RegisterPage";
+import ForgotPasswordPage from "./pages/ForgotPasswordPage";
+import ResetPasswordPage from "./pages/ResetPasswordPage";
 import NotesPage from "./pages/NotesPage";
 import LandingPage from "./pages/LandingPage";
+import TrashPage from "./pages/TrashPage";
+import SharedPage from "./pages/SharedPage";
+import SharedNotePage from "./pages/SharedNotePage";
+import SessionsPage from "./pages/SessionsPage";
+import SettingsPage from "./pages/SettingsPage";
+import SecurityPage from "./pages/SecurityPage";
+import AccessTokensPage from "./pages/AccessTokensPage";
+import ConfirmEmailPage from "./pages/ConfirmEmailPage";
+import VerifyEmailPage from "./pages/VerifyEmailPage";
 import PrivateRoute from "./components/PrivateRoute";
 
 /**
  * App — defines the client-side route tree.
  *
  * Public  routes:  /login  /register
+ *                  /forgot-password  /reset-password/:token
+ *                  /confirm-email/:token (works signed in or out)
+ *                  /verify-email/:token  (works signed in or out)
+ *                  /s/:token   (read-only shared note — no account needed)
  * Private routes:  /dashboard  (guarded by PrivateRoute → NotesPage)
+ *                  /shared     (guarded by PrivateRoute → SharedPage)
+ *                  /trash      (guarded by PrivateRoute → TrashPage)
+ *                  /account    (guarded by PrivateRoute → SettingsPage)
+ *                  /account/security (guarded by PrivateRoute → SecurityPage)
+ *                  /account/sessions (guarded by PrivateRoute → SessionsPage)
+ *                  /account/tokens   (guarded by PrivateRoute → AccessTokensPage)
  *
  * The root path "/" redirects to "/dashboard".
  * PrivateRoute bounces unauthenticated users to "/login",
@@ -21,10 +42,21 @@ export default function App() {
       {/* Public routes */}
       <Route path="/login" element={<LoginPage />} />
       <Route path="/register" element={<RegisterPage />} />
+      <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+      <Route path="/reset-password/:token" element={<ResetPasswordPage />} />
+      <Route path="/confirm-email/:token" element={<ConfirmEmailPage />} />
+      <Route path="/verify-email/:token" element={<VerifyEmailPage />} />
+      <Route path="/s/:token" element={<SharedNotePage />} />
 
       {/* Protected routes */}
       <Route element={<PrivateRoute />}>
         <Route path="/dashboard" element={<NotesPage />} />
+        <Route path="/shared" element={<SharedPage />} />
+        <Route path="/trash" element={<TrashPage />} />
+        <Route path="/account" element={<SettingsPage />} />
+        <Route path="/account/security" element={<SecurityPage />} />
+        <Route path="/account/sessions" element={<SessionsPage />} />
+        <Route path="/account/tokens" element={<AccessTokensPage />} />
       </Route>
 
       {/* Landing page (public) */}
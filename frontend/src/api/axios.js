@@ -7,39 +7,150 @@ import axios from "axios";
  * so requests like GET /api/notes hit the backend without any CORS preflight.
  *
  * In production, set VITE_API_BASE_URL in your .env to point at the live API.
+ *
+ * withCredentials lets the browser store and send the HttpOnly refresh-token
+ * cookie when the API lives on another origin.
  */
+const baseURL = import.meta.env.VITE_API_BASE_URL || "/api";
+
 const api = axios.create({
-  baseURL: import.meta.env.VITE_API_BASE_URL || "/api",
+  baseURL,
   headers: { "Content-Type": "application/json" },
   timeout: 10000, // 10-second network timeout
+  withCredentials: true,
 });
 
-// ── Request interceptor — attach JWT on every outgoing request ────────────────
+// ── Session state ─────────────────────────────────────────────────────────────
+// The short-lived access token lives only in memory — never in localStorage,
+// where any injected script could read it. After a page load it is restored
+// from the HttpOnly refresh-token cookie, which scripts cannot touch at all.
+let accessToken = null;
+const listeners = new Set();
+
+/**
+ * setSession(session) — stores the current { token, user }, or null when
+ * signed out, and notifies subscribers (AuthContext).
+ */
+export function setSession(session) {
+  accessToken = session?.token ?? null;
+  listeners.forEach((listener) => listener(session));
+}
+
+/**
+ * getAccessToken() → the current access token, or null. For requests made
+ * without this client, such as the notes event stream (lib/eventStream.js).
+ */
+export function getAccessToken() {
+  return accessToken;
+}
+
+/** onSessionChange(listener) → unsubscribe function */
+export function onSessionChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Bare client for the refresh call itself, so a failing refresh can never
+// re-enter the 401 handling below.
+const sessionClient = axios.create({
+  baseURL,
+  timeout: 10000,
+  withCredentials: true,
+});
+
+const RACE_RETRY_MS = 500;
+let refreshing = null; // in-flight refresh, shared by every caller
+
+const requestRefresh = async () => {
+  try {
+    return await sessionClient.post("/auth/refresh");
+  } catch (err) {
+    // 409: another tab rotated the cookie a moment ago. Once its response
+    // has landed the browser holds the new cookie — try once more.
+    if (err.response?.status !== 409) throw err;
+    await new Promise((resolve) => setTimeout(resolve, RACE_RETRY_MS));
+    return sessionClient.post("/auth/refresh");
+  }
+};
+
+/**
+ * refreshSession() → Promise<access token>
+ *
+ * Exchanges the refresh-token cookie for a new access token. Concurrent
+ * callers share one request, because each refresh token works only once.
+ * A 401 means the session is over and signs the user out; other failures
+ * (network, 5xx) leave the session as it is.
+ */
+export function refreshSession() {
+  if (!refreshing) {
+    refreshing = requestRefresh()
+      .then(({ data }) => {
+        setSession({ token: data.token, user: data.user });
+        return data.token;
+      })
+      .catch((err) => {
+        if (err.response?.status === 401) setSession(null);
+        throw err;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+}
+
+// ── Request interceptor — attach the access token on every outgoing request ──
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem("token");
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
+    if (accessToken) {
+      config.headers.Authorization = `Bearer ${accessToken}`;
     }
     return config;
   },
   (error) => Promise.reject(error),
 );
 
-// ── Response interceptor — global 401 handling ────────────────────────────────
-// If any response comes back as 401 (expired / invalid token), clear local
-// storage and redirect to the login page so the user can re-authenticate.
-// This prevents ghost sessions where the UI looks logged in but all API calls fail.
+// ── Response interceptor — silent refresh on 401 ──────────────────────────────
+// An expired access token is routine: refresh it once and replay the request.
+// If the refresh itself fails with 401, the session is cleared and
+// PrivateRoute sends the user to /login — no hard redirect, no lost route.
+// The credential endpoints are passed through: a 401 from login is a wrong
+// password, not an expired token. The account endpoints under /auth/ (me,
+// sessions, 2fa, tokens, …) refresh like any other request.
+const CREDENTIAL_ENDPOINTS = [
+  "/auth/login",
+  "/auth/login/2fa",
+  "/auth/register",
+  "/auth/refresh",
+  "/auth/logout",
+];
+
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem("token");
-      localStorage.removeItem("user");
-      // Hard redirect — clears any in-memory React state as a side effect.
-      window.location.href = "/login";
+  async (error) => {
+    const original = error.config;
+    if (
+      error.response?.status !== 401 ||
+      !original ||
+      original._retried ||
+      CREDENTIAL_ENDPOINTS.includes(original.url)
+    ) {
+      return Promise.reject(error);
+    }
+
+    original._retried = true;
+    try {
+      // Sent with a token that has been replaced since? Just use the new one.
+      const token =
+        accessToken &&
+        original.headers.Authorization !== `Bearer ${accessToken}`
+          ? accessToken
+          : await refreshSession();
+      original.headers.Authorization = `Bearer ${token}`;
+      return api(original);
+    } catch {
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
   },
 );
 
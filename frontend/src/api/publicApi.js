@@ -0,0 +1,17 @@
+import axios from "axios";
+
+/**
+ * Axios instance for the unauthenticated /api/public endpoints.
+ *
+ * Deliberately separate from `api`: it never attaches the signed-in user's
+ * JWT (a share link must work the same for everyone), and a 401 here means
+ * "password required" rather than an expired session, so the global
+ * redirect-to-login interceptor must not run.
+ */
+const publicApi = axios.create({
+  baseURL: `${import.meta.env.VITE_API_BASE_URL || "/api"}/public`,
+  headers: { "Content-Type": "application/json" },
+  timeout: 10000, // 10-second network timeout
+});
+
+export default publicApi;
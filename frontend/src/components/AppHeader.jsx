@@ -0,0 +1,107 @@
+import { NavLink, useNavigate } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import EmailVerificationBanner from "./account/EmailVerificationBanner";
+
+/** Links shown in the top navigation of every signed-in page. */
+const NAV_LINKS = [
+  { to: "/dashboard", label: "Notes" },
+  { to: "/shared", label: "Shared" },
+  { to: "/trash", label: "Trash" },
+];
+
+/**
+ * AppHeader — sticky top navigation shared by the signed-in pages.
+ *
+ * Brand, primary navigation, the current user's initial/name (linking to
+ * their account settings) and sign-out. NavLink marks the current page
+ * with aria-current="page". Unverified accounts also get
+ * EmailVerificationBanner underneath.
+ */
+export default function AppHeader() {
+  const { user, logout } = useAuth();
+  const navigate = useNavigate();
+
+  const handleLogout = () => {
+    logout();
+    navigate("/login", { replace: true });
+  };
+
+  return (
+    <header className="sticky top-0 z-30 border-b border-gray-200 bg-white/90 backdrop-blur-sm">
+      <div className="mx-auto flex max-w-6xl items-center justify-between px-4 py-3 sm:px-6">
+        {/* Brand + navigation */}
+        <div className="flex items-center gap-6">
+          <div className="flex items-center gap-2.5">
+            <div
+              className="flex h-8 w-8 items-center justify-center rounded-full bg-indigo-600"
+              aria-hidden="true"
+            >
+              <svg
+                className="h-4 w-4 text-white"
+                viewBox="0 0 24 24"
+                fill="none"
+                stroke="currentColor"
+                strokeWidth={2}
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
+                />
+              </svg>
+            </div>
+            <span className="text-base font-bold text-gray-900 tracking-tight">
+              NoteVault
+            </span>
+          </div>
+
+          <nav aria-label="Main" className="flex items-center gap-1">
+            {NAV_LINKS.map(({ to, label }) => (
+              <NavLink
+                key={to}
+                to={to}
+                className={({ isActive }) =>
+                  `rounded-lg px-2.5 py-1.5 text-sm font-medium transition focus:outline-none focus:ring-2 focus:ring-indigo-400 ${
+                    isActive
+                      ? "bg-indigo-50 text-indigo-700"
+                      : "text-gray-500 hover:bg-gray-100 hover:text-gray-800"
+                  }`
+                }
+              >
+                {label}
+              </NavLink>
+            ))}
+          </nav>
+        </div>
+
+        {/* User + sign-out */}
+        <div className="flex items-center gap-3">
+          <NavLink
+            to="/account"
+            title="Account settings"
+            className={({ isActive }) =>
+              `hidden rounded-lg px-1.5 py-1 transition focus:outline-none focus:ring-2 focus:ring-indigo-400 sm:flex sm:items-center sm:gap-2 ${
+                isActive ? "bg-indigo-50" : "hover:bg-gray-100"
+              }`
+            }
+          >
+            <div className="flex h-7 w-7 items-center justify-center rounded-full bg-indigo-100 text-xs font-bold text-indigo-700">
+              {user?.name?.[0]?.toUpperCase() ?? "U"}
+            </div>
+            <span className="max-w-[140px] truncate text-sm font-medium text-gray-700">
+              {user?.name}
+            </span>
+          </NavLink>
+          <button
+            onClick={handleLogout}
+            aria-label="Sign out of your account"
+            className="rounded-lg bg-gray-100 px-3 py-1.5 text-xs font-medium text-gray-600 transition hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 focus:ring-offset-1"
+          >
+            Sign out
+          </button>
+        </div>
+      </div>
+      {user?.emailVerified === false && <EmailVerificationBanner />}
+    </header>
+  );
+}
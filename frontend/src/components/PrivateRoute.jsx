@@ -1,5 +1,6 @@
 import { Navigate, Outlet, useLocation } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
+import Spinner from "./ui/Spinner";
 
 /**
  * PrivateRoute — protects any route that requires authentication.
@@ -11,22 +12,34 @@ import { useAuth } from "../context/AuthContext";
  *   </Route>
  *
  * How it works:
- *  1. Reads the token from AuthContext (not directly from localStorage so the
- *     context remains the single source of truth).
- *  2. If no token → redirects to /login, preserving the originally requested
+ *  1. Reads the token from AuthContext, the single source of truth. While
+ *     the session is still being restored on start-up, shows a spinner
+ *     rather than bouncing a signed-in user to /login.
+ *  2. If no token and no offline session → redirects to /login, preserving the originally requested
  *     path in `location.state.from` so LoginPage can redirect back after
  *     a successful login.
- *  3. If token is present → renders the nested route via <Outlet />.
+ *  3. Otherwise → renders the nested route via <Outlet />. An offline
+ *     session (see AuthContext) has no token; its API calls fail until
+ *     the connection returns, and the notes dashboard works from the
+ *     device copy meanwhile.
  *
  * Note: this is a client-side guard only. The real security enforcement is on
  * the backend (JWT verification on every API request). Never rely solely on
  * frontend route guards.
  */
 export default function PrivateRoute() {
-  const { token } = useAuth();
+  const { token, offline, initializing } = useAuth();
   const location = useLocation();
 
-  if (!token) {
+  if (initializing) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-gray-50">
+        <Spinner color="text-indigo-500" />
+      </div>
+    );
+  }
+
+  if (!token && !offline) {
     return (
       <Navigate
         to="/login"
@@ -0,0 +1,209 @@
+import { useState } from "react";
+import Spinner from "../ui/Spinner";
+import {
+  ACCESS_TOKEN_MAX_NAME,
+  ACCESS_TOKEN_SCOPES,
+} from "../../lib/constants";
+
+/** Lifetime presets — days, or null for never */
+const EXPIRY_OPTIONS = [
+  [30, "Expires in 30 days"],
+  [90, "Expires in 90 days"],
+  [365, "Expires in 1 year"],
+  [null, "Never expires"],
+];
+
+/**
+ * AccessTokenForm
+ *
+ * Creates a personal access token: a name to recognise it by, the scopes it
+ * grants and its lifetime. The new token is shown once, right below the
+ * form — the server keeps only a hash of it — so it can be copied straight
+ * away.
+ *
+ * Props:
+ *  onCreate — ({ name, scopes, expiresInDays }) → Promise<{ success, token?, message? }>
+ *  saving   — disables the form while a request is in-flight
+ */
+export default function AccessTokenForm({ onCreate, saving }) {
+  const [name, setName] = useState("");
+  const [scopes, setScopes] = useState(["notes:read"]);
+  const [expiresInDays, setExpiresInDays] = useState(90);
+  const [created, setCreated] = useState(null); // raw token | null
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState(null);
+
+  const toggleScope = (scope) =>
+    setScopes((current) =>
+      current.includes(scope)
+        ? current.filter((s) => s !== scope)
+        : [...current, scope],
+    );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setCopied(false);
+    const result = await onCreate({
+      name: name.trim(),
+      scopes,
+      expiresInDays,
+    });
+    if (result.success) {
+      setCreated(result.token);
+      setName("");
+    } else {
+      setError(result.message);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(created);
+      setCopied(true);
+    } catch {
+      // Clipboard access denied — the token stays selectable in the field.
+    }
+  };
+
+  return (
+    <section
+      aria-labelledby="new-token-title"
+      className="rounded-2xl bg-white px-6 py-6 shadow-sm ring-1 ring-gray-200"
+    >
+      <h2
+        id="new-token-title"
+        className="text-base font-semibold text-gray-900"
+      >
+        New token
+      </h2>
+      <p className="mt-0.5 text-sm text-gray-500">
+        Scripts send the token as{" "}
+        <code className="rounded bg-gray-100 px-1 text-xs">
+          Authorization: Bearer nv_pat_…
+        </code>{" "}
+        to the notes API. Give each script its own token with only the scopes it
+        needs.
+      </p>
+
+      <form onSubmit={handleSubmit} className="mt-5 space-y-4">
+        <div className="grid gap-3 sm:grid-cols-2">
+          <div>
+            <label
+              htmlFor="token-name"
+              className="mb-1 block text-sm font-medium text-gray-700"
+            >
+              Name
+            </label>
+            <input
+              id="token-name"
+              type="text"
+              placeholder="e.g. Backup script"
+              autoComplete="off"
+              maxLength={ACCESS_TOKEN_MAX_NAME}
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              disabled={saving}
+              className="block w-full rounded-lg border border-gray-300 bg-white px-3 py-2 text-sm text-gray-900 outline-none focus:border-indigo-500 focus:ring-2 focus:ring-indigo-200 disabled:opacity-50"
+            />
+          </div>
+          <div>
+            <label
+              htmlFor="token-expiry"
+              className="mb-1 block text-sm font-medium text-gray-700"
+            >
+              Expiry
+            </label>
+            <select
+              id="token-expiry"
+              value={expiresInDays ?? ""}
+              onChange={(e) =>
+                setExpiresInDays(e.target.value ? Number(e.target.value) : null)
+              }
+              disabled={saving}
+              className="block w-full rounded-lg border border-gray-300 bg-white px-3 py-2 text-sm text-gray-900 outline-none focus:border-indigo-500 focus:ring-2 focus:ring-indigo-200 disabled:opacity-50"
+            >
+              {EXPIRY_OPTIONS.map(([days, label]) => (
+                <option key={label} value={days ?? ""}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <fieldset>
+          <legend className="mb-1 text-sm font-medium text-gray-700">
+            Scopes
+          </legend>
+          <div className="space-y-1.5">
+            {ACCESS_TOKEN_SCOPES.map(([scope, description]) => (
+              <label
+                key={scope}
+                className="flex items-start gap-2 text-sm text-gray-700"
+              >
+                <input
+                  type="checkbox"
+                  checked={scopes.includes(scope)}
+                  onChange={() => toggleScope(scope)}
+                  disabled={saving}
+                  className="mt-0.5 h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                />
+                <span>
+                  <code className="text-xs font-semibold">{scope}</code>
+                  <span className="text-gray-500"> — {description}</span>
+                </span>
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        {error && (
+          <p role="alert" className="text-sm text-red-600">
+            {error}
+          </p>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={saving || !name.trim() || scopes.length === 0}
+            aria-busy={saving}
+            className="flex items-center gap-2 rounded-lg bg-indigo-600 px-4 py-2 text-sm font-semibold text-white shadow-sm transition hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-1 disabled:cursor-not-allowed disabled:opacity-60"
+          >
+            {saving && <Spinner size="h-3.5 w-3.5" />}
+            Create token
+          </button>
+        </div>
+      </form>
+
+      {/* Newly created token — shown once */}
+      {created && (
+        <div className="mt-4 rounded-lg bg-indigo-50 p-3 ring-1 ring-indigo-100">
+          <label
+            htmlFor="created-token"
+            className="mb-1 block text-xs font-medium text-indigo-800"
+          >
+            Copy this token now — it won&apos;t be shown again.
+          </label>
+          <div className="flex gap-2">
+            <input
+              id="created-token"
+              readOnly
+              value={created}
+              onFocus={(e) => e.target.select()}
+              className="block min-w-0 flex-1 rounded-md border border-indigo-200 bg-white px-2 py-1.5 font-mono text-xs text-gray-700 outline-none focus:ring-2 focus:ring-indigo-200"
+            />
+            <button
+              type="button"
+              onClick={handleCopy}
+              className="rounded-md bg-white px-3 py-1.5 text-xs font-semibold text-indigo-700 ring-1 ring-indigo-200 transition hover:bg-indigo-100 focus:outline-none focus:ring-2 focus:ring-indigo-400"
+            >
+              {copied ? "Copied" : "Copy"}
+            </button>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
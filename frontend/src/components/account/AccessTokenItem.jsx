@@ -0,0 +1,77 @@
+const formatDate = (iso) =>
+  new Date(iso).toLocaleDateString(undefined, {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+
+/**
+ * AccessTokenItem
+ *
+ * One personal access token on AccessTokensPage: its name, the first
+ * characters of the token, its scopes, when it was last used and when it
+ * expires, and a revoke action.
+ *
+ * Props:
+ *  token    — { _id, name, prefix, scopes, createdAt, lastUsedAt, expiresAt }
+ *  onRevoke — called with the token object
+ *  disabled — grays out the action while a request is in-flight
+ */
+export default function AccessTokenItem({ token, onRevoke, disabled }) {
+  const expired = token.expiresAt && new Date(token.expiresAt) <= new Date();
+
+  return (
+    <li className="flex items-center justify-between gap-4 px-4 py-3">
+      <div className="min-w-0">
+        <p className="flex items-center gap-2 text-sm font-medium text-gray-900">
+          <span className="truncate">{token.name}</span>
+          <code className="shrink-0 text-xs font-normal text-gray-400">
+            {token.prefix}…
+          </code>
+        </p>
+        <p className="mt-1 flex flex-wrap gap-1">
+          {token.scopes.map((scope) => (
+            <span
+              key={scope}
+              className="rounded-full bg-indigo-50 px-2 py-0.5 text-[11px] font-medium text-indigo-700"
+            >
+              {scope}
+            </span>
+          ))}
+        </p>
+        <p className="mt-1 truncate text-xs text-gray-400">
+          {token.lastUsedAt ? (
+            <>
+              Last used{" "}
+              <time dateTime={token.lastUsedAt}>
+                {formatDate(token.lastUsedAt)}
+              </time>
+            </>
+          ) : (
+            "Never used"
+          )}{" "}
+          ·{" "}
+          {token.expiresAt ? (
+            <span className={expired ? "text-red-600" : undefined}>
+              {expired ? "Expired" : "Expires"}{" "}
+              <time dateTime={token.expiresAt}>
+                {formatDate(token.expiresAt)}
+              </time>
+            </span>
+          ) : (
+            "Never expires"
+          )}
+        </p>
+      </div>
+      <button
+        type="button"
+        onClick={() => onRevoke(token)}
+        disabled={disabled}
+        aria-label={`Revoke ${token.name}`}
+        className="shrink-0 rounded-lg px-3 py-1.5 text-xs font-medium text-red-600 transition hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-400 disabled:pointer-events-none disabled:opacity-40"
+      >
+        Revoke
+      </button>
+    </li>
+  );
+}
@@ -0,0 +1,40 @@
+import { NavLink } from "react-router-dom";
+
+/** Sections of the account area. `end` keeps Profile from matching /account/*. */
+const ACCOUNT_LINKS = [
+  { to: "/account", label: "Profile", end: true },
+  { to: "/account/security", label: "Security" },
+  { to: "/account/sessions", label: "Sessions" },
+  { to: "/account/tokens", label: "Tokens" },
+];
+
+/**
+ * AccountNav — tabs linking the account pages (SettingsPage, SecurityPage,
+ * SessionsPage, AccessTokensPage).
+ * NavLink marks the current page with aria-current="page".
+ */
+export default function AccountNav() {
+  return (
+    <nav
+      aria-label="Account"
+      className="mb-6 flex gap-1 border-b border-gray-200"
+    >
+      {ACCOUNT_LINKS.map(({ to, label, end }) => (
+        <NavLink
+          key={to}
+          to={to}
+          end={end}
+          className={({ isActive }) =>
+            `-mb-px border-b-2 px-3 py-2 text-sm font-medium transition focus:outline-none focus:ring-2 focus:ring-indigo-400 ${
+              isActive
+                ? "border-indigo-600 text-indigo-700"
+                : "border-transparent text-gray-500 hover:text-gray-800"
+            }`
+          }
+        >
+          {label}
+        </NavLink>
+      ))}
+    </nav>
+  );
+}
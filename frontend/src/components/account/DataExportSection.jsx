@@ -0,0 +1,69 @@
+import { useState } from "react";
+import { downloadFile } from "../../lib/download";
+import { extractApiError } from "../../lib/api";
+import Alert from "../ui/Alert";
+import Spinner from "../ui/Spinner";
+
+/**
+ * DataExportSection
+ *
+ * "Your data" on SettingsPage: downloads a zip of everything NoteVault
+ * stores about the user — profile, every note as JSON and Markdown, and
+ * the account's other records.
+ */
+export default function DataExportSection() {
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleExport = async () => {
+    setExporting(true);
+    setError(null);
+    try {
+      await downloadFile("/auth/me/export", {
+        fileName: "notevault-export.zip",
+      });
+    } catch (err) {
+      setError(extractApiError(err, "Failed to export your data."));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <section
+      aria-labelledby="export-title"
+      className="mt-6 rounded-2xl bg-white px-6 py-6 shadow-sm ring-1 ring-gray-200"
+    >
+      <h2 id="export-title" className="text-base font-semibold text-gray-900">
+        Your data
+      </h2>
+      <p className="mt-0.5 text-sm text-gray-500">
+        Download a zip archive of your profile and every note — including the
+        trash — as JSON and Markdown files.
+      </p>
+
+      {error && (
+        <div className="mt-4">
+          <Alert
+            type="error"
+            message={error}
+            onDismiss={() => setError(null)}
+          />
+        </div>
+      )}
+
+      <div className="mt-4 flex justify-end">
+        <button
+          type="button"
+          onClick={handleExport}
+          disabled={exporting}
+          aria-busy={exporting}
+          className="flex items-center gap-2 rounded-lg bg-gray-100 px-4 py-2 text-sm font-medium text-gray-700 transition hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 disabled:cursor-not-allowed disabled:opacity-60"
+        >
+          {exporting && <Spinner size="h-4 w-4" color="text-gray-600" />}
+          {exporting ? "Preparing export…" : "Export my data"}
+        </button>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,132 @@
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "../../context/AuthContext";
+import Alert from "../ui/Alert";
+import Input from "../ui/Input";
+import Spinner from "../ui/Spinner";
+
+/**
+ * DeleteAccountSection
+ *
+ * Danger zone on SettingsPage. "Delete account" asks for the password
+ * before anything happens; afterwards the user is signed out and lands on
+ * the login page with the server's message — which says when the account
+ * will be deleted if the server keeps it for a grace period.
+ */
+export default function DeleteAccountSection() {
+  const { deleteAccount, logout } = useAuth();
+  const navigate = useNavigate();
+  const [confirming, setConfirming] = useState(false);
+  const [password, setPassword] = useState("");
+  const [passwordError, setPasswordError] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const cancel = () => {
+    setConfirming(false);
+    setPassword("");
+    setPasswordError(null);
+    setError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (saving) return;
+    if (!password) {
+      setPasswordError("Current password is required");
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    const result = await deleteAccount(password);
+    setSaving(false);
+    if (result.success) {
+      // Same tick: the login page mounts with the notice, signed out.
+      navigate("/login", { replace: true, state: { notice: result.message } });
+      logout();
+    } else if (result.fieldErrors?.length) {
+      setPasswordError(result.fieldErrors[0].message);
+    } else {
+      setError(result.message);
+    }
+  };
+
+  return (
+    <section
+      aria-labelledby="delete-account-title"
+      className="mt-6 rounded-2xl bg-white px-6 py-6 shadow-sm ring-1 ring-red-200"
+    >
+      <h2
+        id="delete-account-title"
+        className="text-base font-semibold text-red-700"
+      >
+        Delete account
+      </h2>
+      <p className="mt-0.5 text-sm text-gray-500">
+        Deletes your account with all of your notes, notebooks and share links,
+        and removes you from notes others shared with you. Export your data
+        first if you want to keep it.
+      </p>
+
+      {error && (
+        <div className="mt-4">
+          <Alert
+            type="error"
+            message={error}
+            onDismiss={() => setError(null)}
+          />
+        </div>
+      )}
+
+      {confirming ? (
+        <form onSubmit={handleSubmit} noValidate className="mt-4 space-y-4">
+          <Input
+            label="Current password"
+            id="deleteAccountPassword"
+            name="currentPassword"
+            type="password"
+            autoComplete="current-password"
+            required
+            value={password}
+            onChange={(e) => {
+              setPassword(e.target.value);
+              setPasswordError(null);
+            }}
+            error={passwordError}
+            disabled={saving}
+          />
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={cancel}
+              disabled={saving}
+              className="rounded-lg px-4 py-2 text-sm font-medium text-gray-600 transition hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-gray-300 disabled:opacity-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              aria-busy={saving}
+              className="flex items-center gap-2 rounded-lg bg-red-600 px-4 py-2 text-sm font-semibold text-white shadow-sm transition hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-60"
+            >
+              {saving && <Spinner size="h-4 w-4" />}
+              Delete my account
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="mt-4 flex justify-end">
+          <button
+            type="button"
+            onClick={() => setConfirming(true)}
+            className="rounded-lg px-4 py-2 text-sm font-medium text-red-600 ring-1 ring-red-200 transition hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-400"
+          >
+            Delete account…
+          </button>
+        </div>
+      )}
+    </section>
+  );
+}
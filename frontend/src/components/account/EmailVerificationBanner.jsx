@@ -0,0 +1,57 @@
+import { useState } from "react";
+import { useAuth } from "../../context/AuthContext";
+import Spinner from "../ui/Spinner";
+
+/**
+ * EmailVerificationBanner
+ *
+ * Strip under AppHeader reminding an unverified user to open the link sent
+ * to their address, with a button that emails a new one. Depending on the
+ * server's EMAIL_VERIFICATION policy, notes stay locked until they do.
+ */
+export default function EmailVerificationBanner() {
+  const { user, resendVerification } = useAuth();
+  const [sending, setSending] = useState(false);
+  const [result, setResult] = useState(null); // { success, message } | null
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      setResult(await resendVerification());
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="border-t border-amber-200 bg-amber-50">
+      <div
+        role="status"
+        className="mx-auto flex max-w-6xl flex-wrap items-center justify-between gap-x-4 gap-y-2 px-4 py-2 text-sm text-amber-900 sm:px-6"
+      >
+        <p>
+          {result ? (
+            <span className={result.success ? undefined : "text-red-700"}>
+              {result.message}
+            </span>
+          ) : (
+            <>
+              Please verify your email address — we sent a link to{" "}
+              <span className="font-medium">{user.email}</span>.
+            </>
+          )}
+        </p>
+        <button
+          type="button"
+          onClick={handleResend}
+          disabled={sending}
+          aria-busy={sending}
+          className="flex items-center gap-1.5 rounded-lg bg-amber-100 px-3 py-1 text-xs font-semibold text-amber-900 transition hover:bg-amber-200 focus:outline-none focus:ring-2 focus:ring-amber-400 disabled:cursor-not-allowed disabled:opacity-60"
+        >
+          {sending && <Spinner size="h-3 w-3" color="text-amber-700" />}
+          Resend link
+        </button>
+      </div>
+    </div>
+  );
+}
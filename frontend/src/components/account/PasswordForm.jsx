@@ -0,0 +1,156 @@
+import { useState } from "react";
+import { useAuth } from "../../context/AuthContext";
+import { useFormFields } from "../../hooks/useFormFields";
+import { validateChangePassword } from "../../lib/validators";
+import Alert from "../ui/Alert";
+import Input from "../ui/Input";
+import Spinner from "../ui/Spinner";
+
+const EMPTY = { currentPassword: "", newPassword: "", confirmPassword: "" };
+
+/**
+ * PasswordForm
+ *
+ * Changes the signed-in user's password. Every other device is signed out
+ * and every personal access token deleted; this one stays signed in.
+ */
+export default function PasswordForm() {
+  const { changePassword } = useAuth();
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null); // { type, text } | null
+
+  const {
+    fields,
+    setFields,
+    fieldErrors,
+    submittingRef,
+    handleChange,
+    focusFirstError,
+    markErrors,
+    isValid,
+  } = useFormFields(EMPTY, () => setMessage(null));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (submittingRef.current || saving) return;
+
+    const errors = validateChangePassword(fields);
+    if (Object.keys(errors).length > 0) {
+      markErrors(errors);
+      focusFirstError(errors);
+      return;
+    }
+
+    submittingRef.current = true;
+    setSaving(true);
+    setMessage(null);
+    try {
+      // confirmPassword is a UI-only field — never sent to the API
+      const result = await changePassword({
+        currentPassword: fields.currentPassword,
+        newPassword: fields.newPassword,
+      });
+      setMessage({
+        type: result.success ? "success" : "error",
+        text: result.message,
+      });
+      if (result.success) {
+        setFields(EMPTY);
+      } else if (result.fieldErrors?.length) {
+        const mapped = Object.fromEntries(
+          result.fieldErrors.map(({ field, message }) => [field, message]),
+        );
+        markErrors(mapped);
+        focusFirstError(mapped);
+      }
+    } finally {
+      setSaving(false);
+      submittingRef.current = false;
+    }
+  };
+
+  return (
+    <section
+      aria-labelledby="password-title"
+      className="rounded-2xl bg-white px-6 py-6 shadow-sm ring-1 ring-gray-200"
+    >
+      <h2 id="password-title" className="text-base font-semibold text-gray-900">
+        Password
+      </h2>
+      <p className="mt-0.5 text-sm text-gray-500">
+        Changing it signs you out on every other device.
+      </p>
+
+      {message && (
+        <div className="mt-4">
+          <Alert
+            type={message.type}
+            message={message.text}
+            onDismiss={() => setMessage(null)}
+          />
+        </div>
+      )}
+
+      <form
+        onSubmit={handleSubmit}
+        noValidate
+        className="mt-4 space-y-5"
+        aria-label="Change password form"
+      >
+        <Input
+          label="Current password"
+          id="currentPassword"
+          name="currentPassword"
+          type="password"
+          autoComplete="current-password"
+          required
+          value={fields.currentPassword}
+          onChange={handleChange}
+          error={fieldErrors.currentPassword}
+          disabled={saving}
+        />
+
+        <Input
+          label="New password"
+          id="newPassword"
+          name="newPassword"
+          type="password"
+          autoComplete="new-password"
+          required
+          value={fields.newPassword}
+          onChange={handleChange}
+          error={fieldErrors.newPassword}
+          valid={isValid("newPassword")}
+          disabled={saving}
+          hint="Min 8 chars · uppercase · lowercase · number"
+        />
+
+        <Input
+          label="Confirm new password"
+          id="confirmPassword"
+          name="confirmPassword"
+          type="password"
+          autoComplete="new-password"
+          required
+          value={fields.confirmPassword}
+          onChange={handleChange}
+          error={fieldErrors.confirmPassword}
+          valid={isValid("confirmPassword")}
+          disabled={saving}
+        />
+
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={saving}
+            aria-busy={saving}
+            className="flex items-center gap-2 rounded-lg bg-indigo-600 px-4 py-2 text-sm font-semibold text-white shadow-sm transition hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-60"
+          >
+            {saving && <Spinner size="h-4 w-4" />}
+            Change password
+          </button>
+        </div>
+      </form>
+    </section>
+  );
+}
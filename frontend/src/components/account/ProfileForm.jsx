@@ -0,0 +1,200 @@
+import { useState } from "react";
+import { useAuth } from "../../context/AuthContext";
+import { useFormFields } from "../../hooks/useFormFields";
+import { validateProfile } from "../../lib/validators";
+import Alert from "../ui/Alert";
+import Input from "../ui/Input";
+import Spinner from "../ui/Spinner";
+
+/** Maps server field names onto this form's inputs. */
+const SERVER_FIELDS = { currentPassword: "emailPassword" };
+
+/**
+ * ProfileForm
+ *
+ * Name and email of the signed-in user. A new email address only takes
+ * effect once confirmed from the link sent to it, so after saving the
+ * field shows the current address again and a notice names the pending
+ * one, with a way to cancel the change. Changing the email asks for the
+ * current password.
+ */
+export default function ProfileForm() {
+  const { user, updateProfile } = useAuth();
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null); // { type, text } | null
+
+  const {
+    fields,
+    setFields,
+    fieldErrors,
+    submittingRef,
+    handleChange,
+    focusFirstError,
+    markErrors,
+    isValid,
+  } = useFormFields(
+    { name: user.name, email: user.email, emailPassword: "" },
+    () => setMessage(null),
+  );
+
+  const emailChanged =
+    fields.email.trim().toLowerCase() !== user.email.toLowerCase();
+
+  const save = async (changes) => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const result = await updateProfile(changes);
+      setMessage({
+        type: result.success ? "success" : "error",
+        text: result.message,
+      });
+      if (result.success) {
+        setFields({
+          name: result.user.name,
+          email: result.user.email,
+          emailPassword: "",
+        });
+      } else if (result.fieldErrors?.length) {
+        const mapped = Object.fromEntries(
+          result.fieldErrors.map(({ field, message }) => [
+            SERVER_FIELDS[field] ?? field,
+            message,
+          ]),
+        );
+        markErrors(mapped);
+        focusFirstError(mapped);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (submittingRef.current || saving) return;
+
+    const errors = validateProfile(fields, user.email);
+    if (Object.keys(errors).length > 0) {
+      markErrors(errors);
+      focusFirstError(errors);
+      return;
+    }
+
+    submittingRef.current = true;
+    try {
+      await save({
+        name: fields.name.trim(),
+        ...(emailChanged && {
+          email: fields.email.trim(),
+          currentPassword: fields.emailPassword,
+        }),
+      });
+    } finally {
+      submittingRef.current = false;
+    }
+  };
+
+  return (
+    <section
+      aria-labelledby="profile-title"
+      className="rounded-2xl bg-white px-6 py-6 shadow-sm ring-1 ring-gray-200"
+    >
+      <h2 id="profile-title" className="text-base font-semibold text-gray-900">
+        Profile
+      </h2>
+
+      {message && (
+        <div className="mt-4">
+          <Alert
+            type={message.type}
+            message={message.text}
+            onDismiss={() => setMessage(null)}
+          />
+        </div>
+      )}
+
+      {user.pendingEmail && (
+        <p className="mt-4 rounded-lg bg-amber-50 px-4 py-3 text-sm text-amber-800">
+          Waiting for you to confirm <strong>{user.pendingEmail}</strong> — open
+          the link we sent there. Until then you sign in with {user.email}.{" "}
+          <button
+            type="button"
+            onClick={() => save({ email: user.email })}
+            disabled={saving}
+            className="font-medium underline hover:text-amber-900 focus:outline-none focus:ring-2 focus:ring-amber-400 disabled:opacity-50"
+          >
+            Cancel change
+          </button>
+        </p>
+      )}
+
+      <form
+        onSubmit={handleSubmit}
+        noValidate
+        className="mt-4 space-y-5"
+        aria-label="Profile form"
+      >
+        <Input
+          label="Full name"
+          id="name"
+          name="name"
+          type="text"
+          autoComplete="name"
+          required
+          value={fields.name}
+          onChange={handleChange}
+          error={fieldErrors.name}
+          valid={isValid("name")}
+          disabled={saving}
+        />
+
+        <Input
+          label="Email address"
+          id="email"
+          name="email"
+          type="email"
+          autoComplete="email"
+          required
+          value={fields.email}
+          onChange={handleChange}
+          error={fieldErrors.email}
+          valid={isValid("email")}
+          disabled={saving}
+          hint={
+            emailChanged
+              ? "We'll send a confirmation link to the new address"
+              : undefined
+          }
+        />
+
+        {emailChanged && (
+          <Input
+            label="Current password"
+            id="emailPassword"
+            name="emailPassword"
+            type="password"
+            autoComplete="current-password"
+            required
+            value={fields.emailPassword}
+            onChange={handleChange}
+            error={fieldErrors.emailPassword}
+            disabled={saving}
+          />
+        )}
+
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={saving}
+            aria-busy={saving}
+            className="flex items-center gap-2 rounded-lg bg-indigo-600 px-4 py-2 text-sm font-semibold text-white shadow-sm transition hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-60"
+          >
+            {saving && <Spinner size="h-4 w-4" />}
+            Save profile
+          </button>
+        </div>
+      </form>
+    </section>
+  );
+}
@@ -0,0 +1,78 @@
+import { useState } from "react";
+import { saveBlob } from "../../lib/download";
+
+/**
+ * RecoveryCodes
+ *
+ * Freshly issued two-factor recovery codes — shown once, so the user can
+ * copy or download them before moving on.
+ *
+ * Props:
+ *  codes  — array of recovery code strings
+ *  onDone — called when the user has saved them
+ */
+export default function RecoveryCodes({ codes, onDone }) {
+  const [copied, setCopied] = useState(false);
+  const text = codes.join("\n");
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+    } catch {
+      // Clipboard blocked (permissions, insecure origin) — download instead.
+    }
+  };
+
+  const handleDownload = () =>
+    saveBlob(
+      new Blob([`NoteVault recovery codes\n\n${text}\n`], {
+        type: "text/plain",
+      }),
+      "notevault-recovery-codes.txt",
+    );
+
+  const secondaryClass =
+    "rounded-lg bg-gray-100 px-3 py-1.5 text-xs font-medium text-gray-700 transition hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400";
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Save these recovery codes somewhere safe. Each one signs you in once if
+        you lose access to your authenticator app.{" "}
+        <strong className="font-semibold text-gray-800">
+          They won&apos;t be shown again.
+        </strong>
+      </p>
+
+      <ul
+        aria-label="Recovery codes"
+        className="grid grid-cols-2 gap-2 rounded-lg bg-gray-50 p-4 font-mono text-sm text-gray-800 ring-1 ring-gray-200"
+      >
+        {codes.map((code) => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+
+      <div className="flex flex-wrap items-center justify-end gap-2">
+        <button type="button" onClick={handleCopy} className={secondaryClass}>
+          {copied ? "Copied" : "Copy"}
+        </button>
+        <button
+          type="button"
+          onClick={handleDownload}
+          className={secondaryClass}
+        >
+          Download
+        </button>
+        <button
+          type="button"
+          onClick={onDone}
+          className="rounded-lg bg-indigo-600 px-4 py-2 text-sm font-semibold text-white shadow-sm transition hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2"
+        >
+          I&apos;ve saved them
+        </button>
+      </div>
+    </div>
+  );
+}
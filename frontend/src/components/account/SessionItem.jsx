@@ -0,0 +1,60 @@
+const formatDate = (iso) =>
+  new Date(iso).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+
+/**
+ * SessionItem
+ *
+ * One signed-in device on SessionsPage: browser and platform, IP address,
+ * when it signed in and was last active, and a sign-out action. The device
+ * making the request is marked "This device" and signs out through the
+ * regular sign-out instead.
+ *
+ * Props:
+ *  session  — { _id, device, userAgent, ip, createdAt, lastSeenAt, current }
+ *  onRevoke — called with the session object
+ *  disabled — grays out the action while a request is in-flight
+ */
+export default function SessionItem({ session, onRevoke, disabled }) {
+  return (
+    <li className="flex items-center justify-between gap-4 px-4 py-3">
+      <div className="min-w-0">
+        <p className="flex items-center gap-2 text-sm font-medium text-gray-900">
+          <span className="truncate" title={session.userAgent || undefined}>
+            {session.device}
+          </span>
+          {session.current && (
+            <span className="shrink-0 rounded-full bg-emerald-50 px-2 py-0.5 text-[11px] font-medium text-emerald-700">
+              This device
+            </span>
+          )}
+        </p>
+        <p className="mt-0.5 truncate text-xs text-gray-500">
+          {session.ip || "Unknown IP"} · last active{" "}
+          <time dateTime={session.lastSeenAt}>
+            {formatDate(session.lastSeenAt)}
+          </time>
+        </p>
+        <p className="truncate text-xs text-gray-400">
+          Signed in{" "}
+          <time dateTime={session.createdAt}>
+            {formatDate(session.createdAt)}
+          </time>
+        </p>
+      </div>
+      {!session.current && (
+        <button
+          type="button"
+          onClick={() => onRevoke(session)}
+          disabled={disabled}
+          aria-label={`Sign out ${session.device}`}
+          className="shrink-0 rounded-lg px-3 py-1.5 text-xs font-medium text-red-600 transition hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-400 disabled:pointer-events-none disabled:opacity-40"
+        >
+          Sign out
+        </button>
+      )}
+    </li>
+  );
+}
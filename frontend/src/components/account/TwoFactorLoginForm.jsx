@@ -0,0 +1,124 @@
+import { useState } from "react";
+import { useAuth } from "../../context/AuthContext";
+import Input from "../ui/Input";
+import Spinner from "../ui/Spinner";
+
+/**
+ * TwoFactorLoginForm
+ *
+ * Second step of LoginPage for accounts with two-factor authentication:
+ * the code from the authenticator app, or a recovery code instead. A
+ * successful code signs the user in (LoginPage redirects on the new token).
+ *
+ * Props:
+ *  challenge — login challenge returned by the password step
+ *  onExpired — called when the challenge is gone and the password step
+ *              has to be repeated
+ *  onCancel  — back to the password step
+ */
+export default function TwoFactorLoginForm({ challenge, onExpired, onCancel }) {
+  const { loginTwoFactor, loading, clearError } = useAuth();
+  const [code, setCode] = useState("");
+  const [useRecovery, setUseRecovery] = useState(false);
+  const [codeError, setCodeError] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (loading) return;
+    if (!code.trim()) {
+      setCodeError("Enter the code to continue");
+      return;
+    }
+
+    const result = await loginTwoFactor({ challenge, code: code.trim() });
+    if (result.success) return;
+    if (result.expired) {
+      onExpired();
+    } else {
+      const message = result.fieldErrors?.[0]?.message;
+      if (message) {
+        setCodeError(message);
+        clearError(); // shown on the field instead
+      }
+      setCode("");
+    }
+  };
+
+  const toggleRecovery = () => {
+    setUseRecovery((value) => !value);
+    setCode("");
+    setCodeError("");
+    clearError();
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      noValidate
+      className="space-y-5"
+      aria-label="Two-factor authentication form"
+    >
+      <p className="text-sm text-gray-600">
+        {useRecovery
+          ? "Enter one of the recovery codes you saved when you turned on two-factor authentication. Each code works once."
+          : "Open your authenticator app and enter the 6-digit code for NoteVault."}
+      </p>
+
+      <Input
+        key={useRecovery ? "recovery" : "totp"} // fresh input per mode
+        autoFocus
+        label={useRecovery ? "Recovery code" : "Authentication code"}
+        id="code"
+        name="code"
+        autoComplete={useRecovery ? "off" : "one-time-code"}
+        inputMode={useRecovery ? "text" : "numeric"}
+        maxLength={useRecovery ? 32 : 6}
+        placeholder={useRecovery ? "xxxxx-xxxxx" : "123456"}
+        required
+        value={code}
+        onChange={(e) => {
+          setCode(e.target.value);
+          setCodeError("");
+          clearError();
+        }}
+        error={codeError}
+        disabled={loading}
+      />
+
+      <button
+        type="submit"
+        disabled={loading}
+        aria-busy={loading}
+        className="flex w-full items-center justify-center gap-2 rounded-lg bg-indigo-600 px-4 py-2.5 text-sm font-semibold text-white shadow-sm transition hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-60"
+      >
+        {loading ? (
+          <>
+            <Spinner size="h-4 w-4" />
+            <span>Verifying…</span>
+          </>
+        ) : (
+          "Verify"
+        )}
+      </button>
+
+      <div className="flex justify-between text-xs">
+        <button
+          type="button"
+          onClick={toggleRecovery}
+          disabled={loading}
+          className="font-medium text-indigo-600 hover:text-indigo-500 focus:outline-none focus:underline disabled:opacity-50"
+        >
+          {useRecovery ? "Use the authenticator app" : "Use a recovery code"}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={loading}
+          className="font-medium text-gray-500 hover:text-gray-700 focus:outline-none focus:underline disabled:opacity-50"
+        >
+          Back to sign in
+        </button>
+      </div>
+    </form>
+  );
+}
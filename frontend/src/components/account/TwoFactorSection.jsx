@@ -0,0 +1,315 @@
+import { useState } from "react";
+import { useTwoFactor } from "../../hooks/useTwoFactor";
+import Alert from "../ui/Alert";
+import Input from "../ui/Input";
+import Spinner from "../ui/Spinner";
+import RecoveryCodes from "./RecoveryCodes";
+
+const primaryClass =
+  "flex items-center gap-2 rounded-lg bg-indigo-600 px-4 py-2 text-sm font-semibold text-white shadow-sm transition hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-60";
+
+const secondaryClass =
+  "rounded-lg px-4 py-2 text-sm font-medium text-gray-600 transition hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-gray-300 disabled:opacity-50";
+
+/** Groups a base32 secret in fours, as apps show keys for manual entry. */
+const formatSecret = (secret) => secret.match(/.{1,4}/g).join(" ");
+
+/**
+ * TwoFactorSection
+ *
+ * Two-factor authentication on SecurityPage. Off: asks for the password
+ * and starts setup — QR code (or key) for the authenticator app, then a
+ * code to confirm. On: regenerates recovery codes or turns 2FA off, both
+ * behind the password. New recovery codes are shown once (RecoveryCodes).
+ */
+export default function TwoFactorSection() {
+  const {
+    status,
+    loading,
+    error,
+    saving,
+    setup,
+    enable,
+    disable,
+    regenerateCodes,
+  } = useTwoFactor();
+  const [password, setPassword] = useState("");
+  const [code, setCode] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [enrollment, setEnrollment] = useState(null); // from setup() | null
+  const [codes, setCodes] = useState(null); // recovery codes to show | null
+  const [message, setMessage] = useState(null); // { type, text } | null
+
+  // Runs one action and spreads its outcome over the form.
+  const run = async (action, onSuccess) => {
+    setMessage(null);
+    setFieldErrors({});
+    const result = await action();
+    if (result.success) {
+      setPassword("");
+      setCode("");
+      onSuccess(result);
+    } else if (result.fieldErrors?.length) {
+      setFieldErrors(
+        Object.fromEntries(
+          result.fieldErrors.map(({ field, message }) => [field, message]),
+        ),
+      );
+    } else {
+      setMessage({ type: "error", text: result.message });
+    }
+  };
+
+  const requirePassword = () => {
+    if (password) return true;
+    setFieldErrors({ currentPassword: "Current password is required" });
+    return false;
+  };
+
+  const handleSetup = (e) => {
+    e.preventDefault();
+    if (saving || !requirePassword()) return;
+    run(
+      () => setup(password),
+      (result) => setEnrollment(result.enrollment),
+    );
+  };
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    if (saving) return;
+    if (!code.trim()) {
+      setFieldErrors({ code: "Enter the 6-digit code from the app" });
+      return;
+    }
+    run(
+      () => enable(code.trim()),
+      (result) => {
+        setEnrollment(null);
+        setCodes(result.recoveryCodes);
+        setMessage({ type: "success", text: result.message });
+      },
+    );
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    if (saving || !requirePassword()) return;
+    run(
+      () => regenerateCodes(password),
+      (result) => {
+        setCodes(result.recoveryCodes);
+        setMessage({ type: "success", text: result.message });
+      },
+    );
+  };
+
+  const handleDisable = () => {
+    if (saving || !requirePassword()) return;
+    run(
+      () => disable(password),
+      (result) => setMessage({ type: "success", text: result.message }),
+    );
+  };
+
+  const passwordInput = (
+    <Input
+      label="Current password"
+      id="twoFactorPassword"
+      name="currentPassword"
+      type="password"
+      autoComplete="current-password"
+      required
+      value={password}
+      onChange={(e) => {
+        setPassword(e.target.value);
+        setFieldErrors({});
+      }}
+      error={fieldErrors.currentPassword}
+      disabled={saving}
+    />
+  );
+
+  let body;
+  if (loading) {
+    body = (
+      <div className="flex justify-center py-4">
+        <Spinner color="text-indigo-500" />
+      </div>
+    );
+  } else if (error) {
+    body = <p className="text-sm text-red-600">{error}</p>;
+  } else if (codes) {
+    body = <RecoveryCodes codes={codes} onDone={() => setCodes(null)} />;
+  } else if (enrollment) {
+    body = (
+      <form
+        onSubmit={handleEnable}
+        noValidate
+        className="space-y-5"
+        aria-label="Confirm two-factor setup form"
+      >
+        <div className="flex flex-col items-center gap-4 sm:flex-row sm:items-start">
+          <img
+            src={enrollment.qrCode}
+            alt="QR code to add NoteVault to your authenticator app"
+            className="h-40 w-40 shrink-0 rounded-lg ring-1 ring-gray-200"
+          />
+          <div className="space-y-2 text-sm text-gray-600">
+            <p>
+              Scan the QR code with an authenticator app such as Google
+              Authenticator, 1Password or Authy, then enter the code it shows.
+            </p>
+            <p>
+              Can&apos;t scan it? Enter this key instead:
+              <code className="mt-1 block break-all rounded bg-gray-50 px-2 py-1 font-mono text-xs text-gray-800 ring-1 ring-gray-200">
+                {formatSecret(enrollment.secret)}
+              </code>
+            </p>
+          </div>
+        </div>
+
+        <Input
+          autoFocus
+          label="Code from the app"
+          id="enrollCode"
+          name="code"
+          autoComplete="one-time-code"
+          inputMode="numeric"
+          maxLength={6}
+          placeholder="123456"
+          required
+          value={code}
+          onChange={(e) => {
+            setCode(e.target.value);
+            setFieldErrors({});
+          }}
+          error={fieldErrors.code}
+          disabled={saving}
+        />
+
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={() => setEnrollment(null)}
+            disabled={saving}
+            className={secondaryClass}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            aria-busy={saving}
+            className={primaryClass}
+          >
+            {saving && <Spinner size="h-4 w-4" />}
+            Turn on
+          </button>
+        </div>
+      </form>
+    );
+  } else if (status?.enabled) {
+    body = (
+      <form
+        onSubmit={handleRegenerate}
+        noValidate
+        className="space-y-5"
+        aria-label="Manage two-factor authentication form"
+      >
+        <p className="text-sm text-gray-600">
+          {status.recoveryCodesLeft === 0
+            ? "You have no recovery codes left. Generate new ones so you can still sign in without your phone."
+            : `${status.recoveryCodesLeft} recovery code${status.recoveryCodesLeft === 1 ? "" : "s"} left.`}{" "}
+          Confirm your password to generate new codes or turn two-factor
+          authentication off.
+        </p>
+        {passwordInput}
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={handleDisable}
+            disabled={saving}
+            className="rounded-lg px-4 py-2 text-sm font-medium text-red-600 transition hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-400 disabled:opacity-50"
+          >
+            Turn off
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            aria-busy={saving}
+            className={primaryClass}
+          >
+            {saving && <Spinner size="h-4 w-4" />}
+            New recovery codes
+          </button>
+        </div>
+      </form>
+    );
+  } else {
+    body = (
+      <form
+        onSubmit={handleSetup}
+        noValidate
+        className="space-y-5"
+        aria-label="Set up two-factor authentication form"
+      >
+        {passwordInput}
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={saving}
+            aria-busy={saving}
+            className={primaryClass}
+          >
+            {saving && <Spinner size="h-4 w-4" />}
+            Set up
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <section
+      aria-labelledby="two-factor-title"
+      className="rounded-2xl bg-white px-6 py-6 shadow-sm ring-1 ring-gray-200"
+    >
+      <div className="flex items-center justify-between gap-2">
+        <h2
+          id="two-factor-title"
+          className="text-base font-semibold text-gray-900"
+        >
+          Two-factor authentication
+        </h2>
+        {status && (
+          <span
+            className={`rounded-full px-2 py-0.5 text-[11px] font-medium ${
+              status.enabled
+                ? "bg-emerald-50 text-emerald-700"
+                : "bg-gray-100 text-gray-600"
+            }`}
+          >
+            {status.enabled ? "On" : "Off"}
+          </span>
+        )}
+      </div>
+      <p className="mt-0.5 text-sm text-gray-500">
+        Signing in asks for a code from your authenticator app as well as your
+        password.
+      </p>
+
+      {message && (
+        <div className="mt-4">
+          <Alert
+            type={message.type}
+            message={message.text}
+            onDismiss={() => setMessage(null)}
+          />
+        </div>
+      )}
+
+      <div className="mt-4">{body}</div>
+    </section>
+  );
+}
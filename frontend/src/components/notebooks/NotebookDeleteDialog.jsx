@@ -0,0 +1,135 @@
+import { useEffect, useRef, useState } from "react";
+import Spinner from "../ui/Spinner";
+
+/**
+ * NotebookDeleteDialog
+ *
+ * Confirmation before deleting a notebook (and every notebook inside it).
+ * When the notebooks still hold notes, the user picks what happens to them:
+ * move them up to the parent notebook, or send them to the Trash.
+ * Focuses Cancel on open and closes on Escape, like DeleteConfirmDialog.
+ *
+ * Props:
+ *  notebook   — { _id, name } | null — notebook to be deleted
+ *  noteCount  — live notes in the notebook and its sub-notebooks
+ *  parentName — name of the parent notebook, or null when top-level
+ *  onConfirm  — async (notes: "move" | "trash") => void. "move" is sent
+ *               even when noteCount is 0, so a note filed meanwhile is
+ *               kept rather than blocking the delete.
+ *  onCancel   — () => void
+ *  saving     — bool: in-flight delete
+ */
+export default function NotebookDeleteDialog({
+  notebook,
+  noteCount,
+  parentName,
+  onConfirm,
+  onCancel,
+  saving,
+}) {
+  const [notes, setNotes] = useState("move");
+  const cancelRef = useRef(null);
+
+  // Focus "Cancel" (the safe option) as soon as the dialog opens
+  useEffect(() => {
+    if (notebook) setTimeout(() => cancelRef.current?.focus(), 0);
+  }, [notebook]);
+
+  // Escape closes without action
+  useEffect(() => {
+    if (!notebook) return;
+    const fn = (e) => {
+      if (e.key === "Escape") onCancel();
+    };
+    document.addEventListener("keydown", fn);
+    return () => document.removeEventListener("keydown", fn);
+  }, [notebook, onCancel]);
+
+  if (!notebook) return null;
+
+  const options = [
+    ["move", `Move them to ${parentName ? `“${parentName}”` : "Unfiled"}`],
+    ["trash", "Move them to the Trash"],
+  ];
+
+  return (
+    // Backdrop
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 px-4 backdrop-blur-sm animate-fade-in"
+      role="alertdialog"
+      aria-modal="true"
+      aria-labelledby="notebook-delete-title"
+      aria-describedby="notebook-delete-desc"
+      onClick={(e) => e.target === e.currentTarget && onCancel()}
+    >
+      {/* Panel */}
+      <div className="w-full max-w-sm rounded-2xl bg-white p-6 shadow-xl ring-1 ring-gray-200">
+        <h2
+          id="notebook-delete-title"
+          className="mb-1 text-base font-semibold text-gray-900"
+        >
+          Delete notebook?
+        </h2>
+        <p id="notebook-delete-desc" className="mb-4 text-sm text-gray-500">
+          <span className="font-medium text-gray-700">"{notebook.name}"</span>{" "}
+          and any notebooks inside it will be deleted.
+          {noteCount > 0 &&
+            ` They contain ${noteCount} note${noteCount !== 1 ? "s" : ""}.`}
+        </p>
+
+        {noteCount > 0 && (
+          <fieldset className="mb-6 space-y-2">
+            <legend className="sr-only">
+              What should happen to the notes?
+            </legend>
+            {options.map(([value, label]) => (
+              <label
+                key={value}
+                className="flex items-center gap-2 text-sm text-gray-700"
+              >
+                <input
+                  type="radio"
+                  name="notebook-delete-notes"
+                  value={value}
+                  checked={notes === value}
+                  onChange={() => setNotes(value)}
+                  disabled={saving}
+                  className="h-4 w-4 border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                />
+                {label}
+              </label>
+            ))}
+          </fieldset>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button
+            ref={cancelRef}
+            type="button"
+            onClick={onCancel}
+            disabled={saving}
+            className="rounded-lg px-4 py-2 text-sm font-medium text-gray-600 transition hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-gray-300 disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={() => onConfirm(notes)}
+            disabled={saving}
+            aria-busy={saving}
+            className="flex items-center gap-2 rounded-lg bg-red-600 px-4 py-2 text-sm font-semibold text-white shadow-sm transition hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-1 disabled:cursor-not-allowed disabled:opacity-60"
+          >
+            {saving ? (
+              <>
+                <Spinner size="h-3.5 w-3.5" />
+                Deleting…
+              </>
+            ) : (
+              "Delete notebook"
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,297 @@
+import { useState } from "react";
+import { flattenNotebooks } from "../../lib/notebooks";
+import { NOTEBOOK_MAX_DEPTH, NOTEBOOK_MAX_NAME } from "../../lib/constants";
+
+/** Left padding per nesting level — inline because depth is dynamic */
+const indent = (depth) => ({ paddingLeft: `${0.5 + depth * 0.875}rem` });
+
+/**
+ * NameField — inline input used to name a new notebook or rename one.
+ * Enter submits, Escape cancels.
+ */
+function NameField({ initial = "", label, depth, onSubmit, onCancel, error }) {
+  const [name, setName] = useState(initial);
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape") {
+      e.stopPropagation();
+      onCancel();
+    }
+  };
+
+  return (
+    <li style={indent(depth)} className="py-1 pr-2">
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (name.trim()) onSubmit(name.trim());
+        }}
+      >
+        <input
+          autoFocus
+          aria-label={label}
+          value={name}
+          maxLength={NOTEBOOK_MAX_NAME}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={() => !name.trim() && onCancel()}
+          aria-invalid={error ? "true" : "false"}
+          className="block w-full rounded-md border border-indigo-300 bg-white px-2 py-1 text-sm text-gray-900 outline-none focus:ring-2 focus:ring-indigo-200"
+        />
+      </form>
+      {error && (
+        <p role="alert" className="mt-1 text-xs text-red-600">
+          {error}
+        </p>
+      )}
+    </li>
+  );
+}
+
+/** Classes for a selectable sidebar entry */
+const entryClass = (active) =>
+  `flex w-full min-w-0 items-center justify-between gap-2 rounded-md py-1.5 pr-2 text-left text-sm transition focus:outline-none focus:ring-2 focus:ring-indigo-400
+   ${active ? "bg-indigo-50 font-medium text-indigo-700" : "text-gray-600 hover:bg-gray-100 hover:text-gray-900"}`;
+
+/** Note count shown at the end of a sidebar entry */
+function Count({ value }) {
+  return <span className="shrink-0 text-xs text-gray-400">{value}</span>;
+}
+
+/** Small icon button shown on hover next to a notebook */
+function RowAction({ label, onClick, disabled, children }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      disabled={disabled}
+      aria-label={label}
+      title={label}
+      className="rounded p-1 text-gray-400 transition hover:bg-gray-200 hover:text-gray-700 focus:outline-none focus:ring-2 focus:ring-indigo-400 disabled:pointer-events-none disabled:opacity-40"
+    >
+      <svg
+        className="h-3.5 w-3.5"
+        viewBox="0 0 20 20"
+        fill="currentColor"
+        aria-hidden="true"
+      >
+        {children}
+      </svg>
+    </button>
+  );
+}
+
+/**
+ * NotebookSidebar
+ *
+ * Notebook tree next to the notes grid. Selecting an entry filters the grid:
+ * "All notes", "Unfiled" (notes in no notebook) or a single notebook.
+ * Notebooks can be created (top-level or nested), renamed and deleted inline.
+ *
+ * Props:
+ *  notebooks    — { _id, name, parent, noteCount }[] — flat list from the API
+ *  unfiledCount — number of notes in no notebook
+ *  selected     — null (all notes) | "none" (unfiled) | notebook id
+ *  onSelect     — (selected) => void
+ *  onCreate     — async (name, parent) => { success, message? }
+ *  onRename     — async (id, name) => { success, message? }
+ *  onDelete     — (notebook) => void — opens the delete confirmation
+ *  saving       — bool: disables actions while a change is in-flight
+ */
+export default function NotebookSidebar({
+  notebooks,
+  unfiledCount,
+  selected,
+  onSelect,
+  onCreate,
+  onRename,
+  onDelete,
+  saving,
+}) {
+  // Inline editor: { mode: "create", parent } | { mode: "rename", id } | null
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+
+  const flat = flattenNotebooks(notebooks);
+  const total =
+    unfiledCount + notebooks.reduce((sum, nb) => sum + nb.noteCount, 0);
+
+  const openDraft = (next) => {
+    setError(null);
+    setDraft(next);
+  };
+
+  const submitDraft = async (name) => {
+    const result =
+      draft.mode === "create"
+        ? await onCreate(name, draft.parent)
+        : await onRename(draft.id, name);
+    if (result.success) setDraft(null);
+    else setError(result.message);
+  };
+
+  const createField = (parent, depth) =>
+    draft?.mode === "create" &&
+    draft.parent === parent && (
+      <NameField
+        label="New notebook name"
+        depth={depth}
+        onSubmit={submitDraft}
+        onCancel={() => setDraft(null)}
+        error={error}
+      />
+    );
+
+  return (
+    <nav aria-label="Notebooks" className="text-sm">
+      <div className="mb-2 flex items-center justify-between px-2">
+        <h2 className="text-xs font-semibold uppercase tracking-wide text-gray-500">
+          Notebooks
+        </h2>
+        <RowAction
+          label="New notebook"
+          onClick={() => openDraft({ mode: "create", parent: null })}
+          disabled={saving}
+        >
+          <path
+            fillRule="evenodd"
+            d="M10 3a1 1 0 011 1v5h5a1 1 0 110 2h-5v5a1 1 0 11-2 0v-5H4a1 1 0 110-2h5V4a1 1 0 011-1z"
+            clipRule="evenodd"
+          />
+        </RowAction>
+      </div>
+
+      <ul className="space-y-0.5">
+        <li>
+          <button
+            type="button"
+            onClick={() => onSelect(null)}
+            aria-current={selected === null ? "page" : undefined}
+            style={indent(0)}
+            className={entryClass(selected === null)}
+          >
+            <span className="truncate">All notes</span>
+            <Count value={total} />
+          </button>
+        </li>
+        <li>
+          <button
+            type="button"
+            onClick={() => onSelect("none")}
+            aria-current={selected === "none" ? "page" : undefined}
+            style={indent(0)}
+            className={entryClass(selected === "none")}
+          >
+            <span className="truncate">Unfiled</span>
+            <Count value={unfiledCount} />
+          </button>
+        </li>
+
+        {flat.map((nb) => (
+          <NotebookRow
+            key={nb._id}
+            nb={nb}
+            renaming={draft?.mode === "rename" && draft.id === nb._id}
+            active={selected === nb._id}
+            saving={saving}
+            error={error}
+            onSelect={onSelect}
+            onStartRename={() => openDraft({ mode: "rename", id: nb._id })}
+            onStartCreate={() => openDraft({ mode: "create", parent: nb._id })}
+            onSubmitDraft={submitDraft}
+            onCancelDraft={() => setDraft(null)}
+            onDelete={onDelete}
+          >
+            {createField(nb._id, nb.depth + 1)}
+          </NotebookRow>
+        ))}
+
+        {createField(null, 0)}
+      </ul>
+    </nav>
+  );
+}
+
+/** One notebook entry with its hover actions; `children` renders below it */
+function NotebookRow({
+  nb,
+  renaming,
+  active,
+  saving,
+  error,
+  onSelect,
+  onStartRename,
+  onStartCreate,
+  onSubmitDraft,
+  onCancelDraft,
+  onDelete,
+  children,
+}) {
+  if (renaming) {
+    return (
+      <NameField
+        initial={nb.name}
+        label={`Rename notebook ${nb.name}`}
+        depth={nb.depth}
+        onSubmit={onSubmitDraft}
+        onCancel={onCancelDraft}
+        error={error}
+      />
+    );
+  }
+
+  return (
+    <>
+      <li className="group relative">
+        <button
+          type="button"
+          onClick={() => onSelect(nb._id)}
+          aria-current={active ? "page" : undefined}
+          style={indent(nb.depth)}
+          className={entryClass(active)}
+        >
+          <span className="truncate">{nb.name}</span>
+          <span className="group-hover:invisible group-focus-within:invisible">
+            <Count value={nb.noteCount} />
+          </span>
+        </button>
+
+        {/* Actions — overlay the count on hover/focus */}
+        <div className="absolute inset-y-0 right-1 flex items-center gap-0.5 opacity-0 transition-opacity group-hover:opacity-100 group-focus-within:opacity-100">
+          {nb.depth + 1 < NOTEBOOK_MAX_DEPTH && (
+            <RowAction
+              label={`New notebook inside ${nb.name}`}
+              onClick={onStartCreate}
+              disabled={saving}
+            >
+              <path
+                fillRule="evenodd"
+                d="M10 3a1 1 0 011 1v5h5a1 1 0 110 2h-5v5a1 1 0 11-2 0v-5H4a1 1 0 110-2h5V4a1 1 0 011-1z"
+                clipRule="evenodd"
+              />
+            </RowAction>
+          )}
+          <RowAction
+            label={`Rename notebook ${nb.name}`}
+            onClick={onStartRename}
+            disabled={saving}
+          >
+            <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z" />
+          </RowAction>
+          <RowAction
+            label={`Delete notebook ${nb.name}`}
+            onClick={() => onDelete(nb)}
+            disabled={saving}
+          >
+            <path
+              fillRule="evenodd"
+              d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z"
+              clipRule="evenodd"
+            />
+          </RowAction>
+        </div>
+      </li>
+      {children}
+    </>
+  );
+}
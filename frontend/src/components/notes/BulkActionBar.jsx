@@ -0,0 +1,169 @@
+import { useState } from "react";
+import { TAG_MAX_LENGTH } from "../../lib/constants";
+
+/** Same normalisation the backend applies before storing a tag. */
+const normalize = (tag) => tag.trim().toLowerCase().replace(/\s+/g, " ");
+
+const buttonClass =
+  "rounded-lg bg-white px-2.5 py-1 text-xs font-medium text-gray-700 ring-1 ring-gray-200 transition hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-indigo-400 disabled:cursor-not-allowed disabled:opacity-50";
+
+/**
+ * BulkActionBar
+ *
+ * Toolbar shown above the notes grid in selection mode. Applies one action
+ * to every selected note: pin or unpin, archive (or unarchive, in the
+ * archive), move to a notebook, add or remove a tag, or move to the trash.
+ *
+ * Props:
+ *  count       — number of selected notes
+ *  allSelected — true when every note on the page is selected
+ *  archived    — true in the archive view
+ *  notebooks   — { _id, name, depth }[] — move targets, in tree order
+ *  onSelectAll — () => void; selects or clears the whole page
+ *  onAction    — (action, extra?) => void, as useNotes' bulkAction takes it
+ *  onDone      — () => void; leaves selection mode
+ *  disabled    — true while an action is in flight
+ */
+export default function BulkActionBar({
+  count,
+  allSelected,
+  archived,
+  notebooks,
+  onSelectAll,
+  onAction,
+  onDone,
+  disabled,
+}) {
+  const [tag, setTag] = useState("");
+  const idle = disabled || count === 0;
+  const normalized = normalize(tag);
+
+  const handleTag = (action) => {
+    onAction(action, { tags: [normalized] });
+    setTag("");
+  };
+
+  return (
+    <div
+      role="toolbar"
+      aria-label="Bulk actions"
+      className="flex flex-wrap items-center gap-2 rounded-xl bg-indigo-50 px-4 py-3 ring-1 ring-indigo-100"
+    >
+      <span
+        className="mr-1 text-sm font-medium text-indigo-900"
+        aria-live="polite"
+      >
+        {count} selected
+      </span>
+      <button
+        type="button"
+        onClick={onSelectAll}
+        disabled={disabled}
+        className={buttonClass}
+      >
+        {allSelected ? "Clear selection" : "Select page"}
+      </button>
+
+      <span className="mx-1 h-5 w-px bg-indigo-200" aria-hidden="true" />
+
+      <button
+        type="button"
+        onClick={() => onAction("pin")}
+        disabled={idle}
+        className={buttonClass}
+      >
+        Pin
+      </button>
+      <button
+        type="button"
+        onClick={() => onAction("unpin")}
+        disabled={idle}
+        className={buttonClass}
+      >
+        Unpin
+      </button>
+      <button
+        type="button"
+        onClick={() => onAction(archived ? "unarchive" : "archive")}
+        disabled={idle}
+        className={buttonClass}
+      >
+        {archived ? "Unarchive" : "Archive"}
+      </button>
+
+      <label htmlFor="bulk-move" className="sr-only">
+        Move selected notes to notebook
+      </label>
+      <select
+        id="bulk-move"
+        value=""
+        onChange={(e) =>
+          onAction("move", {
+            notebook: e.target.value === "none" ? null : e.target.value,
+          })
+        }
+        disabled={idle}
+        className="rounded-lg border-0 bg-white py-1 pl-2 pr-7 text-xs text-gray-700 ring-1 ring-gray-200 focus:outline-none focus:ring-2 focus:ring-indigo-400 disabled:opacity-50"
+      >
+        <option value="" disabled>
+          Move to…
+        </option>
+        <option value="none">Unfiled</option>
+        {notebooks.map((nb) => (
+          <option key={nb._id} value={nb._id}>
+            {"\u00a0\u00a0".repeat(nb.depth) + nb.name}
+          </option>
+        ))}
+      </select>
+
+      <div className="flex items-center gap-1">
+        <label htmlFor="bulk-tag" className="sr-only">
+          Tag
+        </label>
+        <input
+          id="bulk-tag"
+          type="text"
+          value={tag}
+          onChange={(e) => setTag(e.target.value)}
+          maxLength={TAG_MAX_LENGTH}
+          placeholder="Tag"
+          disabled={disabled}
+          className="w-24 rounded-lg border-0 bg-white px-2 py-1 text-xs text-gray-700 ring-1 ring-gray-200 placeholder:text-gray-400 focus:outline-none focus:ring-2 focus:ring-indigo-400 disabled:opacity-50"
+        />
+        <button
+          type="button"
+          onClick={() => handleTag("addTags")}
+          disabled={idle || !normalized}
+          className={buttonClass}
+        >
+          Add tag
+        </button>
+        <button
+          type="button"
+          onClick={() => handleTag("removeTags")}
+          disabled={idle || !normalized}
+          className={buttonClass}
+        >
+          Remove tag
+        </button>
+      </div>
+
+      <button
+        type="button"
+        onClick={() => onAction("delete")}
+        disabled={idle}
+        className="rounded-lg bg-white px-2.5 py-1 text-xs font-medium text-red-600 ring-1 ring-red-200 transition hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-400 disabled:cursor-not-allowed disabled:opacity-50"
+      >
+        Move to trash
+      </button>
+
+      <button
+        type="button"
+        onClick={onDone}
+        className="ml-auto rounded-lg px-2.5 py-1 text-xs font-medium text-indigo-700 transition hover:bg-indigo-100 focus:outline-none focus:ring-2 focus:ring-indigo-400"
+      >
+        Done
+      </button>
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 import { useRef, useState } from "react";
 import Spinner from "../ui/Spinner";
+import TagInput from "./TagInput";
 import {
   NOTE_MAX_TITLE as MAX_TITLE,
   NOTE_MAX_CONTENT as MAX_CONTENT,
@@ -17,7 +18,7 @@ import {
  */
 export default function CreateNoteForm({ onSubmit, saving }) {
   const [open, setOpen] = useState(false);
-  const [fields, setFields] = useState({ title: "", content: "" });
+  const [fields, setFields] = useState({ title: "", content: "", tags: [] });
   const [errors, setErrors] = useState({});
   const titleRef = useRef(null);
 
@@ -40,7 +41,7 @@ export default function CreateNoteForm({ onSubmit, saving }) {
 
   const handleCancel = () => {
     setOpen(false);
-    setFields({ title: "", content: "" });
+    setFields({ title: "", content: "", tags: [] });
     setErrors({});
   };
 
@@ -60,9 +61,10 @@ export default function CreateNoteForm({ onSubmit, saving }) {
     const result = await onSubmit({
       title: fields.title.trim(),
       content: fields.content.trim(),
+      tags: fields.tags,
     });
     if (result?.success) {
-      setFields({ title: "", content: "" });
+      setFields({ title: "", content: "", tags: [] });
       setErrors({});
       setOpen(false);
     }
@@ -166,6 +168,19 @@ export default function CreateNoteForm({ onSubmit, saving }) {
           </p>
         </div>
 
+        {/* Tags */}
+        <div>
+          <label htmlFor="note-tags" className="sr-only">
+            Tags
+          </label>
+          <TagInput
+            id="note-tags"
+            tags={fields.tags}
+            onChange={(tags) => setFields((prev) => ({ ...prev, tags }))}
+            disabled={saving}
+          />
+        </div>
+
         {/* Actions */}
         <div className="flex justify-end gap-2 pt-1">
           <button
@@ -7,17 +7,22 @@ import Spinner from "../ui/Spinner";
  * Small confirmation dialog before deleting a note.
  * Traps focus and closes on Escape.
  *
+ * Defaults describe a move to the Trash (the dashboard delete). The Trash
+ * page overrides the copy for irreversible deletion.
+ *
  * Props:
- *  note     — { _id, title } | null — note to be deleted
- *  onConfirm — async () => void
- *  onCancel  — () => void
- *  saving   — bool: in-flight delete
+ *  note         — { _id, title } | null — note to be deleted
+ *  onConfirm    — async () => void
+ *  onCancel     — () => void
+ *  saving       — bool: in-flight delete
+ *  permanent    — bool: warn that the deletion cannot be undone
  */
 export default function DeleteConfirmDialog({
   note,
   onConfirm,
   onCancel,
   saving,
+  permanent = false,
 }) {
   const cancelRef = useRef(null);
 
@@ -70,11 +75,13 @@ export default function DeleteConfirmDialog({
           id="delete-dialog-title"
           className="mb-1 text-base font-semibold text-gray-900"
         >
-          Delete note?
+          {permanent ? "Delete forever?" : "Move note to trash?"}
         </h2>
         <p id="delete-dialog-desc" className="mb-6 text-sm text-gray-500">
-          <span className="font-medium text-gray-700">"{note.title}"</span> will
-          be permanently deleted. This action cannot be undone.
+          <span className="font-medium text-gray-700">"{note.title}"</span>{" "}
+          {permanent
+            ? "will be permanently deleted. This action cannot be undone."
+            : "will be moved to the Trash. You can restore it from there."}
         </p>
 
         <div className="flex justify-end gap-2">
@@ -97,10 +104,12 @@ export default function DeleteConfirmDialog({
             {saving ? (
               <>
                 <Spinner size="h-3.5 w-3.5" />
-                Deleting…
+                {permanent ? "Deleting…" : "Moving…"}
               </>
+            ) : permanent ? (
+              "Delete forever"
             ) : (
-              "Yes, delete"
+              "Move to trash"
             )}
           </button>
         </div>
@@ -1,5 +1,8 @@
 import { useEffect, useRef, useState } from "react";
 import Spinner from "../ui/Spinner";
+import NoteConflictView from "./NoteConflictView";
+import NoteHistoryPanel from "./NoteHistoryPanel";
+import TagInput from "./TagInput";
 import {
   NOTE_MAX_TITLE as MAX_TITLE,
   NOTE_MAX_CONTENT as MAX_CONTENT,
@@ -10,15 +13,41 @@ import {
  *
  * Full-screen overlay modal for editing an existing note.
  * Traps focus inside and closes on Escape or backdrop click.
+ * A History tab lists earlier revisions with diffs and lets the user
+ * restore one (see NoteHistoryPanel).
+ * If the note changed elsewhere while it was open, saving is rejected and
+ * both versions are shown side by side (see NoteConflictView).
+ * With `readOnly` (a viewer on a shared note) the same modal only displays
+ * the note and its history.
  *
  * Props:
- *  note      — { _id, title, content } — the note being edited, or null
- *  onSave    — async (id, { title, content }) => { success }
+ *  note      — { _id, title, content, tags, version } — the note being edited, or null
+ *  onSave    — async (id, { title, content, tags }, version) => { success, conflict? }
+ *  onRestoreRevision — async (id, rev) => { success }
+ *  onAcceptServer — (note) => void: continue editing from the server copy
  *  onClose   — called to dismiss the modal
  *  saving    — bool: disables controls while save is in-flight
+ *  readOnly  — bool: view only — no saving and no revision restore
  */
-export default function EditNoteModal({ note, onSave, onClose, saving }) {
-  const [fields, setFields] = useState({ title: "", content: "" });
+export default function EditNoteModal({
+  note,
+  onSave,
+  onRestoreRevision,
+  onAcceptServer,
+  onClose,
+  saving,
+  readOnly = false,
+}) {
+  const [tab, setTab] = useState("edit"); // "edit" | "history"
+  const [conflict, setConflict] = useState(null); // server note | null
+  // Version the edits are based on — moves forward once the user has seen a
+  // conflicting server copy and chosen to write over it.
+  const [baseVersion, setBaseVersion] = useState(null);
+  const [fields, setFields] = useState({
+    title: "",
+    content: "",
+    tags: [],
+  });
   const [errors, setErrors] = useState({});
   const titleRef = useRef(null);
   const modalRef = useRef(null);
@@ -26,7 +55,11 @@ export default function EditNoteModal({ note, onSave, onClose, saving }) {
   // Seed form when the note prop arrives
   useEffect(() => {
     if (note) {
-      setFields({ title: note.title, content: note.content });
+      setFields({
+        title: note.title,
+        content: note.content,
+        tags: note.tags ?? [],
+      });
       setErrors({});
       setTimeout(() => titleRef.current?.focus(), 0);
     }
@@ -75,6 +108,18 @@ export default function EditNoteModal({ note, onSave, onClose, saving }) {
     if (errors[name]) setErrors((prev) => ({ ...prev, [name]: "" }));
   };
 
+  const edits = () => ({
+    title: fields.title.trim(),
+    content: fields.content.trim(),
+    tags: fields.tags,
+  });
+
+  const save = async (version) => {
+    const result = await onSave(note._id, edits(), version);
+    if (result?.success) onClose();
+    else if (result?.conflict) setConflict(result.conflict);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     const errs = validate();
@@ -82,15 +127,39 @@ export default function EditNoteModal({ note, onSave, onClose, saving }) {
       setErrors(errs);
       return;
     }
-    const result = await onSave(note._id, {
-      title: fields.title.trim(),
-      content: fields.content.trim(),
-    });
-    if (result?.success) onClose();
+    await save(baseVersion ?? note.version);
+  };
+
+  const handleKeepMine = async () => {
+    const version = conflict.version;
+    setBaseVersion(version);
+    setConflict(null);
+    await save(version);
+  };
+
+  const handleUseTheirs = () => {
+    setBaseVersion(null);
+    setConflict(null);
+    onAcceptServer(conflict); // re-seeds the form from the server copy
+  };
+
+  const handleBackToEditing = () => {
+    setBaseVersion(conflict.version);
+    setConflict(null);
+  };
+
+  const handleRestore = async (rev) => {
+    const result = await onRestoreRevision(note._id, rev);
+    if (result?.success) {
+      setBaseVersion(null); // the restored note carries its own version
+      setTab("edit");
+    }
   };
 
   const isDirty =
-    fields.title !== note.title || fields.content !== note.content;
+    fields.title !== note.title ||
+    fields.content !== note.content ||
+    fields.tags.join(",") !== (note.tags ?? []).join(",");
 
   return (
     // Backdrop
@@ -104,7 +173,7 @@ export default function EditNoteModal({ note, onSave, onClose, saving }) {
       {/* Panel */}
       <div
         ref={modalRef}
-        className="w-full max-w-lg overflow-hidden rounded-2xl bg-white shadow-xl ring-1 ring-gray-200"
+        className={`w-full overflow-hidden rounded-2xl bg-white shadow-xl ring-1 ring-gray-200 ${conflict ? "max-w-3xl" : tab === "history" ? "max-w-2xl" : "max-w-lg"}`}
       >
         {/* Header */}
         <div className="flex items-center justify-between border-b border-gray-100 px-6 py-4">
@@ -112,8 +181,32 @@ export default function EditNoteModal({ note, onSave, onClose, saving }) {
             id="edit-modal-title"
             className="text-base font-semibold text-gray-900"
           >
-            Edit note
+            {readOnly ? "View note" : "Edit note"}
           </h2>
+          {!conflict && (
+            <div
+              role="tablist"
+              aria-label="Edit or view history"
+              className="ml-auto mr-3 flex gap-1 rounded-lg bg-gray-100 p-0.5"
+            >
+              {[
+                ["edit", readOnly ? "Note" : "Edit"],
+                ["history", "History"],
+              ].map(([value, label]) => (
+                <button
+                  key={value}
+                  type="button"
+                  role="tab"
+                  aria-selected={tab === value}
+                  onClick={() => setTab(value)}
+                  className={`rounded-md px-2.5 py-1 text-xs font-medium transition focus:outline-none focus:ring-2 focus:ring-indigo-400
+                  ${tab === value ? "bg-white text-gray-900 shadow-sm" : "text-gray-500 hover:text-gray-800"}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
           <button
             onClick={onClose}
             className="rounded-lg p-1.5 text-gray-400 transition hover:bg-gray-100 hover:text-gray-700 focus:outline-none focus:ring-2 focus:ring-gray-300"
@@ -134,116 +227,171 @@ export default function EditNoteModal({ note, onSave, onClose, saving }) {
           </button>
         </div>
 
-        {/* Form */}
-        <form
-          onSubmit={handleSubmit}
-          noValidate
-          className="space-y-4 px-6 py-5"
-        >
-          {/* Title */}
-          <div>
-            <label
-              htmlFor="edit-title"
-              className="mb-1 block text-sm font-medium text-gray-700"
-            >
-              Title{" "}
-              <span className="text-red-500" aria-hidden="true">
-                *
-              </span>
-            </label>
-            <input
-              ref={titleRef}
-              id="edit-title"
-              name="title"
-              type="text"
-              maxLength={MAX_TITLE}
-              value={fields.title}
-              onChange={handleChange}
-              disabled={saving}
-              aria-invalid={errors.title ? "true" : "false"}
-              aria-describedby={errors.title ? "edit-title-error" : undefined}
-              className={`block w-full rounded-lg border px-3 py-2.5 text-sm text-gray-900 outline-none transition focus:ring-2 focus:ring-offset-0 disabled:opacity-50
-                ${errors.title ? "border-red-400 bg-red-50 focus:ring-red-200" : "border-gray-300 bg-white focus:border-indigo-500 focus:ring-indigo-200"}`}
+        {/* Conflict */}
+        {conflict && (
+          <div className="px-6 py-5">
+            <NoteConflictView
+              mine={edits()}
+              theirs={conflict}
+              onKeepMine={handleKeepMine}
+              onUseTheirs={handleUseTheirs}
+              onBack={handleBackToEditing}
+              saving={saving}
             />
-            {errors.title && (
-              <p
-                id="edit-title-error"
-                role="alert"
-                className="mt-1 text-xs text-red-600"
-              >
-                {errors.title}
-              </p>
-            )}
           </div>
+        )}
 
-          {/* Content */}
-          <div>
-            <label
-              htmlFor="edit-content"
-              className="mb-1 block text-sm font-medium text-gray-700"
-            >
-              Content{" "}
-              <span className="text-red-500" aria-hidden="true">
-                *
-              </span>
-            </label>
-            <textarea
-              id="edit-content"
-              name="content"
-              rows={8}
-              maxLength={MAX_CONTENT}
-              value={fields.content}
-              onChange={handleChange}
-              disabled={saving}
-              aria-invalid={errors.content ? "true" : "false"}
-              aria-describedby={
-                errors.content ? "edit-content-error" : undefined
-              }
-              className={`block w-full resize-y rounded-lg border px-3 py-2.5 text-sm text-gray-900 outline-none transition focus:ring-2 focus:ring-offset-0 disabled:opacity-50
-                ${errors.content ? "border-red-400 bg-red-50 focus:ring-red-200" : "border-gray-300 bg-white focus:border-indigo-500 focus:ring-indigo-200"}`}
+        {/* History */}
+        {!conflict && tab === "history" && (
+          <div className="px-6 py-5">
+            <NoteHistoryPanel
+              note={note}
+              onRestore={readOnly ? undefined : handleRestore}
+              saving={saving}
             />
-            {errors.content && (
-              <p
-                id="edit-content-error"
-                role="alert"
-                className="mt-1 text-xs text-red-600"
-              >
-                {errors.content}
+          </div>
+        )}
+
+        {/* Form */}
+        {!conflict && tab === "edit" && (
+          <form
+            onSubmit={handleSubmit}
+            noValidate
+            className="space-y-4 px-6 py-5"
+          >
+            {readOnly && (
+              <p className="rounded-lg bg-gray-50 px-3 py-2 text-xs text-gray-500">
+                You have view-only access to this note.
               </p>
             )}
-            <p className="mt-1 text-right text-xs text-gray-400">
-              {fields.content.length} / {MAX_CONTENT}
-            </p>
-          </div>
-        </form>
+
+            {/* Title */}
+            <div>
+              <label
+                htmlFor="edit-title"
+                className="mb-1 block text-sm font-medium text-gray-700"
+              >
+                Title{" "}
+                <span className="text-red-500" aria-hidden="true">
+                  *
+                </span>
+              </label>
+              <input
+                ref={titleRef}
+                id="edit-title"
+                name="title"
+                type="text"
+                maxLength={MAX_TITLE}
+                value={fields.title}
+                onChange={handleChange}
+                readOnly={readOnly}
+                disabled={saving}
+                aria-invalid={errors.title ? "true" : "false"}
+                aria-describedby={errors.title ? "edit-title-error" : undefined}
+                className={`block w-full rounded-lg border px-3 py-2.5 text-sm text-gray-900 outline-none transition focus:ring-2 focus:ring-offset-0 disabled:opacity-50
+                ${errors.title ? "border-red-400 bg-red-50 focus:ring-red-200" : "border-gray-300 bg-white focus:border-indigo-500 focus:ring-indigo-200"}`}
+              />
+              {errors.title && (
+                <p
+                  id="edit-title-error"
+                  role="alert"
+                  className="mt-1 text-xs text-red-600"
+                >
+                  {errors.title}
+                </p>
+              )}
+            </div>
+
+            {/* Content */}
+            <div>
+              <label
+                htmlFor="edit-content"
+                className="mb-1 block text-sm font-medium text-gray-700"
+              >
+                Content{" "}
+                <span className="text-red-500" aria-hidden="true">
+                  *
+                </span>
+              </label>
+              <textarea
+                id="edit-content"
+                name="content"
+                rows={8}
+                maxLength={MAX_CONTENT}
+                value={fields.content}
+                onChange={handleChange}
+                readOnly={readOnly}
+                disabled={saving}
+                aria-invalid={errors.content ? "true" : "false"}
+                aria-describedby={
+                  errors.content ? "edit-content-error" : undefined
+                }
+                className={`block w-full resize-y rounded-lg border px-3 py-2.5 text-sm text-gray-900 outline-none transition focus:ring-2 focus:ring-offset-0 disabled:opacity-50
+                ${errors.content ? "border-red-400 bg-red-50 focus:ring-red-200" : "border-gray-300 bg-white focus:border-indigo-500 focus:ring-indigo-200"}`}
+              />
+              {errors.content && (
+                <p
+                  id="edit-content-error"
+                  role="alert"
+                  className="mt-1 text-xs text-red-600"
+                >
+                  {errors.content}
+                </p>
+              )}
+              <p className="mt-1 text-right text-xs text-gray-400">
+                {fields.content.length} / {MAX_CONTENT}
+              </p>
+            </div>
+
+            {/* Tags */}
+            <div>
+              <label
+                htmlFor="edit-tags"
+                className="mb-1 block text-sm font-medium text-gray-700"
+              >
+                Tags
+              </label>
+              <TagInput
+                id="edit-tags"
+                tags={fields.tags}
+                onChange={(tags) => setFields((prev) => ({ ...prev, tags }))}
+                disabled={saving || readOnly}
+              />
+            </div>
+          </form>
+        )}
 
         {/* Footer actions */}
-        <div className="flex justify-end gap-2 border-t border-gray-100 px-6 py-4">
-          <button
-            type="button"
-            onClick={onClose}
-            disabled={saving}
-            className="rounded-lg px-4 py-2 text-sm font-medium text-gray-600 transition hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-gray-300 disabled:opacity-50"
-          >
-            Cancel
-          </button>
-          <button
-            type="button"
-            onClick={handleSubmit}
-            disabled={saving || !isDirty}
-            aria-busy={saving}
-            className="flex items-center gap-2 rounded-lg bg-indigo-600 px-4 py-2 text-sm font-semibold text-white shadow-sm transition hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-1 disabled:cursor-not-allowed disabled:opacity-60"
-          >
-            {saving ? (
-              <>
-                <Spinner size="h-3.5 w-3.5" />
-                Saving…
-              </>
-            ) : (
-              "Save changes"
+        {!conflict && tab === "edit" && (
+          <div className="flex justify-end gap-2 border-t border-gray-100 px-6 py-4">
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={saving}
+              className="rounded-lg px-4 py-2 text-sm font-medium text-gray-600 transition hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-gray-300 disabled:opacity-50"
+            >
+              {readOnly ? "Close" : "Cancel"}
+            </button>
+            {!readOnly && (
+              <button
+                type="button"
+                onClick={handleSubmit}
+                disabled={saving || !isDirty}
+                aria-busy={saving}
+                className="flex items-center gap-2 rounded-lg bg-indigo-600 px-4 py-2 text-sm font-semibold text-white shadow-sm transition hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-1 disabled:cursor-not-allowed disabled:opacity-60"
+              >
+                {saving ? (
+                  <>
+                    <Spinner size="h-3.5 w-3.5" />
+                    Saving…
+                  </>
+                ) : (
+                  "Save changes"
+                )}
+              </button>
             )}
-          </button>
-        </div>
+          </div>
+        )}
       </div>
     </div>
   );
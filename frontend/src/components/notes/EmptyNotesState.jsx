@@ -5,8 +5,9 @@
  *
  * Props:
  *  message — optional override text
+ *  hint    — optional override for the secondary line
  */
-export default function EmptyNotesState({ message }) {
+export default function EmptyNotesState({ message, hint }) {
   return (
     <div className="col-span-full flex flex-col items-center justify-center py-20 text-center">
       {/* Illustration */}
@@ -35,8 +36,12 @@ export default function EmptyNotesState({ message }) {
         {message ?? "No notes yet"}
       </p>
       <p className="mt-1 text-xs text-gray-400">
-        Click the <strong className="text-gray-500">New note</strong> button
-        above to create your first one.
+        {hint ?? (
+          <>
+            Click the <strong className="text-gray-500">New note</strong> button
+            above to create your first one.
+          </>
+        )}
       </p>
     </div>
   );
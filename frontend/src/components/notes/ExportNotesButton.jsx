@@ -0,0 +1,81 @@
+import { useState } from "react";
+import { downloadFile } from "../../lib/download";
+import { extractApiError } from "../../lib/api";
+import { listOptionParams } from "../../lib/noteList";
+import Spinner from "../ui/Spinner";
+
+const FORMAT_OPTIONS = [
+  ["json", "JSON"],
+  ["markdown", "Markdown"],
+  ["zip", "Zip of Markdown files"],
+];
+
+/**
+ * ExportNotesButton
+ *
+ * Format picker and button in the NotesPage header. Downloads the notes the
+ * page currently shows — every page of them, with the same search, tag,
+ * notebook, archive and date filters, in the same order bar pinned notes.
+ *
+ * Props:
+ *  filters  — { q, tags, tagMode, notebook, archived, listOptions } as held
+ *             by useNotes
+ *  disabled — true while there is nothing to export
+ *  onError  — (message) => void
+ */
+export default function ExportNotesButton({ filters, disabled, onError }) {
+  const [format, setFormat] = useState("json");
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async () => {
+    const { q, tags, tagMode, notebook, archived, listOptions } = filters;
+    const params = { format, ...listOptionParams(listOptions) };
+    if (q) params.q = q;
+    if (notebook) params.notebook = notebook;
+    if (archived) params.archived = true;
+    if (tags.length) {
+      params.tags = tags.join(",");
+      params.tagMode = tagMode;
+    }
+
+    setExporting(true);
+    try {
+      await downloadFile("/notes/export", { params });
+    } catch (err) {
+      onError(extractApiError(err, "Failed to export notes."));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <label htmlFor="export-format" className="sr-only">
+        Export format
+      </label>
+      <select
+        id="export-format"
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        disabled={exporting}
+        className="rounded-lg border border-gray-300 bg-white px-2 py-1.5 text-xs text-gray-700 outline-none focus:border-indigo-500 focus:ring-2 focus:ring-indigo-200 disabled:opacity-50"
+      >
+        {FORMAT_OPTIONS.map(([value, label]) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <button
+        type="button"
+        onClick={handleExport}
+        disabled={disabled || exporting}
+        aria-busy={exporting}
+        className="flex items-center gap-1.5 rounded-lg bg-gray-100 px-3 py-1.5 text-xs font-medium text-gray-700 transition hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 disabled:cursor-not-allowed disabled:opacity-60"
+      >
+        {exporting && <Spinner size="h-3 w-3" color="text-gray-600" />}
+        {exporting ? "Exporting…" : "Export"}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,419 @@
+import { useEffect, useState } from "react";
+import Alert from "../ui/Alert";
+import Spinner from "../ui/Spinner";
+import { useNoteImport } from "../../hooks/useNoteImport";
+import {
+  IMPORT_EXTENSIONS,
+  IMPORT_MAX_FILES,
+  IMPORT_MAX_FILE_SIZE,
+} from "../../lib/constants";
+
+const STEPS = ["Files", "Destination", "Report"];
+
+const MB = 1024 * 1024;
+
+const formatSize = (bytes) =>
+  bytes < MB
+    ? `${Math.ceil(bytes / 1024)} KB`
+    : `${(bytes / MB).toFixed(1)} MB`;
+
+const extensionOf = (name) => {
+  const dot = name.lastIndexOf(".");
+  return dot === -1 ? "" : name.slice(dot).toLowerCase();
+};
+
+/** Why a file cannot be uploaded, or null when it can */
+const fileProblem = (file) => {
+  if (!IMPORT_EXTENSIONS.includes(extensionOf(file.name))) {
+    return "unsupported file type";
+  }
+  if (file.size > IMPORT_MAX_FILE_SIZE) {
+    return `larger than ${IMPORT_MAX_FILE_SIZE / MB} MB`;
+  }
+  return null;
+};
+
+const buttonClass =
+  "flex items-center gap-2 rounded-lg px-4 py-2 text-sm font-semibold transition focus:outline-none focus:ring-2 focus:ring-offset-1 disabled:cursor-not-allowed disabled:opacity-60";
+const primaryClass = `${buttonClass} bg-indigo-600 text-white shadow-sm hover:bg-indigo-700 focus:ring-indigo-500`;
+const secondaryClass = `${buttonClass} bg-gray-100 text-gray-700 hover:bg-gray-200 focus:ring-gray-400`;
+
+/** Numbered step list at the top of the dialog */
+function StepIndicator({ current }) {
+  return (
+    <ol className="flex items-center gap-2 text-xs font-medium">
+      {STEPS.map((label, i) => (
+        <li
+          key={label}
+          aria-current={i === current ? "step" : undefined}
+          className={`flex items-center gap-1.5 ${i === current ? "text-indigo-700" : i < current ? "text-gray-700" : "text-gray-400"}`}
+        >
+          <span
+            className={`flex h-5 w-5 items-center justify-center rounded-full ${i === current ? "bg-indigo-600 text-white" : "bg-gray-100"}`}
+          >
+            {i + 1}
+          </span>
+          {label}
+          {i < STEPS.length - 1 && (
+            <span className="text-gray-300" aria-hidden="true">
+              —
+            </span>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+/** Per-note results: failures listed first, with what went wrong */
+function ImportReport({ report }) {
+  const failures = report.results.filter((r) => !r.success);
+  const successes = report.results.filter((r) => r.success);
+
+  return (
+    <div className="space-y-4">
+      <Alert
+        type={report.failed === 0 ? "success" : "error"}
+        message={
+          report.failed === 0
+            ? report.message
+            : `${report.message} — ${report.failed} could not be imported.`
+        }
+      />
+
+      {failures.length > 0 && (
+        <section aria-labelledby="import-failures-title">
+          <h3
+            id="import-failures-title"
+            className="mb-2 text-xs font-semibold uppercase tracking-wide text-gray-500"
+          >
+            Not imported
+          </h3>
+          <ul className="divide-y divide-gray-100 rounded-lg ring-1 ring-gray-200">
+            {failures.map((result, i) => (
+              <li key={i} className="px-3 py-2">
+                <p className="truncate text-sm text-gray-800">
+                  {result.title || result.source}
+                </p>
+                {result.title && (
+                  <p className="truncate text-xs text-gray-400">
+                    {result.source}
+                  </p>
+                )}
+                <p className="mt-0.5 text-xs text-red-600">{result.message}</p>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {successes.length > 0 && (
+        <details className="rounded-lg ring-1 ring-gray-200">
+          <summary className="cursor-pointer px-3 py-2 text-sm font-medium text-gray-700">
+            Imported notes ({successes.length})
+          </summary>
+          <ul className="divide-y divide-gray-100 border-t border-gray-100">
+            {successes.map((result) => (
+              <li key={result.id} className="px-3 py-1.5">
+                <p className="truncate text-sm text-gray-800">{result.title}</p>
+                <p className="truncate text-xs text-gray-400">
+                  {result.source}
+                </p>
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+}
+
+/**
+ * ImportNotesDialog
+ *
+ * Three-step wizard for bringing existing notes into NoteVault:
+ *  1. Files — pick or drop Markdown files, NoteVault JSON exports, Evernote
+ *     .enex exports or zips of these. Unsupported and oversized files are
+ *     flagged before anything is uploaded.
+ *  2. Destination — the notebook to import into. Folders in a zip and
+ *     notebook paths in an export are recreated inside it.
+ *  3. Report — what was imported, and why each remaining note was not.
+ *
+ * Props:
+ *  open            — bool
+ *  notebooks       — flattened notebook list (see flattenNotebooks)
+ *  defaultNotebook — notebook id preselected as destination, or null
+ *  onImported      — (report) => void — called once notes were created
+ *  onClose         — () => void
+ */
+export default function ImportNotesDialog({
+  open,
+  notebooks,
+  defaultNotebook,
+  onImported,
+  onClose,
+}) {
+  const { importing, importNotes } = useNoteImport();
+  const [step, setStep] = useState(0);
+  const [files, setFiles] = useState([]);
+  const [notebook, setNotebook] = useState(defaultNotebook ?? "");
+  const [dragging, setDragging] = useState(false);
+  const [error, setError] = useState(null);
+  const [report, setReport] = useState(null);
+
+  // Escape closes, unless an upload is running
+  useEffect(() => {
+    if (!open) return;
+    const fn = (e) => {
+      if (e.key === "Escape" && !importing) onClose();
+    };
+    document.addEventListener("keydown", fn);
+    return () => document.removeEventListener("keydown", fn);
+  }, [open, importing, onClose]);
+
+  if (!open) return null;
+
+  const problems = files.map(fileProblem);
+  const tooMany = files.length > IMPORT_MAX_FILES;
+  const canContinue =
+    files.length > 0 && !tooMany && problems.every((p) => p === null);
+  const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+  const destination =
+    notebooks.find((nb) => nb._id === notebook)?.name ?? "the top level";
+
+  const addFiles = (list) => {
+    const added = Array.from(list);
+    setFiles((current) => [
+      ...current,
+      // Picking the same file twice adds it once
+      ...added.filter(
+        (file) =>
+          !current.some((f) => f.name === file.name && f.size === file.size),
+      ),
+    ]);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    addFiles(e.dataTransfer.files);
+  };
+
+  const handleImport = async () => {
+    setError(null);
+    const result = await importNotes(files, notebook || null);
+    if (!result.success) {
+      setError(result.message);
+      return;
+    }
+    setReport(result.report);
+    setStep(2);
+    if (result.report.imported > 0) onImported(result.report);
+  };
+
+  return (
+    // Backdrop
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 px-4 py-6 backdrop-blur-sm animate-fade-in"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="import-dialog-title"
+      onClick={(e) => e.target === e.currentTarget && !importing && onClose()}
+    >
+      {/* Panel */}
+      <div className="w-full max-w-lg overflow-hidden rounded-2xl bg-white shadow-xl ring-1 ring-gray-200">
+        {/* Header */}
+        <div className="space-y-3 border-b border-gray-100 px-6 py-4">
+          <h2
+            id="import-dialog-title"
+            className="text-base font-semibold text-gray-900"
+          >
+            Import notes
+          </h2>
+          <StepIndicator current={step} />
+        </div>
+
+        <div className="max-h-[65vh] space-y-4 overflow-y-auto px-6 py-5">
+          {error && (
+            <Alert
+              type="error"
+              message={error}
+              onDismiss={() => setError(null)}
+            />
+          )}
+
+          {step === 0 && (
+            <>
+              <p className="text-sm text-gray-500">
+                Markdown files (front matter is read if present), NoteVault JSON
+                exports, Evernote .enex exports, or a zip of any of these. Up to{" "}
+                {IMPORT_MAX_FILES} files of {IMPORT_MAX_FILE_SIZE / MB} MB each.
+              </p>
+
+              <label
+                onDragOver={(e) => {
+                  e.preventDefault();
+                  setDragging(true);
+                }}
+                onDragLeave={() => setDragging(false)}
+                onDrop={handleDrop}
+                className={`flex cursor-pointer flex-col items-center rounded-xl border-2 border-dashed px-4 py-8 text-center transition focus-within:ring-2 focus-within:ring-indigo-400
+                  ${dragging ? "border-indigo-400 bg-indigo-50" : "border-gray-300 hover:border-indigo-300"}`}
+              >
+                <span className="text-sm font-medium text-indigo-700">
+                  Choose files
+                </span>
+                <span className="mt-0.5 text-xs text-gray-500">
+                  or drop them here
+                </span>
+                <input
+                  type="file"
+                  multiple
+                  accept={IMPORT_EXTENSIONS.join(",")}
+                  onChange={(e) => {
+                    addFiles(e.target.files);
+                    e.target.value = ""; // allow picking the same file again
+                  }}
+                  className="sr-only"
+                />
+              </label>
+
+              {files.length > 0 && (
+                <ul className="divide-y divide-gray-100 rounded-lg ring-1 ring-gray-200">
+                  {files.map((file, i) => (
+                    <li
+                      key={`${file.name}:${file.size}`}
+                      className="flex items-center justify-between gap-3 px-3 py-2"
+                    >
+                      <div className="min-w-0">
+                        <p className="truncate text-sm text-gray-800">
+                          {file.name}
+                        </p>
+                        <p
+                          className={`text-xs ${problems[i] ? "text-red-600" : "text-gray-400"}`}
+                        >
+                          {formatSize(file.size)}
+                          {problems[i] && ` — ${problems[i]}`}
+                        </p>
+                      </div>
+                      <button
+                        type="button"
+                        onClick={() =>
+                          setFiles((current) =>
+                            current.filter((f) => f !== file),
+                          )
+                        }
+                        aria-label={`Remove ${file.name}`}
+                        className="shrink-0 rounded-lg px-2 py-1.5 text-xs font-medium text-red-600 transition hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-400"
+                      >
+                        Remove
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {tooMany && (
+                <p role="alert" className="text-sm text-red-600">
+                  Choose at most {IMPORT_MAX_FILES} files at a time.
+                </p>
+              )}
+            </>
+          )}
+
+          {step === 1 && (
+            <>
+              <div>
+                <label
+                  htmlFor="import-notebook"
+                  className="mb-1 block text-sm font-medium text-gray-700"
+                >
+                  Import into
+                </label>
+                <select
+                  id="import-notebook"
+                  value={notebook}
+                  onChange={(e) => setNotebook(e.target.value)}
+                  disabled={importing}
+                  className="block w-full rounded-lg border border-gray-300 bg-white px-3 py-2 text-sm text-gray-900 outline-none focus:border-indigo-500 focus:ring-2 focus:ring-indigo-200 disabled:opacity-50"
+                >
+                  <option value="">No notebook (top level)</option>
+                  {notebooks.map((nb) => (
+                    <option key={nb._id} value={nb._id}>
+                      {"\u00a0\u00a0".repeat(nb.depth) + nb.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <p className="text-sm text-gray-500">
+                {files.length} file{files.length !== 1 ? "s" : ""} (
+                {formatSize(totalSize)}) will be imported into {destination}.
+                Notebooks named in exports and folders in zips are created
+                inside it. Each note is checked like a new note, and notes that
+                fail are listed afterwards — the rest are still imported.
+              </p>
+            </>
+          )}
+
+          {step === 2 && report && <ImportReport report={report} />}
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-between gap-3 border-t border-gray-100 px-6 py-4">
+          {step === 1 ? (
+            <button
+              type="button"
+              onClick={() => setStep(0)}
+              disabled={importing}
+              className={secondaryClass}
+            >
+              Back
+            </button>
+          ) : (
+            <span />
+          )}
+
+          <div className="flex gap-3">
+            {step < 2 && (
+              <button
+                type="button"
+                onClick={onClose}
+                disabled={importing}
+                className={secondaryClass}
+              >
+                Cancel
+              </button>
+            )}
+            {step === 0 && (
+              <button
+                type="button"
+                onClick={() => setStep(1)}
+                disabled={!canContinue}
+                className={primaryClass}
+              >
+                Next
+              </button>
+            )}
+            {step === 1 && (
+              <button
+                type="button"
+                onClick={handleImport}
+                disabled={importing}
+                aria-busy={importing}
+                className={primaryClass}
+              >
+                {importing && <Spinner size="h-4 w-4" />}
+                {importing ? "Importing…" : "Import"}
+              </button>
+            )}
+            {step === 2 && (
+              <button type="button" onClick={onClose} className={primaryClass}>
+                Done
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
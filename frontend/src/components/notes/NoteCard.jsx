@@ -2,15 +2,54 @@
  * NoteCard
  *
  * Displays a single note in a card layout.
- * Surfaces Edit and Delete action buttons.
+ * Surfaces Edit, Share and Delete action buttons, and a "Move to" notebook
+ * select. Pinned notes carry a pin badge, and notes with changes still in
+ * the offline outbox a "Not synced" badge. In selection mode the card shows
+ * a checkbox instead of the actions.
+ *
+ * When the note comes from a search, `note.highlights` holds
+ * { title, content } as [{ text, highlight }] segments; matched words are
+ * wrapped in <mark> and the content preview becomes the search snippet.
  *
  * Props:
- *  note      — { _id, title, content, createdAt, updatedAt }
+ *  note      — { _id, title, content, tags, notebook, pinned, createdAt, updatedAt, highlights?, pending? }
  *  onEdit    — called with the note object when Edit is clicked
  *  onDelete  — called with the note object when Delete is clicked
+ *  onShare   — optional: called with the note object when Share is clicked
+ *  onTagClick — optional: called with a tag name when a tag chip is clicked
+ *  notebooks — { _id, name, depth }[] — move targets, in tree order
+ *  onMove    — optional: called with (note, notebookId | null) on a move
  *  disabled  — grays out actions while a save is in-flight
+ *  selectable     — optional: show the selection checkbox, hide the actions
+ *  selected       — whether the note is selected
+ *  onToggleSelect — called with the note object when the checkbox changes
  */
-export default function NoteCard({ note, onEdit, onDelete, disabled }) {
+/** Renders highlight segments as plain text with <mark> around matches. */
+function Segments({ segments }) {
+  return segments.map((seg, i) =>
+    seg.highlight ? (
+      <mark key={i} className="rounded bg-yellow-100 px-0.5 text-gray-900">
+        {seg.text}
+      </mark>
+    ) : (
+      <span key={i}>{seg.text}</span>
+    ),
+  );
+}
+
+export default function NoteCard({
+  note,
+  onEdit,
+  onDelete,
+  onShare,
+  onTagClick,
+  notebooks = [],
+  onMove,
+  disabled,
+  selectable = false,
+  selected = false,
+  onToggleSelect,
+}) {
   const date = new Date(note.updatedAt ?? note.createdAt);
   const formatted = date.toLocaleDateString(undefined, {
     year: "numeric",
@@ -26,65 +65,167 @@ export default function NoteCard({ note, onEdit, onDelete, disabled }) {
 
   return (
     <article
-      className="group flex flex-col rounded-2xl bg-white p-5 shadow-sm ring-1 ring-gray-200 transition hover:shadow-md hover:ring-indigo-200 focus-within:ring-2 focus-within:ring-indigo-400"
+      className={`group flex flex-col rounded-2xl bg-white p-5 shadow-sm transition hover:shadow-md focus-within:ring-2 focus-within:ring-indigo-400 ${
+        selected
+          ? "ring-2 ring-indigo-500"
+          : "ring-1 ring-gray-200 hover:ring-indigo-200"
+      }`}
       aria-label={`Note: ${note.title}`}
     >
       {/* Title */}
-      <h3 className="mb-2 line-clamp-2 text-sm font-semibold text-gray-900 leading-snug">
-        {note.title}
-      </h3>
+      <div className="mb-2 flex items-start gap-2">
+        {selectable && (
+          <input
+            type="checkbox"
+            checked={selected}
+            onChange={() => onToggleSelect(note)}
+            aria-label={`Select note: ${note.title}`}
+            className="mt-0.5 h-4 w-4 shrink-0 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+          />
+        )}
+        <h3 className="line-clamp-2 flex-1 text-sm font-semibold text-gray-900 leading-snug">
+          {note.highlights ? (
+            <Segments segments={note.highlights.title} />
+          ) : (
+            note.title
+          )}
+        </h3>
+        {note.pinned && (
+          <span title="Pinned" className="shrink-0 text-indigo-500">
+            {/* Pin icon */}
+            <svg
+              className="h-4 w-4"
+              viewBox="0 0 20 20"
+              fill="currentColor"
+              aria-hidden="true"
+            >
+              <path d="M7 2a1 1 0 000 2h.5v4.382l-2.447 1.224A1 1 0 004.5 10.5V12a1 1 0 001 1H9v4a1 1 0 102 0v-4h3.5a1 1 0 001-1v-1.5a1 1 0 00-.553-.894L12.5 8.382V4h.5a1 1 0 100-2H7z" />
+            </svg>
+            <span className="sr-only">Pinned</span>
+          </span>
+        )}
+      </div>
 
       {/* Content preview */}
       <p className="flex-1 text-xs leading-relaxed text-gray-500 whitespace-pre-wrap break-words">
-        {preview}
+        {note.highlights ? (
+          <Segments segments={note.highlights.content} />
+        ) : (
+          preview
+        )}
       </p>
 
+      {/* Tags */}
+      {note.tags?.length > 0 && (
+        <ul className="mt-3 flex flex-wrap gap-1" aria-label="Tags">
+          {note.tags.map((tag) => (
+            <li key={tag}>
+              <button
+                type="button"
+                onClick={() => onTagClick?.(tag)}
+                className="rounded-full bg-indigo-50 px-2 py-0.5 text-[11px] font-medium text-indigo-700 transition hover:bg-indigo-100 focus:outline-none focus:ring-2 focus:ring-indigo-400"
+              >
+                {tag}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
       {/* Footer */}
       <div className="mt-4 flex items-center justify-between border-t border-gray-100 pt-3">
-        <time dateTime={date.toISOString()} className="text-xs text-gray-400">
-          {formatted}
-        </time>
+        <span className="flex items-center gap-2">
+          <time dateTime={date.toISOString()} className="text-xs text-gray-400">
+            {formatted}
+          </time>
+          {note.pending && (
+            <span className="rounded-full bg-amber-50 px-2 py-0.5 text-[11px] font-medium text-amber-700">
+              Not synced
+            </span>
+          )}
+        </span>
 
         {/* Action buttons — visible on hover/focus for cleaner card layout */}
-        <div className="flex items-center gap-1 opacity-0 transition-opacity group-hover:opacity-100 group-focus-within:opacity-100">
-          <button
-            onClick={() => onEdit(note)}
-            disabled={disabled}
-            aria-label={`Edit note: ${note.title}`}
-            className="rounded-lg p-1.5 text-gray-400 transition hover:bg-indigo-50 hover:text-indigo-600 focus:outline-none focus:ring-2 focus:ring-indigo-400 disabled:pointer-events-none disabled:opacity-40"
-          >
-            {/* Pencil icon */}
-            <svg
-              className="h-4 w-4"
-              viewBox="0 0 20 20"
-              fill="currentColor"
-              aria-hidden="true"
+        {!selectable && (
+          <div className="flex items-center gap-1 opacity-0 transition-opacity group-hover:opacity-100 group-focus-within:opacity-100">
+            {onMove && (
+              <select
+                value={note.notebook ?? ""}
+                onChange={(e) => onMove(note, e.target.value || null)}
+                disabled={disabled}
+                aria-label={`Move note to notebook: ${note.title}`}
+                className="max-w-32 truncate rounded-lg border-0 bg-transparent py-1 pl-1.5 pr-6 text-xs text-gray-500 transition hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-indigo-400 disabled:opacity-40"
+              >
+                <option value="">Unfiled</option>
+                {notebooks.map((nb) => (
+                  <option key={nb._id} value={nb._id}>
+                    {"\u00a0\u00a0".repeat(nb.depth) + nb.name}
+                  </option>
+                ))}
+              </select>
+            )}
+            <button
+              onClick={() => onEdit(note)}
+              disabled={disabled}
+              aria-label={`Edit note: ${note.title}`}
+              className="rounded-lg p-1.5 text-gray-400 transition hover:bg-indigo-50 hover:text-indigo-600 focus:outline-none focus:ring-2 focus:ring-indigo-400 disabled:pointer-events-none disabled:opacity-40"
             >
-              <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z" />
-            </svg>
-          </button>
+              {/* Pencil icon */}
+              <svg
+                className="h-4 w-4"
+                viewBox="0 0 20 20"
+                fill="currentColor"
+                aria-hidden="true"
+              >
+                <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z" />
+              </svg>
+            </button>
 
-          <button
-            onClick={() => onDelete(note)}
-            disabled={disabled}
-            aria-label={`Delete note: ${note.title}`}
-            className="rounded-lg p-1.5 text-gray-400 transition hover:bg-red-50 hover:text-red-500 focus:outline-none focus:ring-2 focus:ring-red-400 disabled:pointer-events-none disabled:opacity-40"
-          >
-            {/* Trash icon */}
-            <svg
-              className="h-4 w-4"
-              viewBox="0 0 20 20"
-              fill="currentColor"
-              aria-hidden="true"
+            {onShare && (
+              <button
+                onClick={() => onShare(note)}
+                disabled={disabled}
+                aria-label={`Share note: ${note.title}`}
+                className="rounded-lg p-1.5 text-gray-400 transition hover:bg-indigo-50 hover:text-indigo-600 focus:outline-none focus:ring-2 focus:ring-indigo-400 disabled:pointer-events-none disabled:opacity-40"
+              >
+                {/* Link icon */}
+                <svg
+                  className="h-4 w-4"
+                  viewBox="0 0 20 20"
+                  fill="currentColor"
+                  aria-hidden="true"
+                >
+                  <path
+                    fillRule="evenodd"
+                    d="M12.586 4.586a2 2 0 112.828 2.828l-3 3a2 2 0 01-2.828 0 1 1 0 00-1.414 1.414 4 4 0 005.656 0l3-3a4 4 0 00-5.656-5.656l-1.5 1.5a1 1 0 101.414 1.414l1.5-1.5zm-5 5a2 2 0 012.828 0 1 1 0 101.414-1.414 4 4 0 00-5.656 0l-3 3a4 4 0 105.656 5.656l1.5-1.5a1 1 0 10-1.414-1.414l-1.5 1.5a2 2 0 11-2.828-2.828l3-3z"
+                    clipRule="evenodd"
+                  />
+                </svg>
+              </button>
+            )}
+
+            <button
+              onClick={() => onDelete(note)}
+              disabled={disabled}
+              aria-label={`Delete note: ${note.title}`}
+              className="rounded-lg p-1.5 text-gray-400 transition hover:bg-red-50 hover:text-red-500 focus:outline-none focus:ring-2 focus:ring-red-400 disabled:pointer-events-none disabled:opacity-40"
             >
-              <path
-                fillRule="evenodd"
-                d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z"
-                clipRule="evenodd"
-              />
-            </svg>
-          </button>
-        </div>
+              {/* Trash icon */}
+              <svg
+                className="h-4 w-4"
+                viewBox="0 0 20 20"
+                fill="currentColor"
+                aria-hidden="true"
+              >
+                <path
+                  fillRule="evenodd"
+                  d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z"
+                  clipRule="evenodd"
+                />
+              </svg>
+            </button>
+          </div>
+        )}
       </div>
     </article>
   );
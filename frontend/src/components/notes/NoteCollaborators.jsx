@@ -0,0 +1,172 @@
+import { useState } from "react";
+import Spinner from "../ui/Spinner";
+import { useCollaborators } from "../../hooks/useCollaborators";
+
+const ROLE_OPTIONS = [
+  ["viewer", "Can view"],
+  ["editor", "Can edit"],
+];
+
+const selectClass =
+  "rounded-lg border border-gray-300 bg-white px-2 py-1.5 text-xs text-gray-700 outline-none focus:border-indigo-500 focus:ring-2 focus:ring-indigo-200 disabled:opacity-50";
+
+/** One person with access: name and email */
+function Person({ person, suffix }) {
+  return (
+    <div className="min-w-0">
+      <p className="truncate text-sm text-gray-800">
+        {person.name}
+        {suffix && <span className="text-gray-400"> {suffix}</span>}
+      </p>
+      <p className="truncate text-xs text-gray-400">{person.email}</p>
+    </div>
+  );
+}
+
+/**
+ * NoteCollaborators
+ *
+ * "People" section of ShareNoteDialog: invites other NoteVault users to a
+ * note by email as viewers or editors, changes their role and removes them.
+ *
+ * Props:
+ *  noteId — id of the note being shared (the current user owns it)
+ */
+export default function NoteCollaborators({ noteId }) {
+  const {
+    owner,
+    collaborators,
+    loading,
+    error,
+    saving,
+    addCollaborator,
+    updateRole,
+    removeCollaborator,
+  } = useCollaborators(noteId);
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("viewer");
+  const [actionError, setActionError] = useState(null);
+
+  const run = async (action) => {
+    setActionError(null);
+    const result = await action();
+    if (!result.success) setActionError(result.message);
+    return result;
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+    const result = await run(() => addCollaborator(email.trim(), role));
+    if (result.success) setEmail("");
+  };
+
+  return (
+    <section aria-labelledby="collaborators-title" className="space-y-3">
+      <h3
+        id="collaborators-title"
+        className="text-xs font-semibold uppercase tracking-wide text-gray-500"
+      >
+        People
+      </h3>
+
+      <form onSubmit={handleInvite} className="flex gap-2">
+        <label htmlFor="collaborator-email" className="sr-only">
+          Email address
+        </label>
+        <input
+          id="collaborator-email"
+          type="email"
+          placeholder="Email address"
+          autoComplete="off"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          disabled={saving}
+          className="block min-w-0 flex-1 rounded-lg border border-gray-300 bg-white px-3 py-1.5 text-sm text-gray-900 outline-none focus:border-indigo-500 focus:ring-2 focus:ring-indigo-200 disabled:opacity-50"
+        />
+        <label htmlFor="collaborator-role" className="sr-only">
+          Role
+        </label>
+        <select
+          id="collaborator-role"
+          value={role}
+          onChange={(e) => setRole(e.target.value)}
+          disabled={saving}
+          className={selectClass}
+        >
+          {ROLE_OPTIONS.map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          disabled={saving || !email.trim()}
+          aria-busy={saving}
+          className="flex items-center gap-1.5 rounded-lg bg-indigo-600 px-3 py-1.5 text-xs font-semibold text-white shadow-sm transition hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-1 disabled:cursor-not-allowed disabled:opacity-60"
+        >
+          {saving && <Spinner size="h-3 w-3" />}
+          Invite
+        </button>
+      </form>
+
+      {actionError && (
+        <p role="alert" className="text-sm text-red-600">
+          {actionError}
+        </p>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <Spinner color="text-indigo-500" />
+        </div>
+      ) : error ? (
+        <p className="text-sm text-red-600">{error}</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 rounded-lg ring-1 ring-gray-200">
+          {owner && (
+            <li className="flex items-center justify-between gap-3 px-3 py-2">
+              <Person person={owner} suffix="(you)" />
+              <span className="shrink-0 text-xs text-gray-400">Owner</span>
+            </li>
+          )}
+          {collaborators.map(({ user, role: current }) => (
+            <li
+              key={user._id}
+              className="flex items-center justify-between gap-3 px-3 py-2"
+            >
+              <Person person={user} />
+              <div className="flex shrink-0 items-center gap-1">
+                <select
+                  aria-label={`Role of ${user.name}`}
+                  value={current}
+                  onChange={(e) =>
+                    run(() => updateRole(user._id, e.target.value))
+                  }
+                  disabled={saving}
+                  className={selectClass}
+                >
+                  {ROLE_OPTIONS.map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => run(() => removeCollaborator(user._id))}
+                  disabled={saving}
+                  aria-label={`Remove ${user.name}`}
+                  className="rounded-lg px-2 py-1.5 text-xs font-medium text-red-600 transition hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-400 disabled:opacity-50"
+                >
+                  Remove
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
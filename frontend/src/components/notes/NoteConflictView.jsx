@@ -0,0 +1,129 @@
+import Spinner from "../ui/Spinner";
+
+/** Highlight applied to a field that differs between the two versions */
+const CHANGED = "ring-1 ring-amber-300 bg-amber-50";
+
+/**
+ * VersionColumn — one side of the comparison.
+ * `other` is the opposite version, used to flag the fields that differ.
+ */
+function VersionColumn({ heading, version, other }) {
+  const tags = version.tags ?? [];
+  const titleChanged = version.title !== other.title;
+  const contentChanged = version.content !== other.content;
+  const tagsChanged = tags.join(",") !== (other.tags ?? []).join(",");
+
+  return (
+    <section aria-label={heading} className="min-w-0 space-y-2">
+      <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-500">
+        {heading}
+      </h3>
+      <p
+        className={`rounded-md px-2 py-1 text-sm font-semibold text-gray-900 ${titleChanged ? CHANGED : ""}`}
+      >
+        {version.title}
+      </p>
+      <div
+        className={`flex min-h-7 flex-wrap gap-1 rounded-md px-2 py-1 ${tagsChanged ? CHANGED : ""}`}
+      >
+        {tags.length === 0 ? (
+          <span className="text-xs text-gray-400">No tags</span>
+        ) : (
+          tags.map((tag) => (
+            <span
+              key={tag}
+              className="rounded-full bg-indigo-50 px-2 py-0.5 text-[11px] font-medium text-indigo-700"
+            >
+              {tag}
+            </span>
+          ))
+        )}
+      </div>
+      <p
+        className={`max-h-64 overflow-auto whitespace-pre-wrap break-words rounded-md px-2 py-1 text-sm text-gray-700 ${contentChanged ? CHANGED : ""}`}
+      >
+        {version.content}
+      </p>
+    </section>
+  );
+}
+
+/**
+ * NoteConflictView
+ *
+ * Shown by EditNoteModal when a save is rejected because the note changed on
+ * the server in the meantime (HTTP 412), and by SyncProblemDialog for an
+ * offline edit that met the same fate. Puts the user's unsaved edits next
+ * to the current server copy, with differing fields highlighted.
+ *
+ * Props:
+ *  mine        — { title, content, tags } — the edits that failed to save
+ *  theirs      — the current server note
+ *  onKeepMine  — overwrite the server copy with `mine`
+ *  onUseTheirs — discard `mine` and continue from the server copy
+ *  onBack      — return to the form to merge by hand
+ *  message     — optional: replaces the explanation above the versions
+ *  backLabel   — optional: label of the onBack button
+ *  saving      — bool: disables actions while a save is in-flight
+ */
+export default function NoteConflictView({
+  mine,
+  theirs,
+  onKeepMine,
+  onUseTheirs,
+  onBack,
+  message = "This note was changed elsewhere after you started editing. Choose which version to keep, or go back and combine them yourself.",
+  backLabel = "Back to editing",
+  saving,
+}) {
+  return (
+    <div className="space-y-4">
+      <p
+        role="alert"
+        className="rounded-lg bg-amber-50 px-3 py-2 text-sm text-amber-800 ring-1 ring-amber-200"
+      >
+        {message}
+      </p>
+
+      <div className="grid gap-4 sm:grid-cols-2">
+        <VersionColumn heading="Your version" version={mine} other={theirs} />
+        <VersionColumn heading="Saved version" version={theirs} other={mine} />
+      </div>
+
+      <div className="flex flex-wrap justify-end gap-2 border-t border-gray-100 pt-4">
+        <button
+          type="button"
+          onClick={onBack}
+          disabled={saving}
+          className="rounded-lg px-4 py-2 text-sm font-medium text-gray-600 transition hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-gray-300 disabled:opacity-50"
+        >
+          {backLabel}
+        </button>
+        <button
+          type="button"
+          onClick={onUseTheirs}
+          disabled={saving}
+          className="rounded-lg border border-gray-300 px-4 py-2 text-sm font-medium text-gray-700 transition hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-300 disabled:opacity-50"
+        >
+          Use saved version
+        </button>
+        <button
+          type="button"
+          onClick={onKeepMine}
+          disabled={saving}
+          aria-busy={saving}
+          className="flex items-center gap-2 rounded-lg bg-indigo-600 px-4 py-2 text-sm font-semibold text-white shadow-sm transition hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-1 disabled:cursor-not-allowed disabled:opacity-60"
+        >
+          {saving ? (
+            <>
+              <Spinner size="h-3.5 w-3.5" />
+              Saving…
+            </>
+          ) : (
+            "Keep my version"
+          )}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,158 @@
+import { useState } from "react";
+import Spinner from "../ui/Spinner";
+import { useRevisions } from "../../hooks/useRevisions";
+
+/** Row styling per diff hunk type */
+const HUNK_STYLES = {
+  added: "bg-green-50 text-green-800",
+  removed: "bg-red-50 text-red-800 line-through decoration-red-300",
+  unchanged: "text-gray-500",
+};
+const HUNK_PREFIX = { added: "+", removed: "−", unchanged: " " };
+
+/**
+ * NoteHistoryPanel
+ *
+ * History tab of EditNoteModal. Lists stored revisions (newest first);
+ * selecting one shows a line-level diff from that revision to the current
+ * version, with an option to restore it.
+ *
+ * Props:
+ *  note       — the note being edited ({ _id, updatedAt })
+ *  onRestore  — async (rev: number) => { success }; omit for read-only
+ *               access, which hides the restore button
+ *  saving     — bool: disables the restore button while in-flight
+ */
+export default function NoteHistoryPanel({ note, onRestore, saving }) {
+  const { revisions, loading, error, loadDiff } = useRevisions(
+    note._id,
+    note.updatedAt,
+  );
+  const [selected, setSelected] = useState(null); // rev number | null
+  const [diff, setDiff] = useState(null);
+  const [diffError, setDiffError] = useState(null);
+
+  const handleSelect = async (rev) => {
+    setSelected(rev);
+    setDiff(null);
+    setDiffError(null);
+    const result = await loadDiff(rev);
+    if (result.success) setDiff(result.diff);
+    else setDiffError(result.message);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-10">
+        <Spinner color="text-indigo-500" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p className="py-6 text-center text-sm text-red-600">{error}</p>;
+  }
+
+  if (revisions.length === 0) {
+    return (
+      <p className="py-10 text-center text-sm text-gray-500">
+        No earlier versions yet. A revision is saved every time the note
+        changes.
+      </p>
+    );
+  }
+
+  return (
+    <div className="grid gap-4 sm:grid-cols-[10rem_1fr]">
+      {/* Revision list */}
+      <ol
+        aria-label="Revisions"
+        className="max-h-80 space-y-1 overflow-y-auto pr-1"
+      >
+        {revisions.map((r) => (
+          <li key={r.rev}>
+            <button
+              type="button"
+              onClick={() => handleSelect(r.rev)}
+              aria-current={selected === r.rev ? "true" : undefined}
+              className={`w-full rounded-lg px-2.5 py-2 text-left text-xs transition focus:outline-none focus:ring-2 focus:ring-indigo-400
+                ${selected === r.rev ? "bg-indigo-50 text-indigo-700" : "text-gray-600 hover:bg-gray-100"}`}
+            >
+              <span className="block font-semibold">Revision {r.rev}</span>
+              <time dateTime={r.createdAt} className="text-gray-400">
+                {new Date(r.createdAt).toLocaleString()}
+              </time>
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      {/* Diff view */}
+      <div className="min-w-0">
+        {selected === null ? (
+          <p className="py-10 text-center text-sm text-gray-400">
+            Select a revision to compare it with the current version.
+          </p>
+        ) : diffError ? (
+          <p className="py-6 text-center text-sm text-red-600">{diffError}</p>
+        ) : !diff ? (
+          <div className="flex justify-center py-10">
+            <Spinner color="text-indigo-500" />
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {diff.title.changed && (
+              <p className="text-xs text-gray-600">
+                Title:{" "}
+                <span className="bg-red-50 text-red-800 line-through">
+                  {diff.title.from}
+                </span>{" "}
+                →{" "}
+                <span className="bg-green-50 text-green-800">
+                  {diff.title.to}
+                </span>
+              </p>
+            )}
+
+            <pre
+              aria-label={`Changes since revision ${diff.rev}`}
+              className="max-h-64 overflow-auto rounded-lg bg-gray-50 p-2 font-mono text-xs leading-relaxed ring-1 ring-gray-200"
+            >
+              {diff.changes.map((hunk, i) =>
+                hunk.value
+                  .replace(/\n$/, "")
+                  .split("\n")
+                  .map((line, j) => (
+                    <div
+                      key={`${i}-${j}`}
+                      className={`whitespace-pre-wrap break-words px-1 ${HUNK_STYLES[hunk.type]}`}
+                    >
+                      <span aria-hidden="true" className="select-none pr-2">
+                        {HUNK_PREFIX[hunk.type]}
+                      </span>
+                      {line}
+                    </div>
+                  )),
+              )}
+            </pre>
+
+            {onRestore && (
+              <div className="flex justify-end">
+                <button
+                  type="button"
+                  onClick={() => onRestore(diff.rev)}
+                  disabled={saving}
+                  aria-busy={saving}
+                  className="flex items-center gap-2 rounded-lg bg-indigo-600 px-3 py-1.5 text-xs font-semibold text-white shadow-sm transition hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-1 disabled:cursor-not-allowed disabled:opacity-60"
+                >
+                  {saving && <Spinner size="h-3 w-3" />}
+                  Restore revision {diff.rev}
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
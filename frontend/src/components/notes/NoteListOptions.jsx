@@ -0,0 +1,118 @@
+import { DATE_FILTERS, defaultOrder } from "../../lib/noteList";
+
+const SORT_OPTIONS = [
+  ["updatedAt", "Last updated"],
+  ["createdAt", "Date created"],
+  ["title", "Title"],
+];
+
+// What each order means for each sort field
+const ORDER_LABELS = {
+  updatedAt: { desc: "Newest first", asc: "Oldest first" },
+  createdAt: { desc: "Newest first", asc: "Oldest first" },
+  title: { asc: "A to Z", desc: "Z to A" },
+};
+
+const DATE_RANGES = [
+  ["created", "Created", "createdAfter", "createdBefore"],
+  ["updated", "Updated", "updatedAfter", "updatedBefore"],
+];
+
+const FIELD_CLASSES =
+  "rounded-md border border-gray-200 bg-white px-1.5 py-0.5 text-xs text-gray-700 focus:outline-none focus:ring-2 focus:ring-indigo-400";
+
+/**
+ * NoteListOptions
+ *
+ * Sort and date controls above the notes grid: the field to sort by and
+ * which way, and a created and an updated date range. "After" includes
+ * the day picked; "before" ends the day before it. Picking another sort
+ * field starts it in its natural order.
+ *
+ * Props:
+ *  options  — { sort, order, createdAfter, createdBefore, updatedAfter,
+ *              updatedBefore } (lib/noteList.js)
+ *  onChange — (options) => void; the whole set, changed
+ */
+export default function NoteListOptions({ options, onChange }) {
+  const change = (changes) => onChange({ ...options, ...changes });
+  const dated = DATE_FILTERS.some((key) => options[key]);
+
+  return (
+    <div
+      role="group"
+      aria-label="Sort and filter notes"
+      className="flex flex-wrap items-center gap-x-4 gap-y-2 text-xs text-gray-500"
+    >
+      <label className="flex items-center gap-1.5">
+        Sort by
+        <select
+          value={options.sort}
+          onChange={(e) =>
+            change({
+              sort: e.target.value,
+              order: defaultOrder(e.target.value),
+            })
+          }
+          className={FIELD_CLASSES}
+        >
+          {SORT_OPTIONS.map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-1.5">
+        <span className="sr-only">Order</span>
+        <select
+          value={options.order}
+          onChange={(e) => change({ order: e.target.value })}
+          className={FIELD_CLASSES}
+        >
+          {Object.entries(ORDER_LABELS[options.sort]).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {DATE_RANGES.map(([id, label, after, before]) => (
+        <fieldset key={id} className="flex items-center gap-1.5">
+          <legend className="float-left mr-1.5">{label}</legend>
+          <label htmlFor={`${id}-after`}>after</label>
+          <input
+            id={`${id}-after`}
+            type="date"
+            value={options[after]}
+            max={options[before] || undefined}
+            onChange={(e) => change({ [after]: e.target.value })}
+            className={FIELD_CLASSES}
+          />
+          <label htmlFor={`${id}-before`}>before</label>
+          <input
+            id={`${id}-before`}
+            type="date"
+            value={options[before]}
+            min={options[after] || undefined}
+            onChange={(e) => change({ [before]: e.target.value })}
+            className={FIELD_CLASSES}
+          />
+        </fieldset>
+      ))}
+
+      {dated && (
+        <button
+          type="button"
+          onClick={() =>
+            change(Object.fromEntries(DATE_FILTERS.map((key) => [key, ""])))
+          }
+          className="text-xs font-medium text-gray-500 underline-offset-2 hover:text-gray-800 hover:underline focus:outline-none focus:ring-2 focus:ring-gray-300"
+        >
+          Clear dates
+        </button>
+      )}
+    </div>
+  );
+}
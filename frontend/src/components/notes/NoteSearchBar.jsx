@@ -0,0 +1,60 @@
+import { useEffect, useState } from "react";
+
+/** Delay between the last keystroke and the search request */
+const DEBOUNCE_MS = 300;
+
+/**
+ * NoteSearchBar
+ *
+ * Debounced full-text search input for the notes grid.
+ * Supports the backend query syntax: "exact phrase" and -excluded words.
+ *
+ * Props:
+ *  value    — the currently applied query (used to seed the input)
+ *  onSearch — (query: string) => void, called after typing pauses
+ */
+export default function NoteSearchBar({ value, onSearch }) {
+  const [text, setText] = useState(value);
+
+  // Only fire once typing pauses — avoids one request per keystroke
+  useEffect(() => {
+    const trimmed = text.trim();
+    if (trimmed === value) return;
+    const id = setTimeout(() => onSearch(trimmed), DEBOUNCE_MS);
+    return () => clearTimeout(id);
+  }, [text, value, onSearch]);
+
+  return (
+    <div role="search" className="relative">
+      <label htmlFor="note-search" className="sr-only">
+        Search notes
+      </label>
+      <svg
+        className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-gray-400"
+        viewBox="0 0 20 20"
+        fill="currentColor"
+        aria-hidden="true"
+      >
+        <path
+          fillRule="evenodd"
+          d="M8 4a4 4 0 100 8 4 4 0 000-8zM2 8a6 6 0 1110.89 3.476l4.817 4.817a1 1 0 01-1.414 1.414l-4.816-4.816A6 6 0 012 8z"
+          clipRule="evenodd"
+        />
+      </svg>
+      <input
+        id="note-search"
+        type="search"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        maxLength={200}
+        placeholder='Search notes — use "phrases" and -exclude'
+        aria-describedby="note-search-hint"
+        className="block w-full rounded-lg border border-gray-200 bg-white py-2 pl-9 pr-3 text-sm text-gray-900 placeholder:text-gray-400 outline-none transition focus:border-indigo-400 focus:ring-2 focus:ring-indigo-200"
+      />
+      <p id="note-search-hint" className="sr-only">
+        Wrap words in quotes to match an exact phrase. Prefix a word with a
+        minus sign to exclude notes containing it.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,296 @@
+import { useEffect, useState } from "react";
+import Spinner from "../ui/Spinner";
+import NoteCollaborators from "./NoteCollaborators";
+import { useShares } from "../../hooks/useShares";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Expiry presets offered when creating a link — days, or null for never */
+const EXPIRY_OPTIONS = [
+  [null, "Never expires"],
+  [1, "Expires in 1 day"],
+  [7, "Expires in 7 days"],
+  [30, "Expires in 30 days"],
+];
+
+const shareUrl = (token) => `${window.location.origin}/s/${token}`;
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString(undefined, {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+
+/**
+ * ShareNoteDialog
+ *
+ * Shares a note in two ways:
+ *  - People: other NoteVault users invited by email as viewers or editors
+ *    (see NoteCollaborators).
+ *  - Public links: read-only links that work without an account. A new link
+ *    is shown once, right after creation — the server stores only a hash of
+ *    its token — so the dialog offers to copy it immediately. Active links
+ *    are listed with their expiry and view count and can be revoked.
+ *
+ * Props:
+ *  note    — { _id, title } | null — note being shared
+ *  onClose — () => void
+ */
+export default function ShareNoteDialog({ note, onClose }) {
+  const { shares, loading, error, saving, createShare, revokeShare } =
+    useShares(note?._id ?? null);
+  const [expiryDays, setExpiryDays] = useState(7);
+  const [password, setPassword] = useState("");
+  const [createdUrl, setCreatedUrl] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [actionError, setActionError] = useState(null);
+
+  // Escape closes
+  useEffect(() => {
+    if (!note) return;
+    const fn = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", fn);
+    return () => document.removeEventListener("keydown", fn);
+  }, [note, onClose]);
+
+  if (!note) return null;
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setActionError(null);
+    setCopied(false);
+    const result = await createShare({
+      expiresAt: expiryDays
+        ? new Date(Date.now() + expiryDays * DAY_MS).toISOString()
+        : null,
+      password,
+    });
+    if (result.success) {
+      setCreatedUrl(shareUrl(result.token));
+      setPassword("");
+    } else {
+      setActionError(result.message);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(createdUrl);
+      setCopied(true);
+    } catch {
+      // Clipboard access denied — the URL stays selectable in the field.
+    }
+  };
+
+  const handleRevoke = async (shareId) => {
+    setActionError(null);
+    const result = await revokeShare(shareId);
+    if (!result.success) setActionError(result.message);
+  };
+
+  return (
+    // Backdrop
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 px-4 py-6 backdrop-blur-sm animate-fade-in"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="share-dialog-title"
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+    >
+      {/* Panel */}
+      <div className="w-full max-w-lg overflow-hidden rounded-2xl bg-white shadow-xl ring-1 ring-gray-200">
+        {/* Header */}
+        <div className="flex items-center justify-between border-b border-gray-100 px-6 py-4">
+          <h2
+            id="share-dialog-title"
+            className="min-w-0 truncate text-base font-semibold text-gray-900"
+          >
+            Share “{note.title}”
+          </h2>
+          <button
+            onClick={onClose}
+            className="rounded-lg p-1.5 text-gray-400 transition hover:bg-gray-100 hover:text-gray-700 focus:outline-none focus:ring-2 focus:ring-gray-300"
+            aria-label="Close share dialog"
+          >
+            <svg
+              className="h-5 w-5"
+              viewBox="0 0 20 20"
+              fill="currentColor"
+              aria-hidden="true"
+            >
+              <path
+                fillRule="evenodd"
+                d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z"
+                clipRule="evenodd"
+              />
+            </svg>
+          </button>
+        </div>
+
+        <div className="max-h-[75vh] space-y-5 overflow-y-auto px-6 py-5">
+          <NoteCollaborators noteId={note._id} />
+
+          <h3 className="border-t border-gray-100 pt-5 text-xs font-semibold uppercase tracking-wide text-gray-500">
+            Public links
+          </h3>
+          <p className="text-sm text-gray-500">
+            Anyone with the link can read this note without signing in. They
+            cannot edit it or see your other notes.
+          </p>
+
+          {/* Create */}
+          <form onSubmit={handleCreate} className="space-y-3">
+            <div className="grid gap-3 sm:grid-cols-2">
+              <div>
+                <label
+                  htmlFor="share-expiry"
+                  className="mb-1 block text-sm font-medium text-gray-700"
+                >
+                  Expiry
+                </label>
+                <select
+                  id="share-expiry"
+                  value={expiryDays ?? ""}
+                  onChange={(e) =>
+                    setExpiryDays(
+                      e.target.value ? Number(e.target.value) : null,
+                    )
+                  }
+                  disabled={saving}
+                  className="block w-full rounded-lg border border-gray-300 bg-white px-3 py-2 text-sm text-gray-900 outline-none focus:border-indigo-500 focus:ring-2 focus:ring-indigo-200 disabled:opacity-50"
+                >
+                  {EXPIRY_OPTIONS.map(([days, label]) => (
+                    <option key={label} value={days ?? ""}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label
+                  htmlFor="share-password"
+                  className="mb-1 block text-sm font-medium text-gray-700"
+                >
+                  Password <span className="text-gray-400">(optional)</span>
+                </label>
+                <input
+                  id="share-password"
+                  type="password"
+                  autoComplete="new-password"
+                  minLength={4}
+                  maxLength={128}
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  disabled={saving}
+                  className="block w-full rounded-lg border border-gray-300 bg-white px-3 py-2 text-sm text-gray-900 outline-none focus:border-indigo-500 focus:ring-2 focus:ring-indigo-200 disabled:opacity-50"
+                />
+              </div>
+            </div>
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={
+                  saving || (password.length > 0 && password.length < 4)
+                }
+                aria-busy={saving}
+                className="flex items-center gap-2 rounded-lg bg-indigo-600 px-4 py-2 text-sm font-semibold text-white shadow-sm transition hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-1 disabled:cursor-not-allowed disabled:opacity-60"
+              >
+                {saving && <Spinner size="h-3.5 w-3.5" />}
+                Create link
+              </button>
+            </div>
+          </form>
+
+          {actionError && (
+            <p role="alert" className="text-sm text-red-600">
+              {actionError}
+            </p>
+          )}
+
+          {/* Newly created link — shown once */}
+          {createdUrl && (
+            <div className="rounded-lg bg-indigo-50 p-3 ring-1 ring-indigo-100">
+              <label
+                htmlFor="share-url"
+                className="mb-1 block text-xs font-medium text-indigo-800"
+              >
+                Copy this link now — it won't be shown again.
+              </label>
+              <div className="flex gap-2">
+                <input
+                  id="share-url"
+                  readOnly
+                  value={createdUrl}
+                  onFocus={(e) => e.target.select()}
+                  className="block min-w-0 flex-1 rounded-md border border-indigo-200 bg-white px-2 py-1.5 text-xs text-gray-700 outline-none focus:ring-2 focus:ring-indigo-200"
+                />
+                <button
+                  type="button"
+                  onClick={handleCopy}
+                  className="rounded-md bg-white px-3 py-1.5 text-xs font-semibold text-indigo-700 ring-1 ring-indigo-200 transition hover:bg-indigo-100 focus:outline-none focus:ring-2 focus:ring-indigo-400"
+                >
+                  {copied ? "Copied" : "Copy"}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Active links */}
+          <section aria-labelledby="share-active-title">
+            <h3
+              id="share-active-title"
+              className="mb-2 text-xs font-semibold uppercase tracking-wide text-gray-500"
+            >
+              Active links
+            </h3>
+            {loading ? (
+              <div className="flex justify-center py-4">
+                <Spinner color="text-indigo-500" />
+              </div>
+            ) : error ? (
+              <p className="text-sm text-red-600">{error}</p>
+            ) : shares.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                This note isn't shared yet.
+              </p>
+            ) : (
+              <ul className="divide-y divide-gray-100 rounded-lg ring-1 ring-gray-200">
+                {shares.map((share) => (
+                  <li
+                    key={share._id}
+                    className="flex items-center justify-between gap-3 px-3 py-2 text-sm"
+                  >
+                    <div className="min-w-0 text-gray-600">
+                      <p>
+                        Created {formatDate(share.createdAt)}
+                        {share.hasPassword && " · password"}
+                      </p>
+                      <p className="text-xs text-gray-400">
+                        {share.expiresAt
+                          ? `Expires ${formatDate(share.expiresAt)}`
+                          : "Never expires"}{" "}
+                        · {share.accessCount} view
+                        {share.accessCount !== 1 ? "s" : ""}
+                      </p>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => handleRevoke(share._id)}
+                      disabled={saving}
+                      className="shrink-0 rounded-lg px-3 py-1.5 text-xs font-medium text-red-600 transition hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-400 disabled:opacity-50"
+                    >
+                      Revoke
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+/** Badge colours per collaborator role */
+const ROLE_STYLES = {
+  editor: "bg-emerald-50 text-emerald-700",
+  viewer: "bg-gray-100 text-gray-600",
+};
+
+/**
+ * SharedNoteCard
+ *
+ * A note another user shared with the current user: title, short preview,
+ * owner and the user's role, with Open (or Edit, for editors) and Leave
+ * actions.
+ *
+ * Props:
+ *  note     — { _id, title, content, tags, updatedAt, role, user: { name, email } }
+ *  onOpen   — called with the note object
+ *  onLeave  — called with the note object
+ *  disabled — grays out actions while a request is in-flight
+ */
+export default function SharedNoteCard({ note, onOpen, onLeave, disabled }) {
+  const updated = new Date(note.updatedAt).toLocaleDateString(undefined, {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+
+  const preview =
+    note.content.length > 140
+      ? note.content.slice(0, 140).trimEnd() + "…"
+      : note.content;
+
+  return (
+    <article
+      className="flex flex-col rounded-2xl bg-white p-5 shadow-sm ring-1 ring-gray-200"
+      aria-label={`Shared note: ${note.title}`}
+    >
+      <div className="mb-2 flex items-start justify-between gap-2">
+        <h3 className="line-clamp-2 text-sm font-semibold leading-snug text-gray-900">
+          {note.title}
+        </h3>
+        <span
+          className={`shrink-0 rounded-full px-2 py-0.5 text-[11px] font-medium capitalize ${ROLE_STYLES[note.role]}`}
+        >
+          {note.role}
+        </span>
+      </div>
+      <p className="flex-1 whitespace-pre-wrap break-words text-xs leading-relaxed text-gray-500">
+        {preview}
+      </p>
+
+      <div className="mt-4 space-y-3 border-t border-gray-100 pt-3">
+        <p className="truncate text-xs text-gray-400">
+          From {note.user?.name ?? "a former user"} · updated{" "}
+          <time dateTime={note.updatedAt}>{updated}</time>
+        </p>
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={() => onLeave(note)}
+            disabled={disabled}
+            className="rounded-lg px-3 py-1.5 text-xs font-medium text-gray-500 transition hover:bg-gray-100 hover:text-gray-800 focus:outline-none focus:ring-2 focus:ring-gray-300 disabled:pointer-events-none disabled:opacity-40"
+          >
+            Leave
+          </button>
+          <button
+            type="button"
+            onClick={() => onOpen(note)}
+            disabled={disabled}
+            className="rounded-lg bg-indigo-50 px-3 py-1.5 text-xs font-semibold text-indigo-700 transition hover:bg-indigo-100 focus:outline-none focus:ring-2 focus:ring-indigo-400 disabled:pointer-events-none disabled:opacity-40"
+          >
+            {note.role === "editor" ? "Edit" : "Open"}
+          </button>
+        </div>
+      </div>
+    </article>
+  );
+}
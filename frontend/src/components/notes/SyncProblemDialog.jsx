@@ -0,0 +1,155 @@
+import { useEffect, useState } from "react";
+import NoteConflictView from "./NoteConflictView";
+
+const secondaryButton =
+  "rounded-lg border border-gray-300 px-4 py-2 text-sm font-medium text-gray-700 transition hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-300 disabled:opacity-50";
+const primaryButton =
+  "rounded-lg bg-indigo-600 px-4 py-2 text-sm font-semibold text-white shadow-sm transition hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-1 disabled:cursor-not-allowed disabled:opacity-60";
+
+/** Copy and button labels for the problems other than a plain conflict. */
+const PROBLEMS = {
+  deleted: {
+    heading: "Note deleted elsewhere",
+    text: "was deleted, or moved to the Trash, while you were editing it offline.",
+    mine: "Save as a new note",
+    theirs: "Discard my changes",
+  },
+  rejected: {
+    heading: "Change not saved",
+    text: "could not be saved:",
+    mine: "Try again",
+    theirs: "Discard",
+  },
+};
+
+/**
+ * SyncProblemDialog
+ *
+ * Walks through the offline changes the server turned down, one at a time
+ * (see lib/outbox.js). A conflicting edit is shown next to the server copy
+ * with NoteConflictView; an edit to a deleted note can be saved as a new,
+ * unfiled note; any other refusal shows the server's reason. Closes on
+ * Escape — the problems stay until resolved.
+ *
+ * Props:
+ *  problems  — outbox entries with a `problem`, oldest first
+ *  open      — bool
+ *  onResolve — async (entry, "mine" | "theirs") => void
+ *  onClose   — () => void
+ */
+export default function SyncProblemDialog({
+  problems,
+  open,
+  onResolve,
+  onClose,
+}) {
+  const [busy, setBusy] = useState(false);
+  const entry = open ? problems[0] : null;
+
+  // Escape closes without action
+  useEffect(() => {
+    if (!entry) return;
+    const fn = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", fn);
+    return () => document.removeEventListener("keydown", fn);
+  }, [entry, onClose]);
+
+  if (!entry) return null;
+
+  const { problem, fields } = entry;
+  const copy = PROBLEMS[problem.type];
+  // A queued deletion carries no fields
+  const subject = fields ? `"${fields.title}"` : "Moving a note to the Trash";
+
+  const resolve = async (choice) => {
+    setBusy(true);
+    try {
+      await onResolve(entry, choice);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    // Backdrop
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 px-4 py-6 backdrop-blur-sm animate-fade-in"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="sync-problem-title"
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+    >
+      {/* Panel */}
+      <div
+        className={`w-full rounded-2xl bg-white p-6 shadow-xl ring-1 ring-gray-200 ${copy ? "max-w-md" : "max-w-3xl"}`}
+      >
+        <div className="mb-4 flex items-baseline justify-between gap-4">
+          <h2
+            id="sync-problem-title"
+            className="text-base font-semibold text-gray-900"
+          >
+            {copy?.heading ?? "Sync conflict"}
+          </h2>
+          {problems.length > 1 && (
+            <span className="text-xs text-gray-500">
+              1 of {problems.length}
+            </span>
+          )}
+        </div>
+
+        {copy ? (
+          <>
+            <p className="mb-6 text-sm text-gray-500">
+              <span className="font-medium text-gray-700">{subject}</span>{" "}
+              {copy.text}
+              {problem.type === "rejected" && (
+                <span className="mt-2 block rounded-lg bg-red-50 px-3 py-2 text-red-700">
+                  {problem.message}
+                </span>
+              )}
+            </p>
+            <div className="flex flex-wrap justify-end gap-2">
+              <button
+                type="button"
+                onClick={onClose}
+                disabled={busy}
+                className="rounded-lg px-4 py-2 text-sm font-medium text-gray-600 transition hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-gray-300 disabled:opacity-50"
+              >
+                Decide later
+              </button>
+              <button
+                type="button"
+                onClick={() => resolve("theirs")}
+                disabled={busy}
+                className={secondaryButton}
+              >
+                {copy.theirs}
+              </button>
+              <button
+                type="button"
+                onClick={() => resolve("mine")}
+                disabled={busy}
+                className={primaryButton}
+              >
+                {copy.mine}
+              </button>
+            </div>
+          </>
+        ) : (
+          <NoteConflictView
+            mine={fields}
+            theirs={problem.server}
+            onKeepMine={() => resolve("mine")}
+            onUseTheirs={() => resolve("theirs")}
+            onBack={onClose}
+            message="This note was changed elsewhere while you were editing it offline. Choose which version to keep."
+            backLabel="Decide later"
+            saving={busy}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
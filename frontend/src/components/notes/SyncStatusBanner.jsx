@@ -0,0 +1,56 @@
+/**
+ * SyncStatusBanner
+ *
+ * One line above the notes about offline work: that the list comes from
+ * this device, how many changes wait to be sent, and how many the server
+ * turned down.
+ *
+ * Props:
+ *  offline  — bool: the list is the device copy
+ *  pending  — number of changes waiting to be sent
+ *  problems — number of changes that need a decision
+ *  onReview — () => void; opens SyncProblemDialog
+ */
+export default function SyncStatusBanner({
+  offline,
+  pending,
+  problems,
+  onReview,
+}) {
+  const waiting =
+    pending > 0
+      ? `${pending} change${pending !== 1 ? "s" : ""} waiting to sync.`
+      : null;
+
+  return (
+    <div
+      role="status"
+      aria-live="polite"
+      className={`flex flex-wrap items-center gap-x-3 gap-y-1 rounded-lg border px-4 py-3 text-sm ${
+        problems > 0
+          ? "border-amber-300 bg-amber-50 text-amber-900"
+          : "border-gray-200 bg-white text-gray-700"
+      }`}
+    >
+      <span>
+        {offline
+          ? `You're offline — showing the notes saved on this device.${waiting ? ` ${waiting}` : " Changes sync when you reconnect."}`
+          : (waiting ?? "")}
+      </span>
+      {problems > 0 && (
+        <>
+          <span>
+            {problems} change{problems !== 1 ? "s" : ""} could not be synced.
+          </span>
+          <button
+            type="button"
+            onClick={onReview}
+            className="rounded-lg bg-amber-100 px-2.5 py-1 text-xs font-medium text-amber-900 transition hover:bg-amber-200 focus:outline-none focus:ring-2 focus:ring-amber-400"
+          >
+            Review
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
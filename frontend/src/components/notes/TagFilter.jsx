@@ -0,0 +1,76 @@
+/**
+ * TagFilter
+ *
+ * Row of tag chips above the notes grid. Clicking a chip toggles it in the
+ * active filter; with two or more selected, an any/all switch decides whether
+ * notes need one or every selected tag.
+ *
+ * Props:
+ *  tags      — { name, count }[] — all tags of the user
+ *  selected  — string[] — tags currently filtered on
+ *  mode      — "any" | "all"
+ *  onChange  — ({ tags?, tagMode? }) => void
+ */
+export default function TagFilter({ tags, selected, mode, onChange }) {
+  if (tags.length === 0 && selected.length === 0) return null;
+
+  const toggle = (name) =>
+    onChange({
+      tags: selected.includes(name)
+        ? selected.filter((t) => t !== name)
+        : [...selected, name],
+    });
+
+  return (
+    <div
+      role="group"
+      aria-label="Filter by tag"
+      className="flex flex-wrap items-center gap-1.5"
+    >
+      {tags.map(({ name, count }) => {
+        const active = selected.includes(name);
+        return (
+          <button
+            key={name}
+            type="button"
+            onClick={() => toggle(name)}
+            aria-pressed={active}
+            className={`rounded-full px-2.5 py-1 text-xs font-medium transition focus:outline-none focus:ring-2 focus:ring-indigo-400
+              ${active ? "bg-indigo-600 text-white" : "bg-white text-gray-600 ring-1 ring-gray-200 hover:bg-indigo-50 hover:text-indigo-700"}`}
+          >
+            {name}
+            <span
+              className={active ? "ml-1 text-indigo-200" : "ml-1 text-gray-400"}
+            >
+              {count}
+            </span>
+          </button>
+        );
+      })}
+
+      {selected.length > 1 && (
+        <label className="ml-2 flex items-center gap-1.5 text-xs text-gray-500">
+          Match
+          <select
+            value={mode}
+            onChange={(e) => onChange({ tagMode: e.target.value })}
+            className="rounded-md border border-gray-200 bg-white px-1.5 py-0.5 text-xs text-gray-700 focus:outline-none focus:ring-2 focus:ring-indigo-400"
+          >
+            <option value="any">any tag</option>
+            <option value="all">all tags</option>
+          </select>
+        </label>
+      )}
+
+      {selected.length > 0 && (
+        <button
+          type="button"
+          onClick={() => onChange({ tags: [] })}
+          className="ml-1 text-xs font-medium text-gray-500 underline-offset-2 hover:text-gray-800 hover:underline focus:outline-none focus:ring-2 focus:ring-gray-300"
+        >
+          Clear
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import { useState } from "react";
+import { NOTE_MAX_TAGS, TAG_MAX_LENGTH } from "../../lib/constants";
+
+/** Same normalisation the backend applies before storing a tag. */
+const normalize = (tag) => tag.trim().toLowerCase().replace(/\s+/g, " ");
+
+/**
+ * TagInput
+ *
+ * Chip-style tag editor. Enter or comma commits the typed tag, Backspace on
+ * an empty input removes the last chip, and each chip has its own × button.
+ * Tags are normalised and de-duplicated as they are added.
+ *
+ * Props:
+ *  id        — id for the text input (label association)
+ *  tags      — string[] currently applied
+ *  onChange  — (tags: string[]) => void
+ *  disabled  — bool
+ */
+export default function TagInput({ id, tags, onChange, disabled }) {
+  const [draft, setDraft] = useState("");
+  const full = tags.length >= NOTE_MAX_TAGS;
+
+  const commit = () => {
+    const tag = normalize(draft);
+    setDraft("");
+    if (!tag || full || tags.includes(tag)) return;
+    onChange([...tags, tag]);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      commit();
+    } else if (e.key === "Backspace" && !draft && tags.length) {
+      onChange(tags.slice(0, -1));
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-1.5 rounded-lg border border-gray-200 bg-gray-50 px-2 py-1.5 focus-within:border-indigo-400 focus-within:ring-2 focus-within:ring-indigo-200">
+      {tags.map((tag) => (
+        <span
+          key={tag}
+          className="flex items-center gap-1 rounded-full bg-indigo-50 px-2 py-0.5 text-xs font-medium text-indigo-700"
+        >
+          {tag}
+          <button
+            type="button"
+            onClick={() => onChange(tags.filter((t) => t !== tag))}
+            disabled={disabled}
+            aria-label={`Remove tag ${tag}`}
+            className="rounded-full text-indigo-400 hover:text-indigo-700 focus:outline-none focus:ring-1 focus:ring-indigo-400"
+          >
+            ×
+          </button>
+        </span>
+      ))}
+      <input
+        id={id}
+        type="text"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={commit}
+        maxLength={TAG_MAX_LENGTH}
+        disabled={disabled || full}
+        placeholder={full ? "Tag limit reached" : "Add tags…"}
+        className="min-w-[6rem] flex-1 bg-transparent py-0.5 text-xs text-gray-900 placeholder:text-gray-400 outline-none disabled:opacity-50"
+      />
+    </div>
+  );
+}
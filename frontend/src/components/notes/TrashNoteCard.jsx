@@ -0,0 +1,70 @@
+/**
+ * TrashNoteCard
+ *
+ * A trashed note: title, short preview, when it was deleted and when it
+ * will be purged, with Restore and Delete-forever actions.
+ *
+ * Props:
+ *  note            — { _id, title, content, deletedAt, purgeAt }
+ *  onRestore       — called with the note object
+ *  onDeleteForever — called with the note object
+ *  disabled        — grays out actions while a request is in-flight
+ */
+export default function TrashNoteCard({
+  note,
+  onRestore,
+  onDeleteForever,
+  disabled,
+}) {
+  const format = (iso) =>
+    new Date(iso).toLocaleDateString(undefined, {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+    });
+
+  const preview =
+    note.content.length > 140
+      ? note.content.slice(0, 140).trimEnd() + "…"
+      : note.content;
+
+  return (
+    <article
+      className="flex flex-col rounded-2xl bg-white p-5 shadow-sm ring-1 ring-gray-200"
+      aria-label={`Trashed note: ${note.title}`}
+    >
+      <h3 className="mb-2 line-clamp-2 text-sm font-semibold text-gray-500 leading-snug">
+        {note.title}
+      </h3>
+      <p className="flex-1 text-xs leading-relaxed text-gray-400 whitespace-pre-wrap break-words">
+        {preview}
+      </p>
+
+      <div className="mt-4 space-y-3 border-t border-gray-100 pt-3">
+        <p className="text-xs text-gray-400">
+          Deleted{" "}
+          <time dateTime={note.deletedAt}>{format(note.deletedAt)}</time> ·
+          purged on <time dateTime={note.purgeAt}>{format(note.purgeAt)}</time>
+        </p>
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={() => onDeleteForever(note)}
+            disabled={disabled}
+            className="rounded-lg px-3 py-1.5 text-xs font-medium text-red-600 transition hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-400 disabled:pointer-events-none disabled:opacity-40"
+          >
+            Delete forever
+          </button>
+          <button
+            type="button"
+            onClick={() => onRestore(note)}
+            disabled={disabled}
+            className="rounded-lg bg-indigo-50 px-3 py-1.5 text-xs font-semibold text-indigo-700 transition hover:bg-indigo-100 focus:outline-none focus:ring-2 focus:ring-indigo-400 disabled:pointer-events-none disabled:opacity-40"
+          >
+            Restore
+          </button>
+        </div>
+      </div>
+    </article>
+  );
+}
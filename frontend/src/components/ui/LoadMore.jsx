@@ -0,0 +1,47 @@
+import { useEffect, useRef } from "react";
+import Spinner from "./Spinner";
+
+/**
+ * LoadMore
+ *
+ * The end of an infinitely scrolling list: asks for the next batch as soon
+ * as it comes into view (IntersectionObserver, with some margin so the
+ * batch is usually there before the user reaches it). The button does the
+ * same for keyboard users and browsers without the observer.
+ *
+ * Props:
+ *  onLoadMore — () => void
+ *  loading    — bool: a batch is on its way
+ */
+export default function LoadMore({ onLoadMore, loading }) {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const node = ref.current;
+    if (!node || loading || typeof IntersectionObserver === "undefined") {
+      return;
+    }
+    const io = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) onLoadMore();
+      },
+      { rootMargin: "400px 0px" },
+    );
+    io.observe(node);
+    return () => io.disconnect();
+  }, [onLoadMore, loading]);
+
+  return (
+    <div ref={ref} className="flex justify-center pt-4">
+      <button
+        type="button"
+        onClick={onLoadMore}
+        disabled={loading}
+        className="flex items-center gap-2 rounded-lg px-4 py-2 text-sm font-medium text-gray-600 transition hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-indigo-400 disabled:cursor-default disabled:opacity-70"
+      >
+        {loading && <Spinner size="h-4 w-4" color="text-gray-500" />}
+        {loading ? "Loading more notes…" : "Load more notes"}
+      </button>
+    </div>
+  );
+}
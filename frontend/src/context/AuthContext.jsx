@@ -2,11 +2,17 @@ import {
   createContext,
   useCallback,
   useContext,
+  useEffect,
   useMemo,
   useState,
 } from "react";
-import api from "../api/axios";
+import api, { onSessionChange, refreshSession, setSession } from "../api/axios";
 import { extractApiError, extractFieldErrors } from "../lib/api";
+import {
+  clearOfflineData,
+  getRememberedUser,
+  rememberUser,
+} from "../lib/offlineStore";
 
 // ── Context definition ────────────────────────────────────────────────────────
 const AuthContext = createContext(null);
@@ -16,37 +22,80 @@ const AuthContext = createContext(null);
  *
  * Single source of truth for authentication state.
  * Wraps the whole app so any component can call useAuth() to:
- *  - Read:    user, token, loading, error
- *  - Mutate:  register(), login(), logout()
+ *  - Read:    user, token, offline, initializing, loading, error
+ *  - Mutate:  register(), login(), loginTwoFactor(), logout()
+ *  - Account: updateProfile(), changePassword(), confirmEmail(),
+ *             verifyEmail(), resendVerification(), deleteAccount() — these
+ *             report through their return value, not loading / error,
+ *             which belong to the login and register forms
  *
  * Token storage strategy:
- *  localStorage is used as required. Trade-off acknowledged: it is accessible
- *  to JS (XSS risk), but it survives page refreshes without a dedicated
- *  refresh-token server endpoint. For higher security, move to HttpOnly cookies
- *  with a refresh-token flow.
+ *  The short-lived access token is kept in memory only (see api/axios.js);
+ *  the refresh token is an HttpOnly cookie that scripts cannot read. On
+ *  start-up the session is restored with one refresh call — `initializing`
+ *  is true until it answers. Silent refreshes in api/axios.js keep `token`
+ *  and `user` current through onSessionChange.
+ *
+ * Offline start-up:
+ *  When the refresh call gets no answer at all and this device holds the
+ *  notes of a previous session (lib/offlineStore.js), that user continues
+ *  offline: `offline` is true, `token` stays null, and the refresh is
+ *  retried as soon as the browser reports a connection. Signing out
+ *  clears the device copy, unsynced changes included.
  */
 export function AuthProvider({ children }) {
-  // Initialise from localStorage so the user stays logged in on refresh.
-  const [token, setToken] = useState(
-    () => localStorage.getItem("token") || null,
-  );
-  const [user, setUser] = useState(() => {
-    try {
-      const raw = localStorage.getItem("user");
-      return raw ? JSON.parse(raw) : null;
-    } catch {
-      return null;
-    }
-  });
+  // { token, user } | { token: null, user, offline: true } | null
+  const [session, setSessionState] = useState(null);
+  const [initializing, setInitializing] = useState(true);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
-  // ── Private helper — persist auth state ──────────────────────────────────
+  const token = session?.token ?? null;
+  const user = session?.user ?? null;
+  const offline = Boolean(session?.offline);
+
+  // Mirror every session change made by the API layer (refresh, expiry),
+  // and note whose data the device now holds. An expired session keeps
+  // it: the same user signing in again still has their unsynced changes.
+  useEffect(
+    () =>
+      onSessionChange((next) => {
+        setSessionState(next);
+        if (next) rememberUser(next.user).catch(() => {});
+      }),
+    [],
+  );
+
+  // Restore the session from the refresh-token cookie on start-up.
+  useEffect(() => {
+    // Left behind by versions that kept the token in localStorage.
+    localStorage.removeItem("token");
+    localStorage.removeItem("user");
+
+    refreshSession()
+      .catch(async (err) => {
+        // No cookie or an expired session — stay signed out
+        if (err.response) return;
+        const remembered = await getRememberedUser().catch(() => null);
+        if (remembered) {
+          setSessionState({ token: null, user: remembered, offline: true });
+        }
+      })
+      .finally(() => setInitializing(false));
+  }, []);
+
+  // Offline: try again once the browser is back online. Success replaces
+  // the offline session through onSessionChange; a 401 signs out.
+  useEffect(() => {
+    if (!offline) return;
+    const retry = () => refreshSession().catch(() => {});
+    window.addEventListener("online", retry);
+    return () => window.removeEventListener("online", retry);
+  }, [offline]);
+
+  // ── Private helper — adopt a freshly issued session ──────────────────────
   const persist = useCallback((newToken, newUser) => {
-    localStorage.setItem("token", newToken);
-    localStorage.setItem("user", JSON.stringify(newUser));
-    setToken(newToken);
-    setUser(newUser);
+    setSession({ token: newToken, user: newUser });
   }, []);
 
   // ── register ──────────────────────────────────────────────────────────────
@@ -84,6 +133,14 @@ export function AuthProvider({ children }) {
       setError(null);
       try {
         const { data } = await api.post("/auth/login", { email, password });
+        // Two-factor accounts: no session yet — finish with loginTwoFactor.
+        if (data.twoFactorRequired) {
+          return {
+            success: true,
+            twoFactorRequired: true,
+            challenge: data.challenge,
+          };
+        }
         persist(data.token, data.user);
         return { success: true };
       } catch (err) {
@@ -98,15 +155,143 @@ export function AuthProvider({ children }) {
     [persist],
   );
 
+  // ── loginTwoFactor ────────────────────────────────────────────────────────
+  // Second step of a two-factor login. `expired` means the challenge is
+  // gone (timed out or too many wrong codes): start over with the password.
+  const loginTwoFactor = useCallback(
+    async ({ challenge, code }) => {
+      setLoading(true);
+      setError(null);
+      try {
+        const { data } = await api.post("/auth/login/2fa", { challenge, code });
+        persist(data.token, data.user);
+        return { success: true };
+      } catch (err) {
+        const message = extractApiError(err, "Login failed. Please try again.");
+        setError(message);
+        return {
+          success: false,
+          message,
+          fieldErrors: extractFieldErrors(err),
+          expired: err.response?.status === 401,
+        };
+      } finally {
+        setLoading(false);
+      }
+    },
+    [persist],
+  );
+
   // ── logout ────────────────────────────────────────────────────────────────
-  const logout = useCallback(() => {
-    localStorage.removeItem("token");
-    localStorage.removeItem("user");
-    setToken(null);
-    setUser(null);
+  // Signs out locally at once, then asks the server to revoke the refresh
+  // token and clear its cookie.
+  const logout = useCallback(async () => {
+    setSession(null);
     setError(null);
+    clearOfflineData().catch(() => {});
+    try {
+      await api.post("/auth/logout");
+    } catch {
+      // Offline or server error: the cookie expires on its own schedule.
+    }
   }, []);
 
+  // ── Account changes ───────────────────────────────────────────────────────
+  // Shared by the settings actions: run the request and adopt the session it
+  // describes; errors come back as { success: false, message, fieldErrors }.
+  const accountRequest = useCallback(async (request, adopt, fallback) => {
+    try {
+      const { data } = await request();
+      adopt(data);
+      return { success: true, message: data.message, user: data.user };
+    } catch (err) {
+      return {
+        success: false,
+        message: extractApiError(err, fallback),
+        fieldErrors: extractFieldErrors(err),
+      };
+    }
+  }, []);
+
+  // updateProfile({ name, email, currentPassword }) — a new email stays
+  // pending (user.pendingEmail) until confirmed from the emailed link.
+  const updateProfile = useCallback(
+    (changes) =>
+      accountRequest(
+        () => api.patch("/auth/me", changes),
+        (data) => setSession({ token, user: data.user }),
+        "Failed to update your profile.",
+      ),
+    [accountRequest, token],
+  );
+
+  // changePassword({ currentPassword, newPassword }) — other sessions are
+  // signed out; this one continues with the freshly issued token.
+  const changePassword = useCallback(
+    (passwords) =>
+      accountRequest(
+        () => api.post("/auth/change-password", passwords),
+        (data) => setSession({ token: data.token, user: data.user }),
+        "Failed to change your password.",
+      ),
+    [accountRequest],
+  );
+
+  // confirmEmail(token) — works signed out too; only updates the session
+  // when it belongs to the account whose email changed.
+  // deleteAccount(currentPassword) — deletes (or schedules the deletion of)
+  // the account; the server ends every session. The caller then leaves the
+  // private pages and calls logout(), in one go so no route guard runs first.
+  const deleteAccount = useCallback(
+    (currentPassword) =>
+      accountRequest(
+        () => api.delete("/auth/me", { data: { currentPassword } }),
+        () => {},
+        "Failed to delete your account.",
+      ),
+    [accountRequest],
+  );
+
+  const confirmEmail = useCallback(
+    (emailToken) =>
+      accountRequest(
+        () => api.post("/auth/confirm-email", { token: emailToken }),
+        (data) => {
+          if (token && user?.id === data.user.id) {
+            setSession({ token, user: data.user });
+          }
+        },
+        "Failed to confirm the email address.",
+      ),
+    [accountRequest, token, user],
+  );
+
+  // verifyEmail(token) — like confirmEmail, works signed in or out.
+  const verifyEmail = useCallback(
+    (emailToken) =>
+      accountRequest(
+        () => api.get(`/auth/verify-email/${emailToken}`),
+        (data) => {
+          if (token && user?.id === data.user.id) {
+            setSession({ token, user: data.user });
+          }
+        },
+        "Failed to verify the email address.",
+      ),
+    [accountRequest, token, user],
+  );
+
+  // resendVerification() — emails a new link; the session is unchanged.
+  const resendVerification = useCallback(
+    () =>
+      accountRequest(
+        () => api.post("/auth/resend-verification"),
+        () => {},
+        "Failed to send a new verification link.",
+      ),
+    [accountRequest],
+  );
+
   // ── clearError — lets pages dismiss the error without triggering an auth call
   const clearError = useCallback(() => setError(null), []);
 
@@ -115,14 +300,41 @@ export function AuthProvider({ children }) {
     () => ({
       user,
       token,
+      offline,
+      initializing,
       loading,
       error,
       register,
       login,
+      loginTwoFactor,
       logout,
+      updateProfile,
+      changePassword,
+      confirmEmail,
+      verifyEmail,
+      resendVerification,
+      deleteAccount,
       clearError,
     }),
-    [user, token, loading, error, register, login, logout, clearError],
+    [
+      user,
+      token,
+      offline,
+      initializing,
+      loading,
+      error,
+      register,
+      login,
+      loginTwoFactor,
+      logout,
+      updateProfile,
+      changePassword,
+      confirmEmail,
+      verifyEmail,
+      resendVerification,
+      deleteAccount,
+      clearError,
+    ],
   );
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -0,0 +1,90 @@
+import { useCallback, useEffect, useState } from "react";
+import api from "../api/axios";
+import { extractApiError } from "../lib/api";
+
+/**
+ * useAccessTokens
+ *
+ * The current user's personal access tokens, for AccessTokensPage.
+ *
+ * Returns: { tokens, loading, error, saving, createToken, revokeToken }
+ *   createToken({ name, scopes, expiresInDays })
+ *     → Promise<{ success, token?, message? }> — `token` is the raw value,
+ *       available only here
+ *   revokeToken(id) → Promise<{ success, message? }>
+ */
+export function useAccessTokens() {
+  const [reloadKey, setReloadKey] = useState(0); // bumped after each change
+  const [saving, setSaving] = useState(false);
+
+  // Keyed result as in useShares: loading until the result answers reloadKey.
+  const [result, setResult] = useState({
+    key: null,
+    tokens: [],
+    error: null,
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .get("/auth/tokens")
+      .then(({ data }) => {
+        if (!cancelled) {
+          setResult({ key: reloadKey, tokens: data.tokens, error: null });
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setResult({
+            key: reloadKey,
+            tokens: [],
+            error: extractApiError(err, "Failed to load access tokens."),
+          });
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [reloadKey]);
+
+  // Shared by both actions: send the request, then reload the list.
+  const change = useCallback(async (request, fallback) => {
+    setSaving(true);
+    try {
+      const { data } = await request();
+      setReloadKey((k) => k + 1);
+      return { success: true, message: data.message, token: data.token };
+    } catch (err) {
+      return { success: false, message: extractApiError(err, fallback) };
+    } finally {
+      setSaving(false);
+    }
+  }, []);
+
+  const createToken = useCallback(
+    (body) =>
+      change(
+        () => api.post("/auth/tokens", body),
+        "Failed to create the access token.",
+      ),
+    [change],
+  );
+
+  const revokeToken = useCallback(
+    (id) =>
+      change(
+        () => api.delete(`/auth/tokens/${id}`),
+        "Failed to revoke the access token.",
+      ),
+    [change],
+  );
+
+  return {
+    tokens: result.tokens,
+    loading: result.key !== reloadKey,
+    error: result.error,
+    saving,
+    createToken,
+    revokeToken,
+  };
+}
@@ -0,0 +1,114 @@
+import { useCallback, useEffect, useState } from "react";
+import api from "../api/axios";
+import { extractApiError } from "../lib/api";
+
+const EMPTY = { owner: null, collaborators: [], error: null };
+
+/**
+ * useCollaborators
+ *
+ * People with access to one note, for ShareNoteDialog. Every change answers
+ * with the full updated list, which replaces the current one.
+ *
+ * @param {string|null} noteId — note whose access to manage; null = idle
+ * Returns: { owner, collaborators, loading, error, saving,
+ *            addCollaborator, updateRole, removeCollaborator }
+ *   addCollaborator(email, role)   → Promise<{ success, message? }>
+ *   updateRole(userId, role)       → Promise<{ success, message? }>
+ *   removeCollaborator(userId)     → Promise<{ success, message? }>
+ */
+export function useCollaborators(noteId) {
+  const [saving, setSaving] = useState(false);
+
+  // Keyed result as in useShares: loading until the result answers noteId.
+  const [result, setResult] = useState({ key: null, ...EMPTY });
+
+  useEffect(() => {
+    if (!noteId) return;
+    let cancelled = false;
+    api
+      .get(`/notes/${noteId}/collaborators`)
+      .then(({ data }) => {
+        if (!cancelled) {
+          setResult({
+            key: noteId,
+            owner: data.owner,
+            collaborators: data.collaborators,
+            error: null,
+          });
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setResult({
+            key: noteId,
+            ...EMPTY,
+            error: extractApiError(err, "Failed to load collaborators."),
+          });
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [noteId]);
+
+  // Shared by every change: send the request, adopt the returned list.
+  const change = useCallback(
+    async (request, fallback) => {
+      setSaving(true);
+      try {
+        const { data } = await request();
+        setResult({
+          key: noteId,
+          owner: data.owner,
+          collaborators: data.collaborators,
+          error: null,
+        });
+        return { success: true };
+      } catch (err) {
+        return { success: false, message: extractApiError(err, fallback) };
+      } finally {
+        setSaving(false);
+      }
+    },
+    [noteId],
+  );
+
+  const addCollaborator = useCallback(
+    (email, role) =>
+      change(
+        () => api.post(`/notes/${noteId}/collaborators`, { email, role }),
+        "Failed to add collaborator.",
+      ),
+    [change, noteId],
+  );
+
+  const updateRole = useCallback(
+    (userId, role) =>
+      change(
+        () => api.patch(`/notes/${noteId}/collaborators/${userId}`, { role }),
+        "Failed to change the role.",
+      ),
+    [change, noteId],
+  );
+
+  const removeCollaborator = useCallback(
+    (userId) =>
+      change(
+        () => api.delete(`/notes/${noteId}/collaborators/${userId}`),
+        "Failed to remove collaborator.",
+      ),
+    [change, noteId],
+  );
+
+  return {
+    owner: result.owner,
+    collaborators: result.collaborators,
+    loading: !!noteId && result.key !== noteId,
+    error: result.error,
+    saving,
+    addCollaborator,
+    updateRole,
+    removeCollaborator,
+  };
+}
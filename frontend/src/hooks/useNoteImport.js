@@ -0,0 +1,44 @@
+import { useCallback, useState } from "react";
+import api from "../api/axios";
+import { extractApiError } from "../lib/api";
+
+/**
+ * useNoteImport
+ *
+ * Uploads files to POST /api/notes/import for ImportNotesDialog.
+ *
+ * Returns: { importing, importNotes }
+ *   importNotes(files, notebook) → Promise<{ success, report?, message? }>
+ *     files    — File[]
+ *     notebook — notebook id to import into, or null for the top level
+ *     report   — { message, imported, failed, results } as the API sends it
+ */
+export function useNoteImport() {
+  const [importing, setImporting] = useState(false);
+
+  const importNotes = useCallback(async (files, notebook) => {
+    const form = new FormData();
+    for (const file of files) form.append("files", file);
+    if (notebook) form.append("notebook", notebook);
+
+    setImporting(true);
+    try {
+      // Not JSON: Axios would serialise the FormData. The browser fills in
+      // the multipart boundary. No timeout — large imports take a while.
+      const { data } = await api.post("/notes/import", form, {
+        headers: { "Content-Type": "multipart/form-data" },
+        timeout: 0,
+      });
+      return { success: true, report: data };
+    } catch (err) {
+      return {
+        success: false,
+        message: extractApiError(err, "Failed to import notes."),
+      };
+    } finally {
+      setImporting(false);
+    }
+  }, []);
+
+  return { importing, importNotes };
+}
@@ -0,0 +1,96 @@
+import { useCallback, useEffect, useState } from "react";
+import api from "../api/axios";
+import { extractApiError } from "../lib/api";
+
+/**
+ * useNotebooks
+ *
+ * Loads the current user's notebooks (GET /api/notebooks) and wraps the
+ * notebook management endpoints. The list is re-fetched after every
+ * successful change, and whenever `refreshKey` changes.
+ *
+ * @param {unknown} refreshKey — any value that changes when notes change,
+ *                               so per-notebook note counts stay current.
+ * @returns {{
+ *   notebooks: { _id, name, parent, noteCount }[],
+ *   unfiledCount: number,
+ *   saving: boolean,
+ *   createNotebook: (name, parent?) => Promise<{ success, message? }>,
+ *   updateNotebook: (id, { name?, parent? }) => Promise<{ success, message? }>,
+ *   deleteNotebook: (id, notes?) => Promise<{ success, message? }>,
+ * }}
+ */
+export function useNotebooks(refreshKey) {
+  const [data, setData] = useState({ notebooks: [], unfiledCount: 0 });
+  const [saving, setSaving] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0); // bumped after each change
+
+  useEffect(() => {
+    let cancelled = false; // ignore responses that arrive after a newer request
+    api
+      .get("/notebooks")
+      .then(({ data }) => {
+        if (!cancelled) {
+          setData({
+            notebooks: data.notebooks,
+            unfiledCount: data.unfiledCount,
+          });
+        }
+      })
+      // The sidebar is secondary UI — keep the last known list on failure.
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey, reloadKey]);
+
+  // Shared by every mutation: run the request, then refresh the list.
+  const mutate = useCallback(async (request, fallback) => {
+    setSaving(true);
+    try {
+      await request();
+      setReloadKey((k) => k + 1);
+      return { success: true };
+    } catch (err) {
+      return { success: false, message: extractApiError(err, fallback) };
+    } finally {
+      setSaving(false);
+    }
+  }, []);
+
+  const createNotebook = useCallback(
+    (name, parent = null) =>
+      mutate(
+        () => api.post("/notebooks", { name, parent }),
+        "Failed to create notebook.",
+      ),
+    [mutate],
+  );
+
+  const updateNotebook = useCallback(
+    (id, changes) =>
+      mutate(
+        () => api.patch(`/notebooks/${id}`, changes),
+        "Failed to update notebook.",
+      ),
+    [mutate],
+  );
+
+  // `notes` — "move" | "trash": what happens to notes still inside
+  const deleteNotebook = useCallback(
+    (id, notes) =>
+      mutate(
+        () => api.delete(`/notebooks/${id}`, { params: { notes } }),
+        "Failed to delete notebook.",
+      ),
+    [mutate],
+  );
+
+  return {
+    ...data,
+    saving,
+    createNotebook,
+    updateNotebook,
+    deleteNotebook,
+  };
+}
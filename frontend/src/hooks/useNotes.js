@@ -1,6 +1,33 @@
 import { useCallback, useEffect, useReducer } from "react";
 import api from "../api/axios";
-import { extractApiError } from "../lib/api";
+import { useAuth } from "../context/AuthContext";
+import { extractApiError, isNetworkError } from "../lib/api";
+import { openEventStream } from "../lib/eventStream";
+import {
+  applyNoteChanges,
+  cacheNotes,
+  getCachedNotes,
+  getChangesCursor,
+  getOutbox,
+  uncacheNote,
+} from "../lib/offlineStore";
+import {
+  DEFAULT_LIST_OPTIONS,
+  inDateRange,
+  listComparator,
+  listOptionParams,
+  sameListOptions,
+} from "../lib/noteList";
+import {
+  isLocalId,
+  pendingNotes,
+  queueCreate,
+  queueDelete,
+  queueUpdate,
+  replayOutbox,
+  resolveProblem,
+  withPendingChanges,
+} from "../lib/outbox";
 
 // ── State shape ───────────────────────────────────────────────────────────────
 const initialState = {
@@ -8,59 +35,345 @@ const initialState = {
   total: 0,
   pages: 1,
   page: 1,
+  limit: 9, // page size of the last fetch
+  query: "", // full-text search string — empty means plain listing
+  tags: [], // tag filter — empty means no filter
+  tagMode: "any", // "any" | "all" — how multiple tag filters combine
+  notebook: null, // null (all notes) | "none" (unfiled) | notebook id
+  archived: false, // true lists the archive instead of the notes
+  listOptions: DEFAULT_LIST_OPTIONS, // sort order and date range (lib/noteList.js)
+  infinite: false, // load further notes on scroll instead of by page (not for searches)
+  nextCursor: null, // where the next batch starts, while scrolling — null at the end
   loading: false, // initial fetch / page change
+  loadingMore: false, // the next batch is being fetched
+  syncKey: 0, // bumped to re-fetch the current view, e.g. after a reconnect
+  syncing: false, // that re-fetch is running — the list stays on screen
   saving: false, // create / update / delete in-flight
+  offline: false, // the list comes from the device copy — the API is out of reach
+  pendingChanges: 0, // outbox entries waiting to be sent
+  syncProblems: [], // outbox entries the server turned down (see lib/outbox.js)
   error: null,
 };
 
+// ── View helpers ──────────────────────────────────────────────────────────────
+
+/** Whether `note` belongs in the list the current filters select. */
+function inView(state, note) {
+  const { notebook, tags, tagMode } = state;
+  const hasTag = (tag) => note.tags.includes(tag);
+  return (
+    !note.deletedAt &&
+    Boolean(note.archivedAt) === state.archived &&
+    inDateRange(state.listOptions, note) &&
+    (notebook === null ||
+      (notebook === "none"
+        ? note.notebook == null
+        : note.notebook === notebook)) &&
+    (tags.length === 0 ||
+      (tagMode === "all" ? tags.every(hasTag) : tags.some(hasTag)))
+  );
+}
+
+// The scrolling preference is kept per device.
+const INFINITE_KEY = "notevault:infiniteScroll";
+
+const init = (state) => {
+  try {
+    return { ...state, infinite: localStorage.getItem(INFINITE_KEY) === "1" };
+  } catch {
+    return state; // storage blocked
+  }
+};
+
+const withTotal = (state, total) => ({
+  ...state,
+  total,
+  // A scrolling list is one long page
+  pages:
+    state.infinite && !state.query
+      ? 1
+      : Math.max(1, Math.ceil(total / state.limit)),
+});
+
+/** Drops a note from the list; the total only shrinks if it was there. */
+function removeNote(state, id) {
+  if (!state.notes.some((n) => n._id === id)) return state;
+  return withTotal(
+    { ...state, notes: state.notes.filter((n) => n._id !== id) },
+    Math.max(0, state.total - 1),
+  );
+}
+
+/**
+ * Applies a note as the server now has it: replaced in place, dropped when
+ * it no longer fits the view, or — on the first page of a plain listing —
+ * added where the listing order puts it. Search results are never added
+ * to: only the server can rank them.
+ */
+function upsertNote(state, note) {
+  if (!inView(state, note)) return removeNote(state, note._id);
+  if (state.notes.some((n) => n._id === note._id)) {
+    return {
+      ...state,
+      notes: state.notes.map((n) => (n._id === note._id ? note : n)),
+    };
+  }
+  if (state.page !== 1 || state.query) return state;
+  const byListOrder = listComparator(state.listOptions);
+  if (state.infinite) {
+    const notes = [...state.notes, note].sort(byListOrder);
+    // Past the notes loaded so far, it arrives with a later batch
+    if (state.nextCursor && notes.at(-1) === note) return state;
+    return withTotal({ ...state, notes }, state.total + 1);
+  }
+  return withTotal(
+    {
+      ...state,
+      notes: [...state.notes, note].sort(byListOrder).slice(0, state.limit),
+    },
+    state.total + 1,
+  );
+}
+
+/** The GET /notes query params for the list filters. */
+function listParams({ q, tags, tagMode, notebook, archived, listOptions }) {
+  const params = listOptionParams(listOptions ?? DEFAULT_LIST_OPTIONS);
+  if (q) params.q = q;
+  if (notebook) params.notebook = notebook;
+  if (archived) params.archived = true;
+  if (tags?.length) {
+    params.tags = tags.join(",");
+    params.tagMode = tagMode;
+  }
+  return params;
+}
+
+// ── Offline ───────────────────────────────────────────────────────────────────
+// The device copy is best effort: a browser without IndexedDB simply has
+// nothing to show offline.
+const remember = (notes) => cacheNotes(notes).catch(() => {});
+const forget = (id) => uncacheNote(id).catch(() => {});
+const readOutbox = () => getOutbox().catch(() => []);
+
+/**
+ * Keeps a copy of every live and archived note on the device, so the whole
+ * dashboard works offline rather than just the pages already visited.
+ * Only what changed since the last run is fetched (GET /notes/changes);
+ * the first run — or one whose cursor the server no longer accepts —
+ * copies everything afresh.
+ */
+async function mirrorNotes() {
+  let cursor = await getChangesCursor().catch(() => undefined);
+  let replacing = !cursor;
+  const changes = []; // a fresh copy is stored once complete
+  for (let hasMore = true; hasMore;) {
+    let data;
+    try {
+      ({ data } = await api.get("/notes/changes", {
+        params: { since: cursor },
+      }));
+    } catch (err) {
+      const status = err.response?.status;
+      if (replacing || (status !== 410 && status !== 422)) throw err;
+      cursor = undefined;
+      replacing = true;
+      continue;
+    }
+    ({ cursor, hasMore } = data);
+    if (replacing) changes.push(...data.changes);
+    else await applyNoteChanges(data.changes, cursor);
+  }
+  if (replacing) await applyNoteChanges(changes, cursor, { replace: true });
+}
+
+/**
+ * A page of the device copy, with pending changes applied, filtered and
+ * ordered like GET /notes. Search is plain word matching: every word of
+ * `q` must appear in the title or content. `all` returns every match as
+ * a single page.
+ */
+async function offlinePage(page, filters, limit, { all = false } = {}) {
+  const { q, tags, tagMode, notebook, archived, listOptions } = filters;
+  const [cached, entries] = await Promise.all([getCachedNotes(), readOutbox()]);
+  const view = {
+    notebook: notebook ?? null,
+    tags: tags ?? [],
+    tagMode: tagMode ?? "any",
+    archived: Boolean(archived),
+    listOptions: listOptions ?? DEFAULT_LIST_OPTIONS,
+  };
+  const words = (q ?? "").toLowerCase().split(/\s+/).filter(Boolean);
+  const matches = (note) => {
+    const text = `${note.title}\n${note.content}`.toLowerCase();
+    return words.every((word) => text.includes(word));
+  };
+
+  const notes = [
+    ...pendingNotes(entries),
+    ...withPendingChanges(cached, entries),
+  ]
+    .filter((note) => inView(view, note) && matches(note))
+    .sort(listComparator(view.listOptions));
+  if (all) return { notes, total: notes.length, pages: 1, page: 1, limit };
+  return {
+    notes: notes.slice((page - 1) * limit, page * limit),
+    total: notes.length,
+    pages: Math.max(1, Math.ceil(notes.length / limit)),
+    page,
+    limit,
+  };
+}
+
+/**
+ * Whether a change must go through the outbox: the browser is offline,
+ * earlier changes are still waiting (they go first), or the note exists
+ * only on this device.
+ */
+async function mustQueue(id) {
+  if (!navigator.onLine || (id && isLocalId(id))) return true;
+  return (await readOutbox()).some((entry) => !entry.problem);
+}
+
 // ── Reducer ───────────────────────────────────────────────────────────────────
 function reducer(state, action) {
   switch (action.type) {
     case "FETCH_START":
-      return { ...state, loading: true, error: null };
+      return { ...state, loading: !state.syncing, error: null };
     case "FETCH_SUCCESS":
       return {
         ...state,
         loading: false,
+        syncing: false,
         notes: action.payload.notes,
         total: action.payload.total,
         pages: action.payload.pages,
         page: action.payload.page,
+        limit: action.payload.limit,
+        nextCursor: action.payload.nextCursor ?? null,
+        offline: action.payload.offline,
       };
     case "FETCH_ERROR":
-      return { ...state, loading: false, error: action.payload };
+      return {
+        ...state,
+        loading: false,
+        syncing: false,
+        error: action.payload,
+      };
+    // The next batch of an infinite scroll. A batch fetched for a view the
+    // user has since left is dropped.
+    case "MORE_START":
+      return { ...state, loadingMore: true, error: null };
+    case "MORE_SUCCESS": {
+      const { after, notes, nextCursor, total } = action.payload;
+      if (after !== state.nextCursor) return { ...state, loadingMore: false };
+      const loaded = new Set(state.notes.map((n) => n._id));
+      return {
+        ...state,
+        loadingMore: false,
+        notes: [...state.notes, ...notes.filter((n) => !loaded.has(n._id))],
+        nextCursor,
+        total,
+      };
+    }
+    case "MORE_ERROR":
+      return { ...state, loadingMore: false, error: action.payload };
+    case "RESYNC":
+      return { ...state, syncKey: state.syncKey + 1, syncing: true };
 
     case "SAVE_START":
       return { ...state, saving: true, error: null };
     case "SAVE_ERROR":
       return { ...state, saving: false, error: action.payload };
 
-    // Optimistic add — server note replaces placeholder once resolved
-    case "NOTE_CREATED":
+    case "OUTBOX_LOADED":
       return {
         ...state,
-        saving: false,
-        notes: [action.payload, ...state.notes],
-        total: state.total + 1,
+        pendingChanges: action.payload.filter((e) => !e.problem).length,
+        syncProblems: action.payload.filter((e) => e.problem),
       };
-    case "NOTE_UPDATED":
+    // A queued change reached the server: `id` may be a temporary id,
+    // replaced by the server note; a null note is gone.
+    case "NOTE_SYNCED": {
+      const { id, note } = action.payload;
+      const next = note?._id === id ? state : removeNote(state, id);
+      return note ? upsertNote(next, note) : next;
+    }
+    // Edits queued in the outbox, shown until the server has them
+    case "NOTE_QUEUED_EDIT": {
+      const { id, fields, updatedAt } = action.payload;
       return {
         ...state,
         saving: false,
         notes: state.notes.map((n) =>
-          n._id === action.payload._id ? action.payload : n,
+          n._id === id ? { ...n, ...fields, updatedAt, pending: true } : n,
         ),
       };
-    case "NOTE_DELETED":
+    }
+
+    // Optimistic add — server note replaces placeholder once resolved. The
+    // note's "created" event may have added it already.
+    case "NOTE_CREATED": {
+      const note = action.payload;
+      const known = state.notes.some((n) => n._id === note._id);
+      return withTotal(
+        {
+          ...state,
+          saving: false,
+          notes: [note, ...state.notes.filter((n) => n._id !== note._id)],
+        },
+        known ? state.total : state.total + 1,
+      );
+    }
+    case "NOTE_UPDATED":
       return {
         ...state,
         saving: false,
-        notes: state.notes.filter((n) => n._id !== action.payload),
-        total: Math.max(0, state.total - 1),
+        notes: state.notes.map((n) =>
+          n._id === action.payload._id ? action.payload : n,
+        ),
       };
+    // A note moved out of the notebook being viewed leaves the list
+    case "NOTE_MOVED": {
+      const note = action.payload;
+      const next = inView(state, note)
+        ? {
+            ...state,
+            notes: state.notes.map((n) => (n._id === note._id ? note : n)),
+          }
+        : removeNote(state, note._id);
+      return { ...next, saving: false };
+    }
+    case "BULK_DONE":
+      return { ...state, saving: false };
+    case "NOTE_DELETED":
+      return { ...removeNote(state, action.payload), saving: false };
+
+    // Changes reported by the event stream — from this tab or any other.
+    // A note with queued edits keeps showing them; the replay settles it.
+    case "EVENT_NOTE_SAVED":
+      return state.notes.some((n) => n._id === action.payload._id && n.pending)
+        ? state
+        : upsertNote(state, action.payload);
+    case "EVENT_NOTE_DELETED":
+      return removeNote(state, action.payload);
 
     case "SET_PAGE":
       return { ...state, page: action.payload };
+    // A new search always starts from the first page of results
+    case "SET_QUERY":
+      return { ...state, query: action.payload, page: 1 };
+    case "SET_TAG_FILTER":
+      return { ...state, ...action.payload, page: 1 };
+    case "SET_NOTEBOOK":
+      return { ...state, notebook: action.payload, page: 1 };
+    case "SET_ARCHIVED":
+      return { ...state, archived: action.payload, page: 1 };
+    case "SET_INFINITE":
+      return { ...state, infinite: action.payload, page: 1 };
+    case "SET_LIST_OPTIONS":
+      return sameListOptions(state.listOptions, action.payload)
+        ? state
+        : { ...state, listOptions: action.payload, page: 1 };
     case "CLEAR_ERROR":
       return { ...state, error: null };
 
@@ -75,29 +388,83 @@ function reducer(state, action) {
  *
  * Encapsulates all Notes API interactions so pages stay thin.
  *
+ * Works offline too: every note the API returns is kept on the device
+ * (lib/offlineStore.js), and a list the API cannot serve comes from that
+ * copy instead, with `offline` set. Creates, edits and deletes made while
+ * the API is out of reach go into the outbox (lib/outbox.js) and show at
+ * once, marked `pending`; the outbox is replayed whenever the API answers
+ * again. Changes the server turns down end up in `syncProblems`, for
+ * resolveSyncProblem().
+ *
+ * `initialListOptions` is the sort order and date range to start with
+ * (lib/noteList.js); setListOptions() changes them.
+ *
  * Returns:
- *   state    — { notes, total, pages, page, loading, saving, error }
- *   actions  — { fetchNotes, createNote, updateNote, deleteNote,
- *                setPage, clearError }
+ *   state    — { notes, total, pages, page, limit, query, tags, tagMode,
+ *                notebook, archived, listOptions, infinite, nextCursor, loading,
+ *                loadingMore, saving, offline, pendingChanges,
+ *                syncProblems, error, … }
+ *   actions  — { fetchNotes, loadMore, createNote, updateNote,
+ *                restoreRevision, moveNote, deleteNote, bulkAction,
+ *                resolveSyncProblem, setPage, setQuery, setTagFilter,
+ *                setNotebook, setArchived, setListOptions, setInfinite,
+ *                clearError }
  */
-export function useNotes() {
-  const [state, dispatch] = useReducer(reducer, initialState);
+export function useNotes(initialListOptions = DEFAULT_LIST_OPTIONS) {
+  const userId = useAuth().user?.id;
+  const [state, dispatch] = useReducer(
+    reducer,
+    { ...initialState, listOptions: initialListOptions },
+    init,
+  );
 
   // ── Fetch a page of notes ─────────────────────────────────────────────────
-  const fetchNotes = useCallback(async (page = 1, limit = 9) => {
+  // `q` switches the backend into relevance-ranked search mode; matching
+  // notes then carry `highlights` segments for NoteCard to render.
+  // `infinite` fetches the first batch of a keyset listing instead, which
+  // loadMore() continues; searches are always paged by number.
+  const fetchNotes = useCallback(async (page = 1, filters = {}, limit = 9) => {
     dispatch({ type: "FETCH_START" });
+    const scrolling = filters.infinite && !filters.q;
     try {
-      const { data } = await api.get("/notes", { params: { page, limit } });
+      const params = { ...listParams(filters), limit };
+      if (scrolling) params.cursor = "";
+      else params.page = page;
+      const { data } = await api.get("/notes", { params });
+      remember(data.notes);
       dispatch({
         type: "FETCH_SUCCESS",
         payload: {
-          notes: data.notes,
+          notes: withPendingChanges(data.notes, await readOutbox()),
           total: data.total,
-          pages: data.pages,
-          page: data.page,
+          pages: scrolling ? 1 : data.totalPages,
+          page: scrolling ? 1 : data.page,
+          limit,
+          nextCursor: data.nextCursor,
+          offline: false,
         },
       });
     } catch (err) {
+      if (isNetworkError(err)) {
+        try {
+          // Offline, a scrolling list shows every note in one go
+          const payload = await offlinePage(page, filters, limit, {
+            all: scrolling,
+          });
+          dispatch({
+            type: "FETCH_SUCCESS",
+            payload: { ...payload, offline: true },
+          });
+          return;
+        } catch {
+          dispatch({
+            type: "FETCH_ERROR",
+            payload:
+              "You're offline, and no notes are saved on this device yet.",
+          });
+          return;
+        }
+      }
       dispatch({
         type: "FETCH_ERROR",
         payload: extractApiError(
@@ -108,68 +475,368 @@ export function useNotes() {
     }
   }, []);
 
-  // Re-fetch whenever page changes
+  // Re-fetch whenever page, search query, tag, notebook, archive filter,
+  // sort order, date range or scrolling mode changes, and on RESYNC
   useEffect(() => {
-    fetchNotes(state.page);
-  }, [state.page, fetchNotes]);
+    fetchNotes(state.page, {
+      q: state.query,
+      tags: state.tags,
+      tagMode: state.tagMode,
+      notebook: state.notebook,
+      archived: state.archived,
+      listOptions: state.listOptions,
+      infinite: state.infinite,
+    });
+  }, [
+    state.page,
+    state.query,
+    state.tags,
+    state.tagMode,
+    state.notebook,
+    state.archived,
+    state.listOptions,
+    state.infinite,
+    state.syncKey,
+    fetchNotes,
+  ]);
+
+  // ── Infinite scroll: the next batch ───────────────────────────────────────
+  const { nextCursor, loadingMore, limit } = state;
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+    dispatch({ type: "MORE_START" });
+    try {
+      const { data } = await api.get("/notes", {
+        params: {
+          ...listParams({
+            tags: state.tags,
+            tagMode: state.tagMode,
+            notebook: state.notebook,
+            archived: state.archived,
+            listOptions: state.listOptions,
+          }),
+          cursor: nextCursor,
+          limit,
+        },
+      });
+      remember(data.notes);
+      dispatch({
+        type: "MORE_SUCCESS",
+        payload: {
+          after: nextCursor,
+          notes: withPendingChanges(data.notes, await readOutbox()),
+          nextCursor: data.nextCursor,
+          total: data.total,
+        },
+      });
+    } catch (err) {
+      dispatch({
+        type: "MORE_ERROR",
+        payload: extractApiError(err, "Failed to load more notes."),
+      });
+    }
+  }, [
+    nextCursor,
+    loadingMore,
+    limit,
+    state.tags,
+    state.tagMode,
+    state.notebook,
+    state.archived,
+    state.listOptions,
+  ]);
+
+  // ── Outbox ────────────────────────────────────────────────────────────────
+  // Sends what is queued (when the API answers) and reports what is left.
+  const syncOutbox = useCallback(async () => {
+    try {
+      await replayOutbox((id, note) =>
+        dispatch({ type: "NOTE_SYNCED", payload: { id, note } }),
+      );
+    } catch {
+      // IndexedDB unavailable — nothing can have been queued
+    }
+    dispatch({ type: "OUTBOX_LOADED", payload: await readOutbox() });
+  }, []);
+
+  // Back online: send queued changes and leave the device copy
+  useEffect(() => {
+    syncOutbox();
+    const handleOnline = () => {
+      syncOutbox();
+      dispatch({ type: "RESYNC" });
+    };
+    window.addEventListener("online", handleOnline);
+    return () => window.removeEventListener("online", handleOnline);
+  }, [syncOutbox]);
+
+  // ── Live updates ──────────────────────────────────────────────────────────
+  // Changes made in other tabs, on other devices or by collaborators arrive
+  // over GET /notes/events. Events sent while the stream was down are lost,
+  // so every reconnect re-fetches the current view quietly. Every
+  // connection also brings the device copy of every note up to date.
+  // Notes shared with the user come over the same stream; they belong on
+  // SharedPage, not in this list.
+  useEffect(() => {
+    let connected = false;
+    return openEventStream("/notes/events", (type, data) => {
+      if (type === "ready") {
+        if (connected) dispatch({ type: "RESYNC" });
+        mirrorNotes().catch(() => {});
+        connected = true;
+        syncOutbox();
+        return;
+      }
+      const payload = JSON.parse(data);
+      if (type === "created" || type === "updated") {
+        if (payload.user !== userId) return;
+        remember([payload]);
+        dispatch({ type: "EVENT_NOTE_SAVED", payload });
+      } else if (type === "deleted") {
+        forget(payload.id);
+        dispatch({ type: "EVENT_NOTE_DELETED", payload: payload.id });
+      }
+    });
+  }, [syncOutbox, userId]);
+
+  // Applies a queued change to the list and tries to send it straight away
+  const queued = useCallback(
+    (action) => {
+      dispatch(action);
+      syncOutbox();
+      return { success: true, queued: true };
+    },
+    [syncOutbox],
+  );
 
   // ── Create ────────────────────────────────────────────────────────────────
-  const createNote = useCallback(async ({ title, content }) => {
+  // Creates, updates and deletes fall back to the outbox (see mustQueue);
+  // their result then carries `queued: true`.
+  const createNote = useCallback(
+    async ({ title, content, tags, notebook }) => {
+      const fields = { title, content, tags, notebook };
+      dispatch({ type: "SAVE_START" });
+      try {
+        if (!(await mustQueue())) {
+          try {
+            const { data } = await api.post("/notes", fields);
+            remember([data.note]);
+            dispatch({ type: "NOTE_CREATED", payload: data.note });
+            return { success: true };
+          } catch (err) {
+            if (!isNetworkError(err)) throw err;
+          }
+        }
+        const note = await queueCreate(fields);
+        return queued({ type: "NOTE_CREATED", payload: note });
+      } catch (err) {
+        const message = extractApiError(err, "Failed to create note.");
+        dispatch({ type: "SAVE_ERROR", payload: message });
+        return { success: false, message };
+      }
+    },
+    [queued],
+  );
+
+  // ── Update ────────────────────────────────────────────────────────────────
+  // `version` is the note version the edits were based on. It is sent as
+  // If-Match, so the server rejects the save (412) if the note has changed
+  // since — the reply then carries the current copy as `conflict`.
+  // Queued edits are checked against `version` when they are replayed; a
+  // conflict found then is reported through syncProblems.
+  const updateNote = useCallback(
+    async (id, { title, content, tags }, version) => {
+      const fields = { title, content, tags };
+      dispatch({ type: "SAVE_START" });
+      try {
+        if (!(await mustQueue(id))) {
+          try {
+            const { data } = await api.put(`/notes/${id}`, fields, {
+              headers:
+                version != null ? { "If-Match": `"${version}"` } : undefined,
+            });
+            remember([data.note]);
+            dispatch({ type: "NOTE_UPDATED", payload: data.note });
+            return { success: true };
+          } catch (err) {
+            if (!isNetworkError(err)) throw err;
+          }
+        }
+        await queueUpdate(id, fields, version);
+        return queued({
+          type: "NOTE_QUEUED_EDIT",
+          payload: { id, fields, updatedAt: new Date().toISOString() },
+        });
+      } catch (err) {
+        if (err.response?.status === 412 && err.response.data?.note) {
+          // Not an error banner — the editor resolves it. The list still
+          // picks up the newer server copy.
+          const current = err.response.data.note;
+          remember([current]);
+          dispatch({ type: "NOTE_UPDATED", payload: current });
+          return { success: false, conflict: current };
+        }
+        const message = extractApiError(err, "Failed to update note.");
+        dispatch({ type: "SAVE_ERROR", payload: message });
+        return { success: false, message };
+      }
+    },
+    [queued],
+  );
+
+  // ── Restore a revision ──────────────────────────────────────────────────
+  // The server returns the note as restored; it replaces the list entry.
+  const restoreRevision = useCallback(async (id, rev) => {
     dispatch({ type: "SAVE_START" });
     try {
-      const { data } = await api.post("/notes", { title, content });
-      dispatch({ type: "NOTE_CREATED", payload: data.note });
-      return { success: true };
+      const { data } = await api.post(`/notes/${id}/revisions/${rev}/restore`);
+      remember([data.note]);
+      dispatch({ type: "NOTE_UPDATED", payload: data.note });
+      return { success: true, note: data.note };
     } catch (err) {
-      const message = extractApiError(err, "Failed to create note.");
+      const message = extractApiError(err, "Failed to restore revision.");
       dispatch({ type: "SAVE_ERROR", payload: message });
       return { success: false, message };
     }
   }, []);
 
-  // ── Update ────────────────────────────────────────────────────────────────
-  const updateNote = useCallback(async (id, { title, content }) => {
+  // ── Move to another notebook ──────────────────────────────────────────
+  // `notebook` is a notebook id, or null to unfile the note.
+  const moveNote = useCallback(async (id, notebook) => {
     dispatch({ type: "SAVE_START" });
     try {
-      const { data } = await api.put(`/notes/${id}`, { title, content });
-      dispatch({ type: "NOTE_UPDATED", payload: data.note });
+      const { data } = await api.patch(`/notes/${id}/move`, { notebook });
+      remember([data.note]);
+      dispatch({ type: "NOTE_MOVED", payload: data.note });
       return { success: true };
     } catch (err) {
-      const message = extractApiError(err, "Failed to update note.");
+      const message = extractApiError(err, "Failed to move note.");
       dispatch({ type: "SAVE_ERROR", payload: message });
       return { success: false, message };
     }
   }, []);
 
   // ── Delete ────────────────────────────────────────────────────────────────
-  const deleteNote = useCallback(async (id) => {
+  const deleteNote = useCallback(
+    async (id) => {
+      dispatch({ type: "SAVE_START" });
+      try {
+        if (!(await mustQueue(id))) {
+          try {
+            await api.delete(`/notes/${id}`);
+            forget(id);
+            dispatch({ type: "NOTE_DELETED", payload: id });
+            return { success: true };
+          } catch (err) {
+            if (!isNetworkError(err)) throw err;
+          }
+        }
+        await queueDelete(id);
+        return queued({ type: "NOTE_DELETED", payload: id });
+      } catch (err) {
+        const message = extractApiError(err, "Failed to delete note.");
+        dispatch({ type: "SAVE_ERROR", payload: message });
+        return { success: false, message };
+      }
+    },
+    [queued],
+  );
+
+  // ── Bulk action ───────────────────────────────────────────────────────────
+  // One action on many notes; `extra` carries its notebook or tags. Notes
+  // succeed or fail one by one, so the caller gets the per-note `results`
+  // and re-fetches the list.
+  const bulkAction = useCallback(async (ids, action, extra = {}) => {
     dispatch({ type: "SAVE_START" });
     try {
-      await api.delete(`/notes/${id}`);
-      dispatch({ type: "NOTE_DELETED", payload: id });
-      return { success: true };
+      const { data } = await api.post("/notes/bulk", { ids, action, ...extra });
+      dispatch({ type: "BULK_DONE" });
+      return { success: true, message: data.message, results: data.results };
     } catch (err) {
-      const message = extractApiError(err, "Failed to delete note.");
+      const message = extractApiError(err, "Failed to update the notes.");
       dispatch({ type: "SAVE_ERROR", payload: message });
       return { success: false, message };
     }
   }, []);
 
+  // ── Sync problems ─────────────────────────────────────────────────────────
+  // `choice` is "mine" (send the queued change again, over the server copy
+  // or as a new note) or "theirs" (drop it); see resolveProblem().
+  const resolveSyncProblem = useCallback(
+    async (entry, choice) => {
+      await resolveProblem(entry, choice).catch(() => {});
+      if (choice === "theirs") dispatch({ type: "RESYNC" });
+      await syncOutbox();
+    },
+    [syncOutbox],
+  );
+
   const setPage = useCallback(
     (p) => dispatch({ type: "SET_PAGE", payload: p }),
     [],
   );
 
+  const setQuery = useCallback(
+    (q) => dispatch({ type: "SET_QUERY", payload: q }),
+    [],
+  );
+
+  // Accepts a partial { tags, tagMode } — unspecified keys keep their value
+  const setTagFilter = useCallback(
+    (filter) => dispatch({ type: "SET_TAG_FILTER", payload: filter }),
+    [],
+  );
+
+  // null = all notes, "none" = unfiled notes, otherwise a notebook id
+  const setNotebook = useCallback(
+    (notebook) => dispatch({ type: "SET_NOTEBOOK", payload: notebook }),
+    [],
+  );
+
+  // false = the notes list, true = the archive
+  const setArchived = useCallback(
+    (archived) => dispatch({ type: "SET_ARCHIVED", payload: archived }),
+    [],
+  );
+
+  // The whole { sort, order, …dates } set; the same set again is a no-op
+  const setListOptions = useCallback(
+    (listOptions) =>
+      dispatch({ type: "SET_LIST_OPTIONS", payload: listOptions }),
+    [],
+  );
+
+  // true = load further notes on scroll, false = numbered pages
+  const setInfinite = useCallback((infinite) => {
+    try {
+      localStorage.setItem(INFINITE_KEY, infinite ? "1" : "0");
+    } catch {
+      // storage blocked — the choice lasts for this visit
+    }
+    dispatch({ type: "SET_INFINITE", payload: infinite });
+  }, []);
+
   const clearError = useCallback(() => dispatch({ type: "CLEAR_ERROR" }), []);
 
   return {
     state,
     actions: {
       fetchNotes,
+      loadMore,
       createNote,
       updateNote,
+      restoreRevision,
+      moveNote,
       deleteNote,
+      bulkAction,
+      resolveSyncProblem,
       setPage,
+      setQuery,
+      setTagFilter,
+      setNotebook,
+      setArchived,
+      setListOptions,
+      setInfinite,
       clearError,
     },
   };
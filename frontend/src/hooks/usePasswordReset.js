@@ -0,0 +1,56 @@
+import { useCallback, useState } from "react";
+import api from "../api/axios";
+import { extractApiError, extractFieldErrors } from "../lib/api";
+
+/**
+ * usePasswordReset
+ *
+ * The two steps of a self-service password reset, for ForgotPasswordPage
+ * and ResetPasswordPage. Neither signs the user in.
+ *
+ * Returns: { loading, error, clearError, requestReset, resetPassword }
+ *   requestReset(email)             → Promise<{ success, message?, fieldErrors? }>
+ *   resetPassword(token, password)  → Promise<{ success, message?, fieldErrors? }>
+ */
+export function usePasswordReset() {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Shared by both steps: same loading / error handling as AuthContext.
+  const submit = useCallback(async (request, fallback) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const { data } = await request();
+      return { success: true, message: data.message };
+    } catch (err) {
+      const message = extractApiError(err, fallback);
+      setError(message);
+      return { success: false, message, fieldErrors: extractFieldErrors(err) };
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const requestReset = useCallback(
+    (email) =>
+      submit(
+        () => api.post("/auth/forgot-password", { email }),
+        "Could not send the reset email. Please try again.",
+      ),
+    [submit],
+  );
+
+  const resetPassword = useCallback(
+    (token, password) =>
+      submit(
+        () => api.post("/auth/reset-password", { token, password }),
+        "Could not reset the password. Please try again.",
+      ),
+    [submit],
+  );
+
+  const clearError = useCallback(() => setError(null), []);
+
+  return { loading, error, clearError, requestReset, resetPassword };
+}
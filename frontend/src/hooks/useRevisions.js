@@ -0,0 +1,77 @@
+import { useCallback, useEffect, useState } from "react";
+import api from "../api/axios";
+import { extractApiError } from "../lib/api";
+
+/**
+ * useRevisions
+ *
+ * Revision history of one note for the EditNoteModal history panel.
+ *
+ * @param {string|null} noteId     — note whose history to load; null = idle
+ * @param {unknown}     refreshKey — re-fetches the list whenever it changes
+ *                                   (e.g. the note's updatedAt after a save)
+ * Returns: { revisions, loading, error, loadDiff }
+ *   loadDiff(rev) → Promise<{ success, diff?, message? }>
+ */
+export function useRevisions(noteId, refreshKey) {
+  // Results are tagged with the request they answer; while the tag differs
+  // from the current one a fetch is in flight (no separate loading flag).
+  const requestKey = `${noteId}:${refreshKey}`;
+  const [result, setResult] = useState({
+    key: null,
+    revisions: [],
+    error: null,
+  });
+
+  useEffect(() => {
+    if (!noteId) return;
+    let cancelled = false;
+    api
+      .get(`/notes/${noteId}/revisions`)
+      .then(({ data }) => {
+        if (!cancelled) {
+          setResult({
+            key: requestKey,
+            revisions: data.revisions,
+            error: null,
+          });
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setResult({
+            key: requestKey,
+            revisions: [],
+            error: extractApiError(err, "Failed to load history."),
+          });
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [noteId, requestKey]);
+
+  const loadDiff = useCallback(
+    async (rev) => {
+      try {
+        const { data } = await api.get(
+          `/notes/${noteId}/revisions/${rev}/diff`,
+        );
+        return { success: true, diff: data };
+      } catch (err) {
+        return {
+          success: false,
+          message: extractApiError(err, "Failed to load changes."),
+        };
+      }
+    },
+    [noteId],
+  );
+
+  return {
+    revisions: result.revisions,
+    loading: !!noteId && result.key !== requestKey,
+    error: result.error,
+    loadDiff,
+  };
+}
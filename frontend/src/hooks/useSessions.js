@@ -0,0 +1,89 @@
+import { useCallback, useEffect, useState } from "react";
+import api from "../api/axios";
+import { extractApiError } from "../lib/api";
+
+/**
+ * useSessions
+ *
+ * The current user's signed-in devices, for SessionsPage.
+ *
+ * Returns: { sessions, loading, error, saving, revokeSession, revokeOthers }
+ *   revokeSession(id) → Promise<{ success, message? }>
+ *   revokeOthers()    → Promise<{ success, message? }> — every session but
+ *                       the current one
+ */
+export function useSessions() {
+  const [reloadKey, setReloadKey] = useState(0); // bumped after each change
+  const [saving, setSaving] = useState(false);
+
+  // Keyed result as in useShares: loading until the result answers reloadKey.
+  const [result, setResult] = useState({
+    key: null,
+    sessions: [],
+    error: null,
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .get("/auth/sessions")
+      .then(({ data }) => {
+        if (!cancelled) {
+          setResult({ key: reloadKey, sessions: data.sessions, error: null });
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setResult({
+            key: reloadKey,
+            sessions: [],
+            error: extractApiError(err, "Failed to load sessions."),
+          });
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [reloadKey]);
+
+  // Shared by both actions: send the request, then reload the list.
+  const change = useCallback(async (request, fallback) => {
+    setSaving(true);
+    try {
+      const { data } = await request();
+      setReloadKey((k) => k + 1);
+      return { success: true, message: data.message };
+    } catch (err) {
+      return { success: false, message: extractApiError(err, fallback) };
+    } finally {
+      setSaving(false);
+    }
+  }, []);
+
+  const revokeSession = useCallback(
+    (id) =>
+      change(
+        () => api.delete(`/auth/sessions/${id}`),
+        "Failed to sign out the session.",
+      ),
+    [change],
+  );
+
+  const revokeOthers = useCallback(
+    () =>
+      change(
+        () => api.delete("/auth/sessions"),
+        "Failed to sign out the other sessions.",
+      ),
+    [change],
+  );
+
+  return {
+    sessions: result.sessions,
+    loading: result.key !== reloadKey,
+    error: result.error,
+    saving,
+    revokeSession,
+    revokeOthers,
+  };
+}
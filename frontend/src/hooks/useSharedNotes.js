@@ -0,0 +1,233 @@
+import { useCallback, useEffect, useReducer } from "react";
+import api from "../api/axios";
+import { useAuth } from "../context/AuthContext";
+import { extractApiError } from "../lib/api";
+import { openEventStream } from "../lib/eventStream";
+
+// ── State shape ───────────────────────────────────────────────────────────────
+const initialState = {
+  notes: [], // each with `role` and `user` = owner { _id, name, email }
+  total: 0,
+  pages: 1,
+  page: 1,
+  loading: false,
+  syncKey: 0, // bumped to re-fetch the current page, e.g. after a reconnect
+  syncing: false, // that re-fetch is running — the list stays on screen
+  saving: false, // update / restore / leave in-flight
+  error: null,
+};
+
+// ── Reducer ───────────────────────────────────────────────────────────────────
+function reducer(state, action) {
+  switch (action.type) {
+    case "FETCH_START":
+      return { ...state, loading: !state.syncing, error: null };
+    case "FETCH_SUCCESS":
+      return { ...state, loading: false, syncing: false, ...action.payload };
+    case "FETCH_ERROR":
+      return {
+        ...state,
+        loading: false,
+        syncing: false,
+        error: action.payload,
+      };
+    case "RESYNC":
+      return { ...state, syncKey: state.syncKey + 1, syncing: true };
+
+    case "SAVE_START":
+      return { ...state, saving: true, error: null };
+    case "SAVE_ERROR":
+      return { ...state, saving: false, error: action.payload };
+
+    // Note responses carry the owner as a bare id and no role — keep the
+    // listing's populated owner and the caller's role.
+    case "NOTE_UPDATED":
+      return {
+        ...state,
+        saving: false,
+        notes: state.notes.map((n) =>
+          n._id === action.payload._id
+            ? { ...n, ...action.payload, user: n.user, role: n.role }
+            : n,
+        ),
+      };
+
+    case "NOTE_REMOVED":
+      return {
+        ...state,
+        saving: false,
+        notes: state.notes.filter((n) => n._id !== action.payload),
+        total: Math.max(0, state.total - 1),
+      };
+
+    // Changes reported by the event stream. Only notes on this page are
+    // applied; the caller's role comes from the note's collaborators.
+    case "EVENT_NOTE_SAVED": {
+      const { note, userId } = action.payload;
+      const role = note.collaborators?.find((c) => c.user === userId)?.role;
+      return {
+        ...state,
+        notes: state.notes.map((n) =>
+          n._id === note._id
+            ? { ...n, ...note, user: n.user, role: role ?? n.role }
+            : n,
+        ),
+      };
+    }
+    case "EVENT_NOTE_DELETED":
+      if (!state.notes.some((n) => n._id === action.payload)) return state;
+      return {
+        ...state,
+        notes: state.notes.filter((n) => n._id !== action.payload),
+        total: Math.max(0, state.total - 1),
+      };
+
+    case "SET_PAGE":
+      return { ...state, page: action.payload };
+    case "CLEAR_ERROR":
+      return { ...state, error: null };
+
+    default:
+      return state;
+  }
+}
+
+// ── Hook ──────────────────────────────────────────────────────────────────────
+/**
+ * useSharedNotes
+ *
+ * "Shared with me" API interactions for SharedPage. Editing follows the
+ * same contract as useNotes (If-Match, conflicts returned to the editor).
+ *
+ * Changes by the owner and other collaborators arrive over GET
+ * /notes/events. A note newly shared with the user — or back from the
+ * owner's trash — re-fetches the current page, as does every reconnect.
+ *
+ * Returns:
+ *   state    — { notes, total, pages, page, loading, syncing, saving,
+ *                error }
+ *   actions  — { updateNote, restoreRevision, leaveNote, setPage, clearError }
+ */
+export function useSharedNotes() {
+  const userId = useAuth().user?.id;
+  const [state, dispatch] = useReducer(reducer, initialState);
+
+  const fetchShared = useCallback(async (page = 1, limit = 9) => {
+    dispatch({ type: "FETCH_START" });
+    try {
+      const { data } = await api.get("/notes/shared", {
+        params: { page, limit },
+      });
+      dispatch({
+        type: "FETCH_SUCCESS",
+        payload: {
+          notes: data.notes,
+          total: data.total,
+          pages: data.totalPages,
+          page: data.page,
+        },
+      });
+    } catch (err) {
+      dispatch({
+        type: "FETCH_ERROR",
+        payload: extractApiError(err, "Failed to load shared notes."),
+      });
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchShared(state.page);
+  }, [state.page, state.syncKey, fetchShared]);
+
+  // ── Live updates ──────────────────────────────────────────────────────────
+  // The user's own notes come over the same stream; they are not listed here.
+  useEffect(() => {
+    let connected = false;
+    return openEventStream("/notes/events", (type, data) => {
+      if (type === "ready") {
+        if (connected) dispatch({ type: "RESYNC" });
+        connected = true;
+        return;
+      }
+      const payload = JSON.parse(data);
+      if (type === "deleted") {
+        dispatch({ type: "EVENT_NOTE_DELETED", payload: payload.id });
+      } else if (payload.user !== userId) {
+        dispatch(
+          type === "created"
+            ? { type: "RESYNC" }
+            : { type: "EVENT_NOTE_SAVED", payload: { note: payload, userId } },
+        );
+      }
+    });
+  }, [userId]);
+
+  // ── Update (editors) ──────────────────────────────────────────────────────
+  const updateNote = useCallback(
+    async (id, { title, content, tags }, version) => {
+      dispatch({ type: "SAVE_START" });
+      try {
+        const { data } = await api.put(
+          `/notes/${id}`,
+          { title, content, tags },
+          {
+            headers:
+              version != null ? { "If-Match": `"${version}"` } : undefined,
+          },
+        );
+        dispatch({ type: "NOTE_UPDATED", payload: data.note });
+        return { success: true };
+      } catch (err) {
+        if (err.response?.status === 412 && err.response.data?.note) {
+          const current = err.response.data.note;
+          dispatch({ type: "NOTE_UPDATED", payload: current });
+          return { success: false, conflict: current };
+        }
+        const message = extractApiError(err, "Failed to update note.");
+        dispatch({ type: "SAVE_ERROR", payload: message });
+        return { success: false, message };
+      }
+    },
+    [],
+  );
+
+  // ── Restore a revision (editors) ──────────────────────────────────────────
+  const restoreRevision = useCallback(async (id, rev) => {
+    dispatch({ type: "SAVE_START" });
+    try {
+      const { data } = await api.post(`/notes/${id}/revisions/${rev}/restore`);
+      dispatch({ type: "NOTE_UPDATED", payload: data.note });
+      return { success: true, note: data.note };
+    } catch (err) {
+      const message = extractApiError(err, "Failed to restore revision.");
+      dispatch({ type: "SAVE_ERROR", payload: message });
+      return { success: false, message };
+    }
+  }, []);
+
+  // ── Leave — give up one's own access ──────────────────────────────────────
+  const leaveNote = useCallback(async (id, userId) => {
+    dispatch({ type: "SAVE_START" });
+    try {
+      await api.delete(`/notes/${id}/collaborators/${userId}`);
+      dispatch({ type: "NOTE_REMOVED", payload: id });
+      return { success: true };
+    } catch (err) {
+      const message = extractApiError(err, "Failed to leave the note.");
+      dispatch({ type: "SAVE_ERROR", payload: message });
+      return { success: false, message };
+    }
+  }, []);
+
+  const setPage = useCallback(
+    (p) => dispatch({ type: "SET_PAGE", payload: p }),
+    [],
+  );
+
+  const clearError = useCallback(() => dispatch({ type: "CLEAR_ERROR" }), []);
+
+  return {
+    state,
+    actions: { updateNote, restoreRevision, leaveNote, setPage, clearError },
+  };
+}
@@ -0,0 +1,97 @@
+import { useCallback, useEffect, useState } from "react";
+import api from "../api/axios";
+import { extractApiError } from "../lib/api";
+
+/**
+ * useShares
+ *
+ * Public share links of one note, for ShareNoteDialog.
+ *
+ * @param {string|null} noteId — note whose links to manage; null = idle
+ * Returns: { shares, loading, error, saving, createShare, revokeShare }
+ *   createShare({ expiresAt, password }) → Promise<{ success, token?, message? }>
+ *   revokeShare(shareId)                 → Promise<{ success, message? }>
+ */
+export function useShares(noteId) {
+  const [reloadKey, setReloadKey] = useState(0); // bumped after each change
+  const [saving, setSaving] = useState(false);
+
+  // Same keyed-result pattern as useRevisions: loading is derived from
+  // whether the stored result answers the current request.
+  const requestKey = `${noteId}:${reloadKey}`;
+  const [result, setResult] = useState({ key: null, shares: [], error: null });
+
+  useEffect(() => {
+    if (!noteId) return;
+    let cancelled = false;
+    api
+      .get(`/notes/${noteId}/shares`)
+      .then(({ data }) => {
+        if (!cancelled) {
+          setResult({ key: requestKey, shares: data.shares, error: null });
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setResult({
+            key: requestKey,
+            shares: [],
+            error: extractApiError(err, "Failed to load share links."),
+          });
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [noteId, requestKey]);
+
+  const createShare = useCallback(
+    async ({ expiresAt, password }) => {
+      setSaving(true);
+      try {
+        const { data } = await api.post(`/notes/${noteId}/share`, {
+          expiresAt,
+          password: password || undefined,
+        });
+        setReloadKey((k) => k + 1);
+        return { success: true, token: data.token };
+      } catch (err) {
+        return {
+          success: false,
+          message: extractApiError(err, "Failed to create share link."),
+        };
+      } finally {
+        setSaving(false);
+      }
+    },
+    [noteId],
+  );
+
+  const revokeShare = useCallback(
+    async (shareId) => {
+      setSaving(true);
+      try {
+        await api.delete(`/notes/${noteId}/shares/${shareId}`);
+        setReloadKey((k) => k + 1);
+        return { success: true };
+      } catch (err) {
+        return {
+          success: false,
+          message: extractApiError(err, "Failed to revoke share link."),
+        };
+      } finally {
+        setSaving(false);
+      }
+    },
+    [noteId],
+  );
+
+  return {
+    shares: result.shares,
+    loading: !!noteId && result.key !== requestKey,
+    error: result.error,
+    saving,
+    createShare,
+    revokeShare,
+  };
+}
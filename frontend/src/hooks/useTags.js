@@ -0,0 +1,32 @@
+import { useEffect, useState } from "react";
+import api from "../api/axios";
+
+/**
+ * useTags
+ *
+ * Loads the current user's tags with usage counts from GET /api/tags.
+ *
+ * @param {unknown} refreshKey — any value that changes when notes change;
+ *                               the tag list is re-fetched on each change so
+ *                               counts stay in step with the notes grid.
+ * @returns {{ tags: { name: string, count: number }[] }}
+ */
+export function useTags(refreshKey) {
+  const [tags, setTags] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false; // ignore responses that arrive after a newer request
+    api
+      .get("/tags")
+      .then(({ data }) => {
+        if (!cancelled) setTags(data.tags);
+      })
+      // Tag counts are secondary UI — keep the last known list on failure.
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  return { tags };
+}
@@ -0,0 +1,137 @@
+import { useCallback, useEffect, useReducer } from "react";
+import api from "../api/axios";
+import { extractApiError } from "../lib/api";
+
+// ── State shape ───────────────────────────────────────────────────────────────
+const initialState = {
+  notes: [],
+  total: 0,
+  pages: 1,
+  page: 1,
+  retentionDays: null, // server-side retention period, shown in the page copy
+  loading: false,
+  saving: false, // restore / permanent delete in-flight
+  error: null,
+};
+
+// ── Reducer ───────────────────────────────────────────────────────────────────
+function reducer(state, action) {
+  switch (action.type) {
+    case "FETCH_START":
+      return { ...state, loading: true, error: null };
+    case "FETCH_SUCCESS":
+      return { ...state, loading: false, ...action.payload };
+    case "FETCH_ERROR":
+      return { ...state, loading: false, error: action.payload };
+
+    case "SAVE_START":
+      return { ...state, saving: true, error: null };
+    case "SAVE_ERROR":
+      return { ...state, saving: false, error: action.payload };
+
+    // Restored and permanently deleted notes both leave the trash list
+    case "NOTE_REMOVED":
+      return {
+        ...state,
+        saving: false,
+        notes: state.notes.filter((n) => n._id !== action.payload),
+        total: Math.max(0, state.total - 1),
+      };
+
+    case "SET_PAGE":
+      return { ...state, page: action.payload };
+    case "CLEAR_ERROR":
+      return { ...state, error: null };
+
+    default:
+      return state;
+  }
+}
+
+// ── Hook ──────────────────────────────────────────────────────────────────────
+/**
+ * useTrash
+ *
+ * Trash API interactions for TrashPage — mirrors useNotes.
+ *
+ * Returns:
+ *   state    — { notes, total, pages, page, retentionDays, loading, saving, error }
+ *   actions  — { restoreNote, deleteForever, setPage, clearError }
+ */
+export function useTrash() {
+  const [state, dispatch] = useReducer(reducer, initialState);
+
+  const fetchTrash = useCallback(async (page = 1, limit = 9) => {
+    dispatch({ type: "FETCH_START" });
+    try {
+      const { data } = await api.get("/notes/trash", {
+        params: { page, limit },
+      });
+      dispatch({
+        type: "FETCH_SUCCESS",
+        payload: {
+          notes: data.notes,
+          total: data.total,
+          pages: data.totalPages,
+          page: data.page,
+          retentionDays: data.retentionDays,
+        },
+      });
+    } catch (err) {
+      dispatch({
+        type: "FETCH_ERROR",
+        payload: extractApiError(err, "Failed to load the trash."),
+      });
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTrash(state.page);
+  }, [state.page, fetchTrash]);
+
+  // Shared by restore and permanent delete — both remove the note from view
+  const removeWith = useCallback(async (request, id, fallback) => {
+    dispatch({ type: "SAVE_START" });
+    try {
+      await request();
+      dispatch({ type: "NOTE_REMOVED", payload: id });
+      return { success: true };
+    } catch (err) {
+      const message = extractApiError(err, fallback);
+      dispatch({ type: "SAVE_ERROR", payload: message });
+      return { success: false, message };
+    }
+  }, []);
+
+  const restoreNote = useCallback(
+    (id) =>
+      removeWith(
+        () => api.post(`/notes/${id}/restore`),
+        id,
+        "Failed to restore note.",
+      ),
+    [removeWith],
+  );
+
+  const deleteForever = useCallback(
+    (id) =>
+      removeWith(
+        () => api.delete(`/notes/${id}/permanent`),
+        id,
+        "Failed to delete note.",
+      ),
+    [removeWith],
+  );
+
+  const setPage = useCallback(
+    (p) => dispatch({ type: "SET_PAGE", payload: p }),
+    [],
+  );
+
+  const clearError = useCallback(() => dispatch({ type: "CLEAR_ERROR" }), []);
+
+  return {
+    state,
+    actions: { restoreNote, deleteForever, setPage, clearError },
+  };
+}
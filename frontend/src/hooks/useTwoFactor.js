@@ -0,0 +1,129 @@
+import { useCallback, useEffect, useState } from "react";
+import api from "../api/axios";
+import { extractApiError, extractFieldErrors } from "../lib/api";
+
+/**
+ * useTwoFactor
+ *
+ * Two-factor authentication settings, for SecurityPage. Every change
+ * answers with the new status, which replaces the current one.
+ *
+ * Returns: { status, loading, error, saving,
+ *            setup, enable, disable, regenerateCodes }
+ *   status                       — { enabled, recoveryCodesLeft } | null
+ *   setup(currentPassword)       → Promise<{ success, message?, fieldErrors?,
+ *                                    enrollment?: { secret, otpauthUrl, qrCode } }>
+ *   enable(code)                 → Promise<{ success, message?, fieldErrors?,
+ *                                    recoveryCodes? }>
+ *   disable(currentPassword)     → Promise<{ success, message?, fieldErrors? }>
+ *   regenerateCodes(currentPassword)
+ *                                → Promise<{ success, message?, fieldErrors?,
+ *                                    recoveryCodes? }>
+ */
+export function useTwoFactor() {
+  const [saving, setSaving] = useState(false);
+  const [result, setResult] = useState({
+    loaded: false,
+    status: null,
+    error: null,
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .get("/auth/2fa")
+      .then(({ data }) => {
+        if (!cancelled) {
+          setResult({ loaded: true, status: data.twoFactor, error: null });
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setResult({
+            loaded: true,
+            status: null,
+            error: extractApiError(
+              err,
+              "Failed to load two-factor authentication settings.",
+            ),
+          });
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Shared by every change: send the request, adopt the returned status.
+  // pick(data) chooses the extra response fields the caller gets back.
+  const change = useCallback(async (request, fallback, pick) => {
+    setSaving(true);
+    try {
+      const { data } = await request();
+      if (data.twoFactor) {
+        setResult({ loaded: true, status: data.twoFactor, error: null });
+      }
+      return { success: true, message: data.message, ...pick?.(data) };
+    } catch (err) {
+      return {
+        success: false,
+        message: extractApiError(err, fallback),
+        fieldErrors: extractFieldErrors(err),
+      };
+    } finally {
+      setSaving(false);
+    }
+  }, []);
+
+  const setup = useCallback(
+    (currentPassword) =>
+      change(
+        () => api.post("/auth/2fa/setup", { currentPassword }),
+        "Failed to start the two-factor setup.",
+        ({ secret, otpauthUrl, qrCode }) => ({
+          enrollment: { secret, otpauthUrl, qrCode },
+        }),
+      ),
+    [change],
+  );
+
+  const enable = useCallback(
+    (code) =>
+      change(
+        () => api.post("/auth/2fa/enable", { code }),
+        "Failed to turn on two-factor authentication.",
+        ({ recoveryCodes }) => ({ recoveryCodes }),
+      ),
+    [change],
+  );
+
+  const disable = useCallback(
+    (currentPassword) =>
+      change(
+        () => api.post("/auth/2fa/disable", { currentPassword }),
+        "Failed to turn off two-factor authentication.",
+      ),
+    [change],
+  );
+
+  const regenerateCodes = useCallback(
+    (currentPassword) =>
+      change(
+        () => api.post("/auth/2fa/recovery-codes", { currentPassword }),
+        "Failed to generate new recovery codes.",
+        ({ recoveryCodes }) => ({ recoveryCodes }),
+      ),
+    [change],
+  );
+
+  return {
+    status: result.status,
+    loading: !result.loaded,
+    error: result.error,
+    saving,
+    setup,
+    enable,
+    disable,
+    regenerateCodes,
+  };
+}
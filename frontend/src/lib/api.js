@@ -27,3 +27,14 @@ export function extractApiError(
 export function extractFieldErrors(err) {
   return err?.response?.data?.errors ?? [];
 }
+
+/**
+ * True when a request got no answer at all — offline, unreachable server
+ * or timeout — rather than an error response.
+ *
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+export function isNetworkError(err) {
+  return Boolean(err?.isAxiosError) && !err.response;
+}
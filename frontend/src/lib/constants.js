@@ -8,3 +8,41 @@ export const NOTE_MAX_TITLE = 200;
 
 /** Maximum character length for note content (matches backend) */
 export const NOTE_MAX_CONTENT = 10_000;
+
+/** Maximum number of tags on a single note (matches backend) */
+export const NOTE_MAX_TAGS = 20;
+
+/** Maximum character length of one tag (matches backend) */
+export const TAG_MAX_LENGTH = 30;
+
+/** Maximum character length of a notebook name (matches backend) */
+export const NOTEBOOK_MAX_NAME = 100;
+
+/** Maximum nesting depth of notebooks (matches backend) */
+export const NOTEBOOK_MAX_DEPTH = 5;
+
+/** Maximum character length of a personal access token's name (matches backend) */
+export const ACCESS_TOKEN_MAX_NAME = 100;
+
+/** Personal access token scopes (matches backend), with what each allows */
+export const ACCESS_TOKEN_SCOPES = [
+  ["notes:read", "Read notes, trash and revisions"],
+  ["notes:write", "Create, edit, move, delete and restore notes"],
+  ["notes:share", "Manage share links and collaborators"],
+];
+
+/** Files accepted by the notes import (matches backend) */
+export const IMPORT_EXTENSIONS = [
+  ".md",
+  ".markdown",
+  ".txt",
+  ".json",
+  ".enex",
+  ".zip",
+];
+
+/** Maximum number of files in one import (matches backend) */
+export const IMPORT_MAX_FILES = 20;
+
+/** Maximum size of one imported file in bytes (matches backend) */
+export const IMPORT_MAX_FILE_SIZE = 10 * 1024 * 1024;
@@ -0,0 +1,43 @@
+import api from "../api/axios";
+
+/** saveBlob(blob, fileName) — hands a Blob to the browser as a download. */
+export function saveBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/** File name from a Content-Disposition header, if it names one. */
+const attachmentName = (header) =>
+  /filename="?([^";]+)"?/i.exec(header ?? "")?.[1];
+
+/**
+ * downloadFile(url, { params, fileName }) → Promise
+ *
+ * Fetches a file through the authenticated API client and saves it under
+ * the name the server gives it (`fileName` otherwise). No timeout: large
+ * downloads take a while. On failure the Axios error is rethrown with its
+ * JSON body parsed back from the Blob, so extractApiError works as usual.
+ */
+export async function downloadFile(url, { params, fileName } = {}) {
+  try {
+    const { data, headers } = await api.get(url, {
+      params,
+      responseType: "blob",
+      timeout: 0,
+    });
+    saveBlob(data, attachmentName(headers["content-disposition"]) ?? fileName);
+  } catch (err) {
+    if (err.response?.data instanceof Blob) {
+      try {
+        err.response.data = JSON.parse(await err.response.data.text());
+      } catch {
+        // Not JSON — extractApiError falls back to its default message.
+      }
+    }
+    throw err;
+  }
+}
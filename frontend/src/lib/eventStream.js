@@ -0,0 +1,110 @@
+import api, { getAccessToken, refreshSession } from "../api/axios";
+
+const DEFAULT_RETRY_MS = 3000;
+const MAX_RETRY_MS = 60 * 1000;
+
+/**
+ * Yields { type, data } for every event in a text/event-stream body, and
+ * { retry } when the server changes the reconnect delay. Comment lines
+ * (heartbeats) are skipped.
+ */
+async function* readEvents(body) {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  let type = "";
+  let data = [];
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      buffer += value;
+      // A trailing \r may be half of a \r\n, so it waits with the rest.
+      const lines = buffer.split(/\r\n|\r(?!$)|\n/);
+      buffer = lines.pop(); // an incomplete last line waits for more
+      for (const line of lines) {
+        if (line === "") {
+          if (data.length)
+            yield { type: type || "message", data: data.join("\n") };
+          type = "";
+          data = [];
+          continue;
+        }
+        if (line.startsWith(":")) continue;
+        const colon = line.indexOf(":");
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const val = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+        if (field === "event") type = val;
+        else if (field === "data") data.push(val);
+        else if (field === "retry" && /^\d+$/.test(val)) {
+          yield { retry: Number(val) };
+        }
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/** Resolves after `ms`, or as soon as `signal` aborts. */
+const wait = (ms, signal) =>
+  new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      signal.removeEventListener("abort", done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal.addEventListener("abort", done);
+  });
+
+const connect = (path, signal) =>
+  fetch(`${api.defaults.baseURL}${path}`, {
+    headers: {
+      Accept: "text/event-stream",
+      Authorization: `Bearer ${getAccessToken()}`,
+    },
+    credentials: "include",
+    cache: "no-store",
+    signal,
+  });
+
+/**
+ * openEventStream(path, onEvent) → close function
+ *
+ * Server-Sent Events from the API, read with fetch rather than EventSource,
+ * which cannot send the Authorization header. Calls onEvent(type, data)
+ * with each event's raw data string. When the stream ends or drops it
+ * reconnects — after the server's retry delay, backing off while the
+ * server is unreachable — and refreshes an expired access token on the
+ * way. It stops for good once the session is over or close() is called.
+ */
+export function openEventStream(path, onEvent) {
+  const controller = new AbortController();
+  const { signal } = controller;
+
+  (async () => {
+    let retryMs = DEFAULT_RETRY_MS;
+    let failures = 0;
+    while (!signal.aborted) {
+      try {
+        let response = await connect(path, signal);
+        if (response.status === 401) {
+          await refreshSession(); // signs out when the session is over
+          response = await connect(path, signal);
+        }
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        failures = 0;
+        for await (const event of readEvents(response.body)) {
+          if (event.retry !== undefined) retryMs = event.retry;
+          else onEvent(event.type, event.data);
+        }
+      } catch (err) {
+        if (signal.aborted || err.response?.status === 401) return;
+        failures += 1;
+      }
+      await wait(Math.min(retryMs * 2 ** failures, MAX_RETRY_MS), signal);
+    }
+  })();
+
+  return () => controller.abort();
+}
@@ -0,0 +1,124 @@
+/**
+ * Sort order and date range of the notes list — the `sort`, `order` and
+ * date params of GET /notes, as the dashboard holds them:
+ *   { sort, order, createdAfter, createdBefore, updatedAfter, updatedBefore }
+ * Dates are calendar days ("2025-01-31", or "" for no bound) in the user's
+ * time zone: "after" includes its day, "before" stops short of it. The
+ * same fields, under the same names, make up the dashboard's query string.
+ */
+
+export const SORT_FIELDS = ["updatedAt", "createdAt", "title"];
+
+const DEFAULT_ORDER = { updatedAt: "desc", createdAt: "desc", title: "asc" };
+
+// Param → [note field, which side of the day the note must fall]
+const DATE_BOUNDS = {
+  createdAfter: ["createdAt", 1],
+  createdBefore: ["createdAt", -1],
+  updatedAfter: ["updatedAt", 1],
+  updatedBefore: ["updatedAt", -1],
+};
+export const DATE_FILTERS = Object.keys(DATE_BOUNDS);
+
+const OPTION_KEYS = ["sort", "order", ...DATE_FILTERS];
+
+/** The order a sort field starts in: newest first, or A to Z for titles. */
+export const defaultOrder = (sort) => DEFAULT_ORDER[sort];
+
+export const DEFAULT_LIST_OPTIONS = {
+  sort: "updatedAt",
+  order: "desc",
+  ...Object.fromEntries(DATE_FILTERS.map((key) => [key, ""])),
+};
+
+/** A calendar day's start in the user's time zone, in ms; NaN if invalid. */
+const startOfDay = (day) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(day) ? new Date(`${day}T00:00`).getTime() : NaN;
+
+export const sameListOptions = (a, b) =>
+  OPTION_KEYS.every((key) => a[key] === b[key]);
+
+/**
+ * readListOptions(searchParams) → list options
+ * Anything missing or not understood falls back to the default.
+ */
+export function readListOptions(searchParams) {
+  const sort = searchParams.get("sort");
+  const options = { ...DEFAULT_LIST_OPTIONS };
+  if (SORT_FIELDS.includes(sort)) options.sort = sort;
+  const order = searchParams.get("order");
+  options.order =
+    order === "asc" || order === "desc" ? order : defaultOrder(options.sort);
+  for (const key of DATE_FILTERS) {
+    const day = searchParams.get(key) ?? "";
+    if (!Number.isNaN(startOfDay(day))) options[key] = day;
+  }
+  return options;
+}
+
+/**
+ * writeListOptions(searchParams, options) → new URLSearchParams
+ * `searchParams` with the list options set; defaults are left out, so the
+ * plain dashboard keeps a plain address.
+ */
+export function writeListOptions(searchParams, options) {
+  const next = new URLSearchParams(searchParams);
+  const custom = options.order !== defaultOrder(options.sort);
+  const values = {
+    ...options,
+    sort: options.sort !== "updatedAt" || custom ? options.sort : "",
+    order: custom ? options.order : "",
+  };
+  for (const key of OPTION_KEYS) {
+    if (values[key]) next.set(key, values[key]);
+    else next.delete(key);
+  }
+  return next;
+}
+
+/**
+ * listOptionParams(options) → GET /notes query params
+ * The default order sends nothing, which keeps searches ranked by
+ * relevance. Days go out as the instant they start.
+ */
+export function listOptionParams(options) {
+  const params = {};
+  if (options.sort !== "updatedAt" || options.order !== "desc") {
+    params.sort = options.sort;
+    params.order = options.order;
+  }
+  for (const key of DATE_FILTERS) {
+    if (options[key]) {
+      params[key] = new Date(startOfDay(options[key])).toISOString();
+    }
+  }
+  return params;
+}
+
+/** Whether `note` falls inside the date range of `options`. */
+export function inDateRange(options, note) {
+  return DATE_FILTERS.every((key) => {
+    if (!options[key]) return true;
+    const [field, side] = DATE_BOUNDS[key];
+    const at = new Date(note[field]).getTime();
+    const bound = startOfDay(options[key]);
+    return side === 1 ? at >= bound : at < bound;
+  });
+}
+
+/**
+ * listComparator(options) → the listing order of GET /notes as a sort
+ * comparator: pinned first, then by the sort field, _id breaking ties.
+ * Titles compare ignoring case, as the server does.
+ */
+export function listComparator({ sort, order }) {
+  const direction = order === "asc" ? 1 : -1;
+  const byField =
+    sort === "title"
+      ? (a, b) =>
+          a.title.localeCompare(b.title, "en", { sensitivity: "accent" })
+      : (a, b) => new Date(a[sort]) - new Date(b[sort]);
+  return (a, b) =>
+    Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) ||
+    direction * (byField(a, b) || (a._id < b._id ? -1 : a._id > b._id ? 1 : 0));
+}
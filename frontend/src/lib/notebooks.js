@@ -0,0 +1,42 @@
+/**
+ * Notebook tree helpers. The API returns notebooks as a flat list sorted by
+ * name; these derive the nested views the UI needs.
+ */
+
+/**
+ * flattenNotebooks(notebooks) → [{ ...notebook, depth }]
+ * Depth-first order (each notebook followed by its children), with depth 0
+ * for top-level notebooks. Used by the sidebar tree and "Move to" selects.
+ */
+export function flattenNotebooks(notebooks) {
+  const children = new Map();
+  for (const nb of notebooks) {
+    const key = nb.parent ?? null;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(nb);
+  }
+
+  const out = [];
+  const visit = (parent, depth) => {
+    for (const nb of children.get(parent) ?? []) {
+      out.push({ ...nb, depth });
+      visit(nb._id, depth + 1);
+    }
+  };
+  visit(null, 0);
+  return out;
+}
+
+/**
+ * subtreeIds(notebooks, id) → the id plus the ids of every notebook nested
+ * inside it.
+ */
+export function subtreeIds(notebooks, id) {
+  const ids = [id];
+  for (let i = 0; i < ids.length; i++) {
+    for (const nb of notebooks) {
+      if (nb.parent === ids[i]) ids.push(nb._id);
+    }
+  }
+  return ids;
+}
@@ -0,0 +1,157 @@
+/**
+ * IndexedDB storage behind offline mode.
+ *
+ * Stores:
+ *   notes  — the last known server copy of each note, keyed by _id
+ *   outbox — changes made offline, in the order they were made; see
+ *            lib/outbox.js for the entry shape
+ *   meta   — small values: the signed-in user, and how far the notes store
+ *            has caught up with GET /api/notes/changes
+ *
+ * Everything belongs to one account: clearOfflineData() empties it all on
+ * sign-out or when another account signs in. Every function rejects when
+ * IndexedDB is unavailable (e.g. some private windows); callers treat that
+ * as having nothing stored.
+ */
+
+const DB_NAME = "notevault";
+const DB_VERSION = 1;
+
+let opening = null; // the database, opened once per page
+
+const openDb = () => {
+  if (!opening) {
+    opening = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore("notes", { keyPath: "_id" });
+        db.createObjectStore("outbox", { keyPath: "id", autoIncrement: true });
+        db.createObjectStore("meta");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    opening.catch(() => {
+      opening = null; // let the next call try again
+    });
+  }
+  return opening;
+};
+
+/**
+ * Runs `work(stores)` in one transaction over `names` and resolves with
+ * its result once the transaction has committed.
+ */
+async function transaction(names, mode, work) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, mode);
+    const stores = Object.fromEntries(
+      names.map((name) => [name, tx.objectStore(name)]),
+    );
+    let result;
+    Promise.resolve(work(stores)).then((value) => {
+      result = value;
+    }, reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = tx.onabort = () => reject(tx.error);
+  });
+}
+
+/** An IDBRequest as a promise. */
+const settled = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// ── Notes ─────────────────────────────────────────────────────────────────────
+
+/** getCachedNotes() → every cached note, in no particular order */
+export const getCachedNotes = () =>
+  transaction(["notes"], "readonly", ({ notes }) => settled(notes.getAll()));
+
+/**
+ * cacheNotes(notes) — stores server copies. Search highlights belong to
+ * one query and are left out.
+ */
+export const cacheNotes = (list) =>
+  transaction(["notes"], "readwrite", ({ notes }) => {
+    for (const { highlights: _highlights, ...note } of list) notes.put(note);
+  });
+
+/**
+ * applyNoteChanges(changes, cursor, { replace }) — applies a page of
+ * GET /api/notes/changes and records its cursor, in one transaction.
+ * `replace` empties the cache first, for a copy made from scratch.
+ */
+export const applyNoteChanges = (changes, cursor, { replace = false } = {}) =>
+  transaction(["notes", "meta"], "readwrite", ({ notes, meta }) => {
+    if (replace) notes.clear();
+    for (const change of changes) {
+      if (change.type === "deleted") notes.delete(change.id);
+      else notes.put(change.note);
+    }
+    meta.put(cursor, "changesCursor");
+  });
+
+/** uncacheNote(id) — forgets a note deleted on the server. */
+export const uncacheNote = (id) =>
+  transaction(["notes"], "readwrite", ({ notes }) => {
+    notes.delete(id);
+  });
+
+// ── Outbox ────────────────────────────────────────────────────────────────────
+
+/** getOutbox() → pending entries, oldest first */
+export const getOutbox = () =>
+  transaction(["outbox"], "readonly", ({ outbox }) => settled(outbox.getAll()));
+
+/** addToOutbox(entry) → the id the entry was stored under */
+export const addToOutbox = (entry) =>
+  transaction(["outbox"], "readwrite", ({ outbox }) =>
+    settled(outbox.add(entry)),
+  );
+
+/** putOutboxEntry(entry) — replaces a stored entry (same `id`). */
+export const putOutboxEntry = (entry) =>
+  transaction(["outbox"], "readwrite", ({ outbox }) => {
+    outbox.put(entry);
+  });
+
+/** removeFromOutbox(...ids) */
+export const removeFromOutbox = (...ids) =>
+  transaction(["outbox"], "readwrite", ({ outbox }) => {
+    for (const id of ids) outbox.delete(id);
+  });
+
+// ── Meta ──────────────────────────────────────────────────────────────────────
+
+/** getRememberedUser() → the user whose data is stored, or undefined */
+export const getRememberedUser = () =>
+  transaction(["meta"], "readonly", ({ meta }) => settled(meta.get("user")));
+
+/** getChangesCursor() → the cursor of the last applied changes, or undefined */
+export const getChangesCursor = () =>
+  transaction(["meta"], "readonly", ({ meta }) =>
+    settled(meta.get("changesCursor")),
+  );
+
+/**
+ * rememberUser(user) — records who the stored data belongs to. Another
+ * account's data is cleared first.
+ */
+export async function rememberUser(user) {
+  const previous = await getRememberedUser();
+  if (previous && previous.id !== user.id) await clearOfflineData();
+  await transaction(["meta"], "readwrite", ({ meta }) => {
+    meta.put(user, "user");
+  });
+}
+
+/** clearOfflineData() — empties every store. */
+export const clearOfflineData = () =>
+  transaction(["notes", "outbox", "meta"], "readwrite", (stores) => {
+    Object.values(stores).forEach((store) => store.clear());
+  });
@@ -0,0 +1,275 @@
+import api from "../api/axios";
+import { isNetworkError } from "./api";
+import {
+  addToOutbox,
+  cacheNotes,
+  getOutbox,
+  putOutboxEntry,
+  removeFromOutbox,
+  uncacheNote,
+} from "./offlineStore";
+
+/**
+ * The outbox — note changes made while the API was out of reach, kept in
+ * IndexedDB (lib/offlineStore.js) and sent in order once it answers again.
+ *
+ * Entries:
+ *   { id, op: "create", noteId, fields: { title, content, tags, notebook } }
+ *   { id, op: "update", noteId, fields: { title, content, tags }, version }
+ *   { id, op: "delete", noteId }
+ * each with `queuedAt` and `changedAt` timestamps. `noteId` is the id the
+ * list knows the note by — a temporary "local-…" id for a note that does
+ * not exist on the server yet. `version` is the server version the edits
+ * were based on, sent as If-Match.
+ *
+ * There is at most one entry per note: later changes are folded into the
+ * pending one. An entry the server turned down keeps its place with a
+ * `problem` until the user decides what to do:
+ *   { type: "conflict", server } — the note changed on the server (412)
+ *   { type: "deleted" }          — the note is gone from the server (404)
+ *   { type: "rejected", message } — any other refusal, e.g. validation
+ */
+
+const now = () => new Date().toISOString();
+
+const localId = () =>
+  `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/** Whether `id` is a temporary id given to a note created offline. */
+export const isLocalId = (id) => id.startsWith("local-");
+
+// ── Showing pending changes ───────────────────────────────────────────────────
+
+/** The note created by a pending "create" entry, as the list shows it. */
+const createdNote = (entry) => ({
+  _id: entry.noteId,
+  ...entry.fields,
+  pinned: false,
+  archivedAt: null,
+  deletedAt: null,
+  version: 0,
+  createdAt: entry.queuedAt,
+  updatedAt: entry.changedAt,
+  pending: true,
+});
+
+/** `note` with a pending "update" entry applied. */
+const updatedNote = (note, entry) => ({
+  ...note,
+  ...entry.fields,
+  updatedAt: entry.changedAt,
+  pending: true,
+});
+
+/**
+ * withPendingChanges(notes, entries) → notes as the user last left them:
+ * queued edits applied and queued deletions removed. Notes created offline
+ * are not added — see pendingNotes().
+ */
+export function withPendingChanges(notes, entries) {
+  const byNote = new Map(entries.map((entry) => [entry.noteId, entry]));
+  return notes
+    .filter((note) => byNote.get(note._id)?.op !== "delete")
+    .map((note) => {
+      const entry = byNote.get(note._id);
+      return entry?.op === "update" ? updatedNote(note, entry) : note;
+    });
+}
+
+/** pendingNotes(entries) → the notes created offline and not yet sent */
+export const pendingNotes = (entries) =>
+  entries.filter((entry) => entry.op === "create").map(createdNote);
+
+// ── Queueing ──────────────────────────────────────────────────────────────────
+
+/** queueCreate(fields) → the new note, under a temporary id */
+export async function queueCreate(fields) {
+  const time = now();
+  const entry = {
+    op: "create",
+    noteId: localId(),
+    fields,
+    queuedAt: time,
+    changedAt: time,
+  };
+  await addToOutbox(entry);
+  return createdNote(entry);
+}
+
+/**
+ * queueUpdate(noteId, fields, version) — edits to a note that already has
+ * a pending entry are folded into it, which keeps that entry's base
+ * version.
+ */
+export async function queueUpdate(noteId, fields, version) {
+  const time = now();
+  const pending = (await getOutbox()).find(
+    (entry) => entry.noteId === noteId && entry.op !== "delete",
+  );
+  if (pending) {
+    await putOutboxEntry({
+      ...pending,
+      fields: { ...pending.fields, ...fields },
+      changedAt: time,
+    });
+    return;
+  }
+  await addToOutbox({
+    op: "update",
+    noteId,
+    fields,
+    version,
+    queuedAt: time,
+    changedAt: time,
+  });
+}
+
+/**
+ * queueDelete(noteId) — moves the note to the trash once sent. Pending
+ * changes to it are dropped; a note that never reached the server simply
+ * disappears.
+ */
+export async function queueDelete(noteId) {
+  const pending = (await getOutbox()).filter(
+    (entry) => entry.noteId === noteId,
+  );
+  await removeFromOutbox(...pending.map((entry) => entry.id));
+  if (pending.some((entry) => entry.op === "create")) return;
+  const time = now();
+  await addToOutbox({ op: "delete", noteId, queuedAt: time, changedAt: time });
+}
+
+// ── Resolving problems ────────────────────────────────────────────────────────
+
+/**
+ * resolveProblem(entry, choice) — what to do with an entry the server
+ * turned down:
+ *   "mine"   — send it again over the server copy (conflict), or as a new
+ *              note (deleted)
+ *   "theirs" — drop it and keep what the server has
+ * The caller replays the outbox afterwards.
+ */
+export async function resolveProblem(entry, choice) {
+  if (choice === "theirs") {
+    await removeFromOutbox(entry.id);
+    return;
+  }
+  const { problem, ...rest } = entry;
+  await putOutboxEntry(
+    problem.type === "deleted"
+      ? { ...rest, op: "create", fields: { ...rest.fields, notebook: null } }
+      : problem.type === "conflict"
+        ? { ...rest, version: problem.server.version }
+        : rest,
+  );
+}
+
+// ── Replay ────────────────────────────────────────────────────────────────────
+
+const send = async (entry) => {
+  switch (entry.op) {
+    case "create":
+      return (await api.post("/notes", entry.fields)).data.note;
+    case "update":
+      return (
+        await api.put(`/notes/${entry.noteId}`, entry.fields, {
+          headers: { "If-Match": `"${entry.version}"` },
+        })
+      ).data.note;
+    default:
+      await api.delete(`/notes/${entry.noteId}`);
+      return null;
+  }
+};
+
+/**
+ * The server's answer to a refused entry as a `problem`, or null when the
+ * entry should simply be retried later (offline, server error, signed out).
+ */
+function problemFor(entry, err) {
+  const status = err.response?.status;
+  if (isNetworkError(err) || status >= 500 || status === 401) return null;
+  if (status === 412 && err.response.data?.note) {
+    return { type: "conflict", server: err.response.data.note };
+  }
+  if (status === 404 && entry.op === "update") return { type: "deleted" };
+  return {
+    type: "rejected",
+    message: err.response.data?.message || "The server refused this change.",
+  };
+}
+
+/**
+ * Records that `entry` reached the server as `note` (null for a deletion)
+ * and returns the note as the list should now show it, or null when it
+ * should not be shown. An entry the user changed again while the request
+ * was in flight stays queued, rebased on `note`.
+ */
+async function settle(entry, note) {
+  const current = (await getOutbox()).find((e) => e.id === entry.id);
+  if (note) await cacheNotes([note]);
+  else await uncacheNote(entry.noteId);
+
+  if (!current) {
+    // Deleted while the request was in flight. A new note now exists on
+    // the server under its real id — queue that for deletion instead.
+    if (entry.op === "create") await queueDelete(note._id);
+    return null;
+  }
+  if (JSON.stringify(current.fields) === JSON.stringify(entry.fields)) {
+    await removeFromOutbox(entry.id);
+    return note;
+  }
+  const rest = {
+    ...current,
+    op: "update",
+    noteId: note._id,
+    version: note.version,
+  };
+  await putOutboxEntry(rest);
+  return updatedNote(note, rest);
+}
+
+let replaying = null; // one replay at a time, shared by every caller
+
+async function sendAll(onSynced) {
+  const skipped = new Set(); // entries refused during this replay
+  for (;;) {
+    const entry = (await getOutbox()).find(
+      (e) => !e.problem && !skipped.has(e.id),
+    );
+    if (!entry) return;
+    try {
+      onSynced(entry.noteId, await settle(entry, await send(entry)));
+    } catch (err) {
+      if (entry.op === "delete" && err.response?.status === 404) {
+        onSynced(entry.noteId, await settle(entry, null)); // already gone
+        continue;
+      }
+      const problem = problemFor(entry, err);
+      if (!problem) return; // try again on the next replay
+      if (problem.type === "conflict") await cacheNotes([problem.server]);
+      if (problem.type === "deleted") await uncacheNote(entry.noteId);
+      await putOutboxEntry({ ...entry, problem });
+      skipped.add(entry.id);
+    }
+  }
+}
+
+/**
+ * replayOutbox(onSynced) → Promise
+ *
+ * Sends pending entries oldest first. After each one lands, calls
+ * onSynced(noteId, note): `note` is the note as the list should now show
+ * it — with any newer local edits still applied — or null when it is
+ * gone. Entries the server refuses get a `problem` and are skipped; the
+ * replay stops at the first one that cannot be sent for now.
+ */
+export function replayOutbox(onSynced) {
+  if (!replaying) {
+    replaying = sendAll(onSynced).finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+}
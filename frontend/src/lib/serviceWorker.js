@@ -0,0 +1,15 @@
+/**
+ * registerServiceWorker() — installs public/sw.js, which keeps the app
+ * shell cached so the dashboard opens without a connection.
+ *
+ * Production builds only: in development the worker would serve stale
+ * modules over Vite's hot reloading.
+ */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch(() => {
+      // No offline shell, e.g. in a private window — the app works as usual.
+    });
+  });
+}
@@ -70,3 +70,101 @@ export function validateRegister({ name, email, password, confirmPassword }) {
 
   return errors;
 }
+
+/**
+ * Validates the forgot-password form.
+ * @param {{ email: string }} fields
+ * @returns {Object} errors — empty object means valid
+ */
+export function validateForgotPassword({ email }) {
+  const errors = {};
+  if (!email.trim()) {
+    errors.email = "Email is required";
+  } else if (!EMAIL_RE.test(email.trim())) {
+    errors.email = "Please enter a valid email address";
+  }
+  return errors;
+}
+
+/**
+ * Validates the reset-password form (new password + confirmation).
+ * @param {{ password: string, confirmPassword: string }} fields
+ * @returns {Object} errors — empty object means valid
+ */
+export function validateResetPassword({ password, confirmPassword }) {
+  const errors = {};
+  if (!password) {
+    errors.password = "Password is required";
+  } else if (!PASSWORD_RE.test(password)) {
+    errors.password =
+      "Password must be 8-128 characters with uppercase, lowercase, and a number";
+  }
+  if (!confirmPassword) {
+    errors.confirmPassword = "Please confirm your password";
+  } else if (password !== confirmPassword) {
+    errors.confirmPassword = "Passwords do not match";
+  }
+  return errors;
+}
+
+/**
+ * Validates the profile form on the settings page.
+ * @param {{ name: string, email: string, emailPassword: string }} fields
+ * @param {string} currentEmail — the password is only needed to change it
+ * @returns {Object} errors — empty object means valid
+ */
+export function validateProfile({ name, email, emailPassword }, currentEmail) {
+  const errors = {};
+
+  const trimmedName = name.trim();
+  if (!trimmedName) {
+    errors.name = "Name is required";
+  } else if (trimmedName.length < 2 || trimmedName.length > 50) {
+    errors.name = "Name must be 2-50 characters";
+  } else if (!PRINTABLE_RE.test(trimmedName)) {
+    errors.name = "Name contains invalid characters";
+  }
+
+  if (!email.trim()) {
+    errors.email = "Email is required";
+  } else if (!EMAIL_RE.test(email.trim())) {
+    errors.email = "Please enter a valid email address";
+  } else if (
+    email.trim().toLowerCase() !== currentEmail.toLowerCase() &&
+    !emailPassword
+  ) {
+    errors.emailPassword = "Enter your current password to change your email";
+  }
+
+  return errors;
+}
+
+/**
+ * Validates the change-password form.
+ * @param {{ currentPassword: string, newPassword: string, confirmPassword: string }} fields
+ * @returns {Object} errors — empty object means valid
+ */
+export function validateChangePassword({
+  currentPassword,
+  newPassword,
+  confirmPassword,
+}) {
+  const errors = {};
+  if (!currentPassword) {
+    errors.currentPassword = "Current password is required";
+  }
+  if (!newPassword) {
+    errors.newPassword = "New password is required";
+  } else if (!PASSWORD_RE.test(newPassword)) {
+    errors.newPassword =
+      "Password must be 8-128 characters with uppercase, lowercase, and a number";
+  } else if (newPassword === currentPassword) {
+    errors.newPassword = "New password must differ from the current one";
+  }
+  if (!confirmPassword) {
+    errors.confirmPassword = "Please confirm your new password";
+  } else if (newPassword !== confirmPassword) {
+    errors.confirmPassword = "Passwords do not match";
+  }
+  return errors;
+}
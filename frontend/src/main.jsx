@@ -2,6 +2,7 @@ import { StrictMode } from "react";
 import { createRoot } from "react-dom/client";
 import { BrowserRouter } from "react-router-dom";
 import { AuthProvider } from "./context/AuthContext";
+import { registerServiceWorker } from "./lib/serviceWorker";
 import App from "./App.jsx";
 import "./index.css";
 
@@ -20,3 +21,5 @@ createRoot(document.getElementById("root")).render(
     </BrowserRouter>
   </StrictMode>,
 );
+
+registerServiceWorker();
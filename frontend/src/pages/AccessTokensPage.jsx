@@ -0,0 +1,90 @@
+import { useState } from "react";
+import { useAccessTokens } from "../hooks/useAccessTokens";
+import AppHeader from "../components/AppHeader";
+import Alert from "../components/ui/Alert";
+import Spinner from "../components/ui/Spinner";
+import AccountNav from "../components/account/AccountNav";
+import AccessTokenForm from "../components/account/AccessTokenForm";
+import AccessTokenItem from "../components/account/AccessTokenItem";
+
+/**
+ * AccessTokensPage — personal access tokens for scripts (/account/tokens).
+ *
+ * Tokens are created with a name, scopes and an expiry, listed with when
+ * they were last used, and revoked individually. A revoked token stops
+ * working on its next request. A password change or reset deletes them all.
+ *
+ * Auth: only reachable via PrivateRoute.
+ */
+export default function AccessTokensPage() {
+  const { tokens, loading, error, saving, createToken, revokeToken } =
+    useAccessTokens();
+  const [message, setMessage] = useState(null); // { type, text } | null
+
+  const handleRevoke = async ({ _id }) => {
+    setMessage(null);
+    const result = await revokeToken(_id);
+    setMessage({
+      type: result.success ? "success" : "error",
+      text: result.message,
+    });
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AppHeader />
+
+      <main id="main-content" className="mx-auto max-w-3xl px-4 py-8 sm:px-6">
+        <h1 className="mb-4 text-2xl font-bold tracking-tight text-gray-900">
+          Account settings
+        </h1>
+        <AccountNav />
+
+        <AccessTokenForm onCreate={createToken} saving={saving} />
+
+        <h2 className="mt-8 text-base font-semibold text-gray-900">
+          Your tokens
+        </h2>
+        <p className="mb-3 mt-0.5 text-sm text-gray-500">
+          Changing or resetting your password deletes every token.
+        </p>
+
+        {message && (
+          <div className="mb-6">
+            <Alert
+              type={message.type}
+              message={message.text}
+              onDismiss={() => setMessage(null)}
+            />
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <Spinner color="text-indigo-500" />
+          </div>
+        ) : error ? (
+          <Alert type="error" message={error} />
+        ) : tokens.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            You haven&apos;t created any access tokens yet.
+          </p>
+        ) : (
+          <ul
+            aria-label="Personal access tokens"
+            className="divide-y divide-gray-100 rounded-2xl bg-white shadow-sm ring-1 ring-gray-200"
+          >
+            {tokens.map((token) => (
+              <AccessTokenItem
+                key={token._id}
+                token={token}
+                onRevoke={handleRevoke}
+                disabled={saving}
+              />
+            ))}
+          </ul>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import { useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import Alert from "../components/ui/Alert";
+import Spinner from "../components/ui/Spinner";
+
+/**
+ * ConfirmEmailPage — completes an email change (/confirm-email/:token,
+ * linked from the email sent to the new address).
+ *
+ * Confirmation takes a click rather than happening on load, so mail
+ * scanners that open links cannot spend the single-use token. Works
+ * whether or not this browser is signed in.
+ */
+export default function ConfirmEmailPage() {
+  const { token } = useParams();
+  const { token: session, initializing, confirmEmail } = useAuth();
+  const [saving, setSaving] = useState(false);
+  const [result, setResult] = useState(null); // { success, message } | null
+
+  const handleConfirm = async () => {
+    setSaving(true);
+    try {
+      setResult(await confirmEmail(token));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const linkClass =
+    "font-medium text-indigo-600 hover:text-indigo-500 focus:outline-none focus:underline";
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-gray-50 px-4 py-12 sm:px-6 lg:px-8">
+      <div className="w-full max-w-md space-y-8">
+        {/* Header */}
+        <div className="text-center">
+          <div
+            className="mx-auto mb-4 flex h-12 w-12 items-center justify-center rounded-full bg-indigo-600"
+            aria-hidden="true"
+          >
+            <svg
+              className="h-6 w-6 text-white"
+              fill="none"
+              stroke="currentColor"
+              strokeWidth={2}
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z"
+              />
+            </svg>
+          </div>
+          <h1 className="text-2xl font-bold tracking-tight text-gray-900">
+            Confirm your email address
+          </h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Switch your NoteVault account to this address
+          </p>
+        </div>
+
+        {/* Card */}
+        <div className="space-y-6 rounded-2xl bg-white px-6 py-10 shadow-sm ring-1 ring-gray-200 sm:px-8">
+          {result && (
+            <Alert
+              type={result.success ? "success" : "error"}
+              message={result.message}
+            />
+          )}
+
+          {!result?.success && (
+            <button
+              type="button"
+              onClick={handleConfirm}
+              disabled={saving}
+              aria-busy={saving}
+              className="flex w-full items-center justify-center gap-2 rounded-lg bg-indigo-600 px-4 py-2.5 text-sm font-semibold text-white shadow-sm transition hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-60"
+            >
+              {saving && <Spinner size="h-4 w-4" />}
+              Confirm email address
+            </button>
+          )}
+
+          {!initializing && (
+            <p className="text-center text-sm text-gray-500">
+              {session ? (
+                <Link to="/account" className={linkClass}>
+                  Go to account settings
+                </Link>
+              ) : (
+                <Link to="/login" className={linkClass}>
+                  Sign in
+                </Link>
+              )}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
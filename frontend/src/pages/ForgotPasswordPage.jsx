@@ -0,0 +1,171 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import Alert from "../components/ui/Alert";
+import Input from "../components/ui/Input";
+import Spinner from "../components/ui/Spinner";
+import { useFormFields } from "../hooks/useFormFields";
+import { usePasswordReset } from "../hooks/usePasswordReset";
+import { validateForgotPassword } from "../lib/validators";
+
+/**
+ * ForgotPasswordPage — first step of a password reset (/forgot-password).
+ *
+ * Asks for the account's email address and has the server email a reset
+ * link to it. The confirmation reads the same whether or not an account
+ * uses the address; the server never tells.
+ */
+export default function ForgotPasswordPage() {
+  const { requestReset, loading, error, clearError } = usePasswordReset();
+  const [sentMsg, setSentMsg] = useState("");
+
+  const {
+    fields,
+    fieldErrors,
+    submittingRef,
+    handleChange,
+    focusFirstError,
+    markErrors,
+    isValid,
+  } = useFormFields({ email: "" }, clearError);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (submittingRef.current || loading) return;
+
+    const errors = validateForgotPassword(fields);
+    if (Object.keys(errors).length > 0) {
+      markErrors(errors);
+      focusFirstError(errors);
+      return;
+    }
+
+    submittingRef.current = true;
+    try {
+      const result = await requestReset(fields.email.trim());
+      if (result.success) {
+        setSentMsg(result.message);
+      } else if (result.fieldErrors?.length) {
+        const mapped = Object.fromEntries(
+          result.fieldErrors.map(({ field, message }) => [field, message]),
+        );
+        markErrors(mapped);
+        focusFirstError(mapped);
+      }
+    } finally {
+      submittingRef.current = false;
+    }
+  };
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-gray-50 px-4 py-12 sm:px-6 lg:px-8">
+      <div className="w-full max-w-md space-y-8">
+        {/* Header */}
+        <div className="text-center">
+          <div
+            className="mx-auto mb-4 flex h-12 w-12 items-center justify-center rounded-full bg-indigo-600"
+            aria-hidden="true"
+          >
+            <svg
+              className="h-6 w-6 text-white"
+              fill="none"
+              stroke="currentColor"
+              strokeWidth={2}
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                d="M15 7a2 2 0 012 2m4 0a6 6 0 01-7.743 5.743L11 17H9v2H7v2H4a1 1 0 01-1-1v-2.586a1 1 0 01.293-.707l5.964-5.964A6 6 0 1121 9z"
+              />
+            </svg>
+          </div>
+          <h1 className="text-2xl font-bold tracking-tight text-gray-900">
+            Forgot your password?
+          </h1>
+          <p className="mt-1 text-sm text-gray-500">
+            We&apos;ll email you a link to choose a new one
+          </p>
+        </div>
+
+        {/* Card */}
+        <div className="rounded-2xl bg-white px-6 py-10 shadow-sm ring-1 ring-gray-200 sm:px-8">
+          {sentMsg ? (
+            <div className="space-y-4">
+              <Alert type="success" message={sentMsg} />
+              <p className="text-sm text-gray-500">
+                The link expires soon and works only once. Nothing arrived?
+                Check your spam folder, or{" "}
+                <button
+                  type="button"
+                  onClick={() => setSentMsg("")}
+                  className="font-medium text-indigo-600 hover:text-indigo-500 focus:outline-none focus:underline"
+                >
+                  try again
+                </button>
+                .
+              </p>
+            </div>
+          ) : (
+            <>
+              {error && (
+                <div className="mb-6">
+                  <Alert type="error" message={error} onDismiss={clearError} />
+                </div>
+              )}
+
+              <form
+                onSubmit={handleSubmit}
+                noValidate
+                className="space-y-5"
+                aria-label="Password reset request form"
+              >
+                <Input
+                  autoFocus
+                  label="Email address"
+                  id="email"
+                  name="email"
+                  type="email"
+                  autoComplete="email"
+                  required
+                  value={fields.email}
+                  onChange={handleChange}
+                  error={fieldErrors.email}
+                  valid={isValid("email")}
+                  disabled={loading}
+                  placeholder="you@example.com"
+                />
+
+                <button
+                  type="submit"
+                  disabled={loading}
+                  aria-busy={loading}
+                  aria-disabled={loading}
+                  className="flex w-full items-center justify-center gap-2 rounded-lg bg-indigo-600 px-4 py-2.5 text-sm font-semibold text-white shadow-sm transition hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-60"
+                >
+                  {loading ? (
+                    <>
+                      <Spinner size="h-4 w-4" />
+                      <span>Sending…</span>
+                    </>
+                  ) : (
+                    "Send reset link"
+                  )}
+                </button>
+              </form>
+            </>
+          )}
+
+          <p className="mt-6 text-center text-sm text-gray-500">
+            Remembered it?{" "}
+            <Link
+              to="/login"
+              className="font-medium text-indigo-600 hover:text-indigo-500 focus:outline-none focus:underline"
+            >
+              Back to sign in
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -4,15 +4,23 @@ import { useAuth } from "../context/AuthContext";
 import Alert from "../components/ui/Alert";
 import Input from "../components/ui/Input";
 import Spinner from "../components/ui/Spinner";
+import TwoFactorLoginForm from "../components/account/TwoFactorLoginForm";
 import { useFormFields } from "../hooks/useFormFields";
 import { validateLogin } from "../lib/validators";
 
+/**
+ * LoginPage — email and password, then, for accounts with two-factor
+ * authentication, the code step (TwoFactorLoginForm). Redirects to the page
+ * that sent the user here once a session exists.
+ */
 export default function LoginPage() {
   const navigate = useNavigate();
   const location = useLocation();
   const { login, loading, error, clearError, token } = useAuth();
+  const [challenge, setChallenge] = useState(null); // set → code step
 
-  const [successMsg, setSuccessMsg] = useState("");
+  // Arriving from ResetPasswordPage: show its confirmation.
+  const [successMsg, setSuccessMsg] = useState(location.state?.notice ?? "");
   const from = location.state?.from?.pathname || "/dashboard";
 
   const {
@@ -48,7 +56,9 @@ export default function LoginPage() {
         password: fields.password,
       });
 
-      if (result.success) {
+      if (result.twoFactorRequired) {
+        setChallenge(result.challenge);
+      } else if (result.success) {
         setSuccessMsg("Login successful! Redirecting…");
         setTimeout(() => navigate(from, { replace: true }), 800);
       } else if (result.fieldErrors?.length) {
@@ -90,7 +100,9 @@ export default function LoginPage() {
             Welcome back
           </h1>
           <p className="mt-1 text-sm text-gray-500">
-            Sign in to your account to continue
+            {challenge
+              ? "One more step: confirm it's you"
+              : "Sign in to your account to continue"}
           </p>
         </div>
 
@@ -109,59 +121,79 @@ export default function LoginPage() {
             />
           )}
 
-          <form
-            onSubmit={handleSubmit}
-            noValidate
-            className="space-y-5"
-            aria-label="Sign in form"
-          >
-            <Input
-              autoFocus
-              label="Email address"
-              id="email"
-              name="email"
-              type="email"
-              autoComplete="email"
-              required
-              value={fields.email}
-              onChange={handleChange}
-              error={fieldErrors.email}
-              valid={isValid("email")}
-              disabled={loading}
-              placeholder="you@example.com"
+          {challenge ? (
+            <TwoFactorLoginForm
+              challenge={challenge}
+              onExpired={() => setChallenge(null)}
+              onCancel={() => {
+                setChallenge(null);
+                clearError();
+              }}
             />
+          ) : (
+            <form
+              onSubmit={handleSubmit}
+              noValidate
+              className="space-y-5"
+              aria-label="Sign in form"
+            >
+              <Input
+                autoFocus
+                label="Email address"
+                id="email"
+                name="email"
+                type="email"
+                autoComplete="email"
+                required
+                value={fields.email}
+                onChange={handleChange}
+                error={fieldErrors.email}
+                valid={isValid("email")}
+                disabled={loading}
+                placeholder="you@example.com"
+              />
 
-            <Input
-              label="Password"
-              id="password"
-              name="password"
-              type="password"
-              autoComplete="current-password"
-              required
-              value={fields.password}
-              onChange={handleChange}
-              error={fieldErrors.password}
-              valid={isValid("password")}
-              disabled={loading}
-            />
+              <Input
+                label="Password"
+                id="password"
+                name="password"
+                type="password"
+                autoComplete="current-password"
+                required
+                value={fields.password}
+                onChange={handleChange}
+                error={fieldErrors.password}
+                valid={isValid("password")}
+                disabled={loading}
+              />
 
-            <button
-              type="submit"
-              disabled={loading}
-              aria-busy={loading}
-              aria-disabled={loading}
-              className="flex w-full items-center justify-center gap-2 rounded-lg bg-indigo-600 px-4 py-2.5 text-sm font-semibold text-white shadow-sm transition hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-60"
-            >
-              {loading ? (
-                <>
-                  <Spinner size="h-4 w-4" />
-                  <span>Signing in…</span>
-                </>
-              ) : (
-                "Sign in"
-              )}
-            </button>
-          </form>
+              <div className="-mt-2 text-right">
+                <Link
+                  to="/forgot-password"
+                  className="text-xs font-medium text-indigo-600 hover:text-indigo-500 focus:outline-none focus:underline"
+                >
+                  Forgot your password?
+                </Link>
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading}
+                aria-busy={loading}
+                aria-disabled={loading}
+                className="flex w-full items-center justify-center gap-2 rounded-lg bg-indigo-600 px-4 py-2.5 text-sm font-semibold text-white shadow-sm transition hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-60"
+              >
+                {loading ? (
+                  <>
+                    <Spinner size="h-4 w-4" />
+                    <span>Signing in…</span>
+                  </>
+                ) : (
+                  "Sign in"
+                )}
+              </button>
+            </form>
+          )}
 
           <p className="mt-6 text-center text-sm text-gray-500">
             Don&apos;t have an account?{" "}
@@ -1,50 +1,265 @@
-import { useState } from "react";
-import { useNavigate } from "react-router-dom";
-import { useAuth } from "../context/AuthContext";
+import { useEffect, useMemo, useState } from "react";
+import { useSearchParams } from "react-router-dom";
 import { useNotes } from "../hooks/useNotes";
+import { useNotebooks } from "../hooks/useNotebooks";
+import { useTags } from "../hooks/useTags";
+import { flattenNotebooks, subtreeIds } from "../lib/notebooks";
+import {
+  DATE_FILTERS,
+  readListOptions,
+  writeListOptions,
+} from "../lib/noteList";
+import { isLocalId } from "../lib/outbox";
+import AppHeader from "../components/AppHeader";
 import Alert from "../components/ui/Alert";
+import LoadMore from "../components/ui/LoadMore";
 import Pagination from "../components/ui/Pagination";
+import BulkActionBar from "../components/notes/BulkActionBar";
+import NotebookDeleteDialog from "../components/notebooks/NotebookDeleteDialog";
+import NotebookSidebar from "../components/notebooks/NotebookSidebar";
 import CreateNoteForm from "../components/notes/CreateNoteForm";
 import DeleteConfirmDialog from "../components/notes/DeleteConfirmDialog";
 import EditNoteModal from "../components/notes/EditNoteModal";
 import EmptyNotesState from "../components/notes/EmptyNotesState";
+import ExportNotesButton from "../components/notes/ExportNotesButton";
+import ImportNotesDialog from "../components/notes/ImportNotesDialog";
 import NoteCard from "../components/notes/NoteCard";
+import NoteListOptions from "../components/notes/NoteListOptions";
+import NoteSearchBar from "../components/notes/NoteSearchBar";
+import ShareNoteDialog from "../components/notes/ShareNoteDialog";
+import SyncProblemDialog from "../components/notes/SyncProblemDialog";
+import SyncStatusBanner from "../components/notes/SyncStatusBanner";
+import TagFilter from "../components/notes/TagFilter";
 import NoteSkeletons from "../components/notes/NoteSkeletons";
 
 /**
  * NotesPage — the main protected dashboard.
  *
  * Layout:
- *   - Top navigation bar (brand + user info + sign-out)
+ *   - Top navigation bar (AppHeader: brand, Notes/Trash links, sign-out)
  *   - Skip-nav link for keyboard users
- *   - Sticky page header with title and note count
- *   - CreateNoteForm (collapsible inline form)
+ *   - NotebookSidebar (notebook tree; selecting one filters the grid)
+ *   - Sticky page header with title, note count, select, archive, import
+ *     and export
+ *   - SyncStatusBanner (offline copy, changes waiting to sync, problems)
+ *   - NoteSearchBar (debounced full-text search)
+ *   - TagFilter (tag chips with usage counts, any/all matching)
+ *   - NoteListOptions (sort order, created and updated date ranges) — kept
+ *     in the query string, so a reload, a shared link or back and forward
+ *     bring the same view
+ *   - BulkActionBar (selection mode: one action on every selected note)
+ *   - CreateNoteForm (collapsible inline form; files into the open notebook)
  *   - 3-column responsive notes grid
  *   - Skeleton loading state while fetching
  *   - EmptyNotesState when there are no notes
- *   - Pagination controls
+ *   - Pagination controls, or infinite scroll (LoadMore) — a per-device
+ *     choice; searches are always paged
  *   - Edit modal (portal-like overlay)
- *   - Delete confirmation dialog
+ *   - Share dialog (public read-only links)
+ *   - Delete confirmation dialog (moves the note to the Trash)
+ *   - Notebook delete dialog (choose what happens to the notes inside)
+ *   - Import wizard (files → destination notebook → per-note report)
+ *   - Sync problem dialog (offline changes the server turned down)
+ *
+ * Offline the grid shows the device copy of the notes (see useNotes);
+ * creating, editing and deleting still work, while the actions that need
+ * the server — select, import, export, share, move — are switched off.
  *
  * Auth: only reachable via PrivateRoute; unauthenticated access bounces to /login.
  */
 export default function NotesPage() {
-  const { user, logout } = useAuth();
-  const navigate = useNavigate();
-  const { state, actions } = useNotes();
-  const { notes, total, pages, page, loading, saving, error } = state;
-  const { createNote, updateNote, deleteNote, setPage, clearError } = actions;
+  const [searchParams, setSearchParams] = useSearchParams();
+  const urlListOptions = useMemo(
+    () => readListOptions(searchParams),
+    [searchParams],
+  );
+  const { state, actions } = useNotes(urlListOptions);
+  const {
+    notes,
+    total,
+    pages,
+    page,
+    query,
+    tags: tagFilter,
+    tagMode,
+    notebook: notebookFilter,
+    archived,
+    listOptions,
+    infinite,
+    nextCursor,
+    loading,
+    loadingMore,
+    saving,
+    offline,
+    pendingChanges,
+    syncProblems,
+    error,
+  } = state;
+  const {
+    fetchNotes,
+    loadMore,
+    createNote,
+    updateNote,
+    restoreRevision,
+    moveNote,
+    deleteNote,
+    bulkAction,
+    resolveSyncProblem,
+    setPage,
+    setQuery,
+    setTagFilter,
+    setNotebook,
+    setArchived,
+    setListOptions,
+    setInfinite,
+    clearError,
+  } = actions;
+
+  // The query string leads: the controls only change the address, and the
+  // list follows it — back and forward included.
+  useEffect(() => {
+    setListOptions(urlListOptions);
+  }, [urlListOptions, setListOptions]);
+
+  const handleListOptions = (options) =>
+    setSearchParams((params) => writeListOptions(params, options));
+  const dated = DATE_FILTERS.some((key) => listOptions[key]);
+  // Re-fetched whenever the notes list changes so counts stay accurate
+  const { tags } = useTags(notes);
+  const {
+    notebooks,
+    unfiledCount,
+    saving: notebookSaving,
+    createNotebook,
+    updateNotebook,
+    deleteNotebook,
+  } = useNotebooks(notes);
+  const notebookOptions = flattenNotebooks(notebooks);
+  const currentNotebook = notebooks.find((nb) => nb._id === notebookFilter);
 
   // Modal / dialog state
   const [editingNote, setEditingNote] = useState(null); // note object | null
+  const [sharingNote, setSharingNote] = useState(null); // note object | null
   const [deletingNote, setDeletingNote] = useState(null); // note object | null
+  const [deletingNotebook, setDeletingNotebook] = useState(null); // notebook | null
+  const [notebookError, setNotebookError] = useState(null);
+  const [exportError, setExportError] = useState(null);
+  const [importOpen, setImportOpen] = useState(false);
+  const [reviewingSync, setReviewingSync] = useState(false);
 
-  const handleLogout = () => {
-    logout();
-    navigate("/login", { replace: true });
-  };
+  // Selection mode — ids stay selected across pages until acted on
+  const [selecting, setSelecting] = useState(false);
+  const [selected, setSelected] = useState([]); // note ids
+  const [bulkResult, setBulkResult] = useState(null); // { type, message } | null
+  const allSelected =
+    notes.length > 0 && notes.every((note) => selected.includes(note._id));
+
+  // The notebook being deleted plus everything nested inside it
+  const deletingIds = deletingNotebook
+    ? subtreeIds(notebooks, deletingNotebook._id)
+    : [];
+  const deletingNoteCount = notebooks
+    .filter((nb) => deletingIds.includes(nb._id))
+    .reduce((sum, nb) => sum + nb.noteCount, 0);
+
+  // Sharing and moving need the note to exist on a reachable server
+  const online = (note) => !offline && !isLocalId(note._id);
 
   // ── Handlers ──────────────────────────────────────────────────────────────
+  const handleTagClick = (tag) => {
+    if (!tagFilter.includes(tag)) setTagFilter({ tags: [...tagFilter, tag] });
+  };
+
+  // Keep the open modal in sync with the restored version
+  const handleRestoreRevision = async (id, rev) => {
+    const result = await restoreRevision(id, rev);
+    if (result.success) setEditingNote(result.note);
+    return result;
+  };
+
+  // New notes go into the notebook being viewed
+  const handleCreate = (fields) =>
+    createNote({ ...fields, notebook: currentNotebook?._id ?? null });
+
+  const handleMove = (note, notebook) => moveNote(note._id, notebook);
+
+  // Searches are always paged
+  const scrolling = infinite && !query;
+
+  // Re-fetch the current page (or first batch) with the current filters
+  const reload = () =>
+    fetchNotes(page, {
+      q: query,
+      tags: tagFilter,
+      tagMode,
+      notebook: notebookFilter,
+      archived,
+      listOptions,
+      infinite,
+    });
+
+  const toggleSelect = (note) =>
+    setSelected((ids) =>
+      ids.includes(note._id)
+        ? ids.filter((id) => id !== note._id)
+        : [...ids, note._id],
+    );
+
+  const handleSelectPage = () => {
+    const pageIds = notes.map((note) => note._id);
+    setSelected((ids) =>
+      allSelected
+        ? ids.filter((id) => !pageIds.includes(id))
+        : [...new Set([...ids, ...pageIds])],
+    );
+  };
+
+  const stopSelecting = () => {
+    setSelecting(false);
+    setSelected([]);
+  };
+
+  // Notes the action failed for stay selected, with the reasons reported;
+  // notes that were already as asked count as handled
+  const handleBulkAction = async (action, extra) => {
+    const result = await bulkAction(selected, action, extra);
+    if (!result.success) return;
+    const failed = result.results.filter((r) => !r.success && !r.unchanged);
+    const reasons = [...new Set(failed.map((r) => r.message))];
+    setBulkResult(
+      failed.length
+        ? {
+            type: "error",
+            message: `${result.message}. ${failed.length} could not be changed: ${reasons.join("; ")}.`,
+          }
+        : { type: "success", message: `${result.message}.` },
+    );
+    setSelected(failed.map((r) => r.id));
+    reload();
+  };
+
+  const handleDeleteNotebook = async (notesMode) => {
+    const result = await deleteNotebook(deletingNotebook._id, notesMode);
+    setDeletingNotebook(null);
+    if (!result.success) {
+      setNotebookError(result.message);
+      return;
+    }
+    // Viewing a deleted notebook falls back to all notes; otherwise reload,
+    // since notes may have moved or gone to the trash.
+    if (deletingIds.includes(notebookFilter)) {
+      setNotebook(null);
+    } else {
+      reload();
+    }
+  };
+
+  // The dialog closes once the last problem is resolved
+  const handleResolveSync = async (entry, choice) => {
+    if (syncProblems.length <= 1) setReviewingSync(false);
+    await resolveSyncProblem(entry, choice);
+  };
+
   const handleDelete = async () => {
     if (!deletingNote) return;
     const result = await deleteNote(deletingNote._id);
@@ -62,127 +277,312 @@ export default function NotesPage() {
       </a>
 
       {/* ── Top navigation ─────────────────────────────────────────────── */}
-      <header className="sticky top-0 z-30 border-b border-gray-200 bg-white/90 backdrop-blur-sm">
-        <div className="mx-auto flex max-w-6xl items-center justify-between px-4 py-3 sm:px-6">
-          {/* Brand */}
-          <div className="flex items-center gap-2.5">
-            <div
-              className="flex h-8 w-8 items-center justify-center rounded-full bg-indigo-600"
-              aria-hidden="true"
-            >
-              <svg
-                className="h-4 w-4 text-white"
-                viewBox="0 0 24 24"
-                fill="none"
-                stroke="currentColor"
-                strokeWidth={2}
+      <AppHeader />
+
+      {/* ── Page body ──────────────────────────────────────────────────── */}
+      <div className="mx-auto max-w-6xl px-4 py-8 sm:px-6 lg:grid lg:grid-cols-[13rem_minmax(0,1fr)] lg:gap-8">
+        {/* ── Notebook sidebar ───────────────────────────────────────────── */}
+        <aside className="mb-6 lg:mb-0">
+          <NotebookSidebar
+            notebooks={notebooks}
+            unfiledCount={unfiledCount}
+            selected={notebookFilter}
+            onSelect={setNotebook}
+            onCreate={createNotebook}
+            onRename={(id, name) => updateNotebook(id, { name })}
+            onDelete={setDeletingNotebook}
+            saving={notebookSaving}
+          />
+        </aside>
+
+        <main id="main-content" className="min-w-0">
+          {/* Page title + count */}
+          <div className="mb-6 flex items-end justify-between">
+            <div>
+              <h1 className="text-2xl font-bold tracking-tight text-gray-900">
+                {archived
+                  ? currentNotebook
+                    ? `Archive · ${currentNotebook.name}`
+                    : "Archive"
+                  : (currentNotebook?.name ??
+                    (notebookFilter === "none" ? "Unfiled notes" : "My Notes"))}
+              </h1>
+              {!loading && (
+                <p className="mt-0.5 text-sm text-gray-500">
+                  {query
+                    ? `${total} result${total !== 1 ? "s" : ""} for “${query}”`
+                    : tagFilter.length
+                      ? `${total} note${total !== 1 ? "s" : ""} tagged ${tagFilter.join(tagMode === "all" ? " + " : " / ")}`
+                      : dated
+                        ? `${total} note${total !== 1 ? "s" : ""} in this date range`
+                        : total === 0
+                          ? archived
+                            ? "No archived notes"
+                            : notebookFilter
+                              ? "No notes here yet"
+                              : "No notes yet"
+                          : `${total} note${total !== 1 ? "s" : ""}`}
+                </p>
+              )}
+            </div>
+            <div className="flex items-center gap-2">
+              <button
+                type="button"
+                onClick={() =>
+                  selecting ? stopSelecting() : setSelecting(true)
+                }
+                disabled={offline}
+                aria-pressed={selecting}
+                className={`rounded-lg px-3 py-1.5 text-xs font-medium transition focus:outline-none focus:ring-2 focus:ring-gray-400 disabled:cursor-not-allowed disabled:opacity-50 ${
+                  selecting
+                    ? "bg-indigo-100 text-indigo-700 hover:bg-indigo-200"
+                    : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+                }`}
               >
-                <path
-                  strokeLinecap="round"
-                  strokeLinejoin="round"
-                  d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
-                />
-              </svg>
+                Select
+              </button>
+              <button
+                type="button"
+                onClick={() => setArchived(!archived)}
+                aria-pressed={archived}
+                className={`rounded-lg px-3 py-1.5 text-xs font-medium transition focus:outline-none focus:ring-2 focus:ring-gray-400 ${
+                  archived
+                    ? "bg-indigo-100 text-indigo-700 hover:bg-indigo-200"
+                    : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+                }`}
+              >
+                Archive
+              </button>
+              <button
+                type="button"
+                onClick={() => setImportOpen(true)}
+                disabled={offline}
+                className="rounded-lg bg-gray-100 px-3 py-1.5 text-xs font-medium text-gray-700 transition hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 disabled:cursor-not-allowed disabled:opacity-50"
+              >
+                Import
+              </button>
+              <ExportNotesButton
+                filters={{
+                  q: query,
+                  tags: tagFilter,
+                  tagMode,
+                  notebook: notebookFilter,
+                  archived,
+                  listOptions,
+                }}
+                disabled={loading || offline || total === 0}
+                onError={setExportError}
+              />
             </div>
-            <span className="text-base font-bold text-gray-900 tracking-tight">
-              NoteVault
-            </span>
           </div>
 
-          {/* User + sign-out */}
-          <div className="flex items-center gap-3">
-            <div className="hidden sm:flex sm:items-center sm:gap-2">
-              <div className="flex h-7 w-7 items-center justify-center rounded-full bg-indigo-100 text-xs font-bold text-indigo-700">
-                {user?.name?.[0]?.toUpperCase() ?? "U"}
-              </div>
-              <span className="max-w-[140px] truncate text-sm font-medium text-gray-700">
-                {user?.name}
-              </span>
+          {/* Global error banner */}
+          {error && (
+            <div className="mb-6">
+              <Alert type="error" message={error} onDismiss={clearError} />
+            </div>
+          )}
+
+          {notebookError && (
+            <div className="mb-6">
+              <Alert
+                type="error"
+                message={notebookError}
+                onDismiss={() => setNotebookError(null)}
+              />
+            </div>
+          )}
+
+          {exportError && (
+            <div className="mb-6">
+              <Alert
+                type="error"
+                message={exportError}
+                onDismiss={() => setExportError(null)}
+              />
+            </div>
+          )}
+
+          {bulkResult && (
+            <div className="mb-6">
+              <Alert
+                type={bulkResult.type}
+                message={bulkResult.message}
+                onDismiss={() => setBulkResult(null)}
+              />
             </div>
-            <button
-              onClick={handleLogout}
-              aria-label="Sign out of your account"
-              className="rounded-lg bg-gray-100 px-3 py-1.5 text-xs font-medium text-gray-600 transition hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 focus:ring-offset-1"
-            >
-              Sign out
-            </button>
+          )}
+
+          {(offline || pendingChanges > 0 || syncProblems.length > 0) && (
+            <div className="mb-6">
+              <SyncStatusBanner
+                offline={offline}
+                pending={pendingChanges}
+                problems={syncProblems.length}
+                onReview={() => setReviewingSync(true)}
+              />
+            </div>
+          )}
+
+          {/* Search */}
+          <div className="mb-4">
+            <NoteSearchBar value={query} onSearch={setQuery} />
           </div>
-        </div>
-      </header>
 
-      {/* ── Page body ──────────────────────────────────────────────────── */}
-      <main id="main-content" className="mx-auto max-w-6xl px-4 py-8 sm:px-6">
-        {/* Page title + count */}
-        <div className="mb-6 flex items-end justify-between">
-          <div>
-            <h1 className="text-2xl font-bold tracking-tight text-gray-900">
-              My Notes
-            </h1>
-            {!loading && (
-              <p className="mt-0.5 text-sm text-gray-500">
-                {total === 0
-                  ? "No notes yet"
-                  : `${total} note${total !== 1 ? "s" : ""}`}
-              </p>
-            )}
+          {/* Tag filter */}
+          <div className="mb-4">
+            <TagFilter
+              tags={tags}
+              selected={tagFilter}
+              mode={tagMode}
+              onChange={setTagFilter}
+            />
           </div>
-        </div>
 
-        {/* Global error banner */}
-        {error && (
+          {/* Sort order and date range */}
           <div className="mb-6">
-            <Alert type="error" message={error} onDismiss={clearError} />
+            <NoteListOptions
+              options={listOptions}
+              onChange={handleListOptions}
+            />
           </div>
-        )}
-
-        {/* Create note form */}
-        <div className="mb-6">
-          <CreateNoteForm onSubmit={createNote} saving={saving} />
-        </div>
-
-        {/* Notes grid */}
-        <section aria-label="Notes list">
-          <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
-            {loading ? (
-              <NoteSkeletons count={6} />
-            ) : notes.length === 0 ? (
-              <EmptyNotesState />
-            ) : (
-              notes.map((note) => (
-                <NoteCard
-                  key={note._id}
-                  note={note}
-                  onEdit={setEditingNote}
-                  onDelete={setDeletingNote}
-                  disabled={saving}
+
+          {/* Bulk actions, or the create note form — new notes never land
+              in the archive */}
+          {selecting ? (
+            <div className="mb-6">
+              <BulkActionBar
+                count={selected.length}
+                allSelected={allSelected}
+                archived={archived}
+                notebooks={notebookOptions}
+                onSelectAll={handleSelectPage}
+                onAction={handleBulkAction}
+                onDone={stopSelecting}
+                disabled={saving}
+              />
+            </div>
+          ) : (
+            !archived && (
+              <div className="mb-6">
+                <CreateNoteForm onSubmit={handleCreate} saving={saving} />
+              </div>
+            )
+          )}
+
+          {/* Notes grid */}
+          <section aria-label="Notes list">
+            <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+              {loading ? (
+                <NoteSkeletons count={6} />
+              ) : notes.length === 0 ? (
+                <EmptyNotesState
+                  message={
+                    query || tagFilter.length || dated
+                      ? "No notes match your search"
+                      : archived
+                        ? "Nothing archived here"
+                        : undefined
+                  }
                 />
-              ))
-            )}
-          </div>
-        </section>
+              ) : (
+                notes.map((note) => (
+                  <NoteCard
+                    key={note._id}
+                    note={note}
+                    onEdit={setEditingNote}
+                    onDelete={setDeletingNote}
+                    onShare={online(note) ? setSharingNote : undefined}
+                    onTagClick={handleTagClick}
+                    notebooks={notebookOptions}
+                    onMove={online(note) ? handleMove : undefined}
+                    disabled={saving}
+                    selectable={selecting}
+                    selected={selected.includes(note._id)}
+                    onToggleSelect={toggleSelect}
+                  />
+                ))
+              )}
+            </div>
+          </section>
 
-        {/* Pagination */}
-        {!loading && pages > 1 && (
-          <div className="mt-8">
-            <Pagination page={page} pages={pages} onPage={setPage} />
-          </div>
-        )}
-      </main>
+          {/* Pagination, or the next batch of an infinite scroll */}
+          {!loading && scrolling && nextCursor && (
+            <div className="mt-8">
+              <LoadMore onLoadMore={loadMore} loading={loadingMore} />
+            </div>
+          )}
+          {!loading && !scrolling && pages > 1 && (
+            <div className="mt-8">
+              <Pagination page={page} pages={pages} onPage={setPage} />
+            </div>
+          )}
+          {!loading && !query && (scrolling || pages > 1) && (
+            <div className="mt-4 text-center">
+              <button
+                type="button"
+                onClick={() => setInfinite(!infinite)}
+                className="rounded text-xs font-medium text-gray-500 transition hover:text-indigo-600 focus:outline-none focus:ring-2 focus:ring-indigo-400"
+              >
+                {infinite ? "Show numbered pages" : "Load notes as I scroll"}
+              </button>
+            </div>
+          )}
+        </main>
+      </div>
 
       {/* ── Overlays ───────────────────────────────────────────────────── */}
       <EditNoteModal
+        key={editingNote?._id} // fresh tab state for every note opened
         note={editingNote}
         onSave={updateNote}
+        onRestoreRevision={handleRestoreRevision}
+        onAcceptServer={setEditingNote}
         onClose={() => setEditingNote(null)}
         saving={saving}
       />
 
+      <ShareNoteDialog
+        key={sharingNote?._id} // fresh form and link list per note
+        note={sharingNote}
+        onClose={() => setSharingNote(null)}
+      />
+
       <DeleteConfirmDialog
         note={deletingNote}
         onConfirm={handleDelete}
         onCancel={() => setDeletingNote(null)}
         saving={saving}
       />
+
+      <ImportNotesDialog
+        key={String(importOpen)} // a fresh wizard every time it opens
+        open={importOpen}
+        notebooks={notebookOptions}
+        defaultNotebook={currentNotebook?._id ?? null}
+        onImported={reload}
+        onClose={() => setImportOpen(false)}
+      />
+
+      <SyncProblemDialog
+        problems={syncProblems}
+        open={reviewingSync}
+        onResolve={handleResolveSync}
+        onClose={() => setReviewingSync(false)}
+      />
+
+      <NotebookDeleteDialog
+        key={deletingNotebook?._id} // reset the chosen option per notebook
+        notebook={deletingNotebook}
+        noteCount={deletingNoteCount}
+        parentName={
+          notebooks.find((nb) => nb._id === deletingNotebook?.parent)?.name ??
+          null
+        }
+        onConfirm={handleDeleteNotebook}
+        onCancel={() => setDeletingNotebook(null)}
+        saving={notebookSaving}
+      />
     </div>
   );
 }
@@ -0,0 +1,173 @@
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import Alert from "../components/ui/Alert";
+import Input from "../components/ui/Input";
+import Spinner from "../components/ui/Spinner";
+import { useFormFields } from "../hooks/useFormFields";
+import { usePasswordReset } from "../hooks/usePasswordReset";
+import { validateResetPassword } from "../lib/validators";
+
+/**
+ * ResetPasswordPage — second step of a password reset
+ * (/reset-password/:token, linked from the reset email).
+ *
+ * Sets a new password with the emailed token. The server ends every
+ * session of the account, so this browser is signed out as well and the
+ * user continues on LoginPage with a confirmation.
+ */
+export default function ResetPasswordPage() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { logout } = useAuth();
+  const { resetPassword, loading, error, clearError } = usePasswordReset();
+
+  const {
+    fields,
+    fieldErrors,
+    submittingRef,
+    handleChange,
+    focusFirstError,
+    markErrors,
+    isValid,
+  } = useFormFields({ password: "", confirmPassword: "" }, clearError);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (submittingRef.current || loading) return;
+
+    const errors = validateResetPassword(fields);
+    if (Object.keys(errors).length > 0) {
+      markErrors(errors);
+      focusFirstError(errors);
+      return;
+    }
+
+    submittingRef.current = true;
+    try {
+      const result = await resetPassword(token, fields.password);
+      if (result.success) {
+        await logout();
+        navigate("/login", {
+          replace: true,
+          state: { notice: result.message },
+        });
+      } else if (result.fieldErrors?.length) {
+        const mapped = Object.fromEntries(
+          result.fieldErrors.map(({ field, message }) => [field, message]),
+        );
+        markErrors(mapped);
+        focusFirstError(mapped);
+      }
+    } finally {
+      submittingRef.current = false;
+    }
+  };
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-gray-50 px-4 py-12 sm:px-6 lg:px-8">
+      <div className="w-full max-w-md space-y-8">
+        {/* Header */}
+        <div className="text-center">
+          <div
+            className="mx-auto mb-4 flex h-12 w-12 items-center justify-center rounded-full bg-indigo-600"
+            aria-hidden="true"
+          >
+            <svg
+              className="h-6 w-6 text-white"
+              fill="none"
+              stroke="currentColor"
+              strokeWidth={2}
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                d="M15 7a2 2 0 012 2m4 0a6 6 0 01-7.743 5.743L11 17H9v2H7v2H4a1 1 0 01-1-1v-2.586a1 1 0 01.293-.707l5.964-5.964A6 6 0 1121 9z"
+              />
+            </svg>
+          </div>
+          <h1 className="text-2xl font-bold tracking-tight text-gray-900">
+            Choose a new password
+          </h1>
+          <p className="mt-1 text-sm text-gray-500">
+            You&apos;ll be signed out everywhere and can sign in with it right
+            away
+          </p>
+        </div>
+
+        {/* Card */}
+        <div className="rounded-2xl bg-white px-6 py-10 shadow-sm ring-1 ring-gray-200 sm:px-8">
+          {error && (
+            <div className="mb-6 space-y-2">
+              <Alert type="error" message={error} onDismiss={clearError} />
+              <p className="text-sm text-gray-500">
+                Links expire and work only once —{" "}
+                <Link
+                  to="/forgot-password"
+                  className="font-medium text-indigo-600 hover:text-indigo-500 focus:outline-none focus:underline"
+                >
+                  request a new one
+                </Link>
+                .
+              </p>
+            </div>
+          )}
+
+          <form
+            onSubmit={handleSubmit}
+            noValidate
+            className="space-y-5"
+            aria-label="New password form"
+          >
+            <Input
+              autoFocus
+              label="New password"
+              id="password"
+              name="password"
+              type="password"
+              autoComplete="new-password"
+              required
+              value={fields.password}
+              onChange={handleChange}
+              error={fieldErrors.password}
+              valid={isValid("password")}
+              disabled={loading}
+              hint="Min 8 chars · uppercase · lowercase · number"
+            />
+
+            <Input
+              label="Confirm new password"
+              id="confirmPassword"
+              name="confirmPassword"
+              type="password"
+              autoComplete="new-password"
+              required
+              value={fields.confirmPassword}
+              onChange={handleChange}
+              error={fieldErrors.confirmPassword}
+              valid={isValid("confirmPassword")}
+              disabled={loading}
+            />
+
+            <button
+              type="submit"
+              disabled={loading}
+              aria-busy={loading}
+              aria-disabled={loading}
+              className="flex w-full items-center justify-center gap-2 rounded-lg bg-indigo-600 px-4 py-2.5 text-sm font-semibold text-white shadow-sm transition hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-60"
+            >
+              {loading ? (
+                <>
+                  <Spinner size="h-4 w-4" />
+                  <span>Saving…</span>
+                </>
+              ) : (
+                "Set new password"
+              )}
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
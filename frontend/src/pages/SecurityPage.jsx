@@ -0,0 +1,30 @@
+import AppHeader from "../components/AppHeader";
+import AccountNav from "../components/account/AccountNav";
+import PasswordForm from "../components/account/PasswordForm";
+import TwoFactorSection from "../components/account/TwoFactorSection";
+
+/**
+ * SecurityPage — the signed-in user's password and two-factor
+ * authentication (/account/security).
+ *
+ * Auth: only reachable via PrivateRoute.
+ */
+export default function SecurityPage() {
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AppHeader />
+
+      <main id="main-content" className="mx-auto max-w-3xl px-4 py-8 sm:px-6">
+        <h1 className="mb-4 text-2xl font-bold tracking-tight text-gray-900">
+          Account settings
+        </h1>
+        <AccountNav />
+
+        <div className="space-y-6">
+          <PasswordForm />
+          <TwoFactorSection />
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import { useState } from "react";
+import { useSessions } from "../hooks/useSessions";
+import AppHeader from "../components/AppHeader";
+import Alert from "../components/ui/Alert";
+import Spinner from "../components/ui/Spinner";
+import AccountNav from "../components/account/AccountNav";
+import SessionItem from "../components/account/SessionItem";
+
+/**
+ * SessionsPage — the devices signed in to the current account
+ * (/account/sessions).
+ *
+ * Any other device can be signed out individually, or all of them at once
+ * with "Sign out everywhere else". A signed-out device loses access on its
+ * next request.
+ *
+ * Auth: only reachable via PrivateRoute.
+ */
+export default function SessionsPage() {
+  const { sessions, loading, error, saving, revokeSession, revokeOthers } =
+    useSessions();
+  const [message, setMessage] = useState(null); // { type, text } | null
+
+  const run = async (action) => {
+    setMessage(null);
+    const result = await action();
+    setMessage({
+      type: result.success ? "success" : "error",
+      text: result.message,
+    });
+  };
+
+  const hasOthers = sessions.some((session) => !session.current);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AppHeader />
+
+      <main id="main-content" className="mx-auto max-w-3xl px-4 py-8 sm:px-6">
+        <h1 className="mb-4 text-2xl font-bold tracking-tight text-gray-900">
+          Account settings
+        </h1>
+        <AccountNav />
+
+        <div className="mb-6 flex flex-wrap items-end justify-between gap-3">
+          <p className="text-sm text-gray-500">
+            Devices signed in to your account. Sign out any you don&apos;t
+            recognise.
+          </p>
+          {!loading && hasOthers && (
+            <button
+              type="button"
+              onClick={() => run(revokeOthers)}
+              disabled={saving}
+              aria-busy={saving}
+              className="flex items-center gap-1.5 rounded-lg bg-red-600 px-3 py-2 text-xs font-semibold text-white shadow-sm transition hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-1 disabled:cursor-not-allowed disabled:opacity-60"
+            >
+              {saving && <Spinner size="h-3 w-3" />}
+              Sign out everywhere else
+            </button>
+          )}
+        </div>
+
+        {message && (
+          <div className="mb-6">
+            <Alert
+              type={message.type}
+              message={message.text}
+              onDismiss={() => setMessage(null)}
+            />
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <Spinner color="text-indigo-500" />
+          </div>
+        ) : error ? (
+          <Alert type="error" message={error} />
+        ) : (
+          <ul
+            aria-label="Signed-in devices"
+            className="divide-y divide-gray-100 rounded-2xl bg-white shadow-sm ring-1 ring-gray-200"
+          >
+            {sessions.map((session) => (
+              <SessionItem
+                key={session._id}
+                session={session}
+                onRevoke={({ _id }) => run(() => revokeSession(_id))}
+                disabled={saving}
+              />
+            ))}
+          </ul>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+import AppHeader from "../components/AppHeader";
+import AccountNav from "../components/account/AccountNav";
+import ProfileForm from "../components/account/ProfileForm";
+import DataExportSection from "../components/account/DataExportSection";
+import DeleteAccountSection from "../components/account/DeleteAccountSection";
+
+/**
+ * SettingsPage — the signed-in user's profile (/account), the export of
+ * all their data and account deletion.
+ *
+ * Auth: only reachable via PrivateRoute.
+ */
+export default function SettingsPage() {
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AppHeader />
+
+      <main id="main-content" className="mx-auto max-w-3xl px-4 py-8 sm:px-6">
+        <h1 className="mb-4 text-2xl font-bold tracking-tight text-gray-900">
+          Account settings
+        </h1>
+        <AccountNav />
+
+        <ProfileForm />
+        <DataExportSection />
+        <DeleteAccountSection />
+      </main>
+    </div>
+  );
+}
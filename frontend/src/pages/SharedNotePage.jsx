@@ -0,0 +1,160 @@
+import { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import publicApi from "../api/publicApi";
+import Spinner from "../components/ui/Spinner";
+import { extractApiError } from "../lib/api";
+
+/**
+ * SharedNotePage — public, read-only view of a note opened via a share link.
+ *
+ * Route: /s/:token. Needs no account; the token in the URL is the only
+ * credential. Password-protected links show a password prompt first — the
+ * password is sent in the X-Share-Password header, never in the URL.
+ */
+export default function SharedNotePage() {
+  const { token } = useParams();
+  const [password, setPassword] = useState("");
+  // Each submit is a new attempt, even when the same password is retried.
+  const [attempt, setAttempt] = useState({ n: 0, password: "" });
+
+  // Keyed result (see useRevisions): loading while it answers an older key.
+  const requestKey = `${token}:${attempt.n}`;
+  const [result, setResult] = useState({ key: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    publicApi
+      .get(`/notes/${encodeURIComponent(token)}`, {
+        headers: attempt.password
+          ? { "X-Share-Password": attempt.password }
+          : undefined,
+      })
+      .then(({ data }) => {
+        if (!cancelled) setResult({ key: requestKey, note: data.note });
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setResult({
+          key: requestKey,
+          passwordRequired: !!err.response?.data?.passwordRequired,
+          error: extractApiError(err, "This note could not be loaded."),
+        });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [token, attempt, requestKey]);
+
+  const loading = result.key !== requestKey;
+
+  const handleUnlock = (e) => {
+    e.preventDefault();
+    if (password) setAttempt((a) => ({ n: a.n + 1, password }));
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="border-b border-gray-200 bg-white">
+        <div className="mx-auto flex max-w-3xl items-center justify-between px-4 py-3 sm:px-6">
+          <Link
+            to="/"
+            className="text-base font-bold tracking-tight text-gray-900"
+          >
+            NoteVault
+          </Link>
+          <span className="rounded-full bg-gray-100 px-2.5 py-0.5 text-xs font-medium text-gray-500">
+            Read-only shared note
+          </span>
+        </div>
+      </header>
+
+      <main className="mx-auto max-w-3xl px-4 py-10 sm:px-6">
+        {loading ? (
+          <div className="flex justify-center py-20">
+            <Spinner color="text-indigo-500" />
+          </div>
+        ) : result.note ? (
+          <article className="rounded-2xl bg-white p-6 shadow-sm ring-1 ring-gray-200 sm:p-8">
+            <h1 className="text-2xl font-bold tracking-tight text-gray-900">
+              {result.note.title}
+            </h1>
+            <p className="mt-1 text-xs text-gray-400">
+              Last updated{" "}
+              {new Date(result.note.updatedAt).toLocaleDateString(undefined, {
+                year: "numeric",
+                month: "short",
+                day: "numeric",
+              })}
+            </p>
+            {result.note.tags.length > 0 && (
+              <ul className="mt-3 flex flex-wrap gap-1" aria-label="Tags">
+                {result.note.tags.map((tag) => (
+                  <li
+                    key={tag}
+                    className="rounded-full bg-indigo-50 px-2 py-0.5 text-[11px] font-medium text-indigo-700"
+                  >
+                    {tag}
+                  </li>
+                ))}
+              </ul>
+            )}
+            <p className="mt-6 whitespace-pre-wrap break-words text-sm leading-relaxed text-gray-700">
+              {result.note.content}
+            </p>
+          </article>
+        ) : result.passwordRequired ? (
+          <form
+            onSubmit={handleUnlock}
+            className="mx-auto max-w-sm rounded-2xl bg-white p-6 shadow-sm ring-1 ring-gray-200"
+          >
+            <h1 className="text-base font-semibold text-gray-900">
+              This note is password protected
+            </h1>
+            <label
+              htmlFor="share-password"
+              className="mb-1 mt-4 block text-sm font-medium text-gray-700"
+            >
+              Password
+            </label>
+            <input
+              id="share-password"
+              type="password"
+              autoFocus
+              autoComplete="off"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              aria-invalid={attempt.n > 0 ? "true" : "false"}
+              aria-describedby={
+                attempt.n > 0 ? "share-password-error" : undefined
+              }
+              className="block w-full rounded-lg border border-gray-300 bg-white px-3 py-2.5 text-sm text-gray-900 outline-none focus:border-indigo-500 focus:ring-2 focus:ring-indigo-200"
+            />
+            {attempt.n > 0 && (
+              <p
+                id="share-password-error"
+                role="alert"
+                className="mt-1 text-xs text-red-600"
+              >
+                {result.error}
+              </p>
+            )}
+            <button
+              type="submit"
+              disabled={!password}
+              className="mt-4 w-full rounded-lg bg-indigo-600 px-4 py-2.5 text-sm font-semibold text-white shadow-sm transition hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-1 disabled:cursor-not-allowed disabled:opacity-60"
+            >
+              View note
+            </button>
+          </form>
+        ) : (
+          <div className="py-20 text-center">
+            <h1 className="text-lg font-semibold text-gray-900">
+              Note unavailable
+            </h1>
+            <p className="mt-1 text-sm text-gray-500">{result.error}</p>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
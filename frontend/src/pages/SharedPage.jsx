@@ -0,0 +1,117 @@
+import { useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import { useSharedNotes } from "../hooks/useSharedNotes";
+import AppHeader from "../components/AppHeader";
+import Alert from "../components/ui/Alert";
+import Pagination from "../components/ui/Pagination";
+import EditNoteModal from "../components/notes/EditNoteModal";
+import EmptyNotesState from "../components/notes/EmptyNotesState";
+import NoteSkeletons from "../components/notes/NoteSkeletons";
+import SharedNoteCard from "../components/notes/SharedNoteCard";
+
+/**
+ * SharedPage — "Shared with me": notes other users gave the current user
+ * access to.
+ *
+ * Editors open a note in the regular editor; viewers get the same modal in
+ * read-only mode. Leaving a note removes the user's own access.
+ *
+ * Auth: only reachable via PrivateRoute.
+ */
+export default function SharedPage() {
+  const { user } = useAuth();
+  const { state, actions } = useSharedNotes();
+  const { notes, pages, page, loading, saving, error } = state;
+  const { updateNote, restoreRevision, leaveNote, setPage, clearError } =
+    actions;
+
+  const [editingNote, setEditingNote] = useState(null); // note object | null
+  const [successMsg, setSuccessMsg] = useState("");
+
+  // Server copies (after a restore or conflict) carry no role — keep it.
+  const reopen = (next) =>
+    setEditingNote((current) => ({ ...next, role: current.role }));
+
+  const handleRestoreRevision = async (id, rev) => {
+    const result = await restoreRevision(id, rev);
+    if (result.success) reopen(result.note);
+    return result;
+  };
+
+  const handleLeave = async (note) => {
+    const result = await leaveNote(note._id, user.id);
+    if (result.success) setSuccessMsg(`You left "${note.title}".`);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AppHeader />
+
+      <main id="main-content" className="mx-auto max-w-6xl px-4 py-8 sm:px-6">
+        <div className="mb-6">
+          <h1 className="text-2xl font-bold tracking-tight text-gray-900">
+            Shared with me
+          </h1>
+          <p className="mt-0.5 text-sm text-gray-500">
+            Notes other people have shared with you.
+          </p>
+        </div>
+
+        {successMsg && (
+          <div className="mb-6">
+            <Alert
+              type="success"
+              message={successMsg}
+              onDismiss={() => setSuccessMsg("")}
+            />
+          </div>
+        )}
+        {error && (
+          <div className="mb-6">
+            <Alert type="error" message={error} onDismiss={clearError} />
+          </div>
+        )}
+
+        <section aria-label="Shared notes">
+          <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+            {loading ? (
+              <NoteSkeletons count={3} />
+            ) : notes.length === 0 ? (
+              <EmptyNotesState
+                message="Nothing shared with you yet"
+                hint="Notes others share with you by email show up here."
+              />
+            ) : (
+              notes.map((note) => (
+                <SharedNoteCard
+                  key={note._id}
+                  note={note}
+                  onOpen={setEditingNote}
+                  onLeave={handleLeave}
+                  disabled={saving}
+                />
+              ))
+            )}
+          </div>
+        </section>
+
+        {!loading && pages > 1 && (
+          <div className="mt-8">
+            <Pagination page={page} pages={pages} onPage={setPage} />
+          </div>
+        )}
+      </main>
+
+      <EditNoteModal
+        key={editingNote?._id} // fresh tab state for every note opened
+        note={editingNote}
+        onSave={updateNote}
+        onRestoreRevision={handleRestoreRevision}
+        onAcceptServer={reopen}
+        onClose={() => setEditingNote(null)}
+        saving={saving}
+        readOnly={editingNote?.role !== "editor"}
+      />
+    </div>
+  );
+}
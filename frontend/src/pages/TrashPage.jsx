@@ -0,0 +1,109 @@
+import { useState } from "react";
+import { useTrash } from "../hooks/useTrash";
+import AppHeader from "../components/AppHeader";
+import Alert from "../components/ui/Alert";
+import Pagination from "../components/ui/Pagination";
+import DeleteConfirmDialog from "../components/notes/DeleteConfirmDialog";
+import EmptyNotesState from "../components/notes/EmptyNotesState";
+import NoteSkeletons from "../components/notes/NoteSkeletons";
+import TrashNoteCard from "../components/notes/TrashNoteCard";
+
+/**
+ * TrashPage — notes deleted from the dashboard.
+ *
+ * Each note can be restored to the notes list or deleted forever. Anything
+ * left here is purged automatically once the server retention period ends.
+ *
+ * Auth: only reachable via PrivateRoute.
+ */
+export default function TrashPage() {
+  const { state, actions } = useTrash();
+  const { notes, pages, page, retentionDays, loading, saving, error } = state;
+  const { restoreNote, deleteForever, setPage, clearError } = actions;
+
+  const [deletingNote, setDeletingNote] = useState(null); // note object | null
+  const [successMsg, setSuccessMsg] = useState("");
+
+  const handleRestore = async (note) => {
+    const result = await restoreNote(note._id);
+    if (result.success) setSuccessMsg(`"${note.title}" was restored.`);
+  };
+
+  const handleDeleteForever = async () => {
+    if (!deletingNote) return;
+    const result = await deleteForever(deletingNote._id);
+    if (result.success) setDeletingNote(null);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AppHeader />
+
+      <main id="main-content" className="mx-auto max-w-6xl px-4 py-8 sm:px-6">
+        <div className="mb-6">
+          <h1 className="text-2xl font-bold tracking-tight text-gray-900">
+            Trash
+          </h1>
+          {!loading && retentionDays && (
+            <p className="mt-0.5 text-sm text-gray-500">
+              Notes in the trash are deleted forever after {retentionDays} day
+              {retentionDays !== 1 ? "s" : ""}.
+            </p>
+          )}
+        </div>
+
+        {successMsg && (
+          <div className="mb-6">
+            <Alert
+              type="success"
+              message={successMsg}
+              onDismiss={() => setSuccessMsg("")}
+            />
+          </div>
+        )}
+        {error && (
+          <div className="mb-6">
+            <Alert type="error" message={error} onDismiss={clearError} />
+          </div>
+        )}
+
+        <section aria-label="Trashed notes">
+          <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+            {loading ? (
+              <NoteSkeletons count={3} />
+            ) : notes.length === 0 ? (
+              <EmptyNotesState
+                message="The trash is empty"
+                hint="Deleted notes show up here until they are purged."
+              />
+            ) : (
+              notes.map((note) => (
+                <TrashNoteCard
+                  key={note._id}
+                  note={note}
+                  onRestore={handleRestore}
+                  onDeleteForever={setDeletingNote}
+                  disabled={saving}
+                />
+              ))
+            )}
+          </div>
+        </section>
+
+        {!loading && pages > 1 && (
+          <div className="mt-8">
+            <Pagination page={page} pages={pages} onPage={setPage} />
+          </div>
+        )}
+      </main>
+
+      <DeleteConfirmDialog
+        note={deletingNote}
+        onConfirm={handleDeleteForever}
+        onCancel={() => setDeletingNote(null)}
+        saving={saving}
+        permanent
+      />
+    </div>
+  );
+}
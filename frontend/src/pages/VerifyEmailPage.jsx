@@ -0,0 +1,101 @@
+import { useEffect, useRef, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import Alert from "../components/ui/Alert";
+import Spinner from "../components/ui/Spinner";
+
+/**
+ * VerifyEmailPage — verifies the account's email address
+ * (/verify-email/:token, linked from the email sent after registration).
+ *
+ * Verifies as soon as it loads: the link only confirms an address the
+ * account already uses, so there is nothing to approve. The token is
+ * single-use, so the request is sent once per token even when StrictMode
+ * runs the effect twice. Works whether or not this browser is signed in.
+ */
+export default function VerifyEmailPage() {
+  const { token } = useParams();
+  const { token: session, initializing, verifyEmail } = useAuth();
+  const [result, setResult] = useState(null); // { success, message } | null
+  const requested = useRef(null);
+
+  useEffect(() => {
+    // Wait for the session, so verifyEmail can update a signed-in user.
+    if (initializing || requested.current === token) return;
+    requested.current = token;
+    verifyEmail(token).then(setResult);
+  }, [initializing, token, verifyEmail]);
+
+  const linkClass =
+    "font-medium text-indigo-600 hover:text-indigo-500 focus:outline-none focus:underline";
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-gray-50 px-4 py-12 sm:px-6 lg:px-8">
+      <div className="w-full max-w-md space-y-8">
+        {/* Header */}
+        <div className="text-center">
+          <div
+            className="mx-auto mb-4 flex h-12 w-12 items-center justify-center rounded-full bg-indigo-600"
+            aria-hidden="true"
+          >
+            <svg
+              className="h-6 w-6 text-white"
+              fill="none"
+              stroke="currentColor"
+              strokeWidth={2}
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z"
+              />
+            </svg>
+          </div>
+          <h1 className="text-2xl font-bold tracking-tight text-gray-900">
+            Verify your email address
+          </h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Confirm the address of your NoteVault account
+          </p>
+        </div>
+
+        {/* Card */}
+        <div className="space-y-6 rounded-2xl bg-white px-6 py-10 shadow-sm ring-1 ring-gray-200 sm:px-8">
+          {result ? (
+            <Alert
+              type={result.success ? "success" : "error"}
+              message={result.message}
+            />
+          ) : (
+            <div className="flex items-center justify-center gap-2 text-sm text-gray-500">
+              <Spinner size="h-4 w-4" color="text-indigo-500" />
+              Verifying…
+            </div>
+          )}
+
+          {result && !result.success && session && (
+            <p className="text-center text-sm text-gray-500">
+              Need a new link? Use “Resend link” in the banner at the top of the
+              app.
+            </p>
+          )}
+
+          {result && (
+            <p className="text-center text-sm text-gray-500">
+              {session ? (
+                <Link to="/dashboard" className={linkClass}>
+                  Go to your notes
+                </Link>
+              ) : (
+                <Link to="/login" className={linkClass}>
+                  Sign in
+                </Link>
+              )}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}